@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations CLI
+ *
+ *   node scripts/migrate.js up [--to <version>]
+ *   node scripts/migrate.js down [--steps <n> | --to <version>]
+ *   node scripts/migrate.js status
+ */
+
+require('dotenv').config();
+const { loadConfig } = require('../src/config');
+const { createStorage, Migrator } = require('../src/storage');
+
+function parseOptions(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        const name = args[i].replace(/^--/, '');
+        const value = parseInt(args[i + 1], 10);
+        if (!['to', 'steps'].includes(name) || Number.isNaN(value)) {
+            throw new Error(`Unknown option ${args[i]} ${args[i + 1] || ''}`.trim());
+        }
+        options[name] = value;
+    }
+    return options;
+}
+
+async function main() {
+    const [command = 'status', ...args] = process.argv.slice(2);
+    if (!['up', 'down', 'status'].includes(command)) {
+        throw new Error(`Unknown command ${command}; use up, down or status`);
+    }
+    const options = parseOptions(args);
+
+    const db = createStorage(loadConfig().database);
+    await db.init();
+
+    try {
+        const migrator = new Migrator({ db });
+
+        if (command === 'status') {
+            for (const migration of await migrator.status()) {
+                const state = migration.applied ? `applied ${migration.appliedAt.toISOString()}` : 'pending';
+                console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name || '(unknown)'}  ${state}`);
+            }
+            return;
+        }
+
+        const changed = command === 'up' ? await migrator.up(options) : await migrator.down(options);
+        const verb = command === 'up' ? 'Applied' : 'Reverted';
+        if (changed.length === 0) {
+            console.log('Nothing to do');
+        }
+        for (const migration of changed) {
+            console.log(`${verb} ${String(migration.version).padStart(3, '0')}  ${migration.name}`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * Applies the current request log keys and field policy to stored rows:
+ * hashes NIDs in rows written before pseudonymization and re-encrypts values
+ * written with an older REQUEST_LOG_ENCRYPTION_KEYS key. Webhook secrets are
+ * encrypted (or re-encrypted) with the same keys.
+ *
+ *   node scripts/reprotect-request-logs.js [--batch-size <n>]
+ */
+
+require('dotenv').config();
+const { loadConfig } = require('../src/config');
+const { createStorage } = require('../src/storage');
+const RequestLogService = require('../src/services/requestLogService');
+const WebhookService = require('../src/services/webhookService');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const batchSizeIndex = args.indexOf('--batch-size');
+    const batchSize = batchSizeIndex === -1 ? 500 : parseInt(args[batchSizeIndex + 1], 10);
+    if (!(batchSize > 0)) {
+        throw new Error('--batch-size must be a positive integer');
+    }
+
+    const db = createStorage(loadConfig().database);
+    await db.init();
+
+    try {
+        const { scanned, updated } = await new RequestLogService({ db }).reprotect({ batchSize });
+        console.log(`Scanned ${scanned} request log rows, updated ${updated}`);
+
+        const secrets = await new WebhookService({ db }).reprotectSecrets();
+        console.log(`Updated ${secrets} webhook secrets`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`Reprotection failed: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Runs request log retention once with the REQUEST_LOG_RETENTION_* settings,
+ * whether or not the scheduled worker is enabled.
+ *
+ *   node scripts/request-log-retention.js [--dry-run]
+ */
+
+require('dotenv').config();
+const { loadConfig } = require('../src/config');
+const { createStorage } = require('../src/storage');
+const RetentionService = require('../src/services/retentionService');
+
+async function main() {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+
+    const db = createStorage(loadConfig().database);
+    await db.init();
+
+    try {
+        const run = await new RetentionService({ db }).run(dryRun ? { dryRun } : {});
+        if (!run) {
+            console.log('Retention is already running on another instance');
+            return;
+        }
+        if (run.status === 'failed') {
+            throw new Error(run.error);
+        }
+
+        const verb = run.dryRun ? 'Would delete' : 'Deleted';
+        console.log(`${verb} ${run.deleted.success} SUCCESS and ${run.deleted.error} ERROR request log rows`);
+    } finally {
+        await db.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(`Retention failed: ${error.message}`);
+    process.exit(1);
+});
@@ -119,6 +119,10 @@ function generateJWTSecret() {
     return require('crypto').randomBytes(64).toString('hex');
 }
 
+function generateAdminKey() {
+    return require('crypto').randomBytes(32).toString('hex');
+}
+
 function createEnvFile(answers) {
     const envContent = `# Server Configuration
 PORT=${answers.PORT}
@@ -131,7 +135,10 @@ NID_SERVICE_PASSWORD=${answers.NID_SERVICE_PASSWORD}
 
 # JWT Configuration
 JWT_SECRET=${answers.JWT_SECRET}
-JWT_EXPIRES_IN=24h
+JWT_EXPIRES_IN=15m
+
+# Admin API Configuration
+ADMIN_API_KEYS=admin:${generateAdminKey()}
 
 # MySQL Database Configuration
 DB_HOST=${answers.DB_HOST}
@@ -0,0 +1,235 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const logger = require('./utils/logger');
+const { loadConfig } = require('./config');
+const { CidrMatcher, parseCidrList } = require('./utils/ipMatcher');
+const ipWhitelist = require('./middleware/ipWhitelist');
+const requestLogger = require('./middleware/requestLogger');
+const adminAuth = require('./middleware/adminAuth');
+const clientAuth = require('./middleware/clientAuth');
+const systemRateLimit = require('./middleware/systemRateLimit');
+const httpMetrics = require('./middleware/httpMetrics');
+const requestValidation = require('./middleware/requestValidation');
+const responseValidation = require('./middleware/responseValidation');
+const nidRoutes = require('./routes/nidRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const authRoutes = require('./routes/authRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const { buildDocument, OpenApiValidator } = require('./openapi');
+const AuditLog = require('./services/auditLog');
+const WhitelistService = require('./services/whitelistService');
+const ApiKeyService = require('./services/apiKeyService');
+const TokenStore = require('./services/tokenStore');
+const VerificationCache = require('./services/verificationCache');
+const RequestLogService = require('./services/requestLogService');
+const RequestStatsService = require('./services/requestStatsService');
+const RetentionService = require('./services/retentionService');
+const QuotaService = require('./services/quotaService');
+const ReportService = require('./services/reportService');
+const RateLimitStore = require('./services/rateLimitStore');
+const JobService = require('./services/jobService');
+const WebhookService = require('./services/webhookService');
+const NIDService = require('./services/nidService');
+const VerificationService = require('./services/verificationService');
+const MetricsService = require('./services/metricsService');
+const JobWorker = require('./workers/jobWorker');
+const WebhookWorker = require('./workers/webhookWorker');
+const RetentionWorker = require('./workers/retentionWorker');
+
+/**
+ * Wires every service and worker to the given database
+ * @param {Object} deps - { db, nidService }; a NIDService is built when nidService is not given
+ * @returns {Object} - The services, keyed by name
+ */
+function createServices({ db, nidService }) {
+    const auditLog = new AuditLog({ db });
+    const webhookService = new WebhookService({ db, auditLog });
+    const tokenStore = new TokenStore({ db });
+    const verificationCache = new VerificationCache({ db });
+    const requestStatsService = new RequestStatsService({ db });
+    const metricsService = new MetricsService({ db });
+
+    const services = {
+        db,
+        auditLog,
+        webhookService,
+        tokenStore,
+        verificationCache,
+        requestStatsService,
+        metricsService,
+        whitelistService: new WhitelistService({ db, auditLog }),
+        apiKeyService: new ApiKeyService({ db, auditLog }),
+        requestLogService: new RequestLogService({ db, requestStatsService }),
+        retentionService: new RetentionService({ db }),
+        jobService: new JobService({ db }),
+        quotaService: new QuotaService({ db, webhookService }),
+        reportService: new ReportService({ db }),
+        nidService: nidService || new NIDService({ tokenStore, webhookService, metricsService })
+    };
+
+    services.verificationService = new VerificationService({
+        nidService: services.nidService,
+        verificationCache,
+        quotaService: services.quotaService
+    });
+    services.jobWorker = new JobWorker(services);
+    services.webhookWorker = new WebhookWorker(services);
+    services.retentionWorker = new RetentionWorker(services);
+
+    return services;
+}
+
+/**
+ * Builds the express app. Nothing is started: the caller listens on the app
+ * and starts the workers found in app.locals.services.
+ * @param {Object} options
+ * @param {Object} options.db - Initialized Database (or anything with the same interface)
+ * @param {Object} options.nidService - Optional replacement for the external NID client
+ * @param {Object} options.config - Overrides for loadConfig() values
+ * @returns {Object} - The express app
+ */
+function createApp({ db, nidService, config = {} } = {}) {
+    if (!db) {
+        throw new Error('createApp requires a db');
+    }
+
+    const settings = { ...loadConfig(), ...config };
+    const services = createServices({ db, nidService });
+    services.openApiValidator = new OpenApiValidator({
+        document: buildDocument({ batchMaxItems: settings.batchMaxItems })
+    });
+
+    const app = express();
+    app.locals.services = services;
+    app.locals.config = settings;
+
+    // Count and time every request, including those refused below
+    app.use(httpMetrics(services));
+
+    // Hold every JSON response to the OpenAPI document
+    if (settings.openApi.validateResponses) {
+        app.use(responseValidation(services));
+    }
+
+    // Security middleware
+    app.use(helmet());
+
+    // CORS configuration
+    app.use(cors({
+        origin: false, // Disable CORS for security since we're using IP whitelist
+        credentials: true
+    }));
+
+    // Trust proxy configuration - only trust X-Forwarded-For from configured proxy addresses
+    const trustedProxies = new CidrMatcher(parseCidrList(settings.trustedProxies));
+    if (trustedProxies.invalid.length > 0) {
+        logger.warn(`Ignoring invalid TRUSTED_PROXIES entries: ${trustedProxies.invalid.join(', ')}`);
+    }
+    app.set('trust proxy', (ip) => trustedProxies.contains(ip));
+
+    // Body parsing middleware
+    app.use(express.json({ limit: '10mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Admin callers are not whitelisted systems, so the admin API is rate limited per IP
+    const adminLimiter = rateLimit({
+        windowMs: settings.rateLimit.windowMs,
+        limit: settings.rateLimit.max,
+        store: new RateLimitStore({ db, prefix: 'admin:' }),
+        message: {
+            success: false,
+            error: 'Too many requests from this IP, please try again later.',
+            code: 'RATE_LIMIT_EXCEEDED'
+        },
+        standardHeaders: true,
+        legacyHeaders: false,
+        passOnStoreError: true,
+        keyGenerator: (req) => {
+            // Use the real IP address for rate limiting
+            return req.ip || req.connection.remoteAddress || 'unknown';
+        }
+    });
+
+    // Prometheus scrapes from its own addresses, so metrics sit ahead of the client whitelist
+    app.use('/metrics', metricsRoutes(services, settings.metrics));
+
+    // The API description is public, so it sits ahead of the client whitelist
+    if (settings.openApi.docsEnabled) {
+        app.use('/api/docs', docsRoutes(services));
+    }
+
+    // Admin API - authenticated by admin credential, mounted ahead of the client whitelist
+    app.use('/api/admin', adminLimiter, adminAuth({ adminApiKeys: settings.adminApiKeys }), requestValidation(services), adminRoutes(services));
+
+    // Custom middleware
+    app.use(ipWhitelist(services));
+
+    // Rate limiting per calling system, shared by every instance
+    app.use(systemRateLimit(services, settings.rateLimit));
+
+    // Token exchange authenticates with its own API key, so it sits ahead of clientAuth
+    app.use('/api/auth', authRoutes(services));
+
+    app.use(clientAuth({ ...services, credentialRequired: settings.clientAuthRequired }));
+    app.use(requestLogger(services));
+    app.use(requestValidation(services));
+
+    // Routes
+    app.use('/api/nid', nidRoutes(services, {
+        batchConcurrency: settings.batchConcurrency
+    }));
+
+    // Root endpoint
+    app.get('/', (req, res) => {
+        res.json({
+            success: true,
+            message: 'NID Verification Service API',
+            version: '1.0.0',
+            timestamp: new Date().toISOString(),
+            endpoints: {
+                verify: 'POST /api/nid/verify',
+                verifyBatch: 'POST /api/nid/verify/batch',
+                createJob: 'POST /api/nid/jobs',
+                getJob: 'GET /api/nid/jobs/:id',
+                usage: 'GET /api/nid/usage',
+                token: 'POST /api/auth/token',
+                health: 'GET /api/nid/health',
+                status: 'GET /api/nid/status',
+                metrics: 'GET /metrics',
+                docs: 'GET /api/docs'
+            }
+        });
+    });
+
+    // 404 handler
+    app.use('*', (req, res) => {
+        res.status(404).json({
+            success: false,
+            error: 'Endpoint not found',
+            code: 'ENDPOINT_NOT_FOUND',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // Global error handler
+    app.use((error, req, res, next) => {
+        logger.error('Unhandled error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            code: 'INTERNAL_ERROR',
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    return app;
+}
+
+module.exports = {
+    createApp,
+    createServices
+};
@@ -0,0 +1,57 @@
+// Localhost and private ranges, used when TRUSTED_PROXIES is not set
+const DEFAULT_TRUSTED_PROXIES = '127.0.0.1/32,::1/128,10.0.0.0/8,172.16.0.0/12,192.168.0.0/16';
+
+/**
+ * Reads the application settings from the environment. createApp() uses all
+ * but `database`, which server.js uses to pick the storage adapter.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Application config
+ */
+function loadConfig(env = process.env) {
+    return {
+        trustedProxies: env.TRUSTED_PROXIES || DEFAULT_TRUSTED_PROXIES,
+        // Defaults for systems without their own limits; the admin API uses windowMs and max per IP
+        rateLimit: {
+            windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+            max: parseInt(env.RATE_LIMIT_MAX_REQUESTS) || 100, // sustained: 100 requests per windowMs
+            burstWindowMs: parseInt(env.RATE_LIMIT_BURST_WINDOW_MS) || 1000,
+            burstMax: parseInt(env.RATE_LIMIT_BURST_MAX) || 20 // burst: 20 requests per burstWindowMs
+        },
+        adminApiKeys: env.ADMIN_API_KEYS || '',
+        clientAuthRequired: env.CLIENT_AUTH_REQUIRED === 'true',
+        batchMaxItems: parseInt(env.BATCH_VERIFY_MAX_ITEMS) || 500,
+        batchConcurrency: parseInt(env.BATCH_VERIFY_CONCURRENCY) || 5,
+        metrics: {
+            // Addresses allowed to scrape /metrics; others need METRICS_TOKEN as a bearer token
+            allowedIps: env.METRICS_ALLOWED_IPS || '127.0.0.1/32,::1/128',
+            token: env.METRICS_TOKEN || ''
+        },
+        openApi: {
+            // Serve the OpenAPI document and its rendered page at /api/docs
+            docsEnabled: env.API_DOCS_ENABLED !== 'false',
+            // Check every JSON response against the document; off in production unless asked for
+            validateResponses: env.OPENAPI_VALIDATE_RESPONSES
+                ? env.OPENAPI_VALIDATE_RESPONSES === 'true'
+                : env.NODE_ENV !== 'production'
+        },
+        database: {
+            client: (env.DB_CLIENT || 'mysql').toLowerCase(),
+            migrateOnStart: env.DB_MIGRATE_ON_START !== 'false',
+            mysql: {
+                host: env.DB_HOST || 'localhost',
+                port: parseInt(env.DB_PORT) || 3306,
+                user: env.DB_USER || 'root',
+                password: env.DB_PASSWORD || '',
+                database: env.DB_NAME || 'nid_service',
+                connectionLimit: parseInt(env.DB_CONNECTION_LIMIT) || 10
+            },
+            sqlite: {
+                filename: env.DB_FILE || './data/nid_service.sqlite'
+            }
+        }
+    };
+}
+
+module.exports = {
+    loadConfig
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Parses ADMIN_API_KEYS ("name:key,name:key") into a list of admin credentials.
+ * Keys are kept as SHA-256 digests so comparisons are constant-time regardless of length.
+ * @param {string} value - Raw environment value
+ * @returns {Array<{name: string, digest: Buffer}>} - Configured admins
+ */
+function parseAdminKeys(value) {
+    return (value || '')
+        .split(',')
+        .map((pair) => pair.trim())
+        .filter(Boolean)
+        .map((pair) => {
+            const separator = pair.indexOf(':');
+            if (separator <= 0 || separator === pair.length - 1) {
+                logger.warn('Ignoring malformed ADMIN_API_KEYS entry (expected name:key)');
+                return null;
+            }
+            return {
+                name: pair.slice(0, separator),
+                digest: digest(pair.slice(separator + 1))
+            };
+        })
+        .filter(Boolean);
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Builds the middleware that requires a configured admin credential in X-Admin-Key
+ * @param {Object} options - { adminApiKeys } in ADMIN_API_KEYS format
+ * @returns {Function} - Express middleware
+ */
+function adminAuth({ adminApiKeys }) {
+    const adminKeys = parseAdminKeys(adminApiKeys);
+
+    return (req, res, next) => {
+        if (adminKeys.length === 0) {
+            logger.error('Admin API called but ADMIN_API_KEYS is not configured');
+            return res.status(503).json({
+                success: false,
+                error: 'Admin API is not configured on this server',
+                code: 'ADMIN_NOT_CONFIGURED'
+            });
+        }
+
+        const providedKey = req.get('X-Admin-Key');
+        if (!providedKey) {
+            return res.status(401).json({
+                success: false,
+                error: 'Admin credential required. Provide it in the X-Admin-Key header.',
+                code: 'ADMIN_AUTH_REQUIRED'
+            });
+        }
+
+        const providedDigest = digest(providedKey);
+        const admin = adminKeys.find((candidate) => crypto.timingSafeEqual(candidate.digest, providedDigest));
+
+        if (!admin) {
+            logger.warn(`Admin access denied for IP: ${req.ip}`);
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid admin credential',
+                code: 'ADMIN_NOT_AUTHORIZED'
+            });
+        }
+
+        // Identify the admin for audit logging
+        req.adminUser = {
+            name: admin.name,
+            ip: req.ip
+        };
+
+        next();
+    };
+}
+
+module.exports = adminAuth;
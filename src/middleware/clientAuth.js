@@ -0,0 +1,98 @@
+const logger = require('../utils/logger');
+
+/**
+ * Reads the client credential from X-API-Key or an Authorization: Bearer header
+ * @returns {{type: string, value: string}|null} - The presented credential, if any
+ */
+function readCredential(req) {
+    const apiKey = req.get('X-API-Key');
+    if (apiKey) {
+        return { type: 'api_key', value: apiKey.trim() };
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const [scheme, token] = authorization.split(' ');
+    if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+        return { type: 'jwt', value: token.trim() };
+    }
+
+    return null;
+}
+
+/**
+ * Authenticates the calling system by API key or JWT. Runs after ipWhitelist:
+ * the credential must belong to the same system as the whitelist entry the
+ * source IP matched, and req.systemInfo is then taken from the credential.
+ * @param {Object} deps - { apiKeyService, whitelistService, credentialRequired }
+ * @returns {Function} - Express middleware
+ */
+function clientAuth({ apiKeyService, whitelistService, credentialRequired = false }) {
+    return async (req, res, next) => {
+        const credential = readCredential(req);
+
+        if (!credential) {
+            if (credentialRequired) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Client credential required. Provide an API key in X-API-Key or a bearer token.',
+                    code: 'CREDENTIAL_REQUIRED'
+                });
+            }
+
+            req.systemInfo.authMethod = 'ip';
+            return next();
+        }
+
+        try {
+            const identity = credential.type === 'api_key'
+                ? await apiKeyService.verifyApiKey(credential.value)
+                : await apiKeyService.verifyToken(credential.value);
+
+            if (identity.systemName !== req.systemInfo.systemName) {
+                logger.warn(`Credential for ${identity.systemName} presented from IP ${req.systemInfo.ip} whitelisted for ${req.systemInfo.systemName}`);
+                return res.status(403).json({
+                    success: false,
+                    error: 'Credential does not belong to the system this IP address is whitelisted for',
+                    code: 'CREDENTIAL_IP_MISMATCH'
+                });
+            }
+
+            // Take system settings from the entry the credential was issued for
+            const entry = await whitelistService.findActiveEntry(identity.id);
+            if (!entry) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Credential belongs to a deactivated system',
+                    code: 'INVALID_CREDENTIAL'
+                });
+            }
+
+            req.systemInfo = {
+                ...req.systemInfo,
+                ...whitelistService.describeSystem(entry),
+                apiKeyId: identity.apiKeyId,
+                authMethod: identity.authMethod
+            };
+
+            next();
+        } catch (error) {
+            if (error.code && error.statusCode) {
+                logger.warn(`Client authentication failed for IP ${req.systemInfo.ip}: ${error.message}`);
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code
+                });
+            }
+
+            logger.error('Error in client authentication middleware:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error during client authentication',
+                code: 'AUTHENTICATION_ERROR'
+            });
+        }
+    };
+}
+
+module.exports = clientAuth;
@@ -0,0 +1,35 @@
+/**
+ * Builds the middleware that counts and times every request for /metrics.
+ * Routes are labelled with their pattern (e.g. /api/nid/jobs/:id) so the
+ * number of series stays bounded. A request refused before a route ran
+ * (whitelist, rate limit, validation) is labelled with the pattern of the
+ * documented operation it was for; requests for no known route are "unmatched".
+ * @param {Object} deps - { metricsService, openApiValidator }
+ * @returns {Function} - Express middleware
+ */
+function httpMetrics({ metricsService, openApiValidator }) {
+    const routeOf = (req) => {
+        if (req.route) {
+            return `${req.baseUrl}${req.route.path}`;
+        }
+        const operation = openApiValidator?.findOperation(req.method, req.originalUrl);
+        return operation ? operation.path.replace(/\{(\w+)\}/g, ':$1') : 'unmatched';
+    };
+
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+
+        res.on('finish', () => {
+            metricsService.observeHttpRequest({
+                route: routeOf(req),
+                method: req.method,
+                system: req.systemInfo?.systemName || 'unknown',
+                statusCode: res.statusCode
+            }, Number(process.hrtime.bigint() - start) / 1e9);
+        });
+
+        next();
+    };
+}
+
+module.exports = httpMetrics;
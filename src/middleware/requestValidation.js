@@ -0,0 +1,24 @@
+/**
+ * Builds the middleware that validates requests against the OpenAPI document
+ * and answers 400 VALIDATION_ERROR for those that do not match. Requests for
+ * undocumented routes pass through to the 404 handler.
+ * @param {Object} deps - { openApiValidator }
+ * @returns {Function} - Express middleware
+ */
+function requestValidation({ openApiValidator }) {
+    return (req, res, next) => {
+        const errors = openApiValidator.validateRequest(req);
+        if (!errors || errors.length === 0) {
+            return next();
+        }
+
+        return res.status(400).json({
+            success: false,
+            error: 'Validation failed',
+            details: errors,
+            code: 'VALIDATION_ERROR'
+        });
+    };
+}
+
+module.exports = requestValidation;
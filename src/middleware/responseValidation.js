@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+
+/**
+ * Builds the middleware that checks JSON responses against the OpenAPI
+ * document before they are sent. A response that does not match is replaced
+ * by 500 RESPONSE_VALIDATION_ERROR, so the code and the document cannot drift
+ * apart unnoticed. Meant for development and test, not production.
+ * @param {Object} deps - { openApiValidator }
+ * @returns {Function} - Express middleware
+ */
+function responseValidation({ openApiValidator }) {
+    return (req, res, next) => {
+        const json = res.json;
+
+        res.json = function(body) {
+            const errors = openApiValidator.validateResponse(req, res.statusCode, body);
+            if (!errors || errors.length === 0) {
+                return json.call(this, body);
+            }
+
+            logger.error(`Response to ${req.method} ${req.originalUrl} (${res.statusCode}) does not match the OpenAPI document: ${JSON.stringify(errors)}`);
+            res.status(500);
+            return json.call(this, {
+                success: false,
+                error: 'Response does not match the API specification',
+                details: errors,
+                code: 'RESPONSE_VALIDATION_ERROR'
+            });
+        };
+
+        next();
+    };
+}
+
+module.exports = responseValidation;
@@ -0,0 +1,63 @@
+const rateLimit = require('express-rate-limit');
+const logger = require('../utils/logger');
+const RateLimitStore = require('../services/rateLimitStore');
+const { systemKey } = require('../utils/systemKey');
+
+/**
+ * Builds the per-system rate limiters. Runs after ipWhitelist and keys on the
+ * system name, so every IP and whitelist entry of a system shares its limits
+ * (each request is held to the limits of the entry it came in on), and counts
+ * in the database so adding instances does not add capacity. Two windows apply: a
+ * short burst window and a longer sustained one, each with a limit that can be
+ * set per system (burstLimit, sustainedLimit) and otherwise comes from options.
+ * @param {Object} deps - { db }
+ * @param {Object} options - { windowMs, max, burstWindowMs, burstMax }
+ * @returns {Array<Function>} - Express middleware
+ */
+function systemRateLimit({ db }, { windowMs, max, burstWindowMs, burstMax }) {
+    const limiter = (name, { window, defaultLimit, systemField, requestPropertyName, standardHeaders }) => rateLimit({
+        windowMs: window,
+        limit: (req) => req.systemInfo[systemField] ?? defaultLimit,
+        store: new RateLimitStore({ db, prefix: `system-${name}:` }),
+        keyGenerator: (req) => systemKey(req.systemInfo.systemName),
+        requestPropertyName,
+        standardHeaders,
+        legacyHeaders: false,
+        // A database problem should not stop verifications on its own
+        passOnStoreError: true,
+        handler: (req, res) => {
+            const info = req[requestPropertyName];
+            logger.warn(`Rate limit (${name}) exceeded by ${req.systemInfo.systemName}: ${info.used} requests in ${window}ms, limit ${info.limit}`);
+
+            const retryAfterSeconds = Math.max(Math.ceil((info.resetTime.getTime() - Date.now()) / 1000), 1);
+            res.set('Retry-After', String(retryAfterSeconds));
+            res.status(429).json({
+                success: false,
+                error: 'Too many requests from this system, please try again later.',
+                code: 'RATE_LIMIT_EXCEEDED',
+                limit: name,
+                retryAfterSeconds
+            });
+        }
+    });
+
+    return [
+        limiter('burst', {
+            window: burstWindowMs,
+            defaultLimit: burstMax,
+            systemField: 'burstLimit',
+            requestPropertyName: 'burstRateLimit',
+            standardHeaders: false
+        }),
+        // The RateLimit-* headers describe the sustained limit
+        limiter('sustained', {
+            window: windowMs,
+            defaultLimit: max,
+            systemField: 'sustainedLimit',
+            requestPropertyName: 'rateLimit',
+            standardHeaders: true
+        })
+    ];
+}
+
+module.exports = systemRateLimit;
@@ -0,0 +1,1240 @@
+const WebhookService = require('../services/webhookService');
+const ReportService = require('../services/reportService');
+const { VERIFICATION_FIELDS } = require('../utils/verificationFields');
+
+// Every `code` an error response can carry
+const ERROR_CODES = [
+    'VALIDATION_ERROR',
+    'RESPONSE_VALIDATION_ERROR',
+    'INTERNAL_ERROR',
+    'ENDPOINT_NOT_FOUND',
+    'IP_NOT_AUTHORIZED',
+    'IP_VALIDATION_ERROR',
+    'CREDENTIAL_REQUIRED',
+    'INVALID_CREDENTIAL',
+    'CREDENTIAL_IP_MISMATCH',
+    'AUTHENTICATION_ERROR',
+    'TOKEN_EXCHANGE_DISABLED',
+    'RATE_LIMIT_EXCEEDED',
+    'QUOTA_EXCEEDED',
+    'SERVICE_UNAVAILABLE',
+    'SYSTEM_INACTIVE',
+    'VERIFICATION_FAILED',
+    'JOB_NOT_FOUND',
+    'JOB_ABANDONED',
+    'ADMIN_NOT_CONFIGURED',
+    'ADMIN_AUTH_REQUIRED',
+    'ADMIN_NOT_AUTHORIZED',
+    'IP_ENTRY_NOT_FOUND',
+    'IP_ALREADY_EXISTS',
+    'API_KEY_NOT_FOUND',
+    'API_KEY_NOT_ACTIVE',
+    'WEBHOOK_NOT_FOUND',
+    'WEBHOOK_DELIVERY_NOT_FOUND',
+    'METRICS_NOT_AUTHORIZED'
+];
+
+// Names may be written with spaces, dots, hyphens and apostrophes
+const NAME_PATTERN = "^[a-zA-Z\\s.\\-']+$";
+// The Bengali block, with the zero-width (non-)joiners Bangla input methods insert
+const BANGLA_LETTERS = '\\u0980-\\u09FF\\u200C\\u200D';
+const BANGLA_NAME_PATTERN = `^[${BANGLA_LETTERS}\\s.\\-]+$`;
+// Parents and spouses are recorded in Bangla, older records in English
+const RELATIVE_NAME_PATTERN = `^[${BANGLA_LETTERS}a-zA-Z\\s.\\-']+$`;
+const ADDRESS_PATTERN = `^[${BANGLA_LETTERS}a-zA-Z0-9\\s.,:;/#()\\-']+$`;
+// 10, 13 or 17 digits; spaces between them are ignored
+const NID_PATTERN = '^(\\s*\\d){10}\\s*$|^(\\s*\\d){13}\\s*$|^(\\s*\\d){17}\\s*$';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function relativeName(field, description, example) {
+    return {
+        type: 'string',
+        minLength: 2,
+        maxLength: 100,
+        pattern: RELATIVE_NAME_PATTERN,
+        description: `${description}, in Bangla or English`,
+        example,
+        'x-error-message': `${field} must be 2 to 100 Bangla or English letters, spaces, dots or hyphens`
+    };
+}
+
+function address(field, description, example) {
+    return {
+        type: 'string',
+        minLength: 2,
+        maxLength: 500,
+        pattern: ADDRESS_PATTERN,
+        description,
+        example,
+        'x-error-message': `${field} must be 2 to 500 Bangla or English letters, digits, spaces and punctuation`
+    };
+}
+const nullable = (schema) => ({ ...schema, nullable: true });
+const dateTime = { type: 'string', format: 'date-time' };
+const uuid = { type: 'string', format: 'uuid' };
+const positiveId = { type: 'integer', minimum: 1 };
+
+function json(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+function body(schema, required = true) {
+    return { required, content: { 'application/json': { schema } } };
+}
+
+function pathParam(name, schema, description) {
+    return { name, in: 'path', required: true, description, schema };
+}
+
+function queryParam(name, schema, description) {
+    return { name, in: 'query', required: false, description, schema };
+}
+
+/**
+ * A success body: { success: true, data, timestamp } plus the given properties
+ */
+function success(data, properties = {}) {
+    return {
+        type: 'object',
+        required: ['success', 'data', 'timestamp'],
+        properties: {
+            success: { type: 'boolean', enum: [true] },
+            data,
+            ...properties,
+            timestamp: dateTime
+        }
+    };
+}
+
+/**
+ * A list body: the success body with the number of items returned
+ */
+function list(item) {
+    return success({ type: 'array', items: item }, { count: { type: 'integer', minimum: 0 } });
+}
+
+/**
+ * Responses for an operation, with the given error responses (by status) and
+ * the shared Error schema for anything else
+ */
+function responses(successes, ...errors) {
+    const result = { ...successes };
+    for (const status of errors) {
+        result[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+    }
+    result.default = { $ref: '#/components/responses/Error' };
+    return result;
+}
+
+const ERROR_RESPONSES = {
+    400: 'ValidationFailed',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict',
+    429: 'TooManyRequests',
+    500: 'InternalError',
+    503: 'Unavailable'
+};
+
+// Shared by the client API operations, which sit behind the whitelist, credential check and rate limits
+const CLIENT_ERRORS = [401, 403, 429, 500];
+const ADMIN_ERRORS = [401, 403, 429, 500, 503];
+const CLIENT_SECURITY = [{}, { ApiKey: [] }, { BearerToken: [] }];
+const ADMIN_SECURITY = [{ AdminKey: [] }];
+
+function schemas({ batchMaxItems }) {
+    return {
+        ErrorCode: {
+            type: 'string',
+            enum: ERROR_CODES,
+            description: 'Machine-readable reason for the failure'
+        },
+        FieldError: {
+            type: 'object',
+            required: ['type', 'msg'],
+            properties: {
+                type: { type: 'string', example: 'field' },
+                location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+                path: { type: 'string', example: 'nid' },
+                msg: { type: 'string', example: 'NID must be 10, 13 or 17 digits' },
+                value: {}
+            }
+        },
+        Error: {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string' },
+                code: ref('ErrorCode'),
+                details: {},
+                requestId: uuid,
+                timestamp: dateTime,
+                system: { type: 'string' },
+                retryAfterSeconds: { type: 'integer', minimum: 1, description: 'Set with QUOTA_EXCEEDED, RATE_LIMIT_EXCEEDED and while the upstream circuit is open' },
+                quota: { type: 'string', enum: ['daily', 'monthly'], description: 'The quota used up, with QUOTA_EXCEEDED' },
+                limit: { type: 'string', enum: ['burst', 'sustained'], description: 'The rate limit hit, with RATE_LIMIT_EXCEEDED' }
+            }
+        },
+        ValidationFailure: {
+            allOf: [
+                ref('Error'),
+                {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', enum: ['VALIDATION_ERROR'] },
+                        details: { type: 'array', items: ref('FieldError') }
+                    }
+                }
+            ]
+        },
+
+        VerifyRequest: {
+            type: 'object',
+            required: ['nid'],
+            description: 'The NID and at least one detail to check against its record',
+            properties: {
+                nid: {
+                    type: 'string',
+                    pattern: NID_PATTERN,
+                    description: '10, 13 or 17 digit NID; spaces are ignored. A 13-digit NID needs dateOfBirth, and a 17-digit one must start with its year.',
+                    example: '1000000001',
+                    'x-error-message': 'NID must be 10, 13 or 17 digits'
+                },
+                nameEn: {
+                    type: 'string',
+                    minLength: 2,
+                    maxLength: 100,
+                    pattern: NAME_PATTERN,
+                    description: 'Name in English',
+                    example: 'Rahim Uddin',
+                    'x-error-message': 'Name must be 2 to 100 English letters, spaces, dots, hyphens or apostrophes'
+                },
+                name: {
+                    type: 'string',
+                    minLength: 2,
+                    maxLength: 100,
+                    pattern: BANGLA_NAME_PATTERN,
+                    description: 'Name in Bangla',
+                    example: 'রহিম উদ্দিন',
+                    'x-error-message': 'name must be 2 to 100 Bangla letters, spaces, dots or hyphens'
+                },
+                dateOfBirth: {
+                    type: 'string',
+                    format: 'date',
+                    description: 'At least 18 years ago',
+                    example: '1990-01-15',
+                    'x-error-message': 'Date of birth must be in YYYY-MM-DD format'
+                },
+                father: relativeName('father', "Father's name", 'করিম উদ্দিন'),
+                mother: relativeName('mother', "Mother's name", 'আমেনা বেগম'),
+                spouse: relativeName('spouse', "Spouse's name", 'ফাতেমা খাতুন'),
+                presentAddress: address('presentAddress', 'Present address as on the NID record', 'বাসা ১২, রোড ৫, ধানমন্ডি, ঢাকা'),
+                permanentAddress: address('permanentAddress', 'Permanent address as on the NID record', 'গ্রাম: চরপাড়া, উপজেলা: সদর, জেলা: ময়মনসিংহ')
+            },
+            anyOf: Object.keys(VERIFICATION_FIELDS).map((field) => ({ required: [field] })),
+            'x-error-message': `Provide at least one of ${Object.keys(VERIFICATION_FIELDS).join(', ')} to verify`
+        },
+        VerificationData: {
+            type: 'object',
+            required: ['nid', 'nidType', 'verified', 'verificationDetails', 'personDetails'],
+            properties: {
+                nid: { type: 'string', pattern: '^\\d+$', description: 'The NID checked; a 13-digit NID is given in its 17-digit form' },
+                nidType: { type: 'string', enum: ['10-digit', '13-digit', '17-digit'], description: 'The form the NID was sent in' },
+                verified: { type: 'boolean' },
+                verificationDetails: {
+                    type: 'object',
+                    description: 'Whether each field that was checked matched the record. When nameEn was checked and every field matched, also how alike the submitted and recorded names are; a mismatch comes without the record, so it is never scored.',
+                    properties: {
+                        ...Object.fromEntries(Object.keys(VERIFICATION_FIELDS).map((field) => [field, { type: 'boolean' }])),
+                        nameMatchScore: {
+                            type: 'number',
+                            minimum: 0,
+                            maximum: 1,
+                            description: 'Similarity of the submitted and recorded English names after normalizing honorifics, word order and spelling variants; does not change nameEn or verified'
+                        },
+                        probableMatch: { type: 'boolean', description: "nameMatchScore is at least the system's nameMatchThreshold" }
+                    },
+                    additionalProperties: false
+                },
+                personDetails: {
+                    type: 'object',
+                    description: 'Fields returned by the NID service; photo is a data URI when one was found'
+                }
+            }
+        },
+        VerifyResponse: {
+            type: 'object',
+            required: ['success', 'requestId', 'data', 'cached', 'timestamp'],
+            properties: {
+                success: { type: 'boolean', enum: [true] },
+                requestId: uuid,
+                data: ref('VerificationData'),
+                cached: { type: 'boolean' },
+                cachedAt: { ...dateTime, description: 'When the cached result was obtained, if cached' },
+                message: { type: 'string', description: 'Which fields did not match, if any' },
+                timestamp: dateTime,
+                system: { type: 'string' }
+            }
+        },
+        BatchRequest: {
+            type: 'object',
+            required: ['items'],
+            properties: {
+                items: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: batchMaxItems,
+                    // Items are validated one by one, so a bad item only fails itself
+                    items: { type: 'object', description: 'A VerifyRequest' },
+                    'x-error-message': `items must be an array of 1 to ${batchMaxItems} verification requests`
+                }
+            }
+        },
+        BatchItemResult: {
+            type: 'object',
+            required: ['index', 'requestId', 'success'],
+            properties: {
+                index: { type: 'integer', minimum: 0 },
+                requestId: uuid,
+                success: { type: 'boolean' },
+                data: ref('VerificationData'),
+                cached: { type: 'boolean' },
+                message: { type: 'string' },
+                error: { type: 'string' },
+                code: ref('ErrorCode'),
+                details: { type: 'array', items: ref('FieldError') }
+            }
+        },
+        BatchResponse: {
+            type: 'object',
+            required: ['success', 'requestId', 'data', 'timestamp'],
+            properties: {
+                success: { type: 'boolean', enum: [true] },
+                requestId: uuid,
+                data: {
+                    type: 'object',
+                    required: ['total', 'succeeded', 'failed', 'verified', 'results'],
+                    properties: {
+                        total: { type: 'integer' },
+                        succeeded: { type: 'integer' },
+                        failed: { type: 'integer' },
+                        verified: { type: 'integer' },
+                        results: { type: 'array', items: ref('BatchItemResult') }
+                    }
+                },
+                timestamp: dateTime,
+                system: { type: 'string' }
+            }
+        },
+        JobAccepted: {
+            type: 'object',
+            required: ['success', 'requestId', 'data', 'timestamp'],
+            properties: {
+                success: { type: 'boolean', enum: [true] },
+                requestId: uuid,
+                data: {
+                    type: 'object',
+                    required: ['jobId', 'status', 'statusUrl'],
+                    properties: {
+                        jobId: uuid,
+                        status: { type: 'string', enum: ['pending'] },
+                        statusUrl: { type: 'string' }
+                    }
+                },
+                timestamp: dateTime,
+                system: { type: 'string' }
+            }
+        },
+        Job: {
+            type: 'object',
+            required: ['jobId', 'status', 'createdAt'],
+            properties: {
+                jobId: uuid,
+                status: { type: 'string', enum: ['pending', 'completed', 'failed'] },
+                createdAt: dateTime,
+                completedAt: nullable(dateTime),
+                statusCode: { type: 'integer', description: 'The status /verify would have answered with; completed and failed jobs only' },
+                result: { type: 'object', description: 'The /verify response body; completed and failed jobs only' }
+            }
+        },
+        CircuitBreakerState: {
+            type: 'object',
+            required: ['state'],
+            properties: {
+                state: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+                consecutiveFailures: { type: 'integer' },
+                failureThreshold: { type: 'integer' },
+                openedAt: nullable(dateTime),
+                nextProbeAt: nullable(dateTime),
+                lastFailureAt: nullable(dateTime),
+                lastError: nullable({ type: 'string' })
+            }
+        },
+        Health: {
+            type: 'object',
+            required: ['success', 'status', 'timestamp', 'externalService', 'circuitBreaker'],
+            properties: {
+                success: { type: 'boolean' },
+                status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+                error: { type: 'string' },
+                timestamp: dateTime,
+                service: { type: 'string' },
+                externalService: { type: 'string', enum: ['connected', 'disconnected'] },
+                circuitBreaker: ref('CircuitBreakerState')
+            }
+        },
+        QuotaPeriod: {
+            type: 'object',
+            required: ['period', 'used', 'limit', 'remaining', 'resetsAt'],
+            properties: {
+                period: { type: 'string', example: '2024-01-15', description: 'YYYY-MM-DD for the day, YYYY-MM for the month' },
+                used: { type: 'integer', minimum: 0 },
+                limit: nullable({ type: 'integer', minimum: 0 }),
+                remaining: nullable({ type: 'integer', minimum: 0 }),
+                resetsAt: dateTime
+            }
+        },
+        QuotaUsage: nullable({
+            type: 'object',
+            required: ['daily', 'monthly'],
+            description: 'null when the caller is not a whitelisted system',
+            properties: {
+                daily: ref('QuotaPeriod'),
+                monthly: ref('QuotaPeriod')
+            }
+        }),
+        Latency: {
+            type: 'object',
+            required: ['averageMs', 'p50Ms', 'p95Ms', 'p99Ms'],
+            properties: {
+                averageMs: nullable({ type: 'integer' }),
+                p50Ms: nullable({ type: 'integer' }),
+                p95Ms: nullable({ type: 'integer' }),
+                p99Ms: nullable({ type: 'integer' })
+            }
+        },
+        RequestCounts: {
+            type: 'object',
+            required: ['totalRequests', 'successRequests', 'errorRequests', 'successRate'],
+            properties: {
+                totalRequests: { type: 'integer' },
+                successRequests: { type: 'integer' },
+                errorRequests: { type: 'integer' },
+                successRate: { type: 'string', example: '99.50%' }
+            }
+        },
+        Statistics: {
+            allOf: [
+                ref('RequestCounts'),
+                {
+                    type: 'object',
+                    required: ['window', 'since', 'until', 'latency', 'verifications', 'bySystem', 'byErrorCode', 'series'],
+                    properties: {
+                        window: { type: 'string', example: '24h' },
+                        since: dateTime,
+                        until: dateTime,
+                        averageProcessingTime: { type: 'string', example: '250ms' },
+                        latency: ref('Latency'),
+                        verifications: {
+                            type: 'object',
+                            properties: {
+                                verified: { type: 'integer' },
+                                mismatch: { type: 'integer' },
+                                verifiedRate: { type: 'string' }
+                            }
+                        },
+                        bySystem: {
+                            type: 'array',
+                            items: {
+                                allOf: [ref('RequestCounts'), {
+                                    type: 'object',
+                                    properties: {
+                                        systemName: { type: 'string' },
+                                        latency: ref('Latency')
+                                    }
+                                }]
+                            }
+                        },
+                        byErrorCode: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    code: { type: 'string' },
+                                    count: { type: 'integer' }
+                                }
+                            }
+                        },
+                        series: {
+                            type: 'object',
+                            required: ['interval', 'points'],
+                            properties: {
+                                interval: { type: 'string', enum: ['minute', 'hour', 'day'] },
+                                points: {
+                                    type: 'array',
+                                    items: {
+                                        allOf: [ref('Latency'), {
+                                            type: 'object',
+                                            required: ['start', 'totalRequests', 'errorRequests'],
+                                            properties: {
+                                                start: dateTime,
+                                                totalRequests: { type: 'integer' },
+                                                errorRequests: { type: 'integer' }
+                                            }
+                                        }]
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            ]
+        },
+        RetentionRun: nullable({
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ['success', 'failed'] },
+                dryRun: { type: 'boolean' },
+                startedAt: dateTime,
+                finishedAt: nullable(dateTime),
+                successCutoff: nullable(dateTime),
+                errorCutoff: nullable(dateTime),
+                deleted: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'integer' },
+                        error: { type: 'integer' }
+                    }
+                },
+                archived: { type: 'boolean' },
+                error: nullable({ type: 'string' })
+            }
+        }),
+        Status: {
+            type: 'object',
+            required: ['success', 'status', 'timestamp', 'externalService', 'statistics', 'retention'],
+            properties: {
+                success: { type: 'boolean', enum: [true] },
+                status: { type: 'string', enum: ['operational', 'degraded'] },
+                timestamp: dateTime,
+                externalService: {
+                    type: 'object',
+                    properties: { circuitBreaker: ref('CircuitBreakerState') }
+                },
+                statistics: ref('Statistics'),
+                retention: {
+                    type: 'object',
+                    properties: {
+                        successDays: nullable({ type: 'integer' }),
+                        errorDays: nullable({ type: 'integer' }),
+                        archive: { type: 'boolean' },
+                        lastRun: ref('RetentionRun')
+                    }
+                }
+            }
+        },
+        AccessToken: {
+            type: 'object',
+            required: ['accessToken', 'tokenType', 'expiresIn'],
+            properties: {
+                accessToken: { type: 'string' },
+                tokenType: { type: 'string', enum: ['Bearer'] },
+                expiresIn: { type: 'integer', description: 'Seconds until the token expires' }
+            }
+        },
+
+        WhitelistEntry: {
+            type: 'object',
+            required: ['id', 'ipAddress', 'systemName', 'isActive'],
+            properties: {
+                id: positiveId,
+                ipAddress: { type: 'string', example: '10.20.0.0/16' },
+                systemName: { type: 'string' },
+                description: nullable({ type: 'string' }),
+                isActive: { type: 'boolean' },
+                cacheEnabled: { type: 'boolean' },
+                dailyQuota: nullable({ type: 'integer', minimum: 0 }),
+                monthlyQuota: nullable({ type: 'integer', minimum: 0 }),
+                burstLimit: nullable({ type: 'integer', minimum: 1 }),
+                sustainedLimit: nullable({ type: 'integer', minimum: 1 }),
+                nameMatchThreshold: nullable({ type: 'number', minimum: 0, maximum: 1 }),
+                createdAt: dateTime,
+                updatedAt: dateTime
+            }
+        },
+        WhitelistEntryInput: {
+            type: 'object',
+            properties: {
+                systemName: {
+                    type: 'string',
+                    minLength: 1,
+                    maxLength: 255,
+                    'x-error-message': 'System name must be between 1 and 255 characters'
+                },
+                description: nullable({ type: 'string', maxLength: 1000, 'x-error-message': 'Description must be at most 1000 characters' }),
+                cacheEnabled: { type: 'boolean', 'x-error-message': 'cacheEnabled must be a boolean' },
+                dailyQuota: nullable({ type: 'integer', minimum: 0, description: 'null removes the quota. Counted across all entries with this systemName', 'x-error-message': 'dailyQuota must be a non-negative integer or null' }),
+                monthlyQuota: nullable({ type: 'integer', minimum: 0, description: 'null removes the quota. Counted across all entries with this systemName', 'x-error-message': 'monthlyQuota must be a non-negative integer or null' }),
+                burstLimit: nullable({ type: 'integer', minimum: 1, description: 'null uses RATE_LIMIT_BURST_MAX. Counted across all entries with this systemName', 'x-error-message': 'burstLimit must be a positive integer or null' }),
+                sustainedLimit: nullable({ type: 'integer', minimum: 1, description: 'null uses RATE_LIMIT_MAX_REQUESTS. Counted across all entries with this systemName', 'x-error-message': 'sustainedLimit must be a positive integer or null' }),
+                nameMatchThreshold: nullable({
+                    type: 'number',
+                    minimum: 0,
+                    maximum: 1,
+                    description: 'Lowest nameMatchScore reported as a probableMatch, with at most two decimals; null uses NAME_MATCH_THRESHOLD',
+                    'x-error-message': 'nameMatchThreshold must be a number from 0 to 1 with at most two decimals, or null'
+                })
+            }
+        },
+        CreateWhitelistEntry: {
+            allOf: [
+                ref('WhitelistEntryInput'),
+                {
+                    type: 'object',
+                    required: ['ipAddress', 'systemName'],
+                    properties: {
+                        ipAddress: {
+                            type: 'string',
+                            minLength: 1,
+                            description: 'IPv4/IPv6 address or CIDR block',
+                            example: '10.20.0.0/16',
+                            'x-error-message': 'IP address must be a valid IPv4/IPv6 address or CIDR block (e.g. 10.20.0.0/16)'
+                        },
+                        isActive: { type: 'boolean', 'x-error-message': 'isActive must be a boolean' }
+                    }
+                }
+            ]
+        },
+        UpdateWhitelistEntry: {
+            allOf: [
+                ref('WhitelistEntryInput'),
+                {
+                    type: 'object',
+                    minProperties: 1,
+                    'x-error-message': 'Provide at least one of systemName, description, cacheEnabled, dailyQuota, monthlyQuota, burstLimit, sustainedLimit, nameMatchThreshold'
+                }
+            ]
+        },
+        ApiKey: {
+            type: 'object',
+            required: ['id', 'allowedIpId', 'keyPrefix', 'status'],
+            properties: {
+                id: positiveId,
+                allowedIpId: positiveId,
+                keyPrefix: { type: 'string' },
+                label: nullable({ type: 'string' }),
+                expiresAt: nullable(dateTime),
+                revokedAt: nullable(dateTime),
+                lastUsedAt: nullable(dateTime),
+                createdBy: nullable({ type: 'string' }),
+                createdAt: dateTime,
+                status: { type: 'string', enum: ['active', 'expired', 'revoked'] }
+            }
+        },
+        IssuedApiKey: {
+            type: 'object',
+            required: ['key', 'apiKey'],
+            properties: {
+                key: ref('ApiKey'),
+                apiKey: { type: 'string', description: 'The key itself; only shown here', example: 'nidk_0123456789ab_...' },
+                previousKey: { ...ref('ApiKey'), description: 'The rotated key, valid until its grace period ends' }
+            }
+        },
+        ExpiresAt: nullable({
+            type: 'string',
+            format: 'date-time',
+            description: 'Must be in the future; null or absent never expires',
+            'x-error-message': 'expiresAt must be an ISO 8601 date-time'
+        }),
+        WebhookSubscription: {
+            type: 'object',
+            required: ['id', 'allowedIpId', 'url', 'eventTypes', 'isActive'],
+            properties: {
+                id: positiveId,
+                allowedIpId: positiveId,
+                url: { type: 'string' },
+                eventTypes: { type: 'array', items: ref('WebhookEventType') },
+                description: nullable({ type: 'string' }),
+                isActive: { type: 'boolean' },
+                createdBy: nullable({ type: 'string' }),
+                createdAt: dateTime,
+                updatedAt: dateTime
+            }
+        },
+        WebhookEventType: {
+            type: 'string',
+            enum: WebhookService.eventTypes,
+            'x-error-message': `Unknown event type. Supported: ${WebhookService.eventTypes.join(', ')}`
+        },
+        WebhookSecret: {
+            type: 'object',
+            required: ['subscription', 'secret'],
+            properties: {
+                subscription: ref('WebhookSubscription'),
+                secret: { type: 'string', description: 'Signing secret; only shown here', example: 'whsec_...' }
+            }
+        },
+        WebhookInput: {
+            type: 'object',
+            properties: {
+                url: {
+                    type: 'string',
+                    format: 'uri',
+                    pattern: '^https?://',
+                    maxLength: 2048,
+                    'x-error-message': 'url must be an http(s) URL'
+                },
+                eventTypes: {
+                    type: 'array',
+                    minItems: 1,
+                    items: ref('WebhookEventType'),
+                    'x-error-message': 'eventTypes must be a non-empty array'
+                },
+                description: nullable({ type: 'string', maxLength: 255, 'x-error-message': 'Description must be at most 255 characters' })
+            }
+        },
+        WebhookDelivery: {
+            type: 'object',
+            required: ['id', 'subscriptionId', 'eventId', 'eventType', 'status', 'attempts'],
+            properties: {
+                id: uuid,
+                subscriptionId: positiveId,
+                eventId: uuid,
+                eventType: ref('WebhookEventType'),
+                status: { type: 'string', enum: ['pending', 'delivering', 'delivered', 'dead'] },
+                attempts: { type: 'integer', minimum: 0 },
+                nextAttemptAt: nullable(dateTime),
+                lastStatusCode: nullable({ type: 'integer' }),
+                lastError: nullable({ type: 'string' }),
+                replayOf: nullable(uuid),
+                deliveredAt: nullable(dateTime),
+                createdAt: dateTime,
+                payload: { type: 'object' }
+            }
+        },
+        AuditEntry: {
+            type: 'object',
+            required: ['id', 'actor', 'action', 'entityType'],
+            properties: {
+                id: positiveId,
+                actor: { type: 'string' },
+                actorIp: nullable({ type: 'string' }),
+                action: { type: 'string', enum: ['CREATE', 'UPDATE', 'DELETE', 'ACTIVATE', 'DEACTIVATE', 'ISSUE', 'ROTATE', 'REVOKE', 'REPLAY'] },
+                entityType: { type: 'string', enum: ['allowed_ip', 'api_key', 'webhook'] },
+                entityId: nullable({ type: 'integer' }),
+                changes: { description: 'What changed; secrets are never recorded' },
+                createdAt: dateTime
+            }
+        },
+        RequestLogEntry: {
+            type: 'object',
+            required: ['id', 'requestId', 'status'],
+            properties: {
+                id: positiveId,
+                requestId: { type: 'string' },
+                clientIp: nullable({ type: 'string' }),
+                systemName: nullable({ type: 'string' }),
+                status: { type: 'string', enum: ['SUCCESS', 'ERROR'] },
+                processingTimeMs: nullable({ type: 'integer' }),
+                requestData: { description: 'Logged request, with encrypted fields decrypted' },
+                responseData: { description: 'Logged response, with encrypted fields decrypted' },
+                createdAt: dateTime
+            }
+        },
+        UsageReportRow: {
+            type: 'object',
+            required: ReportService.columns,
+            properties: {
+                period: { type: 'string', example: '2024-01' },
+                systemName: { type: 'string' },
+                total: { type: 'integer' },
+                verified: { type: 'integer' },
+                mismatch: { type: 'integer' },
+                upstreamError: { type: 'integer' },
+                validationError: { type: 'integer' },
+                otherError: { type: 'integer' },
+                averageLatencyMs: nullable({ type: 'integer' })
+            }
+        },
+        UsageReport: {
+            type: 'object',
+            required: ['from', 'to', 'groupBy', 'rows', 'totals'],
+            properties: {
+                from: { type: 'string', format: 'date' },
+                to: { type: 'string', format: 'date' },
+                groupBy: { type: 'string', enum: ['day', 'month'] },
+                system: nullable({ type: 'string' }),
+                rows: { type: 'array', items: ref('UsageReportRow') },
+                totals: { type: 'object', description: 'The row columns summed over every period and system' }
+            }
+        }
+    };
+}
+
+const commonResponses = {
+    Error: json('Error', ref('Error')),
+    ValidationFailed: json('The request does not match this specification (VALIDATION_ERROR)', ref('ValidationFailure')),
+    Unauthorized: json('Missing or invalid credential', ref('Error')),
+    Forbidden: json('The caller is not allowed: IP not whitelisted, credential for another system, or admin key without access', ref('Error')),
+    NotFound: json('No such resource', ref('Error')),
+    Conflict: json('The change conflicts with the current state', ref('Error')),
+    TooManyRequests: json('Rate limit or quota used up; retry after Retry-After seconds', ref('Error')),
+    InternalError: json('Unexpected failure', ref('Error')),
+    Unavailable: json('The external NID service or a required setting is unavailable', ref('Error'))
+};
+
+const id = pathParam('id', { ...positiveId, 'x-error-message': 'ID must be a positive integer' }, 'Whitelist entry, API key or webhook ID');
+const limit = queryParam('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100, 'x-error-message': 'limit must be between 1 and 1000' }, 'Most entries to return');
+
+function clientPaths() {
+    return {
+        '/api/nid/verify': {
+            post: {
+                operationId: 'verifyNid',
+                tags: ['Verification'],
+                summary: 'Verify details such as name, date of birth, parents and address against an NID record',
+                description: 'Any subset of the supported fields can be checked; `data.verificationDetails` reports each one. Served from the verification cache unless disabled for the system or the request sends Cache-Control: no-cache. Upstream calls count against the system quota.',
+                requestBody: body(ref('VerifyRequest')),
+                responses: responses({
+                    200: json('Verification result; `data.verified` is false when any checked field does not match', ref('VerifyResponse'))
+                }, 400, ...CLIENT_ERRORS, 503)
+            }
+        },
+        '/api/nid/verify/batch': {
+            post: {
+                operationId: 'verifyNidBatch',
+                tags: ['Verification'],
+                summary: 'Verify many NIDs in one call',
+                description: 'Each item is validated and verified on its own and reported in `results` with its own request ID.',
+                requestBody: body(ref('BatchRequest')),
+                responses: responses({
+                    200: json('Per-item results and a summary', ref('BatchResponse'))
+                }, 400, ...CLIENT_ERRORS)
+            }
+        },
+        '/api/nid/jobs': {
+            post: {
+                operationId: 'createVerificationJob',
+                tags: ['Verification'],
+                summary: 'Queue a verification and poll for the result',
+                requestBody: body(ref('VerifyRequest')),
+                responses: responses({
+                    202: json('Job queued; poll statusUrl', ref('JobAccepted')),
+                    503: json('Jobs are not configured (no REQUEST_LOG_ENCRYPTION_KEYS)', ref('Error'))
+                }, 400, ...CLIENT_ERRORS)
+            }
+        },
+        '/api/nid/jobs/{id}': {
+            get: {
+                operationId: 'getVerificationJob',
+                tags: ['Verification'],
+                summary: 'Get a verification job of the calling system',
+                parameters: [pathParam('id', { ...uuid, 'x-error-message': 'Job ID must be a UUID' }, 'Job ID')],
+                responses: responses({
+                    200: json('The job; completed and failed jobs include the /verify response', success(ref('Job'), { requestId: uuid, system: { type: 'string' } }))
+                }, 400, 404, ...CLIENT_ERRORS)
+            }
+        },
+        '/api/nid/health': {
+            get: {
+                operationId: 'getHealth',
+                tags: ['Service'],
+                summary: 'Check the connection to the external NID service',
+                responses: responses({
+                    200: json('Healthy', ref('Health')),
+                    503: json('Unhealthy: no upstream token or the circuit is not closed', ref('Health'))
+                }, ...CLIENT_ERRORS)
+            }
+        },
+        '/api/nid/usage': {
+            get: {
+                operationId: 'getUsage',
+                tags: ['Service'],
+                summary: "Get the calling system's verification count and quotas for the current day and month",
+                responses: responses({
+                    200: json('Usage', success(ref('QuotaUsage'), { requestId: uuid, system: { type: 'string' } }))
+                }, ...CLIENT_ERRORS)
+            }
+        },
+        '/api/nid/status': {
+            get: {
+                operationId: 'getStatus',
+                tags: ['Service'],
+                summary: 'Get service status and request statistics for a window',
+                description: 'Without window the statistics cover the last 24 hours. Earlier releases counted every logged request (all time); there is no all-time figure any more.',
+                parameters: [
+                    queryParam('window', {
+                        type: 'string',
+                        pattern: '^\\d+[mhd]$',
+                        default: '24h',
+                        example: '7d',
+                        'x-error-message': 'window must be a number of minutes, hours or days, such as 15m, 24h or 7d'
+                    }, 'How far back the statistics go; at most REQUEST_STATS_RETENTION_DAYS. Defaults to 24h, not all time')
+                ],
+                responses: responses({
+                    200: json('Status and statistics', ref('Status'))
+                }, 400, ...CLIENT_ERRORS)
+            }
+        },
+        '/api/auth/token': {
+            post: {
+                operationId: 'issueAccessToken',
+                tags: ['Authentication'],
+                summary: 'Exchange an API key for a short-lived bearer token',
+                security: [{ ApiKey: [] }],
+                responses: responses({
+                    200: json('Access token', success(ref('AccessToken')))
+                }, ...CLIENT_ERRORS, 503)
+            }
+        }
+    };
+}
+
+function adminPaths() {
+    const entry = json('Whitelist entry', success(ref('WhitelistEntry')));
+    const webhook = json('Webhook subscription', success(ref('WebhookSubscription')));
+    const admin = (operation) => ({ tags: ['Admin'], security: ADMIN_SECURITY, ...operation });
+
+    return {
+        '/api/admin/ips': {
+            get: admin({
+                operationId: 'listWhitelistEntries',
+                summary: 'List whitelisted IP entries',
+                parameters: [queryParam('active', { type: 'boolean', 'x-error-message': 'active must be true or false' }, 'Only active or inactive entries')],
+                responses: responses({ 200: json('Entries', list(ref('WhitelistEntry'))) }, 400, ...ADMIN_ERRORS)
+            }),
+            post: admin({
+                operationId: 'createWhitelistEntry',
+                summary: 'Add an IP address or CIDR block to the whitelist',
+                requestBody: body(ref('CreateWhitelistEntry')),
+                responses: responses({ 201: entry }, 400, 409, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/ips/{id}': {
+            get: admin({
+                operationId: 'getWhitelistEntry',
+                summary: 'Get a whitelisted IP entry',
+                parameters: [id],
+                responses: responses({ 200: entry }, 400, 404, ...ADMIN_ERRORS)
+            }),
+            patch: admin({
+                operationId: 'updateWhitelistEntry',
+                summary: 'Update the system name, description or settings of a whitelisted IP',
+                parameters: [id],
+                requestBody: body(ref('UpdateWhitelistEntry')),
+                responses: responses({ 200: entry }, 400, 404, ...ADMIN_ERRORS)
+            }),
+            delete: admin({
+                operationId: 'deleteWhitelistEntry',
+                summary: 'Remove an IP address from the whitelist',
+                parameters: [id],
+                responses: responses({ 200: json('The deleted entry', success(ref('WhitelistEntry'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/ips/{id}/activate': {
+            post: admin({
+                operationId: 'activateWhitelistEntry',
+                summary: 'Re-enable access for a whitelisted IP',
+                parameters: [id],
+                responses: responses({ 200: entry }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/ips/{id}/deactivate': {
+            post: admin({
+                operationId: 'deactivateWhitelistEntry',
+                summary: 'Revoke access for a whitelisted IP without deleting it',
+                parameters: [id],
+                responses: responses({ 200: entry }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/ips/{id}/keys': {
+            get: admin({
+                operationId: 'listApiKeys',
+                summary: 'List API keys issued to a whitelisted system',
+                parameters: [id],
+                responses: responses({ 200: json('Keys; hashes are never returned', list(ref('ApiKey'))) }, 400, 404, ...ADMIN_ERRORS)
+            }),
+            post: admin({
+                operationId: 'issueApiKey',
+                summary: 'Issue an API key for a whitelisted system',
+                parameters: [id],
+                requestBody: body({
+                    type: 'object',
+                    properties: {
+                        label: nullable({ type: 'string', maxLength: 255, 'x-error-message': 'Label must be at most 255 characters' }),
+                        expiresAt: ref('ExpiresAt')
+                    }
+                }, false),
+                responses: responses({ 201: json('The key; apiKey is only shown here', success(ref('IssuedApiKey'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/keys/{id}/rotate': {
+            post: admin({
+                operationId: 'rotateApiKey',
+                summary: 'Issue a replacement key; the old key stays valid for graceSeconds',
+                parameters: [id],
+                requestBody: body({
+                    type: 'object',
+                    properties: {
+                        graceSeconds: {
+                            type: 'integer',
+                            minimum: 0,
+                            maximum: 30 * 24 * 60 * 60,
+                            default: 0,
+                            'x-error-message': 'graceSeconds must be between 0 and 2592000 (30 days)'
+                        },
+                        expiresAt: ref('ExpiresAt')
+                    }
+                }, false),
+                responses: responses({ 201: json('The new key and the retiring one', success(ref('IssuedApiKey'))) }, 400, 404, 409, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/keys/{id}/revoke': {
+            post: admin({
+                operationId: 'revokeApiKey',
+                summary: 'Revoke an API key and every token exchanged from it',
+                description: 'Takes effect on the next request on every instance: keys and tokens are checked against the database each time they are used.',
+                parameters: [id],
+                responses: responses({ 200: json('The revoked key', success(ref('ApiKey'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/ips/{id}/webhooks': {
+            get: admin({
+                operationId: 'listWebhooks',
+                summary: 'List webhook subscriptions of a whitelisted system',
+                parameters: [id],
+                responses: responses({ 200: json('Subscriptions; secrets are never returned', list(ref('WebhookSubscription'))) }, 400, 404, ...ADMIN_ERRORS)
+            }),
+            post: admin({
+                operationId: 'createWebhook',
+                summary: 'Subscribe a whitelisted system to events',
+                parameters: [id],
+                requestBody: body({ allOf: [ref('WebhookInput'), { type: 'object', required: ['url', 'eventTypes'] }] }),
+                responses: responses({ 201: json('The subscription; secret is only shown here', success(ref('WebhookSecret'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/webhooks/{id}': {
+            get: admin({
+                operationId: 'getWebhook',
+                summary: 'Get a webhook subscription',
+                parameters: [id],
+                responses: responses({ 200: webhook }, 400, 404, ...ADMIN_ERRORS)
+            }),
+            patch: admin({
+                operationId: 'updateWebhook',
+                summary: "Change a subscription's URL, event types, description or active flag",
+                parameters: [id],
+                requestBody: body({
+                    allOf: [ref('WebhookInput'), {
+                        type: 'object',
+                        minProperties: 1,
+                        'x-error-message': 'Provide at least one of url, eventTypes, description or isActive',
+                        properties: { isActive: { type: 'boolean', 'x-error-message': 'isActive must be a boolean' } }
+                    }]
+                }),
+                responses: responses({ 200: webhook }, 400, 404, ...ADMIN_ERRORS)
+            }),
+            delete: admin({
+                operationId: 'deleteWebhook',
+                summary: 'Delete a subscription together with its delivery history',
+                parameters: [id],
+                responses: responses({ 200: json('The deleted subscription', success(ref('WebhookSubscription'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/webhooks/{id}/rotate-secret': {
+            post: admin({
+                operationId: 'rotateWebhookSecret',
+                summary: "Replace a subscription's signing secret",
+                parameters: [id],
+                responses: responses({ 200: json('The subscription; secret is only shown here', success(ref('WebhookSecret'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/webhooks/{id}/deliveries': {
+            get: admin({
+                operationId: 'listWebhookDeliveries',
+                summary: 'List deliveries to a subscription, newest first',
+                parameters: [
+                    id,
+                    queryParam('status', {
+                        type: 'string',
+                        enum: ['pending', 'delivering', 'delivered', 'dead'],
+                        'x-error-message': 'status must be pending, delivering, delivered or dead'
+                    }, 'dead lists the dead letters'),
+                    limit
+                ],
+                responses: responses({ 200: json('Deliveries', list(ref('WebhookDelivery'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/webhooks/deliveries/{deliveryId}/replay': {
+            post: admin({
+                operationId: 'replayWebhookDelivery',
+                summary: 'Queue a delivery to be sent again',
+                description: 'Same event ID, fresh timestamp and signature.',
+                parameters: [pathParam('deliveryId', { ...uuid, 'x-error-message': 'Delivery ID must be a UUID' }, 'Delivery ID')],
+                responses: responses({ 202: json('The new delivery', success(ref('WebhookDelivery'))) }, 400, 404, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/audit': {
+            get: admin({
+                operationId: 'listAuditEntries',
+                summary: 'List recorded admin changes, newest first',
+                parameters: [
+                    queryParam('entityType', {
+                        type: 'string',
+                        enum: ['allowed_ip', 'api_key', 'webhook'],
+                        'x-error-message': 'entityType must be allowed_ip, api_key or webhook'
+                    }),
+                    queryParam('entityId', { ...positiveId, 'x-error-message': 'entityId must be a positive integer' }),
+                    limit
+                ],
+                responses: responses({ 200: json('Audit entries', list(ref('AuditEntry'))) }, 400, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/request-logs': {
+            get: admin({
+                operationId: 'listRequestLogs',
+                summary: 'Find logged verification requests, newest first',
+                description: 'By NID (a 13-digit NID and its 17-digit form find the same rows), request ID or system, with encrypted fields decrypted.',
+                parameters: [
+                    queryParam('nid', { type: 'string', pattern: '^\\d{10,17}$', 'x-error-message': 'nid must be 10 to 17 digits' }),
+                    queryParam('requestId', { ...uuid, 'x-error-message': 'requestId must be a UUID' }),
+                    queryParam('systemName', { type: 'string', minLength: 1, maxLength: 255, 'x-error-message': 'systemName must be between 1 and 255 characters' }),
+                    limit
+                ],
+                responses: responses({ 200: json('Request logs', list(ref('RequestLogEntry'))) }, 400, ...ADMIN_ERRORS)
+            })
+        },
+        '/api/admin/reports/usage': {
+            get: admin({
+                operationId: 'getUsageReport',
+                summary: 'Count verifications by period, system and outcome, with average latency',
+                parameters: [
+                    queryParam('from', { type: 'string', format: 'date', 'x-error-message': 'from must be a date in YYYY-MM-DD format' }, 'First day (UTC); defaults to the start of the month'),
+                    queryParam('to', { type: 'string', format: 'date', 'x-error-message': 'to must be a date in YYYY-MM-DD format' }, 'Last day (UTC), inclusive; defaults to today'),
+                    queryParam('system', { type: 'string', minLength: 1, maxLength: 255, 'x-error-message': 'system must be between 1 and 255 characters' }, 'Only this system'),
+                    queryParam('groupBy', { type: 'string', enum: ['day', 'month'], default: 'month', 'x-error-message': 'groupBy must be day or month' }),
+                    queryParam('format', { type: 'string', enum: ['json', 'csv'], default: 'json', 'x-error-message': 'format must be json or csv' })
+                ],
+                responses: responses({
+                    200: {
+                        description: 'The report; a CSV attachment of the rows with format=csv',
+                        content: {
+                            'application/json': { schema: success(ref('UsageReport')) },
+                            'text/csv': { schema: { type: 'string' } }
+                        }
+                    }
+                }, 400, ...ADMIN_ERRORS)
+            })
+        }
+    };
+}
+
+function otherPaths() {
+    return {
+        '/': {
+            get: {
+                operationId: 'getIndex',
+                tags: ['Service'],
+                summary: 'Service name, version and main endpoints',
+                security: [],
+                responses: responses({
+                    200: json('Index', {
+                        type: 'object',
+                        required: ['success', 'message', 'version', 'endpoints'],
+                        properties: {
+                            success: { type: 'boolean', enum: [true] },
+                            message: { type: 'string' },
+                            version: { type: 'string' },
+                            timestamp: dateTime,
+                            endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+                        }
+                    })
+                }, 403)
+            }
+        },
+        '/metrics': {
+            get: {
+                operationId: 'getMetrics',
+                tags: ['Service'],
+                summary: 'Prometheus metrics for this instance',
+                description: 'Served to METRICS_ALLOWED_IPS, or with METRICS_TOKEN as a bearer token.',
+                security: [{}, { MetricsToken: [] }],
+                responses: responses({
+                    200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } }
+                }, 403, 500)
+            }
+        },
+        '/api/docs': {
+            get: {
+                operationId: 'getApiDocs',
+                tags: ['Service'],
+                summary: 'This specification, rendered',
+                description: 'Served unless API_DOCS_ENABLED is false.',
+                security: [],
+                responses: responses({
+                    200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } },
+                    301: { description: 'Redirect to /api/docs/, which the page is served from' }
+                }, 403)
+            }
+        },
+        '/api/docs/openapi.json': {
+            get: {
+                operationId: 'getOpenApiDocument',
+                tags: ['Service'],
+                summary: 'This specification',
+                security: [],
+                responses: responses({ 200: json('OpenAPI 3 document', { type: 'object' }) }, 403)
+            }
+        }
+    };
+}
+
+/**
+ * Builds the OpenAPI 3 document describing the whole HTTP API. It is the
+ * source of truth for request shapes: incoming requests are validated against
+ * it, and outside production so are the responses.
+ * @param {Object} options - { batchMaxItems }
+ * @returns {Object} - OpenAPI document
+ */
+function buildDocument({ batchMaxItems = 500 } = {}) {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'NID Verification Service API',
+            version: '1.0.0',
+            description: 'Verifies Bangladesh National ID details against the external NID service. ' +
+                'Client endpoints are only served to whitelisted IP addresses and, when CLIENT_AUTH_REQUIRED is set, need an API key or bearer token. ' +
+                'Errors carry a machine-readable `code`; validation errors list the failing fields in `details`.'
+        },
+        servers: [{ url: '/' }],
+        tags: [
+            { name: 'Verification' },
+            { name: 'Authentication' },
+            { name: 'Service' },
+            { name: 'Admin', description: 'Authenticated by ADMIN_API_KEYS; not IP whitelisted' }
+        ],
+        security: CLIENT_SECURITY,
+        paths: {
+            ...clientPaths(),
+            ...adminPaths(),
+            ...otherPaths()
+        },
+        components: {
+            schemas: schemas({ batchMaxItems }),
+            responses: commonResponses,
+            securitySchemes: {
+                ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Issued with POST /api/admin/ips/{id}/keys' },
+                BearerToken: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'From POST /api/auth/token' },
+                AdminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'One of ADMIN_API_KEYS' },
+                MetricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN' }
+            }
+        }
+    };
+}
+
+module.exports = {
+    buildDocument
+};
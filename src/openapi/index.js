@@ -0,0 +1,7 @@
+const { buildDocument } = require('./document');
+const OpenApiValidator = require('./validator');
+
+module.exports = {
+    buildDocument,
+    OpenApiValidator
+};
@@ -0,0 +1,224 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const DOCUMENT_ID = 'openapi.json';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Escapes one segment of a JSON pointer
+ */
+function escape(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function pointer(...segments) {
+    return `${DOCUMENT_ID}#/${segments.map(escape).join('/')}`;
+}
+
+/**
+ * Turns a JSON pointer into the field path express-validator reports, e.g.
+ * /items/0/nid becomes items[0].nid
+ */
+function fieldPath(instancePath) {
+    return instancePath
+        .split('/')
+        .slice(1)
+        .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : path ? `${path}.${segment}` : segment), '');
+}
+
+function valueAt(data, path) {
+    return path
+        .split(/[.[\]]/)
+        .filter(Boolean)
+        .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+function createAjv(document, options) {
+    // verbose puts the failing schema on each error, where x-error-message is found
+    const ajv = new Ajv({ allErrors: true, strict: false, validateSchema: false, verbose: true, ...options });
+    addFormats(ajv);
+    ajv.addSchema(document, DOCUMENT_ID);
+    return ajv;
+}
+
+/**
+ * Validates requests and responses against the OpenAPI document. Failures are
+ * reported in the shape express-validator uses ({ type, location, path, msg,
+ * value }), one per field, with the schema's x-error-message as the message
+ * when it has one.
+ */
+class OpenApiValidator {
+    constructor({ document }) {
+        this.document = document;
+        this.ajv = createAjv(document);
+        // Path and query parameters arrive as strings
+        this.parameterAjv = createAjv(document, { coerceTypes: true });
+        this.validators = new Map();
+
+        this.operations = [];
+        for (const [path, item] of Object.entries(document.paths)) {
+            const names = [];
+            const source = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+                names.push(name);
+                return '([^/]+)';
+            });
+            for (const method of METHODS.filter((candidate) => item[candidate])) {
+                this.operations.push({ method, path, names, pattern: new RegExp(`^${source}$`), operation: item[method] });
+            }
+        }
+        // Literal paths win over templated ones (/webhooks/deliveries/... before /webhooks/{id}/...)
+        this.operations.sort((a, b) => a.names.length - b.names.length);
+    }
+
+    /**
+     * Finds the documented operation a request is for
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL; the query string is ignored
+     * @returns {Object|null} - { method, path, operation, params }, or null if undocumented
+     */
+    findOperation(method, url) {
+        const path = url.split('?')[0].replace(/(.)\/+$/, '$1');
+        for (const candidate of this.operations) {
+            if (candidate.method !== method.toLowerCase()) {
+                continue;
+            }
+            const match = candidate.pattern.exec(path);
+            if (match) {
+                let params;
+                try {
+                    params = Object.fromEntries(candidate.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+                } catch (error) {
+                    return null;
+                }
+                return { ...candidate, params };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} req - Express request
+     * @returns {Array|null} - Failures (empty if valid), or null if the operation is undocumented
+     */
+    validateRequest(req) {
+        const found = this.findOperation(req.method, req.originalUrl);
+        if (!found) {
+            return null;
+        }
+        const { method, path, operation, params } = found;
+
+        const errors = [
+            ...this.validateParameters(operation, 'path', params, 'params'),
+            ...this.validateParameters(operation, 'query', { ...req.query }, 'query')
+        ];
+
+        if (operation.requestBody) {
+            const validate = this.compile(this.ajv, pointer('paths', path, method, 'requestBody', 'content', 'application/json', 'schema'));
+            errors.push(...this.run(validate, req.body ?? {}, 'body'));
+        }
+
+        return errors;
+    }
+
+    validateParameters(operation, location, values, reportedLocation) {
+        const parameters = (operation.parameters || []).filter((parameter) => parameter.in === location);
+        if (parameters.length === 0) {
+            return [];
+        }
+
+        const key = `${operation.operationId}:${location}`;
+        if (!this.validators.has(key)) {
+            this.validators.set(key, this.parameterAjv.compile({
+                type: 'object',
+                required: parameters.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+                properties: Object.fromEntries(parameters.map((parameter) => [parameter.name, parameter.schema]))
+            }));
+        }
+        return this.run(this.validators.get(key), values, reportedLocation);
+    }
+
+    /**
+     * Checks a JSON response against the schema documented for its status
+     * (or the default response)
+     * @param {Object} req - Express request
+     * @param {number} statusCode - Response status
+     * @param {*} body - Body about to be serialized
+     * @returns {Array|null} - Failures (empty if valid), or null if the operation is undocumented
+     */
+    validateResponse(req, statusCode, body) {
+        const found = this.findOperation(req.method, req.originalUrl);
+        if (!found) {
+            return null;
+        }
+
+        const { responses } = found.operation;
+        const status = String(statusCode) in responses ? String(statusCode) : 'default';
+        const response = responses[status];
+        if (!response) {
+            return [{ type: 'field', location: 'body', path: '', msg: `Status ${statusCode} is not documented`, value: statusCode }];
+        }
+
+        const location = response.$ref
+            ? [...response.$ref.slice(2).split('/'), 'content', 'application/json']
+            : ['paths', found.path, found.method, 'responses', status, 'content', 'application/json'];
+        const content = location.reduce((node, segment) => node?.[segment], this.document);
+        if (!content) {
+            return [{ type: 'field', location: 'body', path: '', msg: `Status ${statusCode} is not documented as JSON`, value: statusCode }];
+        }
+
+        // Validate what the client receives, with dates as strings
+        const serialized = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+        return this.run(this.compile(this.ajv, pointer(...location, 'schema')), serialized, 'body');
+    }
+
+    /**
+     * Validates a value against one of the component schemas
+     * @param {string} name - Schema name, e.g. VerifyRequest
+     * @param {*} value - Value to check
+     * @returns {Array} - Failures, empty if valid
+     */
+    validateSchema(name, value) {
+        return this.run(this.compile(this.ajv, pointer('components', 'schemas', name)), value, 'body');
+    }
+
+    compile(ajv, ref) {
+        if (!this.validators.has(ref)) {
+            this.validators.set(ref, ajv.compile({ $ref: ref }));
+        }
+        return this.validators.get(ref);
+    }
+
+    run(validate, data, location) {
+        if (validate(data)) {
+            return [];
+        }
+
+        // A failed anyOf is reported once, not as every branch that failed
+        const branches = validate.errors
+            .filter((error) => error.keyword === 'anyOf' || error.keyword === 'oneOf')
+            .map((error) => `${error.schemaPath}/`);
+
+        const errors = new Map();
+        for (const error of validate.errors) {
+            if (branches.some((branch) => error.schemaPath.startsWith(branch))) {
+                continue;
+            }
+            let path = fieldPath(error.instancePath);
+            let msg;
+            if (error.keyword === 'required') {
+                path = path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+                msg = `${path} is required`;
+            } else {
+                msg = error.parentSchema?.['x-error-message'] || `${path || location} ${error.message}`;
+            }
+            // One failure per field, as express-validator reports it
+            if (!errors.has(path)) {
+                errors.set(path, { type: 'field', value: valueAt(data, path), msg, path, location });
+            }
+        }
+        return [...errors.values()];
+    }
+}
+
+module.exports = OpenApiValidator;
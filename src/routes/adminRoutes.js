@@ -0,0 +1,839 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const WebhookService = require('../services/webhookService');
+const ReportService = require('../services/reportService');
+const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+const { isValidCidr } = require('../utils/ipMatcher');
+
+// Whitelist entry fields that PATCH /ips/:id accepts
+const UPDATABLE_FIELDS = ['systemName', 'description', 'cacheEnabled', 'dailyQuota', 'monthlyQuota', 'burstLimit', 'sustainedLimit', 'nameMatchThreshold'];
+
+// Validation rules (chains are mutable, so each route builds its own)
+const idRule = () => param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be a positive integer')
+    .toInt();
+
+const systemNameRule = () => body('systemName')
+    .isString()
+    .withMessage('System name must be a string')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('System name must be between 1 and 255 characters');
+
+const descriptionRule = () => body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be at most 1000 characters');
+
+const cacheEnabledRule = () => body('cacheEnabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('cacheEnabled must be a boolean');
+
+// null removes the quota
+const quotaRule = (field) => body(field)
+    .optional({ nullable: true })
+    .custom((value) => Number.isInteger(value) && value >= 0)
+    .withMessage(`${field} must be a non-negative integer or null`);
+
+// null falls back to the RATE_LIMIT_* defaults
+const rateLimitRule = (field) => body(field)
+    .optional({ nullable: true })
+    .custom((value) => Number.isInteger(value) && value >= 1)
+    .withMessage(`${field} must be a positive integer or null`);
+
+// null falls back to NAME_MATCH_THRESHOLD; stored with two decimals
+const nameMatchThresholdRule = () => body('nameMatchThreshold')
+    .optional({ nullable: true })
+    .custom((value) => typeof value === 'number' && value >= 0 && value <= 1 && Math.round(value * 100) / 100 === value)
+    .withMessage('nameMatchThreshold must be a number from 0 to 1 with at most two decimals, or null');
+
+const createRules = [
+    body('ipAddress')
+        .notEmpty()
+        .withMessage('IP address is required')
+        .isString()
+        .withMessage('IP address must be a string')
+        .trim()
+        .custom((value) => {
+            if (!isValidCidr(value)) {
+                throw new Error('IP address must be a valid IPv4/IPv6 address or CIDR block (e.g. 10.20.0.0/16)');
+            }
+            return true;
+        }),
+    body('systemName')
+        .exists()
+        .withMessage('System name is required'),
+    systemNameRule(),
+    descriptionRule(),
+    body('isActive')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('isActive must be a boolean'),
+    cacheEnabledRule(),
+    quotaRule('dailyQuota'),
+    quotaRule('monthlyQuota'),
+    rateLimitRule('burstLimit'),
+    rateLimitRule('sustainedLimit'),
+    nameMatchThresholdRule()
+];
+
+const updateRules = [
+    idRule(),
+    systemNameRule().optional(),
+    descriptionRule(),
+    cacheEnabledRule(),
+    quotaRule('dailyQuota'),
+    quotaRule('monthlyQuota'),
+    rateLimitRule('burstLimit'),
+    rateLimitRule('sustainedLimit'),
+    nameMatchThresholdRule(),
+    body()
+        .custom((value) => {
+            if (!value || UPDATABLE_FIELDS.every((field) => value[field] === undefined)) {
+                throw new Error(`Provide at least one of ${UPDATABLE_FIELDS.join(', ')}`);
+            }
+            return true;
+        })
+];
+
+const listRules = [
+    query('active')
+        .optional()
+        .isBoolean()
+        .withMessage('active must be true or false')
+        .toBoolean()
+];
+
+const expiresAtRule = () => body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date-time')
+    .custom((value) => {
+        if (new Date(value) <= new Date()) {
+            throw new Error('expiresAt must be in the future');
+        }
+        return true;
+    })
+    .toDate();
+
+const issueKeyRules = [
+    idRule(),
+    body('label')
+        .optional({ nullable: true })
+        .isString()
+        .withMessage('Label must be a string')
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('Label must be at most 255 characters'),
+    expiresAtRule()
+];
+
+const rotateKeyRules = [
+    idRule(),
+    body('graceSeconds')
+        .optional()
+        .isInt({ min: 0, max: 30 * 24 * 60 * 60 })
+        .withMessage('graceSeconds must be between 0 and 2592000 (30 days)')
+        .toInt(),
+    expiresAtRule()
+];
+
+const webhookUrlRule = () => body('url')
+    .isString()
+    .withMessage('url must be a string')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('url must be an http(s) URL')
+    .isLength({ max: 2048 })
+    .withMessage('url must be at most 2048 characters');
+
+const eventTypesRule = () => body('eventTypes')
+    .isArray({ min: 1 })
+    .withMessage('eventTypes must be a non-empty array')
+    .custom((value) => {
+        const unknown = value.filter((type) => !WebhookService.eventTypes.includes(type));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown event types: ${unknown.join(', ')}. Supported: ${WebhookService.eventTypes.join(', ')}`);
+        }
+        return true;
+    });
+
+const webhookDescriptionRule = () => body('description')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters');
+
+const createWebhookRules = [
+    idRule(),
+    body('url')
+        .exists()
+        .withMessage('url is required'),
+    webhookUrlRule(),
+    body('eventTypes')
+        .exists()
+        .withMessage('eventTypes is required'),
+    eventTypesRule(),
+    webhookDescriptionRule()
+];
+
+const updateWebhookRules = [
+    idRule(),
+    webhookUrlRule().optional(),
+    eventTypesRule().optional(),
+    webhookDescriptionRule(),
+    body('isActive')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('isActive must be a boolean'),
+    body()
+        .custom((value) => {
+            if (!value || ['url', 'eventTypes', 'description', 'isActive'].every((field) => value[field] === undefined)) {
+                throw new Error('Provide at least one of url, eventTypes, description or isActive');
+            }
+            return true;
+        })
+];
+
+const listDeliveriesRules = [
+    idRule(),
+    query('status')
+        .optional()
+        .isIn(['pending', 'delivering', 'delivered', 'dead'])
+        .withMessage('status must be pending, delivering, delivered or dead'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('limit must be between 1 and 1000')
+        .toInt()
+];
+
+const auditRules = [
+    query('entityType')
+        .optional()
+        .isIn(['allowed_ip', 'api_key', 'webhook'])
+        .withMessage('entityType must be allowed_ip, api_key or webhook'),
+    query('entityId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('entityId must be a positive integer')
+        .toInt(),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('limit must be between 1 and 1000')
+        .toInt()
+];
+
+const requestLogRules = [
+    query('nid')
+        .optional()
+        .matches(/^\d{10,17}$/)
+        .withMessage('nid must be 10 to 17 digits'),
+    query('requestId')
+        .optional()
+        .isUUID()
+        .withMessage('requestId must be a UUID'),
+    query('systemName')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('systemName must be between 1 and 255 characters'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 1000 })
+        .withMessage('limit must be between 1 and 1000')
+        .toInt()
+];
+
+const reportDateRule = (field) => query(field)
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .isISO8601({ strict: true })
+    .withMessage(`${field} must be a date in YYYY-MM-DD format`);
+
+const usageReportRules = [
+    reportDateRule('from'),
+    reportDateRule('to')
+        .custom((value, { req }) => {
+            if (req.query.from && value < req.query.from) {
+                throw new Error('to must not be before from');
+            }
+            return true;
+        }),
+    query('system')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('system must be between 1 and 255 characters'),
+    query('groupBy')
+        .optional()
+        .isIn(['day', 'month'])
+        .withMessage('groupBy must be day or month'),
+    query('format')
+        .optional()
+        .isIn(['json', 'csv'])
+        .withMessage('format must be json or csv')
+];
+
+/**
+ * Responds with 400 if the request failed validation
+ * @returns {boolean} - True if a response was sent
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+    });
+    return true;
+}
+
+/**
+ * Sends the error response for a failed admin operation
+ */
+function handleError(req, res, error, action) {
+    if (error.code && error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            ...(error.details ? { details: error.details } : {}),
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    logger.error(`Admin ${action} failed - Admin: ${req.adminUser?.name}, Error: ${error.message}`);
+    return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Builds the /api/admin router
+ * @param {Object} deps - { whitelistService, apiKeyService, webhookService, auditLog, requestLogService, reportService }
+ * @returns {Object} - Express router
+ */
+function adminRoutes({ whitelistService, apiKeyService, webhookService, auditLog, requestLogService, reportService }) {
+    const router = express.Router();
+
+    /**
+     * @route GET /api/admin/ips
+     * @desc List whitelisted IP entries
+     * @access Admin
+     */
+    router.get('/ips', listRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const entries = await whitelistService.listEntries({ active: req.query.active });
+            return res.status(200).json({
+                success: true,
+                data: entries,
+                count: entries.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'list IPs');
+        }
+    });
+
+    /**
+     * @route GET /api/admin/ips/:id
+     * @desc Get a single whitelisted IP entry
+     * @access Admin
+     */
+    router.get('/ips/:id', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const entry = await whitelistService.getEntry(req.params.id);
+            return res.status(200).json({
+                success: true,
+                data: entry,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'get IP');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/ips
+     * @desc Add an IP address to the whitelist
+     * @access Admin
+     */
+    router.post('/ips', createRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const { ipAddress, systemName, description, isActive, cacheEnabled, dailyQuota, monthlyQuota, burstLimit, sustainedLimit, nameMatchThreshold } = req.body;
+            const entry = await whitelistService.createEntry(
+                { ipAddress, systemName, description, isActive, cacheEnabled, dailyQuota, monthlyQuota, burstLimit, sustainedLimit, nameMatchThreshold },
+                req.adminUser
+            );
+            return res.status(201).json({
+                success: true,
+                data: entry,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'create IP');
+        }
+    });
+
+    /**
+     * @route PATCH /api/admin/ips/:id
+     * @desc Update the system name, description or settings of a whitelisted IP
+     * @access Admin
+     */
+    router.patch('/ips/:id', updateRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const changes = Object.fromEntries(UPDATABLE_FIELDS.map((field) => [field, req.body[field]]));
+            const entry = await whitelistService.updateEntry(
+                req.params.id,
+                changes,
+                req.adminUser
+            );
+            return res.status(200).json({
+                success: true,
+                data: entry,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'update IP');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/ips/:id/activate
+     * @desc Re-enable access for a whitelisted IP
+     * @access Admin
+     */
+    router.post('/ips/:id/activate', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const entry = await whitelistService.setActive(req.params.id, true, req.adminUser);
+            return res.status(200).json({
+                success: true,
+                data: entry,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'activate IP');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/ips/:id/deactivate
+     * @desc Revoke access for a whitelisted IP without deleting it
+     * @access Admin
+     */
+    router.post('/ips/:id/deactivate', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const entry = await whitelistService.setActive(req.params.id, false, req.adminUser);
+            return res.status(200).json({
+                success: true,
+                data: entry,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'deactivate IP');
+        }
+    });
+
+    /**
+     * @route DELETE /api/admin/ips/:id
+     * @desc Remove an IP address from the whitelist
+     * @access Admin
+     */
+    router.delete('/ips/:id', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const entry = await whitelistService.deleteEntry(req.params.id, req.adminUser);
+            return res.status(200).json({
+                success: true,
+                data: entry,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'delete IP');
+        }
+    });
+
+    /**
+     * @route GET /api/admin/ips/:id/keys
+     * @desc List API keys issued to a whitelisted system (hashes are never returned)
+     * @access Admin
+     */
+    router.get('/ips/:id/keys', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            await whitelistService.getEntry(req.params.id);
+            const keys = await apiKeyService.listKeys(req.params.id);
+            return res.status(200).json({
+                success: true,
+                data: keys,
+                count: keys.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'list API keys');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/ips/:id/keys
+     * @desc Issue a new API key for a whitelisted system. The key is only shown in this response.
+     * @access Admin
+     */
+    router.post('/ips/:id/keys', issueKeyRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const { label, expiresAt } = req.body;
+            const issued = await apiKeyService.issueKey(req.params.id, { label, expiresAt }, req.adminUser);
+            return res.status(201).json({
+                success: true,
+                data: issued,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'issue API key');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/keys/:id/rotate
+     * @desc Issue a replacement key; the old key stays valid for graceSeconds
+     * @access Admin
+     */
+    router.post('/keys/:id/rotate', rotateKeyRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const { graceSeconds, expiresAt } = req.body;
+            const rotated = await apiKeyService.rotateKey(req.params.id, { graceSeconds, expiresAt }, req.adminUser);
+            return res.status(201).json({
+                success: true,
+                data: rotated,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'rotate API key');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/keys/:id/revoke
+     * @desc Revoke an API key and every token exchanged from it, on every instance from the next request
+     * @access Admin
+     */
+    router.post('/keys/:id/revoke', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const key = await apiKeyService.revokeKey(req.params.id, req.adminUser);
+            return res.status(200).json({
+                success: true,
+                data: key,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'revoke API key');
+        }
+    });
+
+    /**
+     * @route GET /api/admin/ips/:id/webhooks
+     * @desc List webhook subscriptions of a whitelisted system (secrets are never returned)
+     * @access Admin
+     */
+    router.get('/ips/:id/webhooks', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            await whitelistService.getEntry(req.params.id);
+            const subscriptions = await webhookService.listSubscriptions(req.params.id);
+            return res.status(200).json({
+                success: true,
+                data: subscriptions,
+                count: subscriptions.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'list webhooks');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/ips/:id/webhooks
+     * @desc Subscribe a whitelisted system to events. The signing secret is only shown in this response.
+     * @access Admin
+     */
+    router.post('/ips/:id/webhooks', createWebhookRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const { url, eventTypes, description } = req.body;
+            const created = await webhookService.createSubscription(
+                req.params.id,
+                { url, eventTypes, description },
+                req.adminUser
+            );
+            return res.status(201).json({
+                success: true,
+                data: created,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'create webhook');
+        }
+    });
+
+    /**
+     * @route GET /api/admin/webhooks/:id
+     * @desc Get a webhook subscription
+     * @access Admin
+     */
+    router.get('/webhooks/:id', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const subscription = await webhookService.getSubscription(req.params.id);
+            return res.status(200).json({
+                success: true,
+                data: subscription,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'get webhook');
+        }
+    });
+
+    /**
+     * @route PATCH /api/admin/webhooks/:id
+     * @desc Change a subscription's URL, event types, description or active flag
+     * @access Admin
+     */
+    router.patch('/webhooks/:id', updateWebhookRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const { url, eventTypes, description, isActive } = req.body;
+            const subscription = await webhookService.updateSubscription(
+                req.params.id,
+                { url, eventTypes, description, isActive },
+                req.adminUser
+            );
+            return res.status(200).json({
+                success: true,
+                data: subscription,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'update webhook');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/webhooks/:id/rotate-secret
+     * @desc Replace a subscription's signing secret. The new secret is only shown in this response.
+     * @access Admin
+     */
+    router.post('/webhooks/:id/rotate-secret', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const rotated = await webhookService.rotateSecret(req.params.id, req.adminUser);
+            return res.status(200).json({
+                success: true,
+                data: rotated,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'rotate webhook secret');
+        }
+    });
+
+    /**
+     * @route DELETE /api/admin/webhooks/:id
+     * @desc Delete a subscription together with its delivery history
+     * @access Admin
+     */
+    router.delete('/webhooks/:id', idRule(), async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const subscription = await webhookService.deleteSubscription(req.params.id, req.adminUser);
+            return res.status(200).json({
+                success: true,
+                data: subscription,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'delete webhook');
+        }
+    });
+
+    /**
+     * @route GET /api/admin/webhooks/:id/deliveries
+     * @desc List deliveries to a subscription, newest first; status=dead lists the dead letters
+     * @access Admin
+     */
+    router.get('/webhooks/:id/deliveries', listDeliveriesRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const deliveries = await webhookService.listDeliveries(req.params.id, {
+                status: req.query.status,
+                limit: req.query.limit
+            });
+            return res.status(200).json({
+                success: true,
+                data: deliveries,
+                count: deliveries.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'list webhook deliveries');
+        }
+    });
+
+    /**
+     * @route POST /api/admin/webhooks/deliveries/:deliveryId/replay
+     * @desc Queue a delivery to be sent again (same event ID, fresh timestamp and signature)
+     * @access Admin
+     */
+    router.post(
+        '/webhooks/deliveries/:deliveryId/replay',
+        param('deliveryId').isUUID().withMessage('Delivery ID must be a UUID'),
+        async (req, res) => {
+            if (rejectInvalid(req, res)) return;
+
+            try {
+                const delivery = await webhookService.replayDelivery(req.params.deliveryId, req.adminUser);
+                return res.status(202).json({
+                    success: true,
+                    data: delivery,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                return handleError(req, res, error, 'replay webhook delivery');
+            }
+        }
+    );
+
+    /**
+     * @route GET /api/admin/audit
+     * @desc List recorded admin changes, newest first
+     * @access Admin
+     */
+    router.get('/audit', auditRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const entries = await auditLog.list({
+                entityType: req.query.entityType,
+                entityId: req.query.entityId,
+                limit: req.query.limit
+            });
+            return res.status(200).json({
+                success: true,
+                data: entries,
+                count: entries.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'list audit log');
+        }
+    });
+
+    /**
+     * @route GET /api/admin/request-logs
+     * @desc Find logged verification requests (by exact NID, request ID or system), newest first, with encrypted fields decrypted
+     * @access Admin
+     */
+    router.get('/request-logs', requestLogRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const entries = await requestLogService.list({
+                nid: req.query.nid,
+                requestId: req.query.requestId,
+                systemName: req.query.systemName,
+                limit: req.query.limit
+            });
+            return res.status(200).json({
+                success: true,
+                data: entries,
+                count: entries.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'list request logs');
+        }
+    });
+
+    /**
+     * @route GET /api/admin/reports/usage
+     * @desc Count verifications by period, system and outcome, with average latency, as JSON or CSV (?format=csv)
+     * @access Admin
+     */
+    router.get('/reports/usage', usageReportRules, async (req, res) => {
+        if (rejectInvalid(req, res)) return;
+
+        try {
+            const report = await reportService.usage({
+                from: req.query.from,
+                to: req.query.to,
+                system: req.query.system,
+                groupBy: req.query.groupBy
+            });
+
+            if (req.query.format === 'csv') {
+                return res
+                    .status(200)
+                    .type('text/csv')
+                    .attachment(`usage-${report.from}-${report.to}.csv`)
+                    .send(toCsv(ReportService.columns, report.rows));
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: report,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return handleError(req, res, error, 'build usage report');
+        }
+    });
+
+    return router;
+}
+
+module.exports = adminRoutes;
@@ -0,0 +1,70 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+/**
+ * Builds the /api/auth router
+ * @param {Object} deps - { apiKeyService }
+ * @returns {Object} - Express router
+ */
+function authRoutes({ apiKeyService }) {
+    const router = express.Router();
+
+    /**
+     * @route POST /api/auth/token
+     * @desc Exchange an API key (X-API-Key header) for a short-lived bearer token
+     * @access Private (IP whitelisted + API key)
+     */
+    router.post('/token', async (req, res) => {
+        try {
+            const apiKey = req.get('X-API-Key');
+            if (!apiKey) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'API key required in the X-API-Key header',
+                    code: 'CREDENTIAL_REQUIRED'
+                });
+            }
+
+            const identity = await apiKeyService.verifyApiKey(apiKey.trim());
+
+            if (identity.systemName !== req.systemInfo.systemName) {
+                logger.warn(`Token requested for ${identity.systemName} from IP ${req.systemInfo.ip} whitelisted for ${req.systemInfo.systemName}`);
+                return res.status(403).json({
+                    success: false,
+                    error: 'Credential does not belong to the system this IP address is whitelisted for',
+                    code: 'CREDENTIAL_IP_MISMATCH'
+                });
+            }
+
+            const token = apiKeyService.issueToken(identity);
+            logger.info(`Access token issued for ${identity.systemName} (API key ${identity.apiKeyId})`);
+
+            return res.status(200).json({
+                success: true,
+                data: token,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.code && error.statusCode) {
+                return res.status(error.statusCode).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            logger.error(`Token exchange failed: ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                code: 'INTERNAL_ERROR',
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = authRoutes;
@@ -0,0 +1,39 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+
+/**
+ * Builds the /api/docs router: the OpenAPI document as JSON and rendered with Swagger UI
+ * @param {Object} deps - { openApiValidator }
+ * @returns {Object} - Express router
+ */
+function docsRoutes({ openApiValidator }) {
+    const router = express.Router();
+    const { document } = openApiValidator;
+
+    /**
+     * @route GET /api/docs/openapi.json
+     * @desc The OpenAPI 3 document
+     * @access Public
+     */
+    router.get('/openapi.json', (req, res) => {
+        return res.status(200).json(document);
+    });
+
+    /**
+     * @route GET /api/docs
+     * @desc The OpenAPI document rendered with Swagger UI
+     * @access Public
+     */
+    router.get('/', (req, res, next) => {
+        // The page loads its assets relative to itself
+        if (!req.originalUrl.split('?')[0].endsWith('/')) {
+            return res.redirect(301, `${req.baseUrl}/`);
+        }
+        return next();
+    });
+    router.use('/', swaggerUi.serveFiles(document), swaggerUi.setup(document, { customSiteTitle: document.info.title }));
+
+    return router;
+}
+
+module.exports = docsRoutes;
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+const { CidrMatcher, parseCidrList } = require('../utils/ipMatcher');
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Builds the /metrics router. Scrapers are let in from an allowed address or
+ * with the bearer token; everyone else gets 403.
+ * @param {Object} deps - { metricsService }
+ * @param {Object} options - { allowedIps } as a comma-separated CIDR list, { token } optional bearer token
+ * @returns {Object} - Express router
+ */
+function metricsRoutes({ metricsService }, { allowedIps, token }) {
+    const router = express.Router();
+    const allowed = new CidrMatcher(parseCidrList(allowedIps));
+    if (allowed.invalid.length > 0) {
+        logger.warn(`Ignoring invalid METRICS_ALLOWED_IPS entries: ${allowed.invalid.join(', ')}`);
+    }
+    const tokenDigest = token ? digest(token) : null;
+
+    const authorized = (req) => {
+        if (allowed.contains(req.ip)) {
+            return true;
+        }
+        const [scheme, provided] = (req.get('Authorization') || '').split(' ');
+        return Boolean(tokenDigest && scheme === 'Bearer' && provided && crypto.timingSafeEqual(digest(provided), tokenDigest));
+    };
+
+    /**
+     * @route GET /metrics
+     * @desc Prometheus metrics for this instance
+     * @access METRICS_ALLOWED_IPS or METRICS_TOKEN
+     */
+    router.get('/', async (req, res) => {
+        if (!authorized(req)) {
+            logger.warn(`Metrics access denied for IP: ${req.ip}`);
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied. Metrics are only served to allowed addresses or with the metrics token.',
+                code: 'METRICS_NOT_AUTHORIZED'
+            });
+        }
+
+        try {
+            res.set('Content-Type', metricsService.contentType);
+            return res.status(200).send(await metricsService.render());
+        } catch (error) {
+            logger.error(`Failed to render metrics: ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                code: 'INTERNAL_ERROR'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = metricsRoutes;
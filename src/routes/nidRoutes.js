@@ -1,208 +1,478 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const nidService = require('../services/nidService');
+const { v4: uuidv4 } = require('uuid');
+const { body, query, validationResult } = require('express-validator');
+const RequestStatsService = require('../services/requestStatsService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { pickVerificationFields, dateOfBirthError } = require('../utils/verificationFields');
+const { normalizeNID } = require('../utils/nid');
 const logger = require('../utils/logger');
 
-const router = express.Router();
-
-// Validation rules
-const validationRules = [
+// The OpenAPI document checks the shape of a verification request; these are the rules it cannot express.
+// /verify, /jobs and every batch item run them.
+const verifyRules = [
     body('nid')
-        .notEmpty()
-        .withMessage('NID is required')
-        .isString()
-        .withMessage('NID must be a string')
-        .custom((value) => {
-            const cleanNID = value.replace(/\s/g, '');
-            if (cleanNID.length !== 10 && cleanNID.length !== 17) {
-                throw new Error('NID must be either 10 or 17 digits');
-            }
-            if (!/^\d+$/.test(cleanNID)) {
-                throw new Error('NID must contain only digits');
+        .custom((value, { req }) => {
+            const { error } = normalizeNID(value, req.body.dateOfBirth);
+            if (error) {
+                throw new Error(error);
             }
             return true;
         }),
     body('dateOfBirth')
-        .notEmpty()
-        .withMessage('Date of birth is required')
-        .isISO8601()
-        .withMessage('Date of birth must be in YYYY-MM-DD format')
+        .optional()
         .custom((value) => {
-            const date = new Date(value);
-            const today = new Date();
-            if (date > today) {
-                throw new Error('Date of birth cannot be in the future');
-            }
-            
-            // Check if person is at least 18 years old
-            const minAge = new Date();
-            minAge.setFullYear(minAge.getFullYear() - 18);
-            if (date > minAge) {
-                throw new Error('Person must be at least 18 years old');
+            const error = dateOfBirthError(value);
+            if (error) {
+                throw new Error(error);
             }
             return true;
-        }),
-    body('nameEn')
-        .notEmpty()
-        .withMessage('Name is required')
-        .isString()
-        .withMessage('Name must be a string')
-        .isLength({ min: 2, max: 100 })
-        .withMessage('Name must be between 2 and 100 characters')
-        .matches(/^[a-zA-Z\s\.\-']+$/)
-        .withMessage('Name contains invalid characters. Only English letters, spaces, dots, hyphens, and apostrophes are allowed')
+        })
 ];
 
 /**
- * @route POST /api/nid/verify
- * @desc Verify NID with external service
- * @access Private (IP whitelisted)
+ * Builds the /api/nid router
+ * @param {Object} deps - { nidService, verificationService, requestLogService, requestStatsService, jobService, retentionService, quotaService, openApiValidator }
+ * @param {Object} options - { batchConcurrency }
+ * @returns {Object} - Express router
  */
-router.post('/verify', validationRules, async (req, res) => {
-    try {
-        // Check for validation errors
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({
+function nidRoutes({ nidService, verificationService, requestLogService, requestStatsService, jobService, retentionService, quotaService, openApiValidator }, { batchConcurrency = 5 } = {}) {
+    const router = express.Router();
+
+    /**
+     * Adds the X-Quota-* headers, reading the system's usage unless it is already known
+     */
+    async function setQuotaHeaders(req, res, usage) {
+        try {
+            res.set(quotaService.headers(usage || await quotaService.getUsage(req.systemInfo)));
+        } catch (error) {
+            logger.error(`Could not read quota usage - ID: ${req.requestId}, Error: ${error.message}`);
+        }
+    }
+
+    /**
+     * @route POST /api/nid/verify
+     * @desc Verify NID with external service
+     * @access Private (IP whitelisted)
+     */
+    router.post('/verify', verifyRules, async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const outcome = await verificationService.verify(
+                { nid: req.body.nid, ...pickVerificationFields(req.body) },
+                {
+                    requestId: req.requestId,
+                    systemInfo: req.systemInfo,
+                    bypassCache: /no-cache|no-store/i.test(req.get('Cache-Control') || '')
+                }
+            );
+
+            const response = verificationService.buildSuccessResponse(outcome, {
+                requestId: req.requestId,
+                systemName: req.systemInfo?.systemName
+            });
+
+            await setQuotaHeaders(req, res, outcome.quota);
+            return res.status(200).json(response);
+
+        } catch (error) {
+            logger.error(`NID verification failed - ID: ${req.requestId}, Error: ${error.message}`);
+
+            const { statusCode, body } = verificationService.buildErrorResponse(error, {
+                requestId: req.requestId,
+                systemName: req.systemInfo?.systemName
+            });
+
+            if (body.retryAfterSeconds) {
+                res.set('Retry-After', String(body.retryAfterSeconds));
+            }
+            if (error.code === 'QUOTA_EXCEEDED') {
+                await setQuotaHeaders(req, res, error.details.usage);
+            }
+
+            return res.status(statusCode).json(body);
+        }
+    });
+
+    /**
+     * Verifies one batch item: validates it the same way as /verify,
+     * calls the service and records it in request_logs under its own request ID
+     */
+    async function verifyBatchItem(req, item, index, bypassCache) {
+        const requestId = uuidv4();
+        const startTime = Date.now();
+        const input = item && typeof item === 'object' ? item : {};
+
+        let statusCode;
+        let result;
+
+        // Validate the item on its own, as /verify would
+        let errors = openApiValidator.validateSchema('VerifyRequest', input);
+        if (errors.length === 0) {
+            const itemReq = { body: input };
+            for (const rule of verifyRules) {
+                await rule.run(itemReq);
+            }
+            errors = validationResult(itemReq).array();
+        }
+
+        if (errors.length > 0) {
+            statusCode = 400;
+            result = {
                 success: false,
                 error: 'Validation failed',
-                details: errors.array(),
+                details: errors,
                 code: 'VALIDATION_ERROR'
+            };
+        } else {
+            try {
+                const outcome = await verificationService.verify(
+                    { nid: input.nid, ...pickVerificationFields(input) },
+                    { requestId, systemInfo: req.systemInfo, bypassCache }
+                );
+                statusCode = 200;
+                result = {
+                    success: true,
+                    data: outcome.data,
+                    cached: outcome.cached
+                };
+                if (outcome.message) {
+                    result.message = outcome.message;
+                }
+            } catch (error) {
+                logger.error(`Batch item verification failed - Batch: ${req.requestId}, ID: ${requestId}, Error: ${error.message}`);
+                const failure = verificationService.buildErrorResponse(error, { requestId });
+                statusCode = failure.statusCode;
+                result = {
+                    success: false,
+                    error: failure.body.error,
+                    code: failure.body.code
+                };
+            }
+        }
+
+        const itemResult = { index, requestId, ...result };
+
+        await requestLogService.record({
+            requestId,
+            systemInfo: req.systemInfo,
+            requestData: {
+                nid: input.nid || null,
+                ...pickVerificationFields(input),
+                batchRequestId: req.requestId
+            },
+            responseData: itemResult,
+            statusCode,
+            processingTime: Date.now() - startTime,
+            verification: true
+        });
+
+        return itemResult;
+    }
+
+    /**
+     * @route POST /api/nid/verify/batch
+     * @desc Verify many NIDs in one call; each item succeeds or fails on its own
+     * @access Private (IP whitelisted)
+     */
+    router.post('/verify/batch', async (req, res) => {
+        try {
+            const { items } = req.body;
+            const bypassCache = /no-cache|no-store/i.test(req.get('Cache-Control') || '');
+
+            logger.info(`Batch verification request - ID: ${req.requestId}, Items: ${items.length}, System: ${req.systemInfo?.systemName}`);
+
+            const results = await mapWithConcurrency(items, batchConcurrency, (item, index) =>
+                verifyBatchItem(req, item, index, bypassCache)
+            );
+
+            const succeeded = results.filter((result) => result.success).length;
+            const summary = {
+                total: results.length,
+                succeeded,
+                failed: results.length - succeeded,
+                verified: results.filter((result) => result.success && result.data.verified).length
+            };
+
+            logger.info(`Batch verification completed - ID: ${req.requestId}, Succeeded: ${succeeded}/${results.length}`);
+
+            // The items are logged individually, so the batch row only keeps the summary
+            res.locals.requestLog = {
+                requestData: { batchSize: items.length },
+                responseData: {
+                    success: true,
+                    summary,
+                    itemRequestIds: results.map((result) => result.requestId)
+                }
+            };
+
+            await setQuotaHeaders(req, res);
+            return res.status(200).json({
+                success: true,
+                requestId: req.requestId,
+                data: {
+                    ...summary,
+                    results
+                },
+                timestamp: new Date().toISOString(),
+                system: req.systemInfo?.systemName
+            });
+        } catch (error) {
+            logger.error(`Batch verification failed - ID: ${req.requestId}, Error: ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR',
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                system: req.systemInfo?.systemName
             });
         }
+    });
 
-        const { nid, dateOfBirth, nameEn } = req.body;
-        
-        logger.info(`NID verification request - ID: ${req.requestId}, NID: ${nid}, System: ${req.systemInfo?.systemName}`);
+    /**
+     * @route POST /api/nid/jobs
+     * @desc Queue a verification and return a job ID immediately; poll GET /api/nid/jobs/:id for the result
+     * @access Private (IP whitelisted)
+     */
+    router.post('/jobs', verifyRules, async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
 
-        // Clean the NID (remove spaces)
-        const cleanNID = nid.replace(/\s/g, '');
-        
-        // Determine NID type for logging
-        const nidType = cleanNID.length === 17 ? '17-digit' : '10-digit';
-        logger.info(`Processing ${nidType} NID: ${cleanNID}`);
-
-        // Call the NID service
-        const result = await nidService.verifyNID(cleanNID, dateOfBirth, nameEn);
-
-        // Prepare response
-        const response = {
-            success: true,
-            requestId: req.requestId,
-            data: {
-                nid: cleanNID,
-                nidType: nidType,
-                verified: result.verified,
-                verificationDetails: {
-                    nameEn: result.fieldVerificationResult?.nameEn || false,
-                    dateOfBirth: result.fieldVerificationResult?.dateOfBirth || false
+            // The job is counted when the worker verifies it; refuse it now if the quota is already used up
+            const usage = await quotaService.check(req.systemInfo);
+
+            const job = await jobService.createJob(
+                { nid: req.body.nid, ...pickVerificationFields(req.body) },
+                req.systemInfo,
+                { bypassCache: /no-cache|no-store/i.test(req.get('Cache-Control') || '') }
+            );
+
+            await setQuotaHeaders(req, res, usage);
+            res.set('Location', `${req.baseUrl}/jobs/${job.jobId}`);
+            return res.status(202).json({
+                success: true,
+                requestId: req.requestId,
+                data: {
+                    jobId: job.jobId,
+                    status: job.status,
+                    statusUrl: `${req.baseUrl}/jobs/${job.jobId}`
                 },
-                personDetails: result.data || {}
-            },
-            timestamp: new Date().toISOString(),
-            system: req.systemInfo?.systemName
-        };
+                timestamp: new Date().toISOString(),
+                system: req.systemInfo?.systemName
+            });
+        } catch (error) {
+            if (error.code === 'QUOTA_EXCEEDED') {
+                const { statusCode, body } = verificationService.buildErrorResponse(error, {
+                    requestId: req.requestId,
+                    systemName: req.systemInfo?.systemName
+                });
+                res.set('Retry-After', String(body.retryAfterSeconds));
+                await setQuotaHeaders(req, res, error.details.usage);
+                return res.status(statusCode).json(body);
+            }
+            if (error.code === 'SERVICE_UNAVAILABLE') {
+                const { statusCode, body } = verificationService.buildErrorResponse(error, {
+                    requestId: req.requestId,
+                    systemName: req.systemInfo?.systemName
+                });
+                return res.status(statusCode).json(body);
+            }
 
-        // Add message if verification data doesn't match
-        if (result.message) {
-            response.message = result.message;
+            logger.error(`Failed to queue verification job - ID: ${req.requestId}, Error: ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR',
+                requestId: req.requestId,
+                timestamp: new Date().toISOString(),
+                system: req.systemInfo?.systemName
+            });
         }
+    });
 
-        logger.info(`NID verification completed successfully - ID: ${req.requestId}, Verified: ${result.verified}`);
-        
-        return res.status(200).json(response);
+    /**
+     * @route GET /api/nid/jobs/:id
+     * @desc Get the status of a verification job; completed and failed jobs include the /verify response as `result`
+     * @access Private (IP whitelisted)
+     */
+    router.get('/jobs/:id', async (req, res) => {
+        try {
+            const job = await jobService.getJob(req.params.id, req.systemInfo?.systemName);
+            return res.status(200).json({
+                success: true,
+                requestId: req.requestId,
+                data: job,
+                timestamp: new Date().toISOString(),
+                system: req.systemInfo?.systemName
+            });
+        } catch (error) {
+            if (error.code === 'JOB_NOT_FOUND') {
+                return res.status(404).json({
+                    success: false,
+                    error: error.message,
+                    code: error.code,
+                    requestId: req.requestId,
+                    timestamp: new Date().toISOString()
+                });
+            }
 
-    } catch (error) {
-        logger.error(`NID verification failed - ID: ${req.requestId}, Error: ${error.message}`);
-        
-        // Determine appropriate error response
-        let statusCode = 500;
-        let errorCode = 'INTERNAL_ERROR';
-        
-        if (error.message.includes('Authentication failed')) {
-            statusCode = 503;
-            errorCode = 'SERVICE_UNAVAILABLE';
-        } else if (error.message.includes('Verification failed')) {
-            statusCode = 400;
-            errorCode = 'VERIFICATION_FAILED';
+            logger.error(`Failed to get verification job - ID: ${req.requestId}, Error: ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR',
+                requestId: req.requestId,
+                timestamp: new Date().toISOString()
+            });
         }
+    });
 
-        return res.status(statusCode).json({
-            success: false,
-            error: error.message,
-            code: errorCode,
-            requestId: req.requestId,
-            timestamp: new Date().toISOString(),
-            system: req.systemInfo?.systemName
-        });
-    }
-});
+    /**
+     * @route GET /api/nid/health
+     * @desc Health check endpoint
+     * @access Private (IP whitelisted)
+     */
+    router.get('/health', async (req, res) => {
+        try {
+            // Test external service connectivity
+            await nidService.ensureValidToken();
 
-/**
- * @route GET /api/nid/health
- * @desc Health check endpoint
- * @access Private (IP whitelisted)
- */
-router.get('/health', async (req, res) => {
-    try {
-        // Test external service connectivity
-        await nidService.ensureValidToken();
+            // A valid token proves nothing while recent calls have been failing
+            const circuitBreaker = nidService.getCircuitState();
+            if (circuitBreaker.state !== 'closed') {
+                throw new Error(`External NID service circuit is ${circuitBreaker.state}: ${circuitBreaker.lastError}`);
+            }
         
-        return res.status(200).json({
-            success: true,
-            status: 'healthy',
-            timestamp: new Date().toISOString(),
-            service: 'NID Verification Service',
-            externalService: 'connected'
-        });
-    } catch (error) {
-        logger.error(`Health check failed: ${error.message}`);
-        return res.status(503).json({
-            success: false,
-            status: 'unhealthy',
-            error: error.message,
-            timestamp: new Date().toISOString(),
-            service: 'NID Verification Service',
-            externalService: 'disconnected'
-        });
-    }
-});
+            return res.status(200).json({
+                success: true,
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                service: 'NID Verification Service',
+                externalService: 'connected',
+                circuitBreaker
+            });
+        } catch (error) {
+            logger.error(`Health check failed: ${error.message}`);
+            return res.status(503).json({
+                success: false,
+                status: 'unhealthy',
+                error: error.message,
+                timestamp: new Date().toISOString(),
+                service: 'NID Verification Service',
+                externalService: 'disconnected',
+                circuitBreaker: nidService.getCircuitState()
+            });
+        }
+    });
 
-/**
- * @route GET /api/nid/status
- * @desc Get service status and statistics
- * @access Private (IP whitelisted)
- */
-router.get('/status', async (req, res) => {
-    try {
-        const db = require('../config/database');
-        
-        // Get basic statistics
-        const totalRequests = await db.get('SELECT COUNT(*) as count FROM request_logs');
-        const successRequests = await db.get('SELECT COUNT(*) as count FROM request_logs WHERE status = "SUCCESS"');
-        const errorRequests = await db.get('SELECT COUNT(*) as count FROM request_logs WHERE status = "ERROR"');
-        const avgProcessingTime = await db.get('SELECT AVG(processing_time_ms) as avg_time FROM request_logs WHERE processing_time_ms IS NOT NULL');
+    /**
+     * @route GET /api/nid/usage
+     * @desc Get the calling system's verification count and quotas for the current day and month
+     * @access Private (IP whitelisted)
+     */
+    router.get('/usage', async (req, res) => {
+        try {
+            const usage = await quotaService.getUsage(req.systemInfo);
+            res.set(quotaService.headers(usage));
+            return res.status(200).json({
+                success: true,
+                requestId: req.requestId,
+                data: usage,
+                timestamp: new Date().toISOString(),
+                system: req.systemInfo?.systemName
+            });
+        } catch (error) {
+            logger.error(`Failed to get quota usage - ID: ${req.requestId}, Error: ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR',
+                requestId: req.requestId,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    const statusRules = [
+        query('window')
+            .optional()
+            .custom((value) => {
+                const windowMs = RequestStatsService.parseWindow(value);
+                if (windowMs === null) {
+                    throw new Error('window must be a number of minutes, hours or days, such as 15m, 24h or 7d');
+                }
+                if (windowMs > requestStatsService.maxWindowMs) {
+                    throw new Error(`window must not be longer than ${requestStatsService.retentionDays}d`);
+                }
+                return true;
+            })
+    ];
+
+    /**
+     * @route GET /api/nid/status
+     * @desc Get service status and statistics for the last ?window= (default 24h)
+     * @access Private (IP whitelisted)
+     */
+    router.get('/status', statusRules, async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation failed',
+                details: errors.array(),
+                code: 'VALIDATION_ERROR'
+            });
+        }
+
+        try {
+            const statistics = await requestStatsService.summary({ window: req.query.window });
+            const lastRetentionRun = await retentionService.lastRun();
         
-        return res.status(200).json({
-            success: true,
-            status: 'operational',
-            timestamp: new Date().toISOString(),
-            statistics: {
-                totalRequests: totalRequests.count,
-                successRequests: successRequests.count,
-                errorRequests: errorRequests.count,
-                successRate: totalRequests.count > 0 ? ((successRequests.count / totalRequests.count) * 100).toFixed(2) + '%' : '0%',
-                averageProcessingTime: avgProcessingTime.avg_time ? Math.round(avgProcessingTime.avg_time) + 'ms' : 'N/A'
-            }
-        });
-    } catch (error) {
-        logger.error(`Status check failed: ${error.message}`);
-        return res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
-    }
-});
+            const circuitBreaker = nidService.getCircuitState();
+
+            return res.status(200).json({
+                success: true,
+                status: circuitBreaker.state === 'closed' ? 'operational' : 'degraded',
+                timestamp: new Date().toISOString(),
+                externalService: {
+                    circuitBreaker
+                },
+                statistics,
+                retention: {
+                    ...retentionService.describePolicy(),
+                    lastRun: lastRetentionRun
+                }
+            });
+        } catch (error) {
+            logger.error(`Status check failed: ${error.message}`);
+            return res.status(500).json({
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    return router;
+}
 
-module.exports = router; 
\ No newline at end of file
+module.exports = nidRoutes;
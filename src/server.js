@@ -1,133 +1,70 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
-const ipWhitelist = require('./middleware/ipWhitelist');
-const requestLogger = require('./middleware/requestLogger');
-const nidRoutes = require('./routes/nidRoutes');
+const { loadConfig } = require('./config');
+const { createStorage, Migrator } = require('./storage');
+const { createApp } = require('./app');
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Security middleware
-app.use(helmet());
-
-// CORS configuration
-app.use(cors({
-    origin: false, // Disable CORS for security since we're using IP whitelist
-    credentials: true
-}));
-
-// Trust proxy configuration - only trust specific proxies
-app.set('trust proxy', (ip) => {
-    // Trust localhost and private IP ranges
-    return ip === '127.0.0.1' || 
-           ip === '::1' || 
-           ip.startsWith('10.') || 
-           ip.startsWith('192.168.') || 
-           ip.startsWith('172.16.') || 
-           ip.startsWith('172.17.') || 
-           ip.startsWith('172.18.') || 
-           ip.startsWith('172.19.') || 
-           ip.startsWith('172.20.') || 
-           ip.startsWith('172.21.') || 
-           ip.startsWith('172.22.') || 
-           ip.startsWith('172.23.') || 
-           ip.startsWith('172.24.') || 
-           ip.startsWith('172.25.') || 
-           ip.startsWith('172.26.') || 
-           ip.startsWith('172.27.') || 
-           ip.startsWith('172.28.') || 
-           ip.startsWith('172.29.') || 
-           ip.startsWith('172.30.') || 
-           ip.startsWith('172.31.');
-});
-
-// Rate limiting
-const limiter = rateLimit({
-    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-    max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
-    message: {
-        success: false,
-        error: 'Too many requests from this IP, please try again later.',
-        code: 'RATE_LIMIT_EXCEEDED'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    keyGenerator: (req) => {
-        // Use the real IP address for rate limiting
-        return req.ip || req.connection.remoteAddress || 'unknown';
+async function start() {
+    const config = loadConfig();
+    let db;
+
+    try {
+        db = createStorage(config.database);
+        await db.init();
+
+        const migrator = new Migrator({ db });
+        if (config.database.migrateOnStart) {
+            await migrator.up();
+        } else {
+            const pending = (await migrator.status()).filter((migration) => !migration.applied);
+            if (pending.length > 0) {
+                logger.warn(`${pending.length} database migration(s) pending; run npm run migrate -- up`);
+            }
+        }
+    } catch (error) {
+        logger.error('Could not start: database unavailable', error);
+        process.exit(1);
     }
-});
-
-app.use(limiter);
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Custom middleware
-app.use(ipWhitelist);
-app.use(requestLogger);
-
-// Routes
-app.use('/api/nid', nidRoutes);
 
-// Root endpoint
-app.get('/', (req, res) => {
-    res.json({
-        success: true,
-        message: 'NID Verification Service API',
-        version: '1.0.0',
-        timestamp: new Date().toISOString(),
-        endpoints: {
-            verify: 'POST /api/nid/verify',
-            health: 'GET /api/nid/health',
-            status: 'GET /api/nid/status'
+    const app = createApp({ db, config });
+    const { jobWorker, webhookWorker, retentionWorker } = app.locals.services;
+
+    // Graceful shutdown
+    const shutdown = async (signal) => {
+        logger.info(`${signal} received, shutting down gracefully`);
+        jobWorker.stop();
+        webhookWorker.stop();
+        retentionWorker.stop();
+        await db.close();
+        process.exit(0);
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    // Start server
+    app.listen(PORT, () => {
+        logger.info(`NID Verification Service started on port ${PORT}`);
+        logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        logger.info(`Health check available at: http://localhost:${PORT}/api/nid/health`);
+
+        // Process queued verification jobs unless this instance is API-only
+        if (process.env.JOB_WORKER_ENABLED !== 'false') {
+            jobWorker.start();
         }
-    });
-});
 
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Endpoint not found',
-        code: 'ENDPOINT_NOT_FOUND',
-        timestamp: new Date().toISOString()
-    });
-});
+        // Send queued webhook deliveries unless this instance is API-only
+        if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+            webhookWorker.start();
+        }
 
-// Global error handler
-app.use((error, req, res, next) => {
-    logger.error('Unhandled error:', error);
-    
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        code: 'INTERNAL_ERROR',
-        timestamp: new Date().toISOString()
+        // Request log retention deletes data, so it only runs when switched on
+        if (process.env.REQUEST_LOG_RETENTION_ENABLED === 'true') {
+            retentionWorker.start();
+        }
     });
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    process.exit(0);
-});
-
-process.on('SIGINT', () => {
-    logger.info('SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
-
-// Start server
-app.listen(PORT, () => {
-    logger.info(`NID Verification Service started on port ${PORT}`);
-    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    logger.info(`Health check available at: http://localhost:${PORT}/api/nid/health`);
-});
+}
 
-module.exports = app; 
\ No newline at end of file
+start();
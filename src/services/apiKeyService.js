@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { ServiceError } = require('../utils/errors');
+
+// Keys look like nidk_<12 hex prefix>_<48 hex secret>; the prefix is stored in clear for lookup
+const KEY_PATTERN = /^nidk_([a-f0-9]{12})_([a-f0-9]{48})$/;
+const TOKEN_ISSUER = 'nid-verification-service';
+const TOKEN_AUDIENCE = 'nid-verification-api';
+
+// Avoid a write on every request just to bump last_used_at
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Maps an api_keys row to the shape exposed by the admin API (never includes the hash)
+ * @param {Object} row - Database row
+ * @returns {Object} - API representation of the key
+ */
+function toKey(row) {
+    return {
+        id: row.id,
+        allowedIpId: row.allowed_ip_id,
+        keyPrefix: row.key_prefix,
+        label: row.label,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        lastUsedAt: row.last_used_at,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        status: keyStatus(row)
+    };
+}
+
+function keyStatus(row, now = new Date()) {
+    if (row.revoked_at) {
+        return 'revoked';
+    }
+    if (row.expires_at && new Date(row.expires_at) <= now) {
+        return 'expired';
+    }
+    return 'active';
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+class ApiKeyService {
+    constructor({ db, auditLog }) {
+        this.db = db;
+        this.auditLog = auditLog;
+        this.hashRounds = parseInt(process.env.API_KEY_HASH_ROUNDS) || 10;
+        this.cacheTtlMs = parseInt(process.env.API_KEY_CACHE_TTL_MS) || 60 * 1000;
+        this.jwtSecret = process.env.JWT_SECRET;
+        this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '15m';
+        // bcrypt is deliberately slow, so a matching secret is remembered briefly. The key
+        // itself is still read on every call, so revocation and expiry apply at once on every instance.
+        this.verifiedSecrets = new Map();
+    }
+
+    async listKeys(allowedIpId) {
+        const rows = await this.db.query(
+            'SELECT * FROM api_keys WHERE allowed_ip_id = ? ORDER BY id DESC',
+            [allowedIpId]
+        );
+        return rows.map(toKey);
+    }
+
+    async getKey(id) {
+        const row = await this.db.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+        if (!row) {
+            throw new ServiceError(`API key ${id} not found`, 'API_KEY_NOT_FOUND', 404);
+        }
+        return toKey(row);
+    }
+
+    /**
+     * Issues a new API key for a whitelisted system. The plaintext key is only returned here.
+     * @param {number} allowedIpId - The allowed_ips row the key belongs to
+     * @param {Object} options - Optional label and expiresAt
+     * @param {Object} actor - The admin issuing the key ({ name, ip })
+     * @returns {Promise<{key: Object, apiKey: string}>} - Stored key metadata and the plaintext key
+     */
+    async issueKey(allowedIpId, { label = null, expiresAt = null } = {}, actor) {
+        const system = await this.db.get('SELECT id, system_name FROM allowed_ips WHERE id = ?', [allowedIpId]);
+        if (!system) {
+            throw new ServiceError(`Whitelist entry ${allowedIpId} not found`, 'IP_ENTRY_NOT_FOUND', 404);
+        }
+
+        const prefix = crypto.randomBytes(6).toString('hex');
+        const secret = crypto.randomBytes(24).toString('hex');
+        const keyHash = await bcrypt.hash(secret, this.hashRounds);
+
+        const id = await this.db.transaction(async (tx) => {
+            const result = await tx.run(
+                'INSERT INTO api_keys (allowed_ip_id, key_prefix, key_hash, label, expires_at, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [allowedIpId, prefix, keyHash, label, expiresAt, actor.name]
+            );
+
+            await this.auditLog.record(tx, actor, 'ISSUE', 'api_key', result.id, {
+                allowedIpId, keyPrefix: prefix, label, expiresAt
+            });
+
+            return result.id;
+        });
+
+        logger.info(`API key ${id} (${prefix}) issued for ${system.system_name} by ${actor.name}`);
+
+        return {
+            key: await this.getKey(id),
+            apiKey: `nidk_${prefix}_${secret}`
+        };
+    }
+
+    /**
+     * Replaces a key with a new one. The old key keeps working for the grace period
+     * so the consuming system can roll the new key out without downtime.
+     * @param {number} id - The key to rotate
+     * @param {Object} options - graceSeconds for the old key and optional expiresAt for the new key
+     * @param {Object} actor - The admin rotating the key ({ name, ip })
+     * @returns {Promise<{key: Object, apiKey: string, previousKey: Object}>} - The new key and the retiring one
+     */
+    async rotateKey(id, { graceSeconds = 0, expiresAt = null } = {}, actor) {
+        const current = await this.getKey(id);
+        if (current.status !== 'active') {
+            throw new ServiceError(`API key ${id} is ${current.status} and cannot be rotated`, 'API_KEY_NOT_ACTIVE', 409);
+        }
+
+        const issued = await this.issueKey(current.allowedIpId, { label: current.label, expiresAt }, actor);
+
+        const retireAt = new Date(Date.now() + graceSeconds * 1000);
+        const currentExpiry = current.expiresAt ? new Date(current.expiresAt) : null;
+        const oldExpiry = currentExpiry && currentExpiry < retireAt ? currentExpiry : retireAt;
+
+        await this.db.transaction(async (tx) => {
+            await tx.run('UPDATE api_keys SET expires_at = ? WHERE id = ?', [oldExpiry, id]);
+            await this.auditLog.record(tx, actor, 'ROTATE', 'api_key', id, {
+                replacedBy: issued.key.id,
+                expiresAt: oldExpiry
+            });
+        });
+
+        logger.info(`API key ${id} rotated to ${issued.key.id} by ${actor.name}, old key expires ${oldExpiry.toISOString()}`);
+
+        return {
+            ...issued,
+            previousKey: await this.getKey(id)
+        };
+    }
+
+    async revokeKey(id, actor) {
+        const current = await this.getKey(id);
+        if (current.status === 'revoked') {
+            return current;
+        }
+
+        await this.db.transaction(async (tx) => {
+            await tx.run('UPDATE api_keys SET revoked_at = ? WHERE id = ?', [new Date(), id]);
+            await this.auditLog.record(tx, actor, 'REVOKE', 'api_key', id, { keyPrefix: current.keyPrefix });
+        });
+
+        logger.info(`API key ${id} (${current.keyPrefix}) revoked by ${actor.name}`);
+        return this.getKey(id);
+    }
+
+    /**
+     * Verifies a plaintext API key
+     * @param {string} apiKey - Key presented by the client
+     * @returns {Promise<Object>} - The identity the key belongs to
+     * @throws {ServiceError} - INVALID_CREDENTIAL if the key is unknown, expired, revoked or its system is inactive
+     */
+    async verifyApiKey(apiKey) {
+        const match = KEY_PATTERN.exec(apiKey || '');
+        if (!match) {
+            throw new ServiceError('Invalid API key', 'INVALID_CREDENTIAL', 401);
+        }
+
+        const row = await this.loadKey('k.key_prefix = ?', match[1]);
+        if (!row || !(await this.secretMatches(apiKey, match[2], row))) {
+            throw new ServiceError('Invalid API key', 'INVALID_CREDENTIAL', 401);
+        }
+
+        return this.toIdentity(row, 'api_key');
+    }
+
+    /**
+     * Exchanges a verified identity for a short-lived JWT
+     * @param {Object} identity - Identity returned by verifyApiKey
+     * @returns {{accessToken: string, tokenType: string, expiresIn: number}} - Signed token
+     */
+    issueToken(identity) {
+        if (!this.jwtSecret) {
+            throw new ServiceError('Token exchange is not configured on this server', 'TOKEN_EXCHANGE_DISABLED', 503);
+        }
+
+        const accessToken = jwt.sign(
+            { sys: identity.systemName },
+            this.jwtSecret,
+            {
+                subject: String(identity.id),
+                keyid: String(identity.apiKeyId),
+                issuer: TOKEN_ISSUER,
+                audience: TOKEN_AUDIENCE,
+                expiresIn: this.jwtExpiresIn
+            }
+        );
+
+        const { exp, iat } = jwt.decode(accessToken);
+        return {
+            accessToken,
+            tokenType: 'Bearer',
+            expiresIn: exp - iat
+        };
+    }
+
+    /**
+     * Verifies a JWT issued by issueToken. The key it was exchanged from must still be valid,
+     * so revoking a key also cuts off tokens derived from it.
+     * @param {string} token - Bearer token presented by the client
+     * @returns {Promise<Object>} - The identity the token belongs to
+     */
+    async verifyToken(token) {
+        if (!this.jwtSecret) {
+            throw new ServiceError('Token exchange is not configured on this server', 'TOKEN_EXCHANGE_DISABLED', 503);
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(token, this.jwtSecret, { issuer: TOKEN_ISSUER, audience: TOKEN_AUDIENCE });
+        } catch (error) {
+            const message = error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token';
+            throw new ServiceError(message, 'INVALID_CREDENTIAL', 401);
+        }
+
+        const { header } = jwt.decode(token, { complete: true });
+        const keyId = parseInt(header.kid, 10);
+
+        const row = await this.loadKey('k.id = ?', keyId);
+        if (!row || String(row.allowed_ip_id) !== claims.sub) {
+            throw new ServiceError('Invalid access token', 'INVALID_CREDENTIAL', 401);
+        }
+
+        return this.toIdentity(row, 'jwt');
+    }
+
+    /**
+     * Checks the secret part of a key against the stored bcrypt hash, skipping bcrypt
+     * if the same key matched the same hash within API_KEY_CACHE_TTL_MS
+     * @param {string} apiKey - The full key presented by the client
+     * @param {string} secret - The secret part of the key
+     * @param {Object} row - The api_keys row the key's prefix selected
+     * @returns {Promise<boolean>} - Whether the secret matches
+     */
+    async secretMatches(apiKey, secret, row) {
+        const cacheKey = sha256(apiKey);
+        const cached = this.verifiedSecrets.get(cacheKey);
+        if (cached && cached.keyHash === row.key_hash && Date.now() - cached.checkedAt < this.cacheTtlMs) {
+            return true;
+        }
+
+        if (!(await bcrypt.compare(secret, row.key_hash))) {
+            return false;
+        }
+
+        this.verifiedSecrets.set(cacheKey, { keyHash: row.key_hash, checkedAt: Date.now() });
+        return true;
+    }
+
+    async loadKey(condition, value) {
+        return this.db.get(
+            `SELECT k.*, a.system_name, a.description, a.is_active
+             FROM api_keys k
+             JOIN allowed_ips a ON a.id = k.allowed_ip_id
+             WHERE ${condition}`,
+            [value]
+        );
+    }
+
+    toIdentity(row, method) {
+        const status = keyStatus(row);
+        if (status !== 'active') {
+            throw new ServiceError(`Credential has been ${status}`, 'INVALID_CREDENTIAL', 401);
+        }
+        if (!row.is_active) {
+            throw new ServiceError('Credential belongs to a deactivated system', 'INVALID_CREDENTIAL', 401);
+        }
+
+        this.touch(row);
+
+        return {
+            id: row.allowed_ip_id,
+            systemName: row.system_name,
+            description: row.description,
+            apiKeyId: row.id,
+            authMethod: method
+        };
+    }
+
+    touch(row) {
+        const lastUsed = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+        if (Date.now() - lastUsed < LAST_USED_UPDATE_INTERVAL_MS) {
+            return;
+        }
+
+        row.last_used_at = new Date();
+        this.db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [row.last_used_at, row.id])
+            .catch((error) => logger.error(`Failed to update API key usage: ${error.message}`));
+    }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,64 @@
+/**
+ * Records admin changes in admin_audit_log and lists them
+ */
+class AuditLog {
+    constructor({ db }) {
+        this.db = db;
+    }
+
+    /**
+     * Records an admin change in the audit log. Pass the transaction handle
+     * so the audit row is committed or rolled back together with the change.
+     * @param {Object} tx - Transaction handle from db.transaction()
+     * @param {Object} actor - The admin performing the change ({ name, ip })
+     * @param {string} action - What was done (e.g. CREATE, UPDATE, DELETE)
+     * @param {string} entityType - The kind of record changed (e.g. 'allowed_ip')
+     * @param {number} entityId - The id of the changed record
+     * @param {Object} changes - What changed
+     */
+    async record(tx, actor, action, entityType, entityId, changes) {
+        await tx.run(
+            'INSERT INTO admin_audit_log (actor, actor_ip, action, entity_type, entity_id, changes) VALUES (?, ?, ?, ?, ?, ?)',
+            [actor.name, actor.ip || null, action, entityType, entityId, JSON.stringify(changes)]
+        );
+    }
+
+    /**
+     * Lists audit log entries, newest first
+     * @param {Object} filters - Optional entityType, entityId and limit
+     * @returns {Promise<Array>} - Audit log entries
+     */
+    async list({ entityType, entityId, limit = 100 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (entityType) {
+            conditions.push('entity_type = ?');
+            params.push(entityType);
+        }
+        if (entityId) {
+            conditions.push('entity_id = ?');
+            params.push(entityId);
+        }
+
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        // LIMIT is interpolated because prepared statements reject it as a parameter
+        const rows = await this.db.query(
+            `SELECT * FROM admin_audit_log${where} ORDER BY id DESC LIMIT ${parseInt(limit, 10)}`,
+            params
+        );
+
+        return rows.map((row) => ({
+            id: row.id,
+            actor: row.actor,
+            actorIp: row.actor_ip,
+            action: row.action,
+            entityType: row.entity_type,
+            entityId: row.entity_id,
+            changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes,
+            createdAt: row.created_at
+        }));
+    }
+}
+
+module.exports = AuditLog;
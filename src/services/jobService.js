@@ -0,0 +1,248 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { ServiceError } = require('../utils/errors');
+const { FieldProtector, parseEncryptionKeys } = require('../utils/fieldProtector');
+const { VERIFICATION_FIELDS } = require('../utils/verificationFields');
+
+// Claimable: waiting jobs that are due, or jobs whose worker stopped renewing its lock (e.g. crashed or restarted)
+const CLAIMABLE = "((status = 'PENDING' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)) OR (status = 'PROCESSING' AND locked_at < ?))";
+
+// Encrypted in request_data and result; the worker and the polling system read them back
+const JOB_FIELD_POLICY = {
+    ...Object.fromEntries(['nid', ...Object.keys(VERIFICATION_FIELDS)].map((field) => [`request.${field}`, 'encrypt'])),
+    'result.data.nid': 'encrypt',
+    'result.data.personDetails': 'encrypt'
+};
+
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Maps a verification_jobs row to the shape returned by GET /api/nid/jobs/:id.
+ * A job being worked on is still reported as pending to the caller.
+ * @param {Object} row - Database row
+ * @returns {Object} - API representation of the job
+ */
+function toJob(row, protector) {
+    const status = row.status === 'COMPLETED' ? 'completed' : row.status === 'FAILED' ? 'failed' : 'pending';
+
+    const job = {
+        jobId: row.id,
+        status,
+        createdAt: row.created_at,
+        completedAt: row.completed_at
+    };
+
+    if (status !== 'pending') {
+        job.statusCode = row.status_code;
+        job.result = protector.reveal(parseJson(row.result));
+    }
+
+    return job;
+}
+
+/**
+ * Persists asynchronous verification jobs in the database so they survive a
+ * restart. The NID, the submitted details and the record in a result are
+ * encrypted with the request log keys, so jobs are refused without them.
+ */
+class JobService {
+    constructor({ db }) {
+        this.db = db;
+        // Workers renew their locks every third of this while a job is processed
+        this.lockTimeoutMs = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 2 * 60 * 1000;
+        this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+        // Backoff for jobs put back in the queue while the external service is unavailable
+        this.retryBaseMs = parseInt(process.env.JOB_RETRY_BASE_MS) || 30 * 1000;
+        this.retryMaxMs = parseInt(process.env.JOB_RETRY_MAX_MS) || 10 * 60 * 1000;
+        this.resultTtlHours = parseInt(process.env.JOB_RESULT_TTL_HOURS) || 24;
+
+        const encryptionKeys = parseEncryptionKeys(process.env.REQUEST_LOG_ENCRYPTION_KEYS);
+        this.protector = new FieldProtector({ encryptionKeys, policy: JOB_FIELD_POLICY });
+        this.enabled = encryptionKeys.length > 0;
+        if (!this.enabled) {
+            logger.warn('REQUEST_LOG_ENCRYPTION_KEYS is missing - asynchronous verification jobs are refused');
+        }
+    }
+
+    /**
+     * Queues a verification
+     * @param {Object} input - Validated { nid } and the verification fields to check
+     * @param {Object} systemInfo - Calling system resolved by the whitelist
+     * @param {Object} options - { bypassCache } carried over from the submitting request
+     * @returns {Promise<Object>} - The queued job
+     */
+    async createJob(input, systemInfo, { bypassCache = false } = {}) {
+        if (!this.enabled) {
+            throw new ServiceError('Asynchronous verification jobs are not configured', 'SERVICE_UNAVAILABLE', 503);
+        }
+
+        const id = uuidv4();
+        const { request } = this.protector.protect({ request: input });
+
+        await this.db.run(
+            'INSERT INTO verification_jobs (id, system_id, system_name, client_ip, request_data) VALUES (?, ?, ?, ?, ?)',
+            [
+                id,
+                systemInfo?.id || null,
+                systemInfo?.systemName || null,
+                systemInfo?.ip || null,
+                JSON.stringify({ ...request, bypassCache })
+            ]
+        );
+
+        logger.info(`Verification job ${id} queued for ${systemInfo?.systemName}`);
+        return this.getJob(id, systemInfo?.systemName);
+    }
+
+    /**
+     * Gets a job. Systems can only see their own jobs.
+     * @param {string} id - Job ID
+     * @param {string} systemName - The calling system
+     * @returns {Promise<Object>} - The job
+     */
+    async getJob(id, systemName) {
+        const row = await this.db.get('SELECT * FROM verification_jobs WHERE id = ?', [id]);
+        if (!row || row.system_name !== systemName) {
+            throw new ServiceError(`Job ${id} not found`, 'JOB_NOT_FOUND', 404);
+        }
+        return toJob(row, this.protector);
+    }
+
+    /**
+     * Claims up to `limit` jobs for a worker. Each claim is a conditional update,
+     * so two workers never process the same job.
+     * @param {string} workerId - Identifies the claiming worker
+     * @param {number} limit - Maximum jobs to claim
+     * @returns {Promise<Array<Object>>} - Claimed jobs with their request data
+     */
+    async claimJobs(workerId, limit) {
+        const now = new Date();
+        const staleBefore = new Date(now.getTime() - this.lockTimeoutMs);
+
+        // LIMIT is interpolated because prepared statements reject it as a parameter
+        const candidates = await this.db.query(
+            `SELECT id FROM verification_jobs WHERE ${CLAIMABLE} ORDER BY created_at LIMIT ${parseInt(limit, 10)}`,
+            [now, staleBefore]
+        );
+
+        const claimed = [];
+        for (const candidate of candidates) {
+            const result = await this.db.run(
+                `UPDATE verification_jobs
+                 SET status = 'PROCESSING', locked_by = ?, locked_at = ?, attempts = attempts + 1
+                 WHERE id = ? AND ${CLAIMABLE}`,
+                [workerId, new Date(), candidate.id, now, staleBefore]
+            );
+
+            if (result.changes === 1) {
+                const row = await this.db.get('SELECT * FROM verification_jobs WHERE id = ?', [candidate.id]);
+                const { bypassCache, ...input } = this.protector.reveal(parseJson(row.request_data));
+                claimed.push({
+                    id: row.id,
+                    attempts: row.attempts,
+                    systemInfo: {
+                        id: row.system_id,
+                        systemName: row.system_name,
+                        ip: row.client_ip
+                    },
+                    input,
+                    bypassCache: Boolean(bypassCache)
+                });
+            }
+        }
+
+        return claimed;
+    }
+
+    /**
+     * Moves a worker's lock forward so the job is not reclaimed while it is still being processed
+     * @param {string} id - Job ID
+     * @param {string} workerId - The worker that claimed it
+     * @returns {Promise<boolean>} - False if the job was reclaimed by another worker meanwhile
+     */
+    async renewLock(id, workerId) {
+        const update = await this.db.run(
+            "UPDATE verification_jobs SET locked_at = ? WHERE id = ? AND locked_by = ? AND status = 'PROCESSING'",
+            [new Date(), id, workerId]
+        );
+        return update.changes === 1;
+    }
+
+    /**
+     * Stores a job's outcome, provided the worker still holds it
+     * @param {string} id - Job ID
+     * @param {string} workerId - The worker that claimed it
+     * @param {Object} outcome - { statusCode, result } where result is the /verify response body
+     * @returns {Promise<boolean>} - False if the job was reclaimed by another worker meanwhile
+     */
+    async completeJob(id, workerId, { statusCode, result }) {
+        const status = statusCode < 400 ? 'COMPLETED' : 'FAILED';
+        const update = await this.db.run(
+            `UPDATE verification_jobs
+             SET status = ?, status_code = ?, result = ?, completed_at = ?, locked_by = NULL, locked_at = NULL
+             WHERE id = ? AND locked_by = ?`,
+            [status, statusCode, JSON.stringify(this.protector.protect({ result }).result), new Date(), id, workerId]
+        );
+
+        if (update.changes !== 1) {
+            logger.warn(`Verification job ${id} was reclaimed before ${workerId} finished it`);
+            return false;
+        }
+
+        logger.info(`Verification job ${id} ${status.toLowerCase()}`);
+        return true;
+    }
+
+    /**
+     * Puts a job back in the queue after a transient failure, to be claimed again after
+     * an exponential backoff, provided the worker still holds it
+     * @param {Object} job - The claimed job
+     * @param {string} workerId - The worker that claimed it
+     * @param {number} minDelayMs - Wait at least this long (e.g. until the upstream circuit may close)
+     * @returns {Promise<boolean>} - False if the job was reclaimed by another worker meanwhile
+     */
+    async requeueJob(job, workerId, minDelayMs = 0) {
+        const nextAttemptAt = new Date(Date.now() + Math.max(this.retryDelayMs(job.attempts), minDelayMs));
+        const update = await this.db.run(
+            `UPDATE verification_jobs
+             SET status = 'PENDING', next_attempt_at = ?, locked_by = NULL, locked_at = NULL
+             WHERE id = ? AND locked_by = ?`,
+            [nextAttemptAt, job.id, workerId]
+        );
+
+        if (update.changes !== 1) {
+            logger.warn(`Verification job ${job.id} was reclaimed before ${workerId} put it back`);
+            return false;
+        }
+
+        logger.info(`Verification job ${job.id} put back after attempt ${job.attempts}, next attempt at ${nextAttemptAt.toISOString()}`);
+        return true;
+    }
+
+    /**
+     * Delay before the next attempt: base * 2^(attempts - 1) with up to 10% jitter, capped
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} - Delay in milliseconds
+     */
+    retryDelayMs(attempts) {
+        const delay = this.retryBaseMs * 2 ** Math.max(attempts - 1, 0) * (1 + Math.random() * 0.1);
+        return Math.round(Math.min(delay, this.retryMaxMs));
+    }
+
+    /**
+     * Removes finished jobs (and the personal data in them) once their results have been available long enough
+     * @returns {Promise<number>} - Number of jobs removed
+     */
+    async purgeFinished() {
+        const cutoff = new Date(Date.now() - this.resultTtlHours * 60 * 60 * 1000);
+        const result = await this.db.run(
+            "DELETE FROM verification_jobs WHERE status IN ('COMPLETED', 'FAILED') AND completed_at < ?",
+            [cutoff]
+        );
+        return result.changes;
+    }
+}
+
+module.exports = JobService;
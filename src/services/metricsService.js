@@ -0,0 +1,133 @@
+const client = require('prom-client');
+const RequestStatsService = require('./requestStatsService');
+
+const PREFIX = 'nid_service_';
+// The request_stats latency buckets, in seconds
+const DURATION_BUCKETS = RequestStatsService.latencyBuckets.map((ms) => ms / 1000);
+
+/**
+ * Names the result of an upstream call for the outcome label: the HTTP status
+ * upstream answered with, circuit_open when the breaker refused the call, or
+ * error when upstream could not be reached
+ */
+function upstreamOutcome(result, error) {
+    if (!error) {
+        return result?.status ? String(result.status) : 'success';
+    }
+    if (error.response?.status) {
+        return String(error.response.status);
+    }
+    return error.code === 'SERVICE_UNAVAILABLE' && !error.isAxiosError ? 'circuit_open' : 'error';
+}
+
+/**
+ * Prometheus metrics for this instance, kept in a registry of its own so each
+ * app (and each test) starts from zero. Counters are per process; Prometheus
+ * sums them across instances.
+ */
+class MetricsService {
+    constructor({ db }) {
+        this.db = db;
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+        this.httpRequests = new client.Counter({
+            name: `${PREFIX}http_requests_total`,
+            help: 'HTTP requests by route, method, calling system and response code',
+            labelNames: ['route', 'method', 'system', 'status_code'],
+            registers: [this.registry]
+        });
+        this.httpDuration = new client.Histogram({
+            name: `${PREFIX}http_request_duration_seconds`,
+            help: 'HTTP request latency by route, method, calling system and response code',
+            labelNames: ['route', 'method', 'system', 'status_code'],
+            buckets: DURATION_BUCKETS,
+            registers: [this.registry]
+        });
+        this.upstreamDuration = new client.Histogram({
+            name: `${PREFIX}upstream_request_duration_seconds`,
+            help: 'Calls to the external NID service, including retries, by operation and outcome',
+            labelNames: ['operation', 'outcome'],
+            buckets: DURATION_BUCKETS,
+            registers: [this.registry]
+        });
+        this.tokenRefreshes = new client.Counter({
+            name: `${PREFIX}upstream_token_refreshes_total`,
+            help: 'Upstream access token refreshes by result',
+            labelNames: ['result'],
+            registers: [this.registry]
+        });
+        this.whitelistDenials = new client.Counter({
+            name: `${PREFIX}whitelist_denials_total`,
+            help: 'Requests refused because the client IP is not whitelisted',
+            registers: [this.registry]
+        });
+
+        const metrics = this;
+        this.dbPool = new client.Gauge({
+            name: `${PREFIX}db_pool_connections`,
+            help: 'Database connection pool: limit, open, idle and busy connections, and requests queued for one',
+            labelNames: ['state'],
+            registers: [this.registry],
+            collect() {
+                const stats = metrics.db.poolStats();
+                if (!stats) {
+                    return;
+                }
+                for (const [state, value] of Object.entries(stats)) {
+                    this.set({ state }, value);
+                }
+            }
+        });
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    /**
+     * @returns {Promise<string>} - Every metric in Prometheus text format
+     */
+    render() {
+        return this.registry.metrics();
+    }
+
+    /**
+     * Counts a finished HTTP request
+     * @param {Object} labels - { route, method, system, statusCode }
+     * @param {number} seconds - Time from arrival to the response being sent
+     */
+    observeHttpRequest({ route, method, system, statusCode }, seconds) {
+        const labels = { route, method, system, status_code: String(statusCode) };
+        this.httpRequests.inc(labels);
+        this.httpDuration.observe(labels, seconds);
+    }
+
+    /**
+     * Times a call to the external service and records its outcome
+     * @param {string} operation - authenticate, verify_nid or photo_fetch
+     * @param {Function} call - Makes the call
+     * @returns {Promise<*>} - The call's result
+     */
+    async observeUpstream(operation, call) {
+        const end = this.upstreamDuration.startTimer({ operation });
+        try {
+            const result = await call();
+            end({ outcome: upstreamOutcome(result) });
+            return result;
+        } catch (error) {
+            end({ outcome: upstreamOutcome(null, error) });
+            throw error;
+        }
+    }
+
+    countTokenRefresh(result) {
+        this.tokenRefreshes.inc({ result });
+    }
+
+    countWhitelistDenial() {
+        this.whitelistDenials.inc();
+    }
+}
+
+module.exports = MetricsService;
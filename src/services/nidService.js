@@ -1,14 +1,133 @@
 const axios = require('axios');
+const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { ServiceError } = require('../utils/errors');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { withRetry } = require('../utils/retry');
 const { fetchImageAsBase64, isValidImageUrl } = require('../utils/imageUtils');
+const { listFields } = require('../utils/verificationFields');
+const { maskNid } = require('../utils/redaction');
+
+// Transient failures worth another attempt for calls that are safe to repeat (the token
+// request and the photo download): network errors, timeouts and gateway errors
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_STATUS_CODES = [502, 503, 504];
+
+// Upstream bills a verification it has received, so one is only sent again when it cannot have
+// arrived: the connection was refused or the host name did not resolve. After a timeout or a
+// 5xx upstream may already have processed (and charged) it.
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+/**
+ * True if upstream could not be reached or failed on its side (timeout, network error, 5xx)
+ */
+function isUpstreamFailure(error) {
+    return Boolean(error.isAxiosError) && (!error.response || error.response.status >= 500);
+}
+
+/**
+ * True for transient failures of a call that only reads (network trouble, timeouts, gateway errors)
+ */
+function isRetryable(error) {
+    if (!error?.isAxiosError) {
+        return false;
+    }
+    if (error.response) {
+        return RETRYABLE_STATUS_CODES.includes(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * True if a verification never reached upstream: the connection was not established, or it was
+ * reset on a reused keep-alive connection upstream had already closed, before reading the request
+ */
+function isUnsent(error) {
+    if (!error.isAxiosError || error.response) {
+        return false;
+    }
+    return CONNECT_ERROR_CODES.includes(error.code)
+        || (error.code === 'ECONNRESET' && Boolean(error.request?.reusedSocket));
+}
 
 class NIDService {
-    constructor() {
+    /**
+     * @param {Object} deps - tokenStore shares the upstream token between instances; webhookService announces outages; metricsService times upstream calls
+     */
+    constructor({ tokenStore, webhookService, metricsService }) {
+        this.tokenStore = tokenStore;
+        this.webhookService = webhookService;
+        this.metricsService = metricsService;
         this.baseURL = process.env.NID_SERVICE_BASE_URL;
         this.username = process.env.NID_SERVICE_USERNAME;
         this.password = process.env.NID_SERVICE_PASSWORD;
         this.accessToken = null;
         this.tokenExpiry = null;
+        // Refresh this long before the token expires so requests never carry a stale token
+        this.refreshMarginMs = parseInt(process.env.NID_TOKEN_REFRESH_MARGIN_MS) || 5 * 60 * 1000;
+        // Used only when upstream gives no way to tell when the token expires
+        this.defaultTokenTtlMs = parseInt(process.env.NID_TOKEN_DEFAULT_TTL_MS) || 60 * 60 * 1000;
+        this.loginLockTimeoutSeconds = parseInt(process.env.NID_LOGIN_LOCK_TIMEOUT_SECONDS) || 30;
+        this.refreshing = null;
+        this.requestTimeoutMs = parseInt(process.env.NID_REQUEST_TIMEOUT_MS) || 30000;
+        this.retryOptions = {
+            retries: Math.max(parseInt(process.env.NID_RETRY_ATTEMPTS ?? 2, 10) || 0, 0),
+            baseDelayMs: parseInt(process.env.NID_RETRY_BASE_DELAY_MS) || 200,
+            maxDelayMs: parseInt(process.env.NID_RETRY_MAX_DELAY_MS) || 2000
+        };
+        this.breaker = new CircuitBreaker({
+            name: 'External NID service',
+            failureThreshold: parseInt(process.env.NID_BREAKER_FAILURE_THRESHOLD) || 5,
+            resetTimeoutMs: parseInt(process.env.NID_BREAKER_RESET_TIMEOUT_MS) || 30000,
+            isFailure: isUpstreamFailure,
+            onStateChange: (from, to, error) => this.onCircuitStateChange(from, to, error)
+        });
+    }
+
+    /**
+     * Makes a call to the external service with retries for transient failures,
+     * through the circuit breaker
+     * @param {string} operation - Name used in log messages
+     * @param {Function} request - Performs the axios call
+     * @param {Function} shouldRetry - Failures worth another attempt; isRetryable unless the call must not be repeated
+     * @returns {Promise<Object>} - The axios response
+     */
+    callUpstream(operation, request, shouldRetry = isRetryable) {
+        return this.breaker.execute(() => withRetry(request, {
+            ...this.retryOptions,
+            shouldRetry,
+            onRetry: (error, attempt, delayMs) => {
+                logger.warn(`${operation} failed (${error.message}), retry ${attempt}/${this.retryOptions.retries} in ${delayMs}ms`);
+            }
+        }));
+    }
+
+    onCircuitStateChange(from, to, error) {
+        if (to === 'open') {
+            logger.error(`Circuit to external NID service opened after ${this.breaker.consecutiveFailures} consecutive failures: ${error?.message}`);
+        } else {
+            logger.info(`Circuit to external NID service ${from} -> ${to}`);
+        }
+
+        // Tell subscribed systems about outages, not about every failed probe
+        if (from === 'closed' && to === 'open') {
+            this.webhookService.emit('upstream.down', {
+                downSince: new Date().toISOString(),
+                consecutiveFailures: this.breaker.consecutiveFailures,
+                error: error?.message
+            });
+        } else if (to === 'closed') {
+            this.webhookService.emit('upstream.recovered', {
+                recoveredAt: new Date().toISOString()
+            });
+        }
+    }
+
+    /**
+     * @returns {Object} - Circuit breaker state for /health and /status
+     */
+    getCircuitState() {
+        return this.breaker.getState();
     }
 
     async authenticate() {
@@ -23,24 +142,25 @@ class NIDService {
             
             logger.info('Authentication payload prepared (password hidden)');
             
-            const response = await axios.post(`${this.baseURL}/auth/login`, authPayload, {
+            const response = await this.metricsService.observeUpstream('authenticate', () => this.callUpstream('Authentication', () => axios.post(`${this.baseURL}/auth/login`, authPayload, {
                 headers: {
                     'Content-Type': 'application/json',
                     'User-Agent': 'NID-Verification-Service/1.0.0'
                 },
-                timeout: 30000,
+                timeout: this.requestTimeoutMs,
                 validateStatus: (status) => status < 500 // Accept all status codes below 500
-            });
+            })));
 
             logger.info(`Authentication response received - Status: ${response.status}`);
-            logger.info(`Response data: ${JSON.stringify(response.data, null, 2)}`);
 
             if (response.data.status === 'OK' && response.data.success?.data?.access_token) {
                 this.accessToken = response.data.success.data.access_token;
-                // Set token expiry (assuming 1 hour from now, adjust based on actual token expiry)
-                this.tokenExpiry = new Date(Date.now() + 60 * 60 * 1000);
-                logger.info('Successfully authenticated with NID service');
-                return true;
+                this.tokenExpiry = this.resolveTokenExpiry(response.data.success.data, this.accessToken);
+                logger.info(`Successfully authenticated with NID service, token expires at ${this.tokenExpiry.toISOString()}`);
+                return {
+                    token: this.accessToken,
+                    expiresAt: this.tokenExpiry
+                };
             } else {
                 logger.error('Authentication failed: Invalid response format');
                 logger.error(`Expected status: OK, got: ${response.data.status}`);
@@ -52,77 +172,202 @@ class NIDService {
             
             if (error.response) {
                 logger.error(`Response status: ${error.response.status}`);
-                logger.error(`Response data: ${JSON.stringify(error.response.data, null, 2)}`);
-                logger.error(`Response headers: ${JSON.stringify(error.response.headers, null, 2)}`);
             } else if (error.request) {
                 logger.error('No response received from server');
-                logger.error(`Request details: ${JSON.stringify(error.request, null, 2)}`);
+                // The request object itself is circular and carries the credentials, so only say where it went
+                logger.error(`Request details: ${error.config?.method?.toUpperCase()} ${error.config?.url}`);
             } else {
                 logger.error('Error setting up request:', error.message);
             }
             
-            throw new Error(`Authentication failed: ${error.message}`);
+            throw new ServiceError(`Authentication failed: ${error.message}`, 'SERVICE_UNAVAILABLE', 503, error.details || null);
         }
     }
 
+    /**
+     * Works out when an upstream token expires: from the login response if it says,
+     * otherwise from the token's own exp claim, otherwise the configured default
+     * @param {Object} loginData - The success.data object of the login response
+     * @param {string} token - The access token
+     * @returns {Date} - Token expiry
+     */
+    resolveTokenExpiry(loginData, token) {
+        const expiresIn = parseInt(loginData.expires_in ?? loginData.expiresIn, 10);
+        if (expiresIn > 0) {
+            return new Date(Date.now() + expiresIn * 1000);
+        }
+
+        const expiresAt = new Date(loginData.expires_at ?? loginData.expiresAt ?? NaN);
+        if (!isNaN(expiresAt.getTime())) {
+            return expiresAt;
+        }
+
+        const claims = jwt.decode(token);
+        if (claims && typeof claims.exp === 'number') {
+            return new Date(claims.exp * 1000);
+        }
+
+        logger.warn(`Could not determine upstream token expiry, assuming ${this.defaultTokenTtlMs}ms`);
+        return new Date(Date.now() + this.defaultTokenTtlMs);
+    }
+
     async ensureValidToken() {
-        if (!this.accessToken || (this.tokenExpiry && new Date() >= this.tokenExpiry)) {
-            await this.authenticate();
+        if (this.accessToken && this.tokenExpiry) {
+            const remainingMs = this.tokenExpiry.getTime() - Date.now();
+
+            if (remainingMs > this.refreshMarginMs) {
+                return;
+            }
+
+            // Still usable - refresh in the background instead of making this request wait
+            if (remainingMs > 0) {
+                this.refreshToken().catch((error) => {
+                    logger.error(`Background token refresh failed: ${error.message}`);
+                });
+                return;
+            }
+        }
+
+        await this.refreshToken();
+    }
+
+    /**
+     * Refreshes the token, sharing a single in-flight refresh between concurrent callers
+     * @returns {Promise<void>}
+     */
+    refreshToken() {
+        if (!this.refreshing) {
+            this.refreshing = this.acquireToken()
+                .then(() => this.metricsService.countTokenRefresh('success'), (error) => {
+                    this.metricsService.countTokenRefresh('failure');
+                    throw error;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
+    async acquireToken() {
+        // Another instance may already have logged in
+        if (await this.adoptStoredToken()) {
+            return;
+        }
+
+        let lockAcquired = false;
+        try {
+            await this.tokenStore.withRefreshLock(this.loginLockTimeoutSeconds, async () => {
+                lockAcquired = true;
+                await this.loginUnlessStored();
+            });
+        } catch (error) {
+            if (lockAcquired) {
+                throw error;
+            }
+
+            // Don't let a lock problem stop us from talking to upstream
+            logger.warn(`Upstream login lock unavailable (${error.message}), logging in without it`);
+            await this.loginUnlessStored();
+        }
+    }
+
+    async loginUnlessStored() {
+        // Re-check once we hold the lock: the previous holder has probably just stored a token
+        if (await this.adoptStoredToken()) {
+            return;
+        }
+
+        const { token, expiresAt } = await this.authenticate();
+
+        try {
+            await this.tokenStore.saveToken(token, expiresAt);
+        } catch (error) {
+            logger.error(`Failed to store upstream access token: ${error.message}`);
+        }
+    }
+
+    /**
+     * Uses the shared token if it is valid for longer than the refresh margin
+     * @returns {Promise<boolean>} - True if a stored token was adopted
+     */
+    async adoptStoredToken() {
+        try {
+            const stored = await this.tokenStore.getValidToken(this.refreshMarginMs);
+            if (!stored) {
+                return false;
+            }
+
+            if (stored.token !== this.accessToken) {
+                logger.info(`Using shared upstream access token, expires at ${stored.expiresAt.toISOString()}`);
+            }
+            this.accessToken = stored.token;
+            this.tokenExpiry = stored.expiresAt;
+            return true;
+        } catch (error) {
+            logger.error(`Failed to read shared upstream access token: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Drops a token upstream has rejected, locally and in the shared store
+     */
+    async invalidateToken() {
+        const rejectedToken = this.accessToken;
+        this.accessToken = null;
+        this.tokenExpiry = null;
+
+        if (rejectedToken) {
+            try {
+                await this.tokenStore.discardToken(rejectedToken);
+            } catch (error) {
+                logger.error(`Failed to discard rejected upstream access token: ${error.message}`);
+            }
         }
     }
 
     /**
      * Generates a specific message based on verification details
-     * @param {Object} fieldVerificationResult - The field verification results
+     * @param {Object} fieldVerificationResult - The field verification results, true for each field that matched
      * @returns {string} - A specific message describing which fields match/don't match
      */
     generateVerificationMessage(fieldVerificationResult) {
-        const { nameEn, dateOfBirth } = fieldVerificationResult || {};
-        
+        const fields = Object.keys(fieldVerificationResult || {});
+        const matched = fields.filter((field) => fieldVerificationResult[field] === true);
+        const mismatched = fields.filter((field) => fieldVerificationResult[field] === false);
+
         // If all fields match
-        if (nameEn === true && dateOfBirth === true) {
+        if (matched.length > 0 && mismatched.length === 0) {
             return 'NID verification successful - all provided information matches';
         }
-        
-        // If no fields match
-        if (nameEn === false && dateOfBirth === false) {
-            return 'NID found but provided name and date of birth do not match the records';
-        }
-        
-        // If only name matches
-        if (nameEn === true && dateOfBirth === false) {
-            return 'NID found and name matches, but provided date of birth does not match the records';
-        }
-        
-        // If only date of birth matches
-        if (nameEn === false && dateOfBirth === true) {
-            return 'NID found and date of birth matches, but provided name does not match the records';
+
+        if (mismatched.length > 0) {
+            const doNot = mismatched.length > 1 ? 'do not match' : 'does not match';
+
+            // If no fields match
+            if (matched.length === 0) {
+                return `NID found but provided ${listFields(mismatched)} ${doNot} the records`;
+            }
+
+            return `NID found and ${listFields(matched)} ${matched.length > 1 ? 'match' : 'matches'}, but provided ${listFields(mismatched)} ${doNot} the records`;
         }
-        
+
         // Default fallback
         return 'NID found but verification data does not match';
     }
 
-    async verifyNID(nid, dateOfBirth, nameEn) {
-        try {
+    /**
+     * Posts a verification request. A 401 means upstream no longer accepts our token,
+     * so log in again and repeat the request once; a second 401 is not retried.
+     * @param {Object} requestPayload - The verification request body
+     * @returns {Promise<Object>} - The axios response (any status below 500 other than 401)
+     */
+    async postVerification(requestPayload) {
+        for (let attempt = 1; ; attempt++) {
             await this.ensureValidToken();
 
-            // Determine NID type based on length
-            const nidType = nid.length === 17 ? 'nid17Digit' : 'nid10Digit';
-            
-            const requestPayload = {
-                identify: {
-                    [nidType]: nid
-                },
-                verify: {
-                    nameEn: nameEn,
-                    dateOfBirth: dateOfBirth
-                }
-            };
-
-            logger.info(`Verifying NID: ${nid} (${nidType})`);
-
-            const response = await axios.post(
+            const response = await this.metricsService.observeUpstream('verify_nid', () => this.callUpstream('NID verification', () => axios.post(
                 `${this.baseURL}/voter/demographic/verification`,
                 requestPayload,
                 {
@@ -131,21 +376,58 @@ class NIDService {
                         'Authorization': `Bearer ${this.accessToken}`,
                         'User-Agent': 'NID-Verification-Service/1.0.0'
                     },
-                    timeout: 30000,
+                    timeout: this.requestTimeoutMs,
+                    // Keeps error.request the request itself, which tells whether its connection was reused
+                    maxRedirects: 0,
                     validateStatus: (status) => status < 500 // Accept all status codes below 500
                 }
-            );
+            ), isUnsent));
+
+            if (response.status !== 401) {
+                return response;
+            }
+
+            if (attempt > 1) {
+                throw new ServiceError('Authentication failed: upstream rejected a freshly issued access token', 'SERVICE_UNAVAILABLE', 503);
+            }
+
+            logger.info('Token expired, attempting re-authentication...');
+            await this.invalidateToken();
+        }
+    }
+
+    /**
+     * Checks demographic details against the record of an NID
+     * @param {string} nid - 10 or 17 digits, without spaces (13-digit NIDs expanded)
+     * @param {Object} fields - The details to check, e.g. { nameEn, dateOfBirth, father }
+     * @returns {Promise<Object>} - { verified, data, fieldVerificationResult, message }
+     */
+    async verifyNID(nid, fields) {
+        // Upstream leaves out fields it could not check; report those as not matching
+        const unmatched = Object.fromEntries(Object.keys(fields).map((field) => [field, false]));
+
+        try {
+            // Determine NID type based on length
+            const nidType = nid.length === 17 ? 'nid17Digit' : 'nid10Digit';
+            
+            const requestPayload = {
+                identify: {
+                    [nidType]: nid
+                },
+                verify: fields
+            };
+
+            logger.info(`Verifying NID: ${maskNid(nid)} (${nidType})`);
+
+            const response = await this.postVerification(requestPayload);
 
             // Handle different response status codes
             if (response.status === 406) {
                 // 406 means the verification data doesn't match, but we can still get field-level results
-                logger.warn(`NID verification data mismatch for ${nid}: Name or DOB doesn't match records`);
+                logger.warn(`NID verification data mismatch for ${maskNid(nid)}: provided details don't match records`);
                 logger.info(`406 Response field results:`, response.data.fieldVerificationResult);
                 
-                const fieldVerificationResult = response.data.fieldVerificationResult || {
-                    nameEn: false,
-                    dateOfBirth: false
-                };
+                const fieldVerificationResult = { ...unmatched, ...response.data.fieldVerificationResult };
                 
                 const result = {
                     success: true,
@@ -164,12 +446,9 @@ class NIDService {
             }
 
             if (response.data.status === 'OK') {
-                logger.info(`External API response for ${nid}:`, JSON.stringify(response.data, null, 2));
-                logger.info(`Response status: ${response.status}`);
-                logger.info(`Response data keys:`, Object.keys(response.data));
-                logger.info(`Success object keys:`, response.data.success ? Object.keys(response.data.success) : 'No success object');
+                logger.info(`External API response for ${maskNid(nid)} - Status: ${response.status}`);
                 
-                const fieldVerificationResult = response.data.fieldVerificationResult || {};
+                const fieldVerificationResult = { ...unmatched, ...response.data.fieldVerificationResult };
                 
                 const result = {
                     success: true,
@@ -189,31 +468,29 @@ class NIDService {
                 }
                 
                 logger.info(`Parsed result - Verified: ${result.verified}, Field Results:`, result.fieldVerificationResult);
-                logger.info(`Full result object:`, JSON.stringify(result, null, 2));
                 return result;
             } else {
                 throw new Error(`Verification failed: ${response.data.statusCode || 'Unknown error'}`);
             }
         } catch (error) {
-            logger.error(`NID verification failed for ${nid}:`, error.message);
-            
-            // If it's an authentication error, try to re-authenticate once
-            if (error.response?.status === 401) {
-                logger.info('Token expired, attempting re-authentication...');
-                this.accessToken = null;
-                this.tokenExpiry = null;
-                return await this.verifyNID(nid, dateOfBirth, nameEn);
+            logger.error(`NID verification failed for ${maskNid(nid)}:`, error.message);
+
+            // Already classified (login failure, circuit open, token rejected)
+            if (error instanceof ServiceError) {
+                throw error;
+            }
+
+            // Still failing after retries: unreachable, timed out or a server error
+            if (isUpstreamFailure(error)) {
+                throw new ServiceError(`NID verification failed: External NID service unavailable (${error.message})`, 'SERVICE_UNAVAILABLE', 503);
             }
             
             // Handle 406 status code from axios error
             if (error.response?.status === 406) {
-                logger.warn(`NID verification data mismatch for ${nid}: Name or DOB doesn't match records`);
+                logger.warn(`NID verification data mismatch for ${maskNid(nid)}: provided details don't match records`);
                 logger.info(`406 Error Response field results:`, error.response.data.fieldVerificationResult);
                 
-                const fieldVerificationResult = error.response.data.fieldVerificationResult || {
-                    nameEn: false,
-                    dateOfBirth: false
-                };
+                const fieldVerificationResult = { ...unmatched, ...error.response.data.fieldVerificationResult };
                 
                 const result = {
                     success: true,
@@ -242,14 +519,17 @@ class NIDService {
     async processPhoto(personData) {
         try {
             if (!personData.photo || !isValidImageUrl(personData.photo)) {
-                logger.warn(`Invalid or missing photo URL: ${personData.photo}`);
+                logger.warn('Invalid or missing photo URL');
                 return;
             }
 
             logger.info(`Processing photo for NID verification`);
             
             // Fetch and convert photo to base64
-            const base64Photo = await fetchImageAsBase64(personData.photo);
+            const base64Photo = await this.metricsService.observeUpstream('photo_fetch', () => withRetry(() => fetchImageAsBase64(personData.photo), {
+                ...this.retryOptions,
+                shouldRetry: (error) => isRetryable(error.cause)
+            }));
             
             // Replace the photo URL with base64 data
             personData.photo = base64Photo;
@@ -261,71 +541,6 @@ class NIDService {
             // Don't throw error to avoid breaking the main verification flow
         }
     }
-
-    validateNID(nid) {
-        if (!nid || typeof nid !== 'string') {
-            return { valid: false, error: 'NID is required and must be a string' };
-        }
-
-        const cleanNID = nid.replace(/\s/g, '');
-        
-        if (cleanNID.length !== 10 && cleanNID.length !== 17) {
-            return { valid: false, error: 'NID must be either 10 or 17 digits' };
-        }
-
-        if (!/^\d+$/.test(cleanNID)) {
-            return { valid: false, error: 'NID must contain only digits' };
-        }
-
-        return { valid: true, nid: cleanNID };
-    }
-
-    validateDateOfBirth(dateOfBirth) {
-        if (!dateOfBirth) {
-            return { valid: false, error: 'Date of birth is required' };
-        }
-
-        const date = new Date(dateOfBirth);
-        if (isNaN(date.getTime())) {
-            return { valid: false, error: 'Invalid date format. Use YYYY-MM-DD' };
-        }
-
-        const today = new Date();
-        if (date > today) {
-            return { valid: false, error: 'Date of birth cannot be in the future' };
-        }
-
-        // Check if person is at least 18 years old
-        const minAge = new Date();
-        minAge.setFullYear(minAge.getFullYear() - 18);
-        if (date > minAge) {
-            return { valid: false, error: 'Person must be at least 18 years old' };
-        }
-
-        return { valid: true, date: dateOfBirth };
-    }
-
-    validateNameEn(nameEn) {
-        if (!nameEn || typeof nameEn !== 'string') {
-            return { valid: false, error: 'Name is required and must be a string' };
-        }
-
-        const cleanName = nameEn.trim();
-        if (cleanName.length < 2) {
-            return { valid: false, error: 'Name must be at least 2 characters long' };
-        }
-
-        if (cleanName.length > 100) {
-            return { valid: false, error: 'Name must be less than 100 characters' };
-        }
-
-        // Basic validation for English characters, spaces, dots, and common punctuation
-        if (!/^[a-zA-Z\s\.\-']+$/.test(cleanName)) {
-            return { valid: false, error: 'Name contains invalid characters' };
-        }
-
-        return { valid: true, name: cleanName };
-    }
 }
 
-module.exports = new NIDService(); 
\ No newline at end of file
+module.exports = NIDService; 
\ No newline at end of file
@@ -0,0 +1,239 @@
+const logger = require('../utils/logger');
+const { ServiceError } = require('../utils/errors');
+const { systemKey } = require('../utils/systemKey');
+
+// Quota periods, with the allowed_ips field holding each limit. Periods are UTC calendar days and months.
+const PERIODS = {
+    daily: {
+        quotaField: 'dailyQuota',
+        label: 'Daily',
+        start: (now) => now.toISOString().slice(0, 10),
+        resetsAt: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1))
+    },
+    monthly: {
+        quotaField: 'monthlyQuota',
+        label: 'Monthly',
+        start: (now) => now.toISOString().slice(0, 7),
+        resetsAt: (now) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    }
+};
+
+/**
+ * Counts upstream verifications per system and enforces the daily and monthly
+ * quotas set on its whitelist entry. Counters are kept per system name, so all
+ * entries of a system draw on the same counts; each request is held to the
+ * quota of the entry it came in on. A system without a quota is still counted
+ * so it can see its usage.
+ */
+class QuotaService {
+    constructor({ db, webhookService }) {
+        this.db = db;
+        this.webhookService = webhookService;
+        // Fraction of a quota at which quota.near_exhaustion is sent
+        this.warningThreshold = parseFloat(process.env.QUOTA_WARNING_THRESHOLD) || 0.9;
+    }
+
+    usageKey(systemName, period) {
+        return `${systemKey(systemName)}:${period}`;
+    }
+
+    /**
+     * Builds the usage report for a system from its counters
+     * @param {Object} systemInfo - Calling system
+     * @param {Object} counts - Request counts keyed by period name
+     * @param {Date} now - Time the counts were read
+     * @returns {Object} - { daily, monthly }, each { period, used, limit, remaining, resetsAt }
+     */
+    describe(systemInfo, counts, now) {
+        const usage = {};
+        for (const [name, definition] of Object.entries(PERIODS)) {
+            const limit = systemInfo[definition.quotaField] ?? null;
+            const used = counts[name] || 0;
+            usage[name] = {
+                period: definition.start(now),
+                used,
+                limit,
+                remaining: limit === null ? null : Math.max(limit - used, 0),
+                resetsAt: definition.resetsAt(now)
+            };
+        }
+        return usage;
+    }
+
+    /**
+     * @param {Object} systemInfo - Calling system ({ id, systemName, dailyQuota, monthlyQuota })
+     * @returns {Promise<Object|null>} - Current usage, or null for a request without a system
+     */
+    async getUsage(systemInfo, now = new Date()) {
+        if (!systemInfo?.id) {
+            return null;
+        }
+
+        const counts = {};
+        for (const [name, definition] of Object.entries(PERIODS)) {
+            const row = await this.db.get(
+                'SELECT request_count FROM system_usage WHERE usage_key = ?',
+                [this.usageKey(systemInfo.systemName, definition.start(now))]
+            );
+            counts[name] = row ? row.request_count : 0;
+        }
+        return this.describe(systemInfo, counts, now);
+    }
+
+    /**
+     * Fails if either quota is already used up, without counting anything.
+     * Used where a verification is accepted now but made later (jobs).
+     * @param {Object} systemInfo - Calling system
+     * @returns {Promise<Object|null>} - Current usage
+     * @throws {ServiceError} - QUOTA_EXCEEDED
+     */
+    async check(systemInfo, now = new Date()) {
+        const usage = await this.getUsage(systemInfo, now);
+        const exhausted = usage && Object.keys(PERIODS).find((name) => usage[name].remaining === 0);
+        if (exhausted) {
+            throw this.exceededError(exhausted, systemInfo, usage, now);
+        }
+        return usage;
+    }
+
+    /**
+     * Counts one upstream verification against both quotas. Each counter is only
+     * incremented while below its limit, so concurrent requests cannot overshoot.
+     * @param {Object} systemInfo - Calling system
+     * @returns {Promise<Object|null>} - Usage including this verification
+     * @throws {ServiceError} - QUOTA_EXCEEDED, in which case nothing is counted
+     */
+    async consume(systemInfo, now = new Date()) {
+        if (!systemInfo?.id) {
+            return null;
+        }
+
+        const entries = Object.entries(PERIODS).map(([name, definition]) => ({
+            name,
+            key: this.usageKey(systemInfo.systemName, definition.start(now)),
+            period: definition.start(now),
+            limit: systemInfo[definition.quotaField] ?? null
+        }));
+
+        await this.db.insertIgnore('system_usage', entries.map(({ key, period }) => ({
+            usage_key: key,
+            system_name: systemInfo.systemName,
+            period,
+            request_count: 0
+        })));
+
+        let exhausted = null;
+        let counts;
+        try {
+            counts = await this.db.transaction(async (tx) => {
+                const result = {};
+                for (const { name, key, limit } of entries) {
+                    const { changes } = limit === null
+                        ? await tx.run('UPDATE system_usage SET request_count = request_count + 1 WHERE usage_key = ?', [key])
+                        : await tx.run(
+                            'UPDATE system_usage SET request_count = request_count + 1 WHERE usage_key = ? AND request_count < ?',
+                            [key, limit]
+                        );
+
+                    if (changes === 0) {
+                        // Rolls back any counter already incremented
+                        exhausted = name;
+                        throw new Error(`${name} quota exhausted`);
+                    }
+                    result[name] = (await tx.get('SELECT request_count FROM system_usage WHERE usage_key = ?', [key])).request_count;
+                }
+                return result;
+            });
+        } catch (error) {
+            if (!exhausted) {
+                throw error;
+            }
+            throw this.exceededError(exhausted, systemInfo, await this.getUsage(systemInfo, now), now);
+        }
+
+        const usage = this.describe(systemInfo, counts, now);
+        await this.warnIfNearExhaustion(systemInfo, usage);
+        return usage;
+    }
+
+    /**
+     * Gives back a verification counted by consume() that the NID service never
+     * answered (circuit open, login failed, unreachable, timed out or 5xx)
+     * @param {Object} systemInfo - Calling system
+     * @param {Object|null} usage - What consume() returned; its periods are the counters to decrement
+     * @returns {Promise<void>}
+     */
+    async release(systemInfo, usage) {
+        if (!usage) {
+            return;
+        }
+
+        for (const name of Object.keys(PERIODS)) {
+            await this.db.run(
+                'UPDATE system_usage SET request_count = request_count - 1 WHERE usage_key = ? AND request_count > 0',
+                [this.usageKey(systemInfo.systemName, usage[name].period)]
+            );
+        }
+    }
+
+    exceededError(name, systemInfo, usage, now) {
+        const { label } = PERIODS[name];
+        const { limit, resetsAt } = usage[name];
+        logger.warn(`${label} quota of ${limit} verifications exhausted for system ${systemInfo.systemName}`);
+        return new ServiceError(
+            `${label} verification quota of ${limit} exhausted`,
+            'QUOTA_EXCEEDED',
+            429,
+            {
+                quota: name,
+                usage,
+                retryAfterSeconds: Math.max(Math.ceil((resetsAt.getTime() - now.getTime()) / 1000), 1)
+            }
+        );
+    }
+
+    /**
+     * Sends quota.near_exhaustion to the system once per period, when the
+     * verification that crosses the warning threshold is counted
+     */
+    async warnIfNearExhaustion(systemInfo, usage) {
+        for (const name of Object.keys(PERIODS)) {
+            const { limit, used } = usage[name];
+            if (limit === null || limit === 0 || used !== Math.ceil(limit * this.warningThreshold)) {
+                continue;
+            }
+
+            logger.warn(`System ${systemInfo.systemName} has used ${used} of its ${name} quota of ${limit}`);
+            await this.webhookService.emit('quota.near_exhaustion', {
+                systemName: systemInfo.systemName,
+                quota: name,
+                ...usage[name],
+                resetsAt: usage[name].resetsAt.toISOString()
+            }, { systemId: systemInfo.id });
+        }
+    }
+
+    /**
+     * @param {Object|null} usage - Result of getUsage() or consume()
+     * @returns {Object} - X-Quota-* response headers
+     */
+    headers(usage) {
+        const headers = {};
+        if (!usage) {
+            return headers;
+        }
+
+        for (const [name, { label }] of Object.entries(PERIODS)) {
+            const { used, limit, remaining, resetsAt } = usage[name];
+            headers[`X-Quota-${label}-Used`] = String(used);
+            if (limit !== null) {
+                headers[`X-Quota-${label}-Limit`] = String(limit);
+                headers[`X-Quota-${label}-Remaining`] = String(remaining);
+                headers[`X-Quota-${label}-Reset`] = String(Math.floor(resetsAt.getTime() / 1000));
+            }
+        }
+        return headers;
+    }
+}
+
+module.exports = QuotaService;
@@ -0,0 +1,86 @@
+const logger = require('../utils/logger');
+
+// Expired counters are purged at most this often
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * express-rate-limit store that keeps hit counts in the database, so every
+ * instance counts against the same limit. Windows are fixed: a counter covers
+ * one windowMs-long slice of time, aligned to the epoch so instances agree on it.
+ */
+class RateLimitStore {
+    /**
+     * @param {Object} deps - { db, prefix }; prefix must be unique per limiter
+     */
+    constructor({ db, prefix }) {
+        this.db = db;
+        this.prefix = prefix;
+        // Counts are shared between instances, not kept in this process
+        this.localKeys = false;
+        this.windowMs = null;
+        this.lastPurge = 0;
+    }
+
+    /**
+     * Called by express-rate-limit with the limiter's options
+     */
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    currentWindow(now = Date.now()) {
+        const start = Math.floor(now / this.windowMs) * this.windowMs;
+        return { start, resetTime: new Date(start + this.windowMs) };
+    }
+
+    counterKey(key, start) {
+        return `${this.prefix}${key}:${start}`;
+    }
+
+    /**
+     * Counts a hit in the current window
+     * @param {string} key - Client key (e.g. the system id)
+     * @returns {Promise<Object>} - { totalHits, resetTime }
+     */
+    async increment(key) {
+        const { start, resetTime } = this.currentWindow();
+        const counterKey = this.counterKey(key, start);
+
+        await this.db.insertIgnore('rate_limit_counters', [{ counter_key: counterKey, hits: 0, expires_at: resetTime }]);
+        const totalHits = await this.db.transaction(async (tx) => {
+            await tx.run('UPDATE rate_limit_counters SET hits = hits + 1 WHERE counter_key = ?', [counterKey]);
+            return (await tx.get('SELECT hits FROM rate_limit_counters WHERE counter_key = ?', [counterKey])).hits;
+        });
+
+        await this.purgeIfDue();
+        return { totalHits, resetTime };
+    }
+
+    async decrement(key) {
+        const { start } = this.currentWindow();
+        await this.db.run(
+            'UPDATE rate_limit_counters SET hits = hits - 1 WHERE counter_key = ? AND hits > 0',
+            [this.counterKey(key, start)]
+        );
+    }
+
+    async resetKey(key) {
+        const { start } = this.currentWindow();
+        await this.db.run('DELETE FROM rate_limit_counters WHERE counter_key = ?', [this.counterKey(key, start)]);
+    }
+
+    async purgeIfDue() {
+        if (Date.now() - this.lastPurge < PURGE_INTERVAL_MS) {
+            return;
+        }
+        this.lastPurge = Date.now();
+
+        try {
+            await this.db.run('DELETE FROM rate_limit_counters WHERE expires_at < ?', [new Date()]);
+        } catch (error) {
+            logger.error(`Failed to purge expired rate limit counters: ${error.message}`);
+        }
+    }
+}
+
+module.exports = RateLimitStore;
@@ -0,0 +1,139 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Outcome column value -> report field
+const OUTCOME_FIELDS = {
+    VERIFIED: 'verified',
+    MISMATCH: 'mismatch',
+    UPSTREAM_ERROR: 'upstreamError',
+    VALIDATION_ERROR: 'validationError',
+    OTHER_ERROR: 'otherError'
+};
+
+function emptyCounts() {
+    return {
+        total: 0,
+        ...Object.fromEntries(Object.values(OUTCOME_FIELDS).map((field) => [field, 0])),
+        averageLatencyMs: null,
+        // Running sums for the average, dropped before the report is returned
+        latencySum: 0,
+        latencyCount: 0
+    };
+}
+
+function addRow(counts, row) {
+    counts.total += Number(row.count);
+    counts[OUTCOME_FIELDS[row.outcome]] += Number(row.count);
+    counts.latencySum += Number(row.latency_sum) || 0;
+    counts.latencyCount += Number(row.latency_count);
+}
+
+function finish({ latencySum, latencyCount, ...counts }) {
+    return {
+        ...counts,
+        averageLatencyMs: latencyCount > 0 ? Math.round(latencySum / latencyCount) : null
+    };
+}
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Usage reports over request_logs, for billing departments by what they
+ * verified. Only verifications carry an outcome, so status checks, usage and
+ * job polling are left out. Rows removed by request log retention are counted
+ * from request_log_archive, unless archival is switched off or they were
+ * archived before outcomes were kept there.
+ */
+class ReportService {
+    constructor({ db }) {
+        this.db = db;
+    }
+
+    /**
+     * Fields of a report row, in CSV column order
+     */
+    static get columns() {
+        return ['period', 'systemName', 'total', ...Object.values(OUTCOME_FIELDS), 'averageLatencyMs'];
+    }
+
+    /**
+     * Counts verifications by period, system and outcome
+     * @param {Object} options
+     * @param {string} options.from - First UTC day (YYYY-MM-DD), default the first of this month
+     * @param {string} options.to - Last UTC day, inclusive (YYYY-MM-DD), default today
+     * @param {string} options.system - Only this system name
+     * @param {string} options.groupBy - 'day' or 'month' (default)
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} - { from, to, groupBy, system, rows, totals }
+     */
+    async usage({ from, to, system, groupBy = 'month' } = {}, now = new Date()) {
+        const fromDate = from || `${toDateString(now).slice(0, 7)}-01`;
+        const toDate = to || toDateString(now);
+        const period = this.db.utcDateExpression('created_at', groupBy);
+
+        const conditions = ['outcome IS NOT NULL', 'created_at >= ?', 'created_at < ?'];
+        const params = [
+            new Date(`${fromDate}T00:00:00Z`),
+            new Date(Date.parse(`${toDate}T00:00:00Z`) + DAY_MS)
+        ];
+        if (system) {
+            conditions.push('system_name = ?');
+            params.push(system);
+        }
+
+        const logged = await this.db.query(
+            `SELECT ${period} AS period, system_name, outcome, COUNT(*) AS count,
+                    SUM(processing_time_ms) AS latency_sum, COUNT(processing_time_ms) AS latency_count
+             FROM request_logs
+             WHERE ${conditions.join(' AND ')}
+             GROUP BY ${period}, system_name, outcome`,
+            params
+        );
+
+        // Archived days are UTC dates already; a month is their prefix
+        const archiveConditions = ['outcome IS NOT NULL', 'day >= ?', 'day <= ?'];
+        const archiveParams = [fromDate, toDate];
+        if (system) {
+            archiveConditions.push('system_name = ?');
+            archiveParams.push(system);
+        }
+        const archived = await this.db.query(
+            `SELECT day, system_name, outcome, SUM(request_count) AS count,
+                    SUM(total_processing_time_ms) AS latency_sum, SUM(timed_count) AS latency_count
+             FROM request_log_archive
+             WHERE ${archiveConditions.join(' AND ')}
+             GROUP BY day, system_name, outcome`,
+            archiveParams
+        );
+
+        const results = [
+            ...logged,
+            ...archived.map(({ day, ...result }) => ({ ...result, period: groupBy === 'day' ? day : day.slice(0, 7) }))
+        ];
+
+        const rows = new Map();
+        const totals = emptyCounts();
+        for (const result of results) {
+            const key = `${result.period}\n${result.system_name}`;
+            if (!rows.has(key)) {
+                rows.set(key, { period: result.period, systemName: result.system_name, ...emptyCounts() });
+            }
+            addRow(rows.get(key), result);
+            addRow(totals, result);
+        }
+
+        return {
+            from: fromDate,
+            to: toDate,
+            groupBy,
+            system: system || null,
+            rows: [...rows.values()]
+                .sort((a, b) => a.period.localeCompare(b.period) || String(a.systemName).localeCompare(String(b.systemName)))
+                .map(finish),
+            totals: finish(totals)
+        };
+    }
+}
+
+module.exports = ReportService;
@@ -0,0 +1,349 @@
+const logger = require('../utils/logger');
+const { FieldProtector, parseFieldPolicy, parseEncryptionKeys } = require('../utils/fieldProtector');
+const RequestStatsService = require('./requestStatsService');
+const { normalizeNID } = require('../utils/nid');
+
+// What happens to each field of request_data and response_data before it is
+// stored; REQUEST_LOG_FIELD_POLICY entries override or extend these
+const DEFAULT_FIELD_POLICY = {
+    'request.nid': 'hash',
+    'request.dateOfBirth': 'encrypt',
+    'request.nameEn': 'encrypt',
+    'request.name': 'encrypt',
+    'request.father': 'encrypt',
+    'request.mother': 'encrypt',
+    'request.spouse': 'encrypt',
+    'request.presentAddress': 'encrypt',
+    'request.permanentAddress': 'encrypt',
+    'response.data.nid': 'hash',
+    'response.data.personDetails': 'encrypt',
+    // GET /api/nid/jobs/:id returns the /verify body of a finished job
+    'response.data.result.data.nid': 'hash',
+    'response.data.result.data.personDetails': 'encrypt',
+    // Validation errors echo the submitted values
+    'response.details.*.value': 'drop',
+    // Responses that were not JSON
+    'response.raw': 'encrypt'
+};
+
+// Error codes meaning the external service failed, rather than the request or this service
+const UPSTREAM_ERROR_CODES = ['SERVICE_UNAVAILABLE', 'VERIFICATION_FAILED'];
+
+// The nid column holds a hex HMAC-SHA256; anything else predates pseudonymization
+const NID_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Oldest birth year tried when a 13-digit NID is searched for without its 17-digit form
+const FIRST_BIRTH_YEAR = 1900;
+
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Sanitizes response data by removing large fields like base64 photos
+ * @param {Object} data - The response data to sanitize
+ * @returns {Object} - Sanitized response data
+ */
+function sanitizeResponseData(data) {
+    if (!data || typeof data !== 'object') {
+        return data;
+    }
+
+    // Create a deep copy to avoid modifying the original
+    const sanitized = JSON.parse(JSON.stringify(data));
+    let sanitizedFields = [];
+
+    // Remove photo data from personDetails
+    if (sanitized.data && sanitized.data.personDetails && sanitized.data.personDetails.photo) {
+        sanitized.data.personDetails.photo = '[PHOTO_DATA_REMOVED_FOR_STORAGE]';
+        sanitizedFields.push('personDetails.photo');
+    }
+
+    // Also check for photo in the root data object (in case structure changes)
+    if (sanitized.data && sanitized.data.photo) {
+        sanitized.data.photo = '[PHOTO_DATA_REMOVED_FOR_STORAGE]';
+        sanitizedFields.push('data.photo');
+    }
+
+    // Remove any other potentially large base64 fields
+    const largeFields = ['image', 'photo', 'picture', 'avatar', 'signature'];
+    largeFields.forEach(field => {
+        if (sanitized.data && sanitized.data[field] && typeof sanitized.data[field] === 'string' && sanitized.data[field].startsWith('data:')) {
+            sanitized.data[field] = `[${field.toUpperCase()}_DATA_REMOVED_FOR_STORAGE]`;
+            sanitizedFields.push(`data.${field}`);
+        }
+    });
+
+    // Log sanitization if any fields were processed
+    if (sanitizedFields.length > 0) {
+        logger.info(`Response data sanitized for storage - Removed fields: ${sanitizedFields.join(', ')}`);
+    }
+
+    return sanitized;
+}
+
+/**
+ * Classifies a verification for usage reports
+ * @param {Object} responseData - The /verify response (or batch item result)
+ * @param {number} statusCode - HTTP status
+ * @returns {string} - Value of the outcome column
+ */
+function classifyOutcome(responseData, statusCode) {
+    if (statusCode < 400) {
+        return responseData?.data?.verified ? 'VERIFIED' : 'MISMATCH';
+    }
+    if (responseData?.code === 'VALIDATION_ERROR') {
+        return 'VALIDATION_ERROR';
+    }
+    return UPSTREAM_ERROR_CODES.includes(responseData?.code) ? 'UPSTREAM_ERROR' : 'OTHER_ERROR';
+}
+
+/**
+ * Maps a request_logs row to the shape returned by the admin API
+ * @param {Object} row - Database row with request_data and response_data already revealed
+ * @returns {Object} - API representation of the log entry
+ */
+function toLogEntry(row) {
+    return {
+        id: row.id,
+        requestId: row.request_id,
+        clientIp: row.client_ip,
+        systemName: row.system_name,
+        status: row.status,
+        processingTimeMs: row.processing_time_ms,
+        requestData: row.request_data,
+        responseData: row.response_data,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Stores every verification request in request_logs. NIDs are stored as a
+ * keyed HMAC, so rows can be found by exact NID but not read back, and the
+ * fields named in the field policy are hashed, encrypted or dropped. Each
+ * request is also counted in the request_stats rollup.
+ */
+class RequestLogService {
+    constructor({ db, requestStatsService = new RequestStatsService({ db }) }) {
+        this.db = db;
+        this.requestStatsService = requestStatsService;
+
+        const hmacKey = process.env.REQUEST_LOG_HMAC_KEY;
+        const encryptionKeys = parseEncryptionKeys(process.env.REQUEST_LOG_ENCRYPTION_KEYS);
+        this.protector = new FieldProtector({
+            hmacKey,
+            encryptionKeys,
+            policy: { ...DEFAULT_FIELD_POLICY, ...parseFieldPolicy(process.env.REQUEST_LOG_FIELD_POLICY) }
+        });
+
+        if (!hmacKey) {
+            logger.warn('REQUEST_LOG_HMAC_KEY is missing - NIDs and hashed fields are not stored in request_logs');
+        }
+        if (encryptionKeys.length === 0) {
+            logger.warn('REQUEST_LOG_ENCRYPTION_KEYS is missing - encrypted fields are not stored in request_logs');
+        }
+    }
+
+    /**
+     * @param {string} nid - NID as submitted
+     * @returns {string|null} - Value stored in the nid column, or null without an HMAC key
+     */
+    hashNid(nid) {
+        return this.protector.hmac(String(nid).replace(/\D/g, ''));
+    }
+
+    /**
+     * Hashes of every form an NID can have been logged under, so a search
+     * matches however it was submitted: the number as given, and its 17-digit
+     * form for a 13-digit NID (with any birth year, as the search has no date of birth)
+     * @param {string} nid - NID as searched for
+     * @returns {Array<string>} - Values of the nid column, none without an HMAC key
+     */
+    nidHashes(nid) {
+        const digits = String(nid).replace(/\D/g, '');
+        const forms = [digits];
+        if (digits.length === 13) {
+            for (let year = FIRST_BIRTH_YEAR; year <= new Date().getUTCFullYear(); year++) {
+                forms.push(normalizeNID(digits, `${year}-01-01`).nid);
+            }
+        }
+        return forms.map((form) => this.hashNid(form)).filter(Boolean);
+    }
+
+    /**
+     * Applies the field policy to a request and its response
+     * @returns {{requestData: Object, responseData: Object}} - What is stored
+     */
+    protect(requestData, responseData) {
+        const { request, response } = this.protector.protect({ request: requestData, response: responseData });
+        return { requestData: request, responseData: response };
+    }
+
+    /**
+     * Writes one row to request_logs
+     * @param {Object} entry - Request details
+     * @param {string} entry.requestId - Unique ID of the request (or batch item)
+     * @param {Object} entry.systemInfo - Calling system resolved by the whitelist
+     * @param {Object} entry.requestData - The submitted verification fields
+     * @param {Object|string} entry.responseData - What was returned to the caller
+     * @param {number} entry.statusCode - HTTP status (or the status the item would have had on its own)
+     * @param {number} entry.processingTime - Processing time in milliseconds
+     * @param {boolean} entry.verification - Whether the request was a verification, whose outcome is recorded for usage reports
+     */
+    async record({ requestId, systemInfo, requestData, responseData, statusCode, processingTime, verification = false }) {
+        try {
+            // Parse response data for JSON storage
+            let parsedResponseData = null;
+            if (responseData) {
+                try {
+                    parsedResponseData = typeof responseData === 'string' ? JSON.parse(responseData) : responseData;
+                
+                    // Sanitize response data to remove photo (base64 data) to save storage
+                    parsedResponseData = sanitizeResponseData(parsedResponseData);
+                } catch (e) {
+                    parsedResponseData = { raw: responseData };
+                }
+            }
+
+            const stored = this.protect(requestData, parsedResponseData);
+
+            const logData = {
+                request_id: requestId,
+                client_ip: systemInfo?.ip || 'unknown',
+                system_name: systemInfo?.systemName || 'unknown',
+                // A 13-digit NID is found by its 17-digit form, which is what was verified
+                nid: (requestData.nid && this.hashNid(normalizeNID(requestData.nid, requestData.dateOfBirth).nid || requestData.nid)) || 'N/A',
+                request_data: stored.requestData,
+                response_data: stored.responseData,
+                status: statusCode < 400 ? 'SUCCESS' : 'ERROR',
+                // Built from the protected response so errors cannot carry personal data around the policy
+                error_message: statusCode >= 400 ? JSON.stringify(stored.responseData) : null,
+                processing_time_ms: processingTime,
+                outcome: verification ? classifyOutcome(parsedResponseData, statusCode) : null
+            };
+
+            await this.db.run(`
+                INSERT INTO request_logs 
+                (request_id, client_ip, system_name, nid, request_data, response_data, status, error_message, processing_time_ms, outcome)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                logData.request_id,
+                logData.client_ip,
+                logData.system_name,
+                logData.nid,
+                JSON.stringify(logData.request_data),
+                JSON.stringify(logData.response_data),
+                logData.status,
+                logData.error_message,
+                logData.processing_time_ms,
+                logData.outcome
+            ]);
+
+            await this.requestStatsService.record({
+                systemName: logData.system_name,
+                status: logData.status,
+                outcome: logData.outcome,
+                errorCode: statusCode >= 400 && typeof parsedResponseData?.code === 'string' ? parsedResponseData.code.slice(0, 64) : null,
+                processingTime
+            });
+        } catch (error) {
+            logger.error(`Failed to log request to database: ${error.message}`);
+        }
+    }
+
+    /**
+     * Lists logged requests, newest first, with encrypted fields decrypted
+     * @param {Object} filters - nid (10, 13 or 17 digits), requestId, systemName, limit
+     * @returns {Promise<Array<Object>>} - Log entries
+     */
+    async list({ nid, requestId, systemName, limit = 100 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (nid !== undefined) {
+            const hashes = this.nidHashes(nid);
+            if (hashes.length === 0) {
+                return [];
+            }
+            conditions.push(`nid IN (${hashes.map(() => '?').join(', ')})`);
+            params.push(...hashes);
+        }
+        if (requestId !== undefined) {
+            conditions.push('request_id = ?');
+            params.push(requestId);
+        }
+        if (systemName !== undefined) {
+            conditions.push('system_name = ?');
+            params.push(systemName);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await this.db.query(
+            `SELECT * FROM request_logs ${where} ORDER BY id DESC LIMIT ${parseInt(limit, 10)}`,
+            params
+        );
+
+        return rows.map((row) => toLogEntry({
+            ...row,
+            request_data: this.protector.reveal(parseJson(row.request_data)),
+            response_data: this.protector.reveal(parseJson(row.response_data))
+        }));
+    }
+
+    /**
+     * Brings stored rows up to date with the current keys and field policy: rows
+     * written before pseudonymization get their NID hashed, fields are protected
+     * as the policy now says, and values encrypted with an older key are
+     * re-encrypted with the active one (the first key in REQUEST_LOG_ENCRYPTION_KEYS).
+     * Once this has run, older keys can be removed.
+     * @param {Object} options - batchSize: rows read per query
+     * @returns {Promise<{scanned: number, updated: number}>} - Counts
+     */
+    async reprotect({ batchSize = 500 } = {}) {
+        let lastId = 0;
+        let scanned = 0;
+        let updated = 0;
+
+        for (;;) {
+            const rows = await this.db.query(
+                `SELECT id, nid, request_data, response_data, status FROM request_logs WHERE id > ? ORDER BY id LIMIT ${parseInt(batchSize, 10)}`,
+                [lastId]
+            );
+            if (rows.length === 0) {
+                break;
+            }
+
+            for (const row of rows) {
+                const requestData = parseJson(row.request_data);
+                const responseData = parseJson(row.response_data);
+                const legacyNid = row.nid !== 'N/A' && !NID_HASH_PATTERN.test(row.nid);
+
+                // Protecting is idempotent, so rows that are already up to date come back unchanged
+                const stored = this.protect(this.protector.rewrap(requestData), this.protector.rewrap(responseData));
+                if (!legacyNid && JSON.stringify(stored) === JSON.stringify({ requestData, responseData })) {
+                    continue;
+                }
+
+                await this.db.run(
+                    'UPDATE request_logs SET nid = ?, request_data = ?, response_data = ?, error_message = ? WHERE id = ?',
+                    [
+                        legacyNid ? this.hashNid(row.nid) || 'N/A' : row.nid,
+                        JSON.stringify(stored.requestData),
+                        JSON.stringify(stored.responseData),
+                        row.status === 'ERROR' ? JSON.stringify(stored.responseData) : null,
+                        row.id
+                    ]
+                );
+                updated++;
+            }
+
+            scanned += rows.length;
+            lastId = rows[rows.length - 1].id;
+        }
+
+        logger.info(`Request log reprotection finished - Scanned: ${scanned}, Updated: ${updated}`);
+        return { scanned, updated };
+    }
+}
+
+module.exports = RequestLogService;
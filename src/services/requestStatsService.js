@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Upper bounds of the latency histogram; each latency_le_<bound> column counts requests at or under its bound
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+// Rows older than the retention period are purged at most this often
+const PURGE_INTERVAL_MS = HOUR_MS;
+
+// Series intervals: the first whose limit covers the window is used
+const INTERVALS = [
+    { unit: 'minute', ms: MINUTE_MS, maxWindowMs: 2 * HOUR_MS },
+    { unit: 'hour', ms: HOUR_MS, maxWindowMs: 3 * DAY_MS },
+    { unit: 'day', ms: DAY_MS, maxWindowMs: Infinity }
+];
+
+const WINDOW_UNITS = { m: MINUTE_MS, h: HOUR_MS, d: DAY_MS };
+
+function percentage(part, total) {
+    return total > 0 ? ((part / total) * 100).toFixed(2) + '%' : '0%';
+}
+
+function emptyGroup() {
+    return {
+        requests: 0,
+        success: 0,
+        latencyCount: 0,
+        latencySum: 0,
+        histogram: LATENCY_BUCKETS_MS.map(() => 0)
+    };
+}
+
+function addRow(group, row) {
+    const requests = Number(row.request_count);
+    group.requests += requests;
+    if (row.status === 'SUCCESS') {
+        group.success += requests;
+    }
+    group.latencyCount += Number(row.latency_count);
+    group.latencySum += Number(row.latency_sum_ms);
+    LATENCY_BUCKETS_MS.forEach((bound, index) => {
+        group.histogram[index] += Number(row[`latency_le_${bound}`]);
+    });
+}
+
+/**
+ * Estimates a latency percentile from the cumulative histogram, interpolating
+ * within the bucket it falls in. Above the last bound only that bound is known.
+ * @returns {number|null} - Milliseconds
+ */
+function latencyPercentile(group, fraction) {
+    if (group.latencyCount === 0) {
+        return null;
+    }
+    const rank = fraction * group.latencyCount;
+    let lowerBound = 0;
+    let lowerCount = 0;
+    for (let index = 0; index < LATENCY_BUCKETS_MS.length; index++) {
+        const count = group.histogram[index];
+        if (count >= rank) {
+            const share = count > lowerCount ? (rank - lowerCount) / (count - lowerCount) : 1;
+            return Math.round(lowerBound + share * (LATENCY_BUCKETS_MS[index] - lowerBound));
+        }
+        lowerBound = LATENCY_BUCKETS_MS[index];
+        lowerCount = count;
+    }
+    return lowerBound;
+}
+
+function describeLatency(group) {
+    return {
+        averageMs: group.latencyCount > 0 ? Math.round(group.latencySum / group.latencyCount) : null,
+        p50Ms: latencyPercentile(group, 0.5),
+        p95Ms: latencyPercentile(group, 0.95),
+        p99Ms: latencyPercentile(group, 0.99)
+    };
+}
+
+function describeRequests(group) {
+    return {
+        totalRequests: group.requests,
+        successRequests: group.success,
+        errorRequests: group.requests - group.success,
+        successRate: percentage(group.success, group.requests)
+    };
+}
+
+/**
+ * Parses a period label from utcDateExpression back into its start time
+ */
+function periodStart(label) {
+    const [date, time = '00:00'] = label.split(' ');
+    return new Date(`${date}T${time.length === 2 ? `${time}:00` : time}:00Z`);
+}
+
+/**
+ * Keeps per-minute counts and a latency histogram of logged requests in
+ * request_stats, grouped by system, status, verification outcome and error
+ * code, and builds the /api/nid/status statistics from them with a single
+ * aggregated query.
+ */
+class RequestStatsService {
+    constructor({ db }) {
+        this.db = db;
+        this.retentionDays = parseInt(process.env.REQUEST_STATS_RETENTION_DAYS) || 30;
+        this.lastPurge = 0;
+    }
+
+    static get latencyBuckets() {
+        return LATENCY_BUCKETS_MS;
+    }
+
+    /**
+     * Parses a window such as '15m', '24h' or '7d'
+     * @param {string} value - Window
+     * @returns {number|null} - Milliseconds, or null if malformed
+     */
+    static parseWindow(value) {
+        const match = /^(\d+)([mhd])$/.exec(String(value));
+        return match && Number(match[1]) > 0 ? Number(match[1]) * WINDOW_UNITS[match[2]] : null;
+    }
+
+    /**
+     * Longest window that can be reported on
+     * @returns {number} - Milliseconds
+     */
+    get maxWindowMs() {
+        return this.retentionDays * DAY_MS;
+    }
+
+    /**
+     * Adds one logged request to its minute
+     * @param {Object} entry - { systemName, status, outcome, errorCode, processingTime }
+     * @param {Date} now - When the request was logged
+     */
+    async record({ systemName, status, outcome = null, errorCode = null, processingTime }, now = new Date()) {
+        const bucketStart = new Date(Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS);
+        const group = [bucketStart.toISOString(), systemName, status, outcome, errorCode];
+        const statKey = crypto.createHash('sha256').update(JSON.stringify(group)).digest('hex');
+
+        await this.db.insertIgnore('request_stats', [{
+            stat_key: statKey,
+            bucket_start: bucketStart,
+            system_name: systemName,
+            status,
+            outcome,
+            error_code: errorCode
+        }]);
+
+        const hasLatency = typeof processingTime === 'number';
+        const histogram = LATENCY_BUCKETS_MS.map((bound) => `latency_le_${bound} = latency_le_${bound} + ?`);
+        await this.db.run(
+            `UPDATE request_stats
+             SET request_count = request_count + 1, latency_count = latency_count + ?, latency_sum_ms = latency_sum_ms + ?,
+                 ${histogram.join(', ')}
+             WHERE stat_key = ?`,
+            [
+                hasLatency ? 1 : 0,
+                hasLatency ? processingTime : 0,
+                ...LATENCY_BUCKETS_MS.map((bound) => (hasLatency && processingTime <= bound ? 1 : 0)),
+                statKey
+            ]
+        );
+
+        await this.purgeIfDue(now);
+    }
+
+    async purgeIfDue(now = new Date()) {
+        if (now.getTime() - this.lastPurge < PURGE_INTERVAL_MS) {
+            return;
+        }
+        this.lastPurge = now.getTime();
+
+        try {
+            await this.db.run('DELETE FROM request_stats WHERE bucket_start < ?', [new Date(now.getTime() - this.maxWindowMs)]);
+        } catch (error) {
+            logger.error(`Failed to purge old request statistics: ${error.message}`);
+        }
+    }
+
+    /**
+     * Statistics for the requests logged in the last windowMs
+     * @param {Object} options - { window } such as '24h'
+     * @param {Date} now - End of the window
+     * @returns {Promise<Object>} - Totals, latency percentiles, verification outcomes, breakdowns and a series
+     */
+    async summary({ window = '24h' } = {}, now = new Date()) {
+        const windowMs = RequestStatsService.parseWindow(window);
+        const interval = INTERVALS.find((candidate) => windowMs <= candidate.maxWindowMs);
+        // Whole minutes, so the window covers the rows it starts in
+        const since = new Date(Math.floor((now.getTime() - windowMs) / MINUTE_MS) * MINUTE_MS);
+        const period = this.db.utcDateExpression('bucket_start', interval.unit);
+
+        const rows = await this.db.query(
+            `SELECT ${period} AS period, system_name, status, outcome, error_code,
+                    SUM(request_count) AS request_count, SUM(latency_count) AS latency_count, SUM(latency_sum_ms) AS latency_sum_ms,
+                    ${LATENCY_BUCKETS_MS.map((bound) => `SUM(latency_le_${bound}) AS latency_le_${bound}`).join(', ')}
+             FROM request_stats
+             WHERE bucket_start >= ?
+             GROUP BY ${period}, system_name, status, outcome, error_code`,
+            [since]
+        );
+
+        const totals = emptyGroup();
+        const systems = new Map();
+        const errorCodes = new Map();
+        const periods = new Map();
+        const outcomes = { VERIFIED: 0, MISMATCH: 0 };
+        for (const row of rows) {
+            addRow(totals, row);
+
+            if (!systems.has(row.system_name)) {
+                systems.set(row.system_name, emptyGroup());
+            }
+            addRow(systems.get(row.system_name), row);
+
+            if (!periods.has(row.period)) {
+                periods.set(row.period, emptyGroup());
+            }
+            addRow(periods.get(row.period), row);
+
+            if (row.error_code) {
+                errorCodes.set(row.error_code, (errorCodes.get(row.error_code) || 0) + Number(row.request_count));
+            }
+            if (row.outcome in outcomes) {
+                outcomes[row.outcome] += Number(row.request_count);
+            }
+        }
+
+        // One point per interval, including those without requests
+        const points = [];
+        const firstPoint = Math.floor(since.getTime() / interval.ms) * interval.ms;
+        const byStart = new Map([...periods].map(([label, group]) => [periodStart(label).getTime(), group]));
+        for (let start = firstPoint; start <= now.getTime(); start += interval.ms) {
+            const group = byStart.get(start) || emptyGroup();
+            points.push({
+                start: new Date(start),
+                totalRequests: group.requests,
+                errorRequests: group.requests - group.success,
+                ...describeLatency(group)
+            });
+        }
+
+        const latency = describeLatency(totals);
+        return {
+            window,
+            since,
+            until: now,
+            ...describeRequests(totals),
+            averageProcessingTime: latency.averageMs !== null ? `${latency.averageMs}ms` : 'N/A',
+            latency,
+            verifications: {
+                verified: outcomes.VERIFIED,
+                mismatch: outcomes.MISMATCH,
+                verifiedRate: percentage(outcomes.VERIFIED, outcomes.VERIFIED + outcomes.MISMATCH)
+            },
+            bySystem: [...systems]
+                .map(([systemName, group]) => ({ systemName, ...describeRequests(group), latency: describeLatency(group) }))
+                .sort((a, b) => b.totalRequests - a.totalRequests),
+            byErrorCode: [...errorCodes]
+                .map(([code, count]) => ({ code, count }))
+                .sort((a, b) => b.count - a.count),
+            series: {
+                interval: interval.unit,
+                points
+            }
+        };
+    }
+}
+
+module.exports = RequestStatsService;
@@ -0,0 +1,222 @@
+const logger = require('../utils/logger');
+
+const LOCK_NAME = 'nid_service_request_log_retention';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maps a retention_runs row to the shape reported by /api/nid/status
+ * @param {Object} row - Database row
+ * @returns {Object} - API representation of the run
+ */
+function toRun(row) {
+    return {
+        status: row.status.toLowerCase(),
+        dryRun: Boolean(row.dry_run),
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        successCutoff: row.success_cutoff,
+        errorCutoff: row.error_cutoff,
+        deleted: {
+            success: row.deleted_success,
+            error: row.deleted_error
+        },
+        archived: Boolean(row.archived),
+        error: row.error_message
+    };
+}
+
+function parseDays(value, fallback) {
+    const days = parseInt(value, 10);
+    return Number.isNaN(days) || days < 0 ? fallback : days;
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Ages request_logs out: SUCCESS and ERROR rows are kept for their own number
+ * of days, then deleted in small batches so the table is never locked for long.
+ * Before a batch is deleted its rows can be folded into per-day, per-system
+ * counts in request_log_archive, which hold no personal data and keep the
+ * outcome of verifications for usage reports.
+ */
+class RetentionService {
+    constructor({ db }) {
+        this.db = db;
+        // 0 keeps rows of that status forever
+        this.successDays = parseDays(process.env.REQUEST_LOG_RETENTION_SUCCESS_DAYS, 90);
+        this.errorDays = parseDays(process.env.REQUEST_LOG_RETENTION_ERROR_DAYS, 180);
+        this.archive = process.env.REQUEST_LOG_RETENTION_ARCHIVE !== 'false';
+        this.batchSize = parseInt(process.env.REQUEST_LOG_RETENTION_BATCH_SIZE) || 1000;
+        this.batchPauseMs = parseInt(process.env.REQUEST_LOG_RETENTION_BATCH_PAUSE_MS ?? 100, 10) || 0;
+        this.dryRun = process.env.REQUEST_LOG_RETENTION_DRY_RUN === 'true';
+    }
+
+    cutoff(days, now) {
+        return days > 0 ? new Date(now.getTime() - days * DAY_MS) : null;
+    }
+
+    /**
+     * Runs retention once. Only one instance runs at a time; others skip.
+     * @param {Object} options - dryRun: only count what would be deleted (defaults to REQUEST_LOG_RETENTION_DRY_RUN)
+     * @returns {Promise<Object|null>} - The run as reported by lastRun(), or null if another instance was running
+     */
+    async run({ dryRun = this.dryRun } = {}) {
+        try {
+            return await this.db.withLock(LOCK_NAME, 0, () => this.runLocked({ dryRun }));
+        } catch (error) {
+            if (error.code === 'LOCK_TIMEOUT') {
+                logger.info('Request log retention is already running on another instance, skipping');
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async runLocked({ dryRun }) {
+        const startedAt = new Date();
+        const successCutoff = this.cutoff(this.successDays, startedAt);
+        const errorCutoff = this.cutoff(this.errorDays, startedAt);
+        const deleted = { SUCCESS: 0, ERROR: 0 };
+        let failure = null;
+
+        try {
+            for (const [status, cutoff] of [['SUCCESS', successCutoff], ['ERROR', errorCutoff]]) {
+                if (!cutoff) {
+                    continue;
+                }
+                deleted[status] = dryRun ? await this.countExpired(status, cutoff) : await this.purge(status, cutoff);
+            }
+        } catch (error) {
+            failure = error;
+            logger.error(`Request log retention failed: ${error.message}`);
+        }
+
+        await this.db.run(
+            `INSERT INTO retention_runs
+             (dry_run, status, success_cutoff, error_cutoff, deleted_success, deleted_error, archived, error_message, started_at, finished_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                dryRun,
+                failure ? 'FAILED' : 'SUCCESS',
+                successCutoff,
+                errorCutoff,
+                deleted.SUCCESS,
+                deleted.ERROR,
+                this.archive && !dryRun,
+                failure ? failure.message : null,
+                startedAt,
+                new Date()
+            ]
+        );
+
+        logger.info(
+            `Request log retention ${dryRun ? 'dry run ' : ''}finished - ` +
+            `${dryRun ? 'Would delete' : 'Deleted'} SUCCESS: ${deleted.SUCCESS}, ERROR: ${deleted.ERROR}`
+        );
+        return this.lastRun();
+    }
+
+    async countExpired(status, cutoff) {
+        const row = await this.db.get(
+            'SELECT COUNT(*) AS count FROM request_logs WHERE status = ? AND created_at < ?',
+            [status, cutoff]
+        );
+        return Number(row.count);
+    }
+
+    /**
+     * Deletes expired rows of one status, a batch per transaction
+     * @returns {Promise<number>} - Rows deleted
+     */
+    async purge(status, cutoff) {
+        let total = 0;
+
+        for (;;) {
+            const rows = await this.db.query(
+                `SELECT id, system_name, outcome, processing_time_ms, created_at FROM request_logs
+                 WHERE status = ? AND created_at < ? ORDER BY id LIMIT ${parseInt(this.batchSize, 10)}`,
+                [status, cutoff]
+            );
+            if (rows.length === 0) {
+                return total;
+            }
+
+            await this.db.transaction(async (tx) => {
+                if (this.archive) {
+                    await this.archiveRows(tx, status, rows);
+                }
+                await tx.run(
+                    `DELETE FROM request_logs WHERE id IN (${rows.map(() => '?').join(', ')})`,
+                    rows.map((row) => row.id)
+                );
+            });
+            total += rows.length;
+
+            // Let other writers in between batches
+            if (this.batchPauseMs > 0) {
+                await sleep(this.batchPauseMs);
+            }
+        }
+    }
+
+    /**
+     * Adds a batch of rows to the per-day, per-system, per-outcome counts
+     */
+    async archiveRows(tx, status, rows) {
+        const groups = new Map();
+        for (const row of rows) {
+            const day = new Date(row.created_at).toISOString().slice(0, 10);
+            const systemName = row.system_name || 'unknown';
+            const outcome = row.outcome || null;
+            const key = `${day}|${systemName}|${outcome}`;
+            const group = groups.get(key) || { day, systemName, outcome, count: 0, processingTimeMs: 0, timedCount: 0 };
+            group.count++;
+            if (row.processing_time_ms !== null && row.processing_time_ms !== undefined) {
+                group.processingTimeMs += row.processing_time_ms;
+                group.timedCount++;
+            }
+            groups.set(key, group);
+        }
+
+        for (const { day, systemName, outcome, count, processingTimeMs, timedCount } of groups.values()) {
+            const updated = await tx.run(
+                `UPDATE request_log_archive
+                 SET request_count = request_count + ?, total_processing_time_ms = total_processing_time_ms + ?,
+                     timed_count = timed_count + ?
+                 WHERE day = ? AND system_name = ? AND status = ? AND ${outcome ? 'outcome = ?' : 'outcome IS NULL'}`,
+                [count, processingTimeMs, timedCount, day, systemName, status, ...(outcome ? [outcome] : [])]
+            );
+            if (updated.changes === 0) {
+                await tx.run(
+                    `INSERT INTO request_log_archive
+                     (day, system_name, status, outcome, request_count, total_processing_time_ms, timed_count)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [day, systemName, status, outcome, count, processingTimeMs, timedCount]
+                );
+            }
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - The most recent run, or null if retention has never run
+     */
+    async lastRun() {
+        const row = await this.db.get('SELECT * FROM retention_runs ORDER BY id DESC LIMIT 1');
+        return row ? toRun(row) : null;
+    }
+
+    /**
+     * @returns {Object} - Configured retention windows, as reported by /api/nid/status
+     */
+    describePolicy() {
+        return {
+            successDays: this.successDays || null,
+            errorDays: this.errorDays || null,
+            archive: this.archive
+        };
+    }
+}
+
+module.exports = RetentionService;
@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+
+/**
+ * Stores the upstream access token in the access_tokens table so every
+ * instance shares one login and a restart can pick up a still-valid token.
+ */
+class TokenStore {
+    constructor({ db }) {
+        this.db = db;
+    }
+
+    /**
+     * Returns the stored token with the latest expiry, if it is still valid for at least minValidityMs
+     * @param {number} minValidityMs - Required remaining lifetime
+     * @returns {Promise<{token: string, expiresAt: Date}|null>} - The stored token, or null
+     */
+    async getValidToken(minValidityMs = 0) {
+        const row = await this.db.get(
+            'SELECT token, expires_at FROM access_tokens WHERE expires_at > ? ORDER BY expires_at DESC LIMIT 1',
+            [new Date(Date.now() + minValidityMs)]
+        );
+
+        if (!row) {
+            return null;
+        }
+
+        return {
+            token: row.token,
+            expiresAt: new Date(row.expires_at)
+        };
+    }
+
+    /**
+     * Saves a freshly issued token and clears out expired ones
+     * @param {string} token - Upstream access token
+     * @param {Date} expiresAt - When the token expires
+     */
+    async saveToken(token, expiresAt) {
+        await this.db.run('DELETE FROM access_tokens WHERE expires_at <= ? OR token = ?', [new Date(), token]);
+        await this.db.run('INSERT INTO access_tokens (token, expires_at) VALUES (?, ?)', [token, expiresAt]);
+        logger.info(`Upstream access token stored, expires at ${expiresAt.toISOString()}`);
+    }
+
+    /**
+     * Removes a token upstream rejected so no instance keeps using it
+     * @param {string} token - Upstream access token
+     */
+    async discardToken(token) {
+        await this.db.run('DELETE FROM access_tokens WHERE token = ?', [token]);
+    }
+
+    /**
+     * Runs the callback while holding the cross-instance upstream login lock
+     * @param {number} timeoutSeconds - How long to wait for another instance's login to finish
+     * @param {Function} callback - Work to do while holding the lock
+     */
+    async withRefreshLock(timeoutSeconds, callback) {
+        return this.db.withLock('nid_service_upstream_login', timeoutSeconds, callback);
+    }
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { FieldProtector, parseEncryptionKeys } = require('../utils/fieldProtector');
+
+// Expired rows are cleared opportunistically, at most this often
+const PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+// The verdict and per-field flags are stored as they are; the record returned
+// upstream (names, addresses, photo) only encrypted
+const RESULT_POLICY = { data: 'encrypt' };
+
+/**
+ * Caches upstream verification results so repeat checks of the same NID
+ * and details within the TTL don't cost another billable call. Rows are
+ * keyed by an HMAC of the normalized inputs, so the table never holds the
+ * lookup values in a form that can be searched without the secret. The
+ * citizen's record in a result is encrypted with the request log keys; without
+ * them the cache is off, since a hit could not return the same response as a miss.
+ */
+class VerificationCache {
+    constructor({ db }) {
+        this.db = db;
+        this.secret = process.env.VERIFICATION_CACHE_SECRET;
+        this.enabled = process.env.VERIFICATION_CACHE_ENABLED === 'true';
+
+        const ttlSeconds = parseInt(process.env.VERIFICATION_CACHE_TTL_SECONDS) || 600;
+        this.verifiedTtlSeconds = parseInt(process.env.VERIFICATION_CACHE_VERIFIED_TTL_SECONDS) || ttlSeconds;
+        this.mismatchTtlSeconds = parseInt(process.env.VERIFICATION_CACHE_MISMATCH_TTL_SECONDS) || ttlSeconds;
+        this.lastPurge = 0;
+
+        const encryptionKeys = parseEncryptionKeys(process.env.REQUEST_LOG_ENCRYPTION_KEYS);
+        this.protector = new FieldProtector({ encryptionKeys, policy: RESULT_POLICY });
+
+        if (this.enabled && !this.secret) {
+            logger.warn('VERIFICATION_CACHE_ENABLED is set but VERIFICATION_CACHE_SECRET is missing - result cache disabled');
+            this.enabled = false;
+        }
+        if (this.enabled && encryptionKeys.length === 0) {
+            logger.warn('VERIFICATION_CACHE_ENABLED is set but REQUEST_LOG_ENCRYPTION_KEYS is missing - result cache disabled');
+            this.enabled = false;
+        }
+    }
+
+    /**
+     * Builds the cache key from normalized inputs so trivial formatting differences share an entry
+     * @returns {string} - Hex HMAC-SHA256 of the normalized inputs
+     */
+    buildKey(nid, fields) {
+        // Fields are named, so checks of different subsets never share an entry
+        const normalized = [
+            String(nid).replace(/\D/g, ''),
+            ...Object.keys(fields).sort().map((field) => `${field}=${String(fields[field]).trim().replace(/\s+/g, ' ').toLowerCase()}`)
+        ].join('|');
+
+        return crypto.createHmac('sha256', this.secret).update(normalized).digest('hex');
+    }
+
+    /**
+     * Looks up a cached verification result
+     * @returns {Promise<{result: Object, cachedAt: Date}|null>} - The cached result, or null on a miss
+     */
+    async get(nid, fields) {
+        try {
+            const row = await this.db.get(
+                'SELECT result, created_at FROM verification_cache WHERE cache_key = ? AND expires_at > ?',
+                [this.buildKey(nid, fields), new Date()]
+            );
+
+            if (!row) {
+                return null;
+            }
+
+            const result = this.protector.reveal(typeof row.result === 'string' ? JSON.parse(row.result) : row.result);
+            // Written with a key that has since been removed: ask upstream again
+            if (FieldProtector.isEncrypted(result.data)) {
+                return null;
+            }
+
+            return {
+                result,
+                cachedAt: new Date(row.created_at)
+            };
+        } catch (error) {
+            // A cache failure should never fail the verification itself
+            logger.error(`Verification cache lookup failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Stores a verification result, with the TTL depending on whether it verified
+     * @param {Object} result - Result returned by NIDService.verifyNID
+     */
+    async set(nid, fields, result) {
+        const ttlSeconds = result.verified ? this.verifiedTtlSeconds : this.mismatchTtlSeconds;
+        const cacheKey = this.buildKey(nid, fields);
+        const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+        try {
+            await this.db.transaction(async (tx) => {
+                await tx.run('DELETE FROM verification_cache WHERE cache_key = ?', [cacheKey]);
+                await tx.run(
+                    'INSERT INTO verification_cache (cache_key, verified, result, expires_at) VALUES (?, ?, ?, ?)',
+                    [cacheKey, result.verified ? 1 : 0, JSON.stringify(this.protector.protect(result)), expiresAt]
+                );
+            });
+        } catch (error) {
+            logger.error(`Verification cache store failed: ${error.message}`);
+        }
+
+        this.purgeExpired();
+    }
+
+    purgeExpired() {
+        if (Date.now() - this.lastPurge < PURGE_INTERVAL_MS) {
+            return;
+        }
+        this.lastPurge = Date.now();
+
+        this.db.run('DELETE FROM verification_cache WHERE expires_at <= ?', [new Date()])
+            .then((result) => {
+                if (result.changes > 0) {
+                    logger.info(`Purged ${result.changes} expired verification cache entries`);
+                }
+            })
+            .catch((error) => logger.error(`Verification cache purge failed: ${error.message}`));
+    }
+}
+
+module.exports = VerificationCache;
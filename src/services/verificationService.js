@@ -0,0 +1,183 @@
+const logger = require('../utils/logger');
+const { pickVerificationFields } = require('../utils/verificationFields');
+const { nameMatchScore } = require('../utils/nameMatch');
+const { normalizeNID } = require('../utils/nid');
+const { ServiceError } = require('../utils/errors');
+const { maskNid } = require('../utils/redaction');
+
+/**
+ * Runs a single NID verification (cache lookup, upstream call, cache store)
+ * and shapes the result the way every verification endpoint returns it.
+ */
+class VerificationService {
+    constructor({ nidService, verificationCache, quotaService }) {
+        this.nidService = nidService;
+        this.verificationCache = verificationCache;
+        this.quotaService = quotaService;
+        // Lowest nameMatchScore reported as a probable match, for systems without their own threshold
+        this.nameMatchThreshold = parseFloat(process.env.NAME_MATCH_THRESHOLD) || 0.85;
+    }
+
+    /**
+     * @param {Object} input - Validated { nid } and any of the verification fields (nameEn, dateOfBirth, father, ...)
+     * @param {Object} context - { requestId, systemInfo, bypassCache }
+     * @returns {Promise<Object>} - { data, message, cached, cachedAt, quota }; quota is null when nothing was counted
+     */
+    async verify({ nid, ...input }, { requestId, systemInfo, bypassCache = false } = {}) {
+        logger.info(`NID verification request - ID: ${requestId}, NID: ${maskNid(nid)}, System: ${systemInfo?.systemName}`);
+
+        // Remove spaces and expand a 13-digit NID; the routes have already rejected what this cannot read
+        const fields = pickVerificationFields(input);
+        const { nid: cleanNID, nidType, error } = normalizeNID(nid, fields.dateOfBirth);
+        if (error) {
+            throw new ServiceError(error, 'VALIDATION_ERROR', 400);
+        }
+        logger.info(`Processing ${nidType} NID: ${maskNid(cleanNID)}`);
+
+        // Serve a recent result from the cache unless the system opted out or the caller asked for a fresh check
+        const useCache = this.verificationCache.enabled && systemInfo?.cacheEnabled !== false;
+        const cachedEntry = useCache && !bypassCache
+            ? await this.verificationCache.get(cleanNID, fields)
+            : null;
+
+        let result;
+        let quota = null;
+        if (cachedEntry) {
+            result = cachedEntry.result;
+            logger.info(`NID verification served from cache - ID: ${requestId}, Cached at: ${cachedEntry.cachedAt.toISOString()}`);
+        } else {
+            // Cached results cost nothing, so only calls to the NID service count against the system's quota
+            quota = await this.quotaService.consume(systemInfo);
+
+            // Call the NID service
+            try {
+                result = await this.nidService.verifyNID(cleanNID, fields);
+            } catch (error) {
+                // Not answered, so not billed: give the verification back
+                if (error.code === 'SERVICE_UNAVAILABLE') {
+                    await this.quotaService.release(systemInfo, quota);
+                }
+                throw error;
+            }
+
+            if (useCache) {
+                await this.verificationCache.set(cleanNID, fields, result);
+            }
+        }
+
+        logger.info(`NID verification completed successfully - ID: ${requestId}, Verified: ${result.verified}`);
+
+        // One flag per field that was checked
+        const verificationDetails = Object.fromEntries(Object.keys(fields).map((field) => [
+            field,
+            result.fieldVerificationResult?.[field] || false
+        ]));
+        Object.assign(verificationDetails, this.scoreName(fields.nameEn, result.data?.nameEn, systemInfo));
+
+        return {
+            data: {
+                nid: cleanNID,
+                nidType: nidType,
+                verified: result.verified,
+                verificationDetails,
+                personDetails: result.data
+            },
+            message: result.message,
+            cached: Boolean(cachedEntry),
+            cachedAt: cachedEntry ? cachedEntry.cachedAt : null,
+            quota
+        };
+    }
+
+    /**
+     * Scores the submitted English name against the one on the record. Advisory
+     * only: the upstream verdict on nameEn is reported unchanged. The NID service
+     * returns the record only when every field matched (a 406 mismatch carries
+     * field results alone), so only matches are scored; a mismatch has no score.
+     * @param {string} submitted - nameEn from the request, if any
+     * @param {string} recorded - nameEn returned by the NID service, if any
+     * @param {Object} systemInfo - Calling system, for its nameMatchThreshold
+     * @returns {Object} - { nameMatchScore, probableMatch }, or {} when there is nothing to compare
+     */
+    scoreName(submitted, recorded, systemInfo) {
+        if (typeof submitted !== 'string' || typeof recorded !== 'string') {
+            return {};
+        }
+
+        const score = nameMatchScore(submitted, recorded);
+        const threshold = systemInfo?.nameMatchThreshold ?? this.nameMatchThreshold;
+        return { nameMatchScore: score, probableMatch: score >= threshold };
+    }
+
+    /**
+     * Builds the success body returned by /api/nid/verify
+     * @param {Object} outcome - Result of verify()
+     * @param {Object} context - { requestId, systemName }
+     * @returns {Object} - Response body
+     */
+    buildSuccessResponse(outcome, { requestId, systemName }) {
+        const response = {
+            success: true,
+            requestId: requestId,
+            data: outcome.data,
+            cached: outcome.cached,
+            timestamp: new Date().toISOString(),
+            system: systemName
+        };
+
+        if (outcome.cachedAt) {
+            response.cachedAt = new Date(outcome.cachedAt).toISOString();
+        }
+
+        // Add message if verification data doesn't match
+        if (outcome.message) {
+            response.message = outcome.message;
+        }
+
+        return response;
+    }
+
+    /**
+     * Maps a verification failure to the HTTP status and body returned by /api/nid/verify
+     * @param {Error} error - The failure
+     * @param {Object} context - { requestId, systemName }
+     * @returns {{statusCode: number, body: Object}} - Status code and response body
+     */
+    buildErrorResponse(error, { requestId, systemName }) {
+        // Determine appropriate error response
+        let statusCode = 500;
+        let errorCode = 'INTERNAL_ERROR';
+
+        if (error.code && error.statusCode) {
+            statusCode = error.statusCode;
+            errorCode = error.code;
+        } else if (error.message.includes('Authentication failed')) {
+            statusCode = 503;
+            errorCode = 'SERVICE_UNAVAILABLE';
+        } else if (error.message.includes('Verification failed')) {
+            statusCode = 400;
+            errorCode = 'VERIFICATION_FAILED';
+        }
+
+        const body = {
+            success: false,
+            error: error.message,
+            code: errorCode,
+            requestId: requestId,
+            timestamp: new Date().toISOString(),
+            system: systemName
+        };
+
+        // Set while the circuit to the external service is open, or until a used up quota resets
+        if (error.details?.retryAfterSeconds) {
+            body.retryAfterSeconds = error.details.retryAfterSeconds;
+        }
+        if (error.code === 'QUOTA_EXCEEDED') {
+            body.quota = error.details.quota;
+        }
+
+        return { statusCode, body };
+    }
+}
+
+module.exports = VerificationService;
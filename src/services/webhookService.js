@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { ServiceError } = require('../utils/errors');
+const { FieldProtector, parseEncryptionKeys } = require('../utils/fieldProtector');
+
+// Events a subscription can ask for
+const EVENT_TYPES = [
+    'verification.completed',
+    'upstream.down',
+    'upstream.recovered',
+    'quota.near_exhaustion'
+];
+
+// Columns admins are allowed to change through the update endpoint
+const UPDATABLE_FIELDS = {
+    url: 'url',
+    eventTypes: 'event_types',
+    description: 'description',
+    isActive: 'is_active'
+};
+
+// Claimable: deliveries that are due, or whose worker stopped renewing its lock (e.g. crashed or restarted).
+// Deliveries to an inactive subscription or system are left waiting instead of being retried until dead.
+const CLAIMABLE = `((status = 'PENDING' AND next_attempt_at <= ?) OR (status = 'DELIVERING' AND locked_at < ?))
+    AND subscription_id IN (SELECT s.id FROM webhook_subscriptions s JOIN allowed_ips a ON a.id = s.allowed_ip_id
+                            WHERE s.is_active = 1 AND a.is_active = 1)`;
+
+function parseJson(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Maps a webhook_subscriptions row to the shape exposed by the admin API (never includes the secret)
+ * @param {Object} row - Database row
+ * @returns {Object} - API representation of the subscription
+ */
+function toSubscription(row) {
+    return {
+        id: row.id,
+        allowedIpId: row.allowed_ip_id,
+        url: row.url,
+        eventTypes: parseJson(row.event_types),
+        description: row.description,
+        isActive: Boolean(row.is_active),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Maps a webhook_deliveries row to the shape exposed by the admin API
+ * @param {Object} row - Database row
+ * @returns {Object} - API representation of the delivery
+ */
+function toDelivery(row) {
+    return {
+        id: row.id,
+        subscriptionId: row.subscription_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        status: row.status.toLowerCase(),
+        attempts: row.attempts,
+        nextAttemptAt: row.status === 'PENDING' ? row.next_attempt_at : null,
+        lastStatusCode: row.last_status_code,
+        lastError: row.last_error,
+        replayOf: row.replay_of,
+        deliveredAt: row.delivered_at,
+        createdAt: row.created_at,
+        payload: parseJson(row.payload)
+    };
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Manages per-system webhook subscriptions and the queue of deliveries to them
+ */
+class WebhookService {
+    constructor({ db, auditLog }) {
+        this.db = db;
+        this.auditLog = auditLog;
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+        this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+        this.retryMaxMs = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+        this.lockTimeoutMs = parseInt(process.env.WEBHOOK_LOCK_TIMEOUT_MS) || 2 * 60 * 1000;
+        this.deliveredTtlDays = parseInt(process.env.WEBHOOK_DELIVERY_TTL_DAYS) || 7;
+
+        // Signing secrets are stored encrypted with the request log keys
+        const encryptionKeys = parseEncryptionKeys(process.env.REQUEST_LOG_ENCRYPTION_KEYS);
+        this.protector = new FieldProtector({ encryptionKeys });
+        this.enabled = encryptionKeys.length > 0;
+        if (!this.enabled) {
+            logger.warn('REQUEST_LOG_ENCRYPTION_KEYS is missing - webhook subscriptions cannot be created or rotated');
+        }
+    }
+
+    /**
+     * Issues a new signing secret
+     * @returns {{secret: string, stored: string}} - The secret and its encrypted form for webhook_subscriptions
+     */
+    generateSecret() {
+        if (!this.enabled) {
+            throw new ServiceError('Webhook secrets cannot be stored without an encryption key', 'SERVICE_UNAVAILABLE', 503);
+        }
+
+        const secret = generateSecret();
+        return { secret, stored: this.protector.encrypt(secret) };
+    }
+
+    /**
+     * Reads a stored signing secret. Secrets stored before they were encrypted are returned as they are.
+     * @param {string} stored - webhook_subscriptions.secret
+     * @returns {string|null} - The secret, or null if the key it was encrypted with is not configured
+     */
+    revealSecret(stored) {
+        if (!FieldProtector.isEncrypted(stored)) {
+            return stored;
+        }
+
+        try {
+            return this.protector.decrypt(stored);
+        } catch (error) {
+            logger.error(`Could not decrypt a webhook secret: ${error.message}`);
+            return null;
+        }
+    }
+
+    static get eventTypes() {
+        return EVENT_TYPES;
+    }
+
+    /**
+     * Signs a webhook body. Receivers recompute this over the X-Webhook-Timestamp
+     * header and the raw body, and reject old timestamps to stop replays.
+     * @param {string} secret - The subscription secret
+     * @param {number} timestamp - Unix time in seconds
+     * @param {string} body - The raw JSON body
+     * @returns {string} - Value of the X-Webhook-Signature header
+     */
+    sign(secret, timestamp, body) {
+        const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `sha256=${digest}`;
+    }
+
+    async listSubscriptions(allowedIpId) {
+        const rows = await this.db.query(
+            'SELECT * FROM webhook_subscriptions WHERE allowed_ip_id = ? ORDER BY id',
+            [allowedIpId]
+        );
+        return rows.map(toSubscription);
+    }
+
+    async getSubscription(id) {
+        const row = await this.db.get('SELECT * FROM webhook_subscriptions WHERE id = ?', [id]);
+        if (!row) {
+            throw new ServiceError(`Webhook subscription ${id} not found`, 'WEBHOOK_NOT_FOUND', 404);
+        }
+        return toSubscription(row);
+    }
+
+    /**
+     * Subscribes a whitelisted system to events. The signing secret is only returned here.
+     * @param {number} allowedIpId - The allowed_ips row the subscription belongs to
+     * @param {Object} fields - url, eventTypes and optional description
+     * @param {Object} actor - The admin creating the subscription ({ name, ip })
+     * @returns {Promise<{subscription: Object, secret: string}>} - Stored subscription and its secret
+     */
+    async createSubscription(allowedIpId, { url, eventTypes, description = null }, actor) {
+        const system = await this.db.get('SELECT id, system_name FROM allowed_ips WHERE id = ?', [allowedIpId]);
+        if (!system) {
+            throw new ServiceError(`Whitelist entry ${allowedIpId} not found`, 'IP_ENTRY_NOT_FOUND', 404);
+        }
+
+        const { secret, stored } = this.generateSecret();
+        const id = await this.db.transaction(async (tx) => {
+            const result = await tx.run(
+                'INSERT INTO webhook_subscriptions (allowed_ip_id, url, event_types, secret, description, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [allowedIpId, url, JSON.stringify(eventTypes), stored, description, actor.name]
+            );
+
+            await this.auditLog.record(tx, actor, 'CREATE', 'webhook', result.id, {
+                allowedIpId, url, eventTypes, description
+            });
+
+            return result.id;
+        });
+
+        logger.info(`Webhook subscription ${id} created for ${system.system_name} by ${actor.name}`);
+
+        return {
+            subscription: await this.getSubscription(id),
+            secret
+        };
+    }
+
+    async updateSubscription(id, changes, actor) {
+        const current = await this.getSubscription(id);
+
+        const assignments = [];
+        const params = [];
+        const diff = {};
+
+        Object.keys(UPDATABLE_FIELDS).forEach((field) => {
+            const value = changes[field];
+            if (value === undefined || JSON.stringify(value) === JSON.stringify(current[field])) {
+                return;
+            }
+
+            assignments.push(`${UPDATABLE_FIELDS[field]} = ?`);
+            if (field === 'eventTypes') {
+                params.push(JSON.stringify(value));
+            } else if (field === 'isActive') {
+                params.push(value ? 1 : 0);
+            } else {
+                params.push(value);
+            }
+            diff[field] = { from: current[field], to: value };
+        });
+
+        if (assignments.length === 0) {
+            return current;
+        }
+
+        await this.db.transaction(async (tx) => {
+            await tx.run(
+                `UPDATE webhook_subscriptions SET ${assignments.join(', ')} WHERE id = ?`,
+                [...params, id]
+            );
+            await this.auditLog.record(tx, actor, 'UPDATE', 'webhook', id, diff);
+        });
+
+        logger.info(`Webhook subscription ${id} updated by ${actor.name}: ${Object.keys(diff).join(', ')}`);
+        return this.getSubscription(id);
+    }
+
+    /**
+     * Replaces a subscription's signing secret. Deliveries sent from now on use the new secret.
+     * @returns {Promise<{subscription: Object, secret: string}>} - The subscription and its new secret
+     */
+    async rotateSecret(id, actor) {
+        await this.getSubscription(id);
+
+        const { secret, stored } = this.generateSecret();
+        await this.db.transaction(async (tx) => {
+            await tx.run('UPDATE webhook_subscriptions SET secret = ? WHERE id = ?', [stored, id]);
+            await this.auditLog.record(tx, actor, 'ROTATE', 'webhook', id, {});
+        });
+
+        logger.info(`Webhook subscription ${id} secret rotated by ${actor.name}`);
+        return {
+            subscription: await this.getSubscription(id),
+            secret
+        };
+    }
+
+    async deleteSubscription(id, actor) {
+        const current = await this.getSubscription(id);
+
+        await this.db.transaction(async (tx) => {
+            await tx.run('DELETE FROM webhook_subscriptions WHERE id = ?', [id]);
+            await this.auditLog.record(tx, actor, 'DELETE', 'webhook', id, current);
+        });
+
+        logger.info(`Webhook subscription ${id} deleted by ${actor.name}`);
+        return current;
+    }
+
+    /**
+     * Lists deliveries to a subscription, newest first
+     * @param {number} subscriptionId - Subscription ID
+     * @param {Object} filters - Optional status (pending, delivering, delivered, dead) and limit
+     * @returns {Promise<Array>} - Deliveries
+     */
+    async listDeliveries(subscriptionId, { status, limit = 100 } = {}) {
+        await this.getSubscription(subscriptionId);
+
+        let sql = 'SELECT * FROM webhook_deliveries WHERE subscription_id = ?';
+        const params = [subscriptionId];
+
+        if (status) {
+            sql += ' AND status = ?';
+            params.push(status.toUpperCase());
+        }
+
+        // LIMIT is interpolated because prepared statements reject it as a parameter
+        const rows = await this.db.query(`${sql} ORDER BY created_at DESC LIMIT ${parseInt(limit, 10)}`, params);
+        return rows.map(toDelivery);
+    }
+
+    async getDelivery(id) {
+        const row = await this.db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+        if (!row) {
+            throw new ServiceError(`Webhook delivery ${id} not found`, 'WEBHOOK_DELIVERY_NOT_FOUND', 404);
+        }
+        return toDelivery(row);
+    }
+
+    /**
+     * Queues an event for every active subscription that wants it. Failures are
+     * logged rather than thrown so a notification problem never fails the caller.
+     * @param {string} eventType - One of EVENT_TYPES
+     * @param {Object} data - Event-specific payload
+     * @param {Object} options - systemId to notify one system only; omit to notify every subscribed system
+     * @returns {Promise<number>} - Number of deliveries queued
+     */
+    async emit(eventType, data, { systemId = null } = {}) {
+        try {
+            let sql = `SELECT s.id, s.event_types FROM webhook_subscriptions s
+                       JOIN allowed_ips a ON a.id = s.allowed_ip_id
+                       WHERE s.is_active = 1 AND a.is_active = 1`;
+            const params = [];
+
+            if (systemId) {
+                sql += ' AND s.allowed_ip_id = ?';
+                params.push(systemId);
+            }
+
+            // Event types are matched here rather than in SQL, which differs between storage backends
+            const subscriptions = (await this.db.query(sql, params))
+                .filter((subscription) => parseJson(subscription.event_types).includes(eventType));
+            if (subscriptions.length === 0) {
+                return 0;
+            }
+
+            const eventId = uuidv4();
+            const payload = JSON.stringify({
+                id: eventId,
+                type: eventType,
+                createdAt: new Date().toISOString(),
+                data
+            });
+
+            for (const subscription of subscriptions) {
+                await this.db.run(
+                    'INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, payload) VALUES (?, ?, ?, ?, ?)',
+                    [uuidv4(), subscription.id, eventId, eventType, payload]
+                );
+            }
+
+            logger.info(`Webhook event ${eventType} (${eventId}) queued for ${subscriptions.length} subscription(s)`);
+            return subscriptions.length;
+        } catch (error) {
+            logger.error(`Failed to queue webhook event ${eventType}: ${error.message}`);
+            return 0;
+        }
+    }
+
+    /**
+     * Queues a fresh copy of a delivery (typically a dead one) to be sent again.
+     * The event ID is kept so receivers can recognise a duplicate.
+     * @param {string} id - Delivery to replay
+     * @param {Object} actor - The admin replaying it ({ name, ip })
+     * @returns {Promise<Object>} - The new delivery
+     */
+    async replayDelivery(id, actor) {
+        const original = await this.getDelivery(id);
+        const newId = uuidv4();
+
+        await this.db.transaction(async (tx) => {
+            await tx.run(
+                'INSERT INTO webhook_deliveries (id, subscription_id, event_id, event_type, payload, replay_of) VALUES (?, ?, ?, ?, ?, ?)',
+                [newId, original.subscriptionId, original.eventId, original.eventType, JSON.stringify(original.payload), original.id]
+            );
+            await this.auditLog.record(tx, actor, 'REPLAY', 'webhook', original.subscriptionId, {
+                deliveryId: original.id,
+                replayId: newId
+            });
+        });
+
+        logger.info(`Webhook delivery ${id} replayed as ${newId} by ${actor.name}`);
+        return this.getDelivery(newId);
+    }
+
+    /**
+     * Claims up to `limit` due deliveries to active subscriptions for a worker,
+     * together with the subscription URL and secret needed to send them
+     * @param {string} workerId - Identifies the claiming worker
+     * @param {number} limit - Maximum deliveries to claim
+     * @returns {Promise<Array<Object>>} - Claimed deliveries
+     */
+    async claimDeliveries(workerId, limit) {
+        const now = new Date();
+        const staleBefore = new Date(now.getTime() - this.lockTimeoutMs);
+
+        // LIMIT is interpolated because prepared statements reject it as a parameter
+        const candidates = await this.db.query(
+            `SELECT id FROM webhook_deliveries WHERE ${CLAIMABLE} ORDER BY next_attempt_at LIMIT ${parseInt(limit, 10)}`,
+            [now, staleBefore]
+        );
+
+        const claimed = [];
+        for (const candidate of candidates) {
+            const result = await this.db.run(
+                `UPDATE webhook_deliveries
+                 SET status = 'DELIVERING', locked_by = ?, locked_at = ?, attempts = attempts + 1
+                 WHERE id = ? AND ${CLAIMABLE}`,
+                [workerId, new Date(), candidate.id, now, staleBefore]
+            );
+
+            if (result.changes === 1) {
+                const row = await this.db.get(
+                    `SELECT d.id, d.event_id, d.event_type, d.payload, d.attempts, s.url, s.secret
+                     FROM webhook_deliveries d JOIN webhook_subscriptions s ON s.id = d.subscription_id
+                     WHERE d.id = ?`,
+                    [candidate.id]
+                );
+                claimed.push({
+                    id: row.id,
+                    eventId: row.event_id,
+                    eventType: row.event_type,
+                    body: JSON.stringify(parseJson(row.payload)),
+                    attempts: row.attempts,
+                    url: row.url,
+                    secret: this.revealSecret(row.secret)
+                });
+            }
+        }
+
+        return claimed;
+    }
+
+    /**
+     * Marks a delivery as received by the subscriber
+     */
+    async markDelivered(id, workerId, statusCode) {
+        await this.db.run(
+            `UPDATE webhook_deliveries
+             SET status = 'DELIVERED', last_status_code = ?, last_error = NULL, delivered_at = ?, locked_by = NULL, locked_at = NULL
+             WHERE id = ? AND locked_by = ?`,
+            [statusCode, new Date(), id, workerId]
+        );
+    }
+
+    /**
+     * Records a failed attempt. The delivery is retried with exponential backoff
+     * until it has been attempted maxAttempts times, then kept as DEAD.
+     * @param {Object} delivery - The claimed delivery
+     * @param {string} workerId - The worker that claimed it
+     * @param {Object} failure - { statusCode, error } from the attempt
+     * @returns {Promise<boolean>} - True if the delivery is now dead
+     */
+    async markFailed(delivery, workerId, { statusCode = null, error }) {
+        const dead = delivery.attempts >= this.maxAttempts;
+        const nextAttemptAt = new Date(Date.now() + this.retryDelayMs(delivery.attempts));
+
+        await this.db.run(
+            `UPDATE webhook_deliveries
+             SET status = ?, last_status_code = ?, last_error = ?, next_attempt_at = ?, locked_by = NULL, locked_at = NULL
+             WHERE id = ? AND locked_by = ?`,
+            [dead ? 'DEAD' : 'PENDING', statusCode, error, nextAttemptAt, delivery.id, workerId]
+        );
+
+        return dead;
+    }
+
+    /**
+     * Delay before the next attempt: base * 2^(attempts - 1) with up to 10% jitter, capped,
+     * so deliveries that failed together do not all retry together
+     * @param {number} attempts - Attempts made so far
+     * @returns {number} - Delay in milliseconds
+     */
+    retryDelayMs(attempts) {
+        const delay = this.retryBaseMs * 2 ** Math.max(attempts - 1, 0) * (1 + Math.random() * 0.1);
+        return Math.round(Math.min(delay, this.retryMaxMs));
+    }
+
+    /**
+     * Removes deliveries, and the event data in them, once they are older than the retention
+     * period: delivered ones, dead ones, and ones still held for an inactive subscription
+     * @returns {Promise<number>} - Number of deliveries removed
+     */
+    async purgeExpired() {
+        const cutoff = new Date(Date.now() - this.deliveredTtlDays * 24 * 60 * 60 * 1000);
+        const result = await this.db.run(
+            `DELETE FROM webhook_deliveries
+             WHERE (status = 'DELIVERED' AND delivered_at < ?) OR (status IN ('DEAD', 'PENDING') AND created_at < ?)`,
+            [cutoff, cutoff]
+        );
+        return result.changes;
+    }
+
+    /**
+     * Encrypts signing secrets stored before they were encrypted, and re-encrypts
+     * ones written with an older key under the active one
+     * @returns {Promise<number>} - Number of subscriptions updated
+     */
+    async reprotectSecrets() {
+        if (!this.enabled) {
+            return 0;
+        }
+
+        let updated = 0;
+        for (const row of await this.db.query('SELECT id, secret FROM webhook_subscriptions')) {
+            const stored = FieldProtector.isEncrypted(row.secret) ? this.protector.rewrap(row.secret) : this.protector.encrypt(row.secret);
+            if (stored !== row.secret) {
+                await this.db.run('UPDATE webhook_subscriptions SET secret = ? WHERE id = ?', [stored, row.id]);
+                updated++;
+            }
+        }
+        return updated;
+    }
+}
+
+module.exports = WebhookService;
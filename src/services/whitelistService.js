@@ -0,0 +1,256 @@
+const logger = require('../utils/logger');
+const { ServiceError } = require('../utils/errors');
+const { CidrMatcher } = require('../utils/ipMatcher');
+
+// Columns admins are allowed to change through the update endpoint
+const UPDATABLE_FIELDS = {
+    systemName: 'system_name',
+    description: 'description',
+    cacheEnabled: 'cache_enabled',
+    dailyQuota: 'daily_quota',
+    monthlyQuota: 'monthly_quota',
+    burstLimit: 'burst_limit',
+    sustainedLimit: 'sustained_limit',
+    nameMatchThreshold: 'name_match_threshold'
+};
+
+/**
+ * Maps an allowed_ips row to the shape exposed by the admin API
+ * @param {Object} row - Database row
+ * @returns {Object} - API representation of the whitelist entry
+ */
+function toEntry(row) {
+    return {
+        id: row.id,
+        ipAddress: row.ip_address,
+        systemName: row.system_name,
+        description: row.description,
+        isActive: Boolean(row.is_active),
+        cacheEnabled: row.cache_enabled === undefined ? true : Boolean(row.cache_enabled),
+        dailyQuota: row.daily_quota ?? null,
+        monthlyQuota: row.monthly_quota ?? null,
+        burstLimit: row.burst_limit ?? null,
+        sustainedLimit: row.sustained_limit ?? null,
+        // DECIMAL arrives as a string from MySQL
+        nameMatchThreshold: row.name_match_threshold == null ? null : Number(row.name_match_threshold),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class WhitelistService {
+    constructor({ db, auditLog }) {
+        this.db = db;
+        this.auditLog = auditLog;
+        this.cacheTtlMs = parseInt(process.env.WHITELIST_CACHE_TTL_MS) || 60 * 1000;
+        this.index = null;
+        this.loadedAt = 0;
+        this.loading = null;
+        // Bumped on every invalidation so a reload that raced with a change is not treated as fresh
+        this.generation = 0;
+    }
+
+    /**
+     * Finds the active whitelist entry covering an IP address, preferring the most specific block
+     * @param {string} ip - Client IP address
+     * @returns {Promise<Object|null>} - Matching entry, or null if the IP is not whitelisted
+     */
+    async findEntryForIp(ip) {
+        const index = await this.getIndex();
+        return index.matcher.match(ip);
+    }
+
+    /**
+     * Finds an active whitelist entry by id from the cached index
+     * @param {number} id - allowed_ips row id
+     * @returns {Promise<Object|null>} - The entry, or null if it is missing or inactive
+     */
+    async findActiveEntry(id) {
+        const index = await this.getIndex();
+        return index.entriesById.get(id) || null;
+    }
+
+    /**
+     * Picks the per-system fields that go into req.systemInfo
+     * @param {Object} entry - Whitelist entry
+     * @returns {Object} - System identity and settings
+     */
+    describeSystem(entry) {
+        return {
+            id: entry.id,
+            systemName: entry.systemName,
+            description: entry.description,
+            cacheEnabled: entry.cacheEnabled,
+            dailyQuota: entry.dailyQuota,
+            monthlyQuota: entry.monthlyQuota,
+            burstLimit: entry.burstLimit,
+            sustainedLimit: entry.sustainedLimit,
+            nameMatchThreshold: entry.nameMatchThreshold
+        };
+    }
+
+    async getIndex() {
+        if (this.index && Date.now() - this.loadedAt < this.cacheTtlMs) {
+            return this.index;
+        }
+
+        // Share one reload between concurrent requests
+        if (!this.loading) {
+            this.loading = this.loadIndex().finally(() => {
+                this.loading = null;
+            });
+        }
+
+        try {
+            return await this.loading;
+        } catch (error) {
+            if (this.index) {
+                logger.error(`Whitelist refresh failed, serving cached entries: ${error.message}`);
+                return this.index;
+            }
+            throw error;
+        }
+    }
+
+    async loadIndex() {
+        const generation = this.generation;
+        const rows = await this.db.query('SELECT * FROM allowed_ips WHERE is_active = 1 ORDER BY id');
+        const entries = rows.map(toEntry);
+        const matcher = new CidrMatcher(entries.map((entry) => ({ cidr: entry.ipAddress, data: entry })));
+
+        if (matcher.invalid.length > 0) {
+            logger.debug(`Whitelist entries skipped (not an IP or CIDR block): ${matcher.invalid.join(', ')}`);
+        }
+
+        this.index = {
+            matcher,
+            entriesById: new Map(entries.map((entry) => [entry.id, entry]))
+        };
+        this.loadedAt = generation === this.generation ? Date.now() : 0;
+        logger.info(`Whitelist loaded - ${matcher.size} active entries`);
+        return this.index;
+    }
+
+    /**
+     * Drops the cached whitelist so the next lookup reloads it from the database
+     */
+    invalidate() {
+        this.generation++;
+        this.loadedAt = 0;
+    }
+
+    async listEntries({ active } = {}) {
+        let sql = 'SELECT * FROM allowed_ips';
+        const params = [];
+
+        if (typeof active === 'boolean') {
+            sql += ' WHERE is_active = ?';
+            params.push(active ? 1 : 0);
+        }
+
+        const rows = await this.db.query(`${sql} ORDER BY id`, params);
+        return rows.map(toEntry);
+    }
+
+    async getEntry(id) {
+        const row = await this.db.get('SELECT * FROM allowed_ips WHERE id = ?', [id]);
+        if (!row) {
+            throw new ServiceError(`Whitelist entry ${id} not found`, 'IP_ENTRY_NOT_FOUND', 404);
+        }
+        return toEntry(row);
+    }
+
+    async createEntry(
+        { ipAddress, systemName, description = null, isActive = true, cacheEnabled = true, dailyQuota = null, monthlyQuota = null, burstLimit = null, sustainedLimit = null, nameMatchThreshold = null },
+        actor
+    ) {
+        const existing = await this.db.get('SELECT id FROM allowed_ips WHERE ip_address = ?', [ipAddress]);
+        if (existing) {
+            throw new ServiceError(`IP address ${ipAddress} is already whitelisted`, 'IP_ALREADY_EXISTS', 409, { id: existing.id });
+        }
+
+        const id = await this.db.transaction(async (tx) => {
+            const result = await tx.run(
+                `INSERT INTO allowed_ips
+                 (ip_address, system_name, description, is_active, cache_enabled, daily_quota, monthly_quota, burst_limit, sustained_limit, name_match_threshold)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [ipAddress, systemName, description, isActive ? 1 : 0, cacheEnabled ? 1 : 0, dailyQuota, monthlyQuota, burstLimit, sustainedLimit, nameMatchThreshold]
+            );
+
+            await this.auditLog.record(tx, actor, 'CREATE', 'allowed_ip', result.id, {
+                ipAddress, systemName, description, isActive, cacheEnabled, dailyQuota, monthlyQuota, burstLimit, sustainedLimit, nameMatchThreshold
+            });
+
+            return result.id;
+        });
+
+        this.invalidate();
+        logger.info(`Whitelist entry ${id} created for ${ipAddress} (${systemName}) by ${actor.name}`);
+        return this.getEntry(id);
+    }
+
+    async updateEntry(id, changes, actor) {
+        const current = await this.getEntry(id);
+
+        const assignments = [];
+        const params = [];
+        const diff = {};
+
+        Object.keys(UPDATABLE_FIELDS).forEach((field) => {
+            if (changes[field] !== undefined && changes[field] !== current[field]) {
+                assignments.push(`${UPDATABLE_FIELDS[field]} = ?`);
+                params.push(changes[field]);
+                diff[field] = { from: current[field], to: changes[field] };
+            }
+        });
+
+        if (assignments.length === 0) {
+            return current;
+        }
+
+        await this.db.transaction(async (tx) => {
+            await tx.run(
+                `UPDATE allowed_ips SET ${assignments.join(', ')} WHERE id = ?`,
+                [...params, id]
+            );
+            await this.auditLog.record(tx, actor, 'UPDATE', 'allowed_ip', id, diff);
+        });
+
+        this.invalidate();
+        logger.info(`Whitelist entry ${id} updated by ${actor.name}: ${Object.keys(diff).join(', ')}`);
+        return this.getEntry(id);
+    }
+
+    async setActive(id, isActive, actor) {
+        const current = await this.getEntry(id);
+        if (current.isActive === isActive) {
+            return current;
+        }
+
+        await this.db.transaction(async (tx) => {
+            await tx.run('UPDATE allowed_ips SET is_active = ? WHERE id = ?', [isActive ? 1 : 0, id]);
+            await this.auditLog.record(tx, actor, isActive ? 'ACTIVATE' : 'DEACTIVATE', 'allowed_ip', id, {
+                isActive: { from: current.isActive, to: isActive }
+            });
+        });
+
+        this.invalidate();
+        logger.info(`Whitelist entry ${id} (${current.ipAddress}) ${isActive ? 'activated' : 'deactivated'} by ${actor.name}`);
+        return this.getEntry(id);
+    }
+
+    async deleteEntry(id, actor) {
+        const current = await this.getEntry(id);
+
+        await this.db.transaction(async (tx) => {
+            await tx.run('DELETE FROM allowed_ips WHERE id = ?', [id]);
+            await this.auditLog.record(tx, actor, 'DELETE', 'allowed_ip', id, current);
+        });
+
+        this.invalidate();
+        logger.info(`Whitelist entry ${id} (${current.ipAddress}) deleted by ${actor.name}`);
+        return current;
+    }
+}
+
+module.exports = WhitelistService;
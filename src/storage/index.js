@@ -0,0 +1,43 @@
+const MysqlStorage = require('./mysqlStorage');
+const SqliteStorage = require('./sqliteStorage');
+const { Migrator, loadMigrations } = require('./migrator');
+
+/**
+ * Storage adapters share one interface, which is all services may rely on:
+ *   init()                          connect (run migrations with Migrator to create the schema)
+ *   query(sql, params)              rows
+ *   get(sql, params)                first row or null
+ *   run(sql, params)                { id, changes } for INSERT/UPDATE/DELETE
+ *   transaction(callback)           callback(tx) where tx has query/get/run; commits unless it throws
+ *   withLock(name, timeoutSeconds, callback)
+ *   healthCheck(), close()
+ *   poolStats()                     { limit, open, idle, busy, queued } for a connection pool, or null
+ *   utcDateExpression(column, unit) SQL for a timestamp's UTC minute, hour, day or month, as a string prefix of 'YYYY-MM-DD HH:MM'
+ * SQL should stay within what both MySQL and SQLite accept: `?` placeholders,
+ * single-quoted strings, no JSON or date functions (use utcDateExpression to group by date).
+ */
+const ADAPTERS = {
+    mysql: (config) => new MysqlStorage(config.mysql),
+    sqlite: (config) => new SqliteStorage(config.sqlite)
+};
+
+/**
+ * Builds the storage adapter selected by config.client. The adapter is not connected yet; call init().
+ * @param {Object} config - The `database` section of loadConfig()
+ * @returns {MysqlStorage|SqliteStorage} - Storage adapter
+ */
+function createStorage(config) {
+    const adapter = ADAPTERS[config.client];
+    if (!adapter) {
+        throw new Error(`Unknown DB_CLIENT "${config.client}". Supported: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return adapter(config);
+}
+
+module.exports = {
+    createStorage,
+    MysqlStorage,
+    SqliteStorage,
+    Migrator,
+    loadMigrations
+};
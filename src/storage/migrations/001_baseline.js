@@ -0,0 +1,77 @@
+const { createTable, dropTable } = require('../schema');
+
+/**
+ * Baseline: the original schema (whitelist, request logs and upstream tokens)
+ * and the default localhost whitelist entries. Tables are created only if
+ * missing, so databases set up before migrations existed are adopted as they are.
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'allowed_ips',
+            columns: {
+                id: { type: 'increments' },
+                ip_address: { type: 'string', length: 45, unique: true, notNull: true },
+                system_name: { type: 'string', length: 255, notNull: true },
+                description: { type: 'text' },
+                is_active: { type: 'boolean', default: true },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' },
+                updated_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP', onUpdateCurrentTimestamp: true }
+            },
+            indexes: {
+                idx_ip_address: ['ip_address'],
+                idx_is_active: ['is_active']
+            }
+        });
+
+        await createTable(db, {
+            name: 'request_logs',
+            columns: {
+                id: { type: 'increments' },
+                request_id: { type: 'string', length: 36, unique: true, notNull: true },
+                client_ip: { type: 'string', length: 45, notNull: true },
+                system_name: { type: 'string', length: 255 },
+                nid: { type: 'string', length: 20, notNull: true },
+                request_data: { type: 'json', notNull: true },
+                response_data: { type: 'json' },
+                status: { type: 'enum', values: ['SUCCESS', 'ERROR'], notNull: true },
+                error_message: { type: 'text' },
+                processing_time_ms: { type: 'integer' },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' }
+            },
+            indexes: {
+                idx_request_id: ['request_id'],
+                idx_client_ip: ['client_ip'],
+                idx_nid: ['nid'],
+                idx_status: ['status'],
+                idx_created_at: ['created_at']
+            }
+        });
+
+        await createTable(db, {
+            name: 'access_tokens',
+            columns: {
+                id: { type: 'increments' },
+                token: { type: 'string', length: 500, unique: true, notNull: true },
+                expires_at: { type: 'timestamp', notNull: true },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' }
+            },
+            indexes: {
+                idx_token: ['token'],
+                idx_expires_at: ['expires_at']
+            }
+        });
+
+        await db.insertIgnore('allowed_ips', [
+            { ip_address: '127.0.0.1', system_name: 'Local Development', description: 'Local development environment' },
+            { ip_address: '::1', system_name: 'Local Development IPv6', description: 'Local development environment IPv6' },
+            { ip_address: 'localhost', system_name: 'Local Development', description: 'Local development environment' }
+        ]);
+    },
+
+    async down(db) {
+        await dropTable(db, 'access_tokens');
+        await dropTable(db, 'request_logs');
+        await dropTable(db, 'allowed_ips');
+    }
+};
@@ -0,0 +1,31 @@
+const { createTable, dropTable } = require('../schema');
+
+/**
+ * Audit trail of changes made through the admin API
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'admin_audit_log',
+            columns: {
+                id: { type: 'increments' },
+                actor: { type: 'string', length: 100, notNull: true },
+                actor_ip: { type: 'string', length: 45 },
+                action: { type: 'string', length: 50, notNull: true },
+                entity_type: { type: 'string', length: 50, notNull: true },
+                entity_id: { type: 'integer' },
+                changes: { type: 'json' },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' }
+            },
+            indexes: {
+                idx_actor: ['actor'],
+                idx_entity: ['entity_type', 'entity_id'],
+                idx_created_at: ['created_at']
+            }
+        });
+    },
+
+    async down(db) {
+        await dropTable(db, 'admin_audit_log');
+    }
+};
@@ -0,0 +1,31 @@
+const { createTable, dropTable } = require('../schema');
+
+/**
+ * Per-system API keys (stored as bcrypt hashes)
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'api_keys',
+            columns: {
+                id: { type: 'increments' },
+                allowed_ip_id: { type: 'integer', notNull: true, references: { table: 'allowed_ips', column: 'id', onDelete: 'CASCADE' } },
+                key_prefix: { type: 'string', length: 16, unique: true, notNull: true },
+                key_hash: { type: 'string', length: 100, notNull: true },
+                label: { type: 'string', length: 255 },
+                expires_at: { type: 'timestamp' },
+                revoked_at: { type: 'timestamp' },
+                last_used_at: { type: 'timestamp' },
+                created_by: { type: 'string', length: 100 },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' }
+            },
+            indexes: {
+                idx_allowed_ip_id: ['allowed_ip_id']
+            }
+        });
+    },
+
+    async down(db) {
+        await dropTable(db, 'api_keys');
+    }
+};
@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require('../schema');
+
+/**
+ * Lets a system opt out of the verification result cache
+ */
+module.exports = {
+    async up(db) {
+        // Older versions added this column at startup, so it may already be there
+        await addColumn(db, 'allowed_ips', 'cache_enabled', { type: 'boolean', notNull: true, default: true }, { ifMissing: true });
+    },
+
+    async down(db) {
+        await dropColumn(db, 'allowed_ips', 'cache_enabled');
+    }
+};
@@ -0,0 +1,26 @@
+const { createTable, dropTable } = require('../schema');
+
+/**
+ * Recent verification results, keyed by a hash of the request
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'verification_cache',
+            columns: {
+                cache_key: { type: 'char', length: 64, primaryKey: true },
+                verified: { type: 'boolean', notNull: true },
+                result: { type: 'json', notNull: true },
+                expires_at: { type: 'timestamp', notNull: true },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' }
+            },
+            indexes: {
+                idx_expires_at: ['expires_at']
+            }
+        });
+    },
+
+    async down(db) {
+        await dropTable(db, 'verification_cache');
+    }
+};
@@ -0,0 +1,36 @@
+const { createTable, dropTable } = require('../schema');
+
+/**
+ * Queue of asynchronous verification jobs
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'verification_jobs',
+            columns: {
+                id: { type: 'char', length: 36, primaryKey: true },
+                system_id: { type: 'integer' },
+                system_name: { type: 'string', length: 255 },
+                client_ip: { type: 'string', length: 45 },
+                request_data: { type: 'json', notNull: true },
+                status: { type: 'enum', values: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'], notNull: true, default: 'PENDING' },
+                result: { type: 'json' },
+                status_code: { type: 'integer' },
+                attempts: { type: 'integer', notNull: true, default: 0 },
+                locked_by: { type: 'string', length: 100 },
+                locked_at: { type: 'timestamp' },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' },
+                completed_at: { type: 'timestamp' }
+            },
+            indexes: {
+                idx_status_created_at: ['status', 'created_at'],
+                idx_system_name: ['system_name'],
+                idx_completed_at: ['completed_at']
+            }
+        });
+    },
+
+    async down(db) {
+        await dropTable(db, 'verification_jobs');
+    }
+};
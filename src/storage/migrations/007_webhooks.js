@@ -0,0 +1,58 @@
+const { createTable, dropTable } = require('../schema');
+
+/**
+ * Webhook subscriptions and their deliveries (DEAD rows are the dead-letter record)
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'webhook_subscriptions',
+            columns: {
+                id: { type: 'increments' },
+                allowed_ip_id: { type: 'integer', notNull: true, references: { table: 'allowed_ips', column: 'id', onDelete: 'CASCADE' } },
+                url: { type: 'string', length: 2048, notNull: true },
+                event_types: { type: 'json', notNull: true },
+                secret: { type: 'string', length: 100, notNull: true },
+                description: { type: 'string', length: 255 },
+                is_active: { type: 'boolean', notNull: true, default: true },
+                created_by: { type: 'string', length: 100 },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' },
+                updated_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP', onUpdateCurrentTimestamp: true }
+            },
+            indexes: {
+                idx_allowed_ip_id: ['allowed_ip_id']
+            }
+        });
+
+        await createTable(db, {
+            name: 'webhook_deliveries',
+            columns: {
+                id: { type: 'char', length: 36, primaryKey: true },
+                subscription_id: { type: 'integer', notNull: true, references: { table: 'webhook_subscriptions', column: 'id', onDelete: 'CASCADE' } },
+                event_id: { type: 'char', length: 36, notNull: true },
+                event_type: { type: 'string', length: 50, notNull: true },
+                payload: { type: 'json', notNull: true },
+                status: { type: 'enum', values: ['PENDING', 'DELIVERING', 'DELIVERED', 'DEAD'], notNull: true, default: 'PENDING' },
+                attempts: { type: 'integer', notNull: true, default: 0 },
+                next_attempt_at: { type: 'timestamp', notNull: true, default: 'CURRENT_TIMESTAMP' },
+                last_status_code: { type: 'integer' },
+                last_error: { type: 'text' },
+                replay_of: { type: 'char', length: 36 },
+                locked_by: { type: 'string', length: 100 },
+                locked_at: { type: 'timestamp' },
+                delivered_at: { type: 'timestamp' },
+                created_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' }
+            },
+            indexes: {
+                idx_status_next_attempt: ['status', 'next_attempt_at'],
+                idx_subscription_id: ['subscription_id'],
+                idx_event_id: ['event_id']
+            }
+        });
+    },
+
+    async down(db) {
+        await dropTable(db, 'webhook_deliveries');
+        await dropTable(db, 'webhook_subscriptions');
+    }
+};
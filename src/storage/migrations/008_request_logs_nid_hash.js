@@ -0,0 +1,15 @@
+const { changeColumn } = require('../schema');
+
+/**
+ * request_logs.nid holds a hex HMAC-SHA256 of the NID instead of the NID itself
+ */
+module.exports = {
+    async up(db) {
+        await changeColumn(db, 'request_logs', 'nid', { type: 'string', length: 64, notNull: true });
+    },
+
+    async down(db) {
+        // On MySQL this fails while hashed NIDs are stored; clear or shorten them first
+        await changeColumn(db, 'request_logs', 'nid', { type: 'string', length: 20, notNull: true });
+    }
+};
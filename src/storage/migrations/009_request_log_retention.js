@@ -0,0 +1,53 @@
+const { createTable, dropTable, addIndex, dropIndex } = require('../schema');
+
+/**
+ * Retention of request_logs: daily aggregates kept after rows are purged,
+ * a record of each retention run, and an index for finding expired rows
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'request_log_archive',
+            columns: {
+                id: { type: 'increments' },
+                day: { type: 'char', length: 10, notNull: true },
+                system_name: { type: 'string', length: 255, notNull: true },
+                status: { type: 'enum', values: ['SUCCESS', 'ERROR'], notNull: true },
+                request_count: { type: 'integer', notNull: true, default: 0 },
+                total_processing_time_ms: { type: 'integer', notNull: true, default: 0 },
+                updated_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP', onUpdateCurrentTimestamp: true }
+            },
+            indexes: {
+                idx_day_system_status: ['day', 'system_name', 'status']
+            }
+        });
+
+        await createTable(db, {
+            name: 'retention_runs',
+            columns: {
+                id: { type: 'increments' },
+                dry_run: { type: 'boolean', notNull: true, default: false },
+                status: { type: 'enum', values: ['SUCCESS', 'FAILED'], notNull: true },
+                success_cutoff: { type: 'timestamp' },
+                error_cutoff: { type: 'timestamp' },
+                deleted_success: { type: 'integer', notNull: true, default: 0 },
+                deleted_error: { type: 'integer', notNull: true, default: 0 },
+                archived: { type: 'boolean', notNull: true, default: false },
+                error_message: { type: 'text' },
+                started_at: { type: 'timestamp', notNull: true },
+                finished_at: { type: 'timestamp', notNull: true }
+            },
+            indexes: {
+                idx_finished_at: ['finished_at']
+            }
+        });
+
+        await addIndex(db, 'request_logs', 'idx_status_created_at', ['status', 'created_at']);
+    },
+
+    async down(db) {
+        await dropIndex(db, 'request_logs', 'idx_status_created_at');
+        await dropTable(db, 'retention_runs');
+        await dropTable(db, 'request_log_archive');
+    }
+};
@@ -0,0 +1,34 @@
+const { createTable, dropTable, addColumn, dropColumn } = require('../schema');
+
+/**
+ * Daily and monthly verification quotas per system, and the counters they are checked against
+ */
+module.exports = {
+    async up(db) {
+        // NULL means unlimited. A database adopted from before migrations existed runs this again.
+        await addColumn(db, 'allowed_ips', 'daily_quota', { type: 'integer' }, { ifMissing: true });
+        await addColumn(db, 'allowed_ips', 'monthly_quota', { type: 'integer' }, { ifMissing: true });
+
+        await createTable(db, {
+            name: 'system_usage',
+            columns: {
+                // <system_id>:<period>, so each counter can be created with a plain insert-or-ignore
+                usage_key: { type: 'string', length: 40, primaryKey: true },
+                system_id: { type: 'integer', notNull: true },
+                // YYYY-MM-DD for a day, YYYY-MM for a month (UTC)
+                period: { type: 'char', length: 10, notNull: true },
+                request_count: { type: 'integer', notNull: true, default: 0 },
+                updated_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP', onUpdateCurrentTimestamp: true }
+            },
+            indexes: {
+                idx_system_period: ['system_id', 'period']
+            }
+        });
+    },
+
+    async down(db) {
+        await dropTable(db, 'system_usage');
+        await dropColumn(db, 'allowed_ips', 'monthly_quota');
+        await dropColumn(db, 'allowed_ips', 'daily_quota');
+    }
+};
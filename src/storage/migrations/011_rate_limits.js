@@ -0,0 +1,31 @@
+const { createTable, dropTable, addColumn, dropColumn } = require('../schema');
+
+/**
+ * Per-system rate limits, and the hit counters shared by every instance
+ */
+module.exports = {
+    async up(db) {
+        // NULL means the RATE_LIMIT_* defaults. A database adopted from before migrations existed runs this again.
+        await addColumn(db, 'allowed_ips', 'burst_limit', { type: 'integer' }, { ifMissing: true });
+        await addColumn(db, 'allowed_ips', 'sustained_limit', { type: 'integer' }, { ifMissing: true });
+
+        await createTable(db, {
+            name: 'rate_limit_counters',
+            columns: {
+                // <limiter>:<client>:<window start>
+                counter_key: { type: 'string', length: 191, primaryKey: true },
+                hits: { type: 'integer', notNull: true, default: 0 },
+                expires_at: { type: 'timestamp', notNull: true }
+            },
+            indexes: {
+                idx_expires_at: ['expires_at']
+            }
+        });
+    },
+
+    async down(db) {
+        await dropTable(db, 'rate_limit_counters');
+        await dropColumn(db, 'allowed_ips', 'sustained_limit');
+        await dropColumn(db, 'allowed_ips', 'burst_limit');
+    }
+};
@@ -0,0 +1,70 @@
+const { addColumn, dropColumn } = require('../schema');
+
+const OUTCOMES = ['VERIFIED', 'MISMATCH', 'UPSTREAM_ERROR', 'VALIDATION_ERROR', 'OTHER_ERROR'];
+const UPSTREAM_ERROR_CODES = ['SERVICE_UNAVAILABLE', 'VERIFICATION_FAILED'];
+const BATCH_SIZE = 500;
+
+function parse(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value || {};
+}
+
+/**
+ * Works out the outcome of a row logged before outcomes were recorded. The
+ * endpoint was not logged, so a successful row is a verification if its
+ * response says whether the NID was verified, and a failed one if it was sent
+ * any verification input.
+ */
+function classify(row) {
+    const requestData = parse(row.request_data);
+    const responseData = parse(row.response_data);
+
+    if (row.status === 'SUCCESS') {
+        const verified = responseData.data?.verified;
+        if (typeof verified !== 'boolean') {
+            return null;
+        }
+        return verified ? 'VERIFIED' : 'MISMATCH';
+    }
+
+    if (requestData.batchSize !== undefined || ['nid', 'dateOfBirth', 'nameEn'].every((field) => !requestData[field])) {
+        return null;
+    }
+    if (responseData.code === 'VALIDATION_ERROR') {
+        return 'VALIDATION_ERROR';
+    }
+    return UPSTREAM_ERROR_CODES.includes(responseData.code) ? 'UPSTREAM_ERROR' : 'OTHER_ERROR';
+}
+
+/**
+ * Records what each verification request came to, for usage reports
+ */
+module.exports = {
+    async up(db) {
+        // NULL for requests that are not verifications (status, usage, job polling...)
+        await addColumn(db, 'request_logs', 'outcome', { type: 'enum', values: OUTCOMES }, { ifMissing: true });
+
+        let lastId = 0;
+        for (;;) {
+            const rows = await db.query(
+                `SELECT id, status, request_data, response_data FROM request_logs
+                 WHERE id > ? AND outcome IS NULL ORDER BY id LIMIT ${BATCH_SIZE}`,
+                [lastId]
+            );
+            if (rows.length === 0) {
+                break;
+            }
+            lastId = rows[rows.length - 1].id;
+
+            for (const row of rows) {
+                const outcome = classify(row);
+                if (outcome) {
+                    await db.run('UPDATE request_logs SET outcome = ? WHERE id = ?', [outcome, row.id]);
+                }
+            }
+        }
+    },
+
+    async down(db) {
+        await dropColumn(db, 'request_logs', 'outcome');
+    }
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { createTable, dropTable } = require('../schema');
+
+const OUTCOMES = ['VERIFIED', 'MISMATCH', 'UPSTREAM_ERROR', 'VALIDATION_ERROR', 'OTHER_ERROR'];
+// Upper bounds of the latency histogram; each column counts requests at or under its bound
+const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+// The longest window /api/nid/status reports on by default
+const BACKFILL_DAYS = 30;
+const BATCH_SIZE = 1000;
+const MINUTE_MS = 60 * 1000;
+
+function errorCode(row) {
+    if (row.status !== 'ERROR' || !row.error_message) {
+        return null;
+    }
+    try {
+        const code = JSON.parse(row.error_message).code;
+        return typeof code === 'string' ? code.slice(0, 64) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Per-minute rollup of request_logs for /api/nid/status, so statistics are
+ * read from a few thousand rows however large request_logs grows
+ */
+module.exports = {
+    async up(db) {
+        await createTable(db, {
+            name: 'request_stats',
+            columns: {
+                // SHA-256 of the minute and the grouping columns
+                stat_key: { type: 'char', length: 64, primaryKey: true },
+                bucket_start: { type: 'timestamp', notNull: true },
+                system_name: { type: 'string', length: 255, notNull: true },
+                status: { type: 'enum', values: ['SUCCESS', 'ERROR'], notNull: true },
+                outcome: { type: 'enum', values: OUTCOMES },
+                error_code: { type: 'string', length: 64 },
+                request_count: { type: 'integer', notNull: true, default: 0 },
+                latency_count: { type: 'integer', notNull: true, default: 0 },
+                latency_sum_ms: { type: 'integer', notNull: true, default: 0 },
+                ...Object.fromEntries(LATENCY_BUCKETS_MS.map((bound) => [
+                    `latency_le_${bound}`,
+                    { type: 'integer', notNull: true, default: 0 }
+                ]))
+            },
+            indexes: {
+                idx_bucket_start: ['bucket_start']
+            }
+        });
+
+        // Roll up recent history so the statistics do not start from zero
+        const stats = new Map();
+        const since = new Date(Date.now() - BACKFILL_DAYS * 24 * 60 * MINUTE_MS);
+        let lastId = 0;
+        for (;;) {
+            const rows = await db.query(
+                `SELECT id, created_at, system_name, status, outcome, error_message, processing_time_ms FROM request_logs
+                 WHERE id > ? AND created_at >= ? ORDER BY id LIMIT ${BATCH_SIZE}`,
+                [lastId, since]
+            );
+            if (rows.length === 0) {
+                break;
+            }
+            lastId = rows[rows.length - 1].id;
+
+            for (const row of rows) {
+                const bucketStart = new Date(Math.floor(new Date(row.created_at).getTime() / MINUTE_MS) * MINUTE_MS);
+                const group = [bucketStart.toISOString(), row.system_name, row.status, row.outcome, errorCode(row)];
+                const key = crypto.createHash('sha256').update(JSON.stringify(group)).digest('hex');
+                if (!stats.has(key)) {
+                    stats.set(key, {
+                        stat_key: key,
+                        bucket_start: bucketStart,
+                        system_name: row.system_name,
+                        status: row.status,
+                        outcome: row.outcome || null,
+                        error_code: group[4],
+                        request_count: 0,
+                        latency_count: 0,
+                        latency_sum_ms: 0,
+                        ...Object.fromEntries(LATENCY_BUCKETS_MS.map((bound) => [`latency_le_${bound}`, 0]))
+                    });
+                }
+
+                const stat = stats.get(key);
+                stat.request_count += 1;
+                const latency = row.processing_time_ms;
+                if (latency !== null && latency !== undefined) {
+                    stat.latency_count += 1;
+                    stat.latency_sum_ms += latency;
+                    for (const bound of LATENCY_BUCKETS_MS) {
+                        if (latency <= bound) {
+                            stat[`latency_le_${bound}`] += 1;
+                        }
+                    }
+                }
+            }
+        }
+
+        const all = [...stats.values()];
+        for (let i = 0; i < all.length; i += 100) {
+            await db.insertIgnore('request_stats', all.slice(i, i + 100));
+        }
+    },
+
+    async down(db) {
+        await dropTable(db, 'request_stats');
+    }
+};
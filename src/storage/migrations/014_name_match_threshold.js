@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require('../schema');
+
+/**
+ * Per-system threshold for the probableMatch flag of verifications
+ */
+module.exports = {
+    async up(db) {
+        // NULL means NAME_MATCH_THRESHOLD. A database adopted from before migrations existed runs this again.
+        await addColumn(db, 'allowed_ips', 'name_match_threshold', { type: 'decimal', precision: 3, scale: 2 }, { ifMissing: true });
+    },
+
+    async down(db) {
+        await dropColumn(db, 'allowed_ips', 'name_match_threshold');
+    }
+};
@@ -0,0 +1,21 @@
+const { addColumn, dropColumn } = require('../schema');
+
+const OUTCOMES = ['VERIFIED', 'MISMATCH', 'UPSTREAM_ERROR', 'VALIDATION_ERROR', 'OTHER_ERROR'];
+
+/**
+ * Keeps the outcome of archived request logs, so usage reports still count
+ * verifications after retention has deleted their rows
+ */
+module.exports = {
+    async up(db) {
+        // NULL for requests that are not verifications, and for counts archived before this migration
+        await addColumn(db, 'request_log_archive', 'outcome', { type: 'enum', values: OUTCOMES }, { ifMissing: true });
+        // Rows with a processing time, for the average latency (some errors have none)
+        await addColumn(db, 'request_log_archive', 'timed_count', { type: 'integer', notNull: true, default: 0 }, { ifMissing: true });
+    },
+
+    async down(db) {
+        await dropColumn(db, 'request_log_archive', 'timed_count');
+        await dropColumn(db, 'request_log_archive', 'outcome');
+    }
+};
@@ -0,0 +1,78 @@
+const { createTable, dropTable } = require('../schema');
+const { systemKey } = require('../../utils/systemKey');
+
+function usageTable(owner) {
+    return {
+        name: 'system_usage',
+        columns: {
+            // <owner key>:<period>, so each counter can be created with a plain insert-or-ignore
+            usage_key: { type: 'string', length: 40, primaryKey: true },
+            ...owner,
+            // YYYY-MM-DD for a day, YYYY-MM for a month (UTC)
+            period: { type: 'char', length: 10, notNull: true },
+            request_count: { type: 'integer', notNull: true, default: 0 },
+            updated_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP', onUpdateCurrentTimestamp: true }
+        },
+        indexes: {
+            idx_system_period: [Object.keys(owner)[0], 'period']
+        }
+    };
+}
+
+/**
+ * Rebuilds system_usage with the given owner column, adding up the counters
+ * that end up with the same key
+ */
+async function rebuild(db, owner, ownerOf) {
+    const counters = new Map();
+    for (const row of await db.query('SELECT * FROM system_usage')) {
+        const value = await ownerOf(row);
+        if (value === null || value === undefined) {
+            // The whitelist entry or system is gone; so is the counter
+            continue;
+        }
+        const key = `${owner.key(value)}:${row.period}`;
+        const counter = counters.get(key) || { usage_key: key, [owner.column]: value, period: row.period, request_count: 0 };
+        counter.request_count += row.request_count;
+        counters.set(key, counter);
+    }
+
+    await dropTable(db, 'system_usage');
+    await createTable(db, usageTable({ [owner.column]: owner.spec }));
+    for (const counter of counters.values()) {
+        await db.run(
+            `INSERT INTO system_usage (usage_key, ${owner.column}, period, request_count) VALUES (?, ?, ?, ?)`,
+            [counter.usage_key, counter[owner.column], counter.period, counter.request_count]
+        );
+    }
+}
+
+/**
+ * Counts quota usage per system name instead of per whitelist entry, so a
+ * system listed on several entries has one daily and one monthly counter
+ */
+module.exports = {
+    async up(db) {
+        const names = new Map((await db.query('SELECT id, system_name FROM allowed_ips')).map((row) => [row.id, row.system_name]));
+        await rebuild(
+            db,
+            { column: 'system_name', spec: { type: 'string', length: 255, notNull: true }, key: systemKey },
+            (row) => names.get(row.system_id)
+        );
+    },
+
+    async down(db) {
+        // Each system's counters go back to its first entry
+        const firstIds = new Map();
+        for (const row of await db.query('SELECT id, system_name FROM allowed_ips ORDER BY id')) {
+            if (!firstIds.has(row.system_name)) {
+                firstIds.set(row.system_name, row.id);
+            }
+        }
+        await rebuild(
+            db,
+            { column: 'system_id', spec: { type: 'integer', notNull: true }, key: String },
+            (row) => firstIds.get(row.system_name)
+        );
+    }
+};
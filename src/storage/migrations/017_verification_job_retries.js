@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require('../schema');
+
+/**
+ * When a job put back in the queue after a transient upstream failure is due again
+ */
+module.exports = {
+    async up(db) {
+        // NULL for jobs that have not been put back: they are due straight away. A database adopted from before migrations existed runs this again.
+        await addColumn(db, 'verification_jobs', 'next_attempt_at', { type: 'timestamp' }, { ifMissing: true });
+    },
+
+    async down(db) {
+        await dropColumn(db, 'verification_jobs', 'next_attempt_at');
+    }
+};
@@ -0,0 +1,15 @@
+const { changeColumn } = require('../schema');
+
+/**
+ * webhook_subscriptions.secret holds the signing secret encrypted with a request log key
+ */
+module.exports = {
+    async up(db) {
+        await changeColumn(db, 'webhook_subscriptions', 'secret', { type: 'string', length: 255, notNull: true });
+    },
+
+    async down(db) {
+        // On MySQL this fails while encrypted secrets are stored; rotate them with the old code first
+        await changeColumn(db, 'webhook_subscriptions', 'secret', { type: 'string', length: 100, notNull: true });
+    }
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { createTable } = require('./schema');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'nid_service_migrations';
+
+/**
+ * Loads the migrations in a directory. Files are named <version>_<name>.js
+ * (e.g. 001_baseline.js) and export async up(db) and down(db).
+ * @param {string} dir - Directory to read
+ * @returns {Array<Object>} - { version, name, up, down } ordered by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    return fs.readdirSync(dir)
+        .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+        .map((file) => {
+            const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+            const migration = require(path.join(dir, file));
+            return { version: parseInt(version, 10), name, up: migration.up, down: migration.down };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applies and reverts versioned schema migrations, recording applied versions
+ * in schema_migrations. Every run holds a database lock so two instances
+ * starting together do not migrate at the same time.
+ */
+class Migrator {
+    /**
+     * @param {Object} deps - db (an initialized storage adapter) and optionally migrations and lockTimeoutSeconds
+     */
+    constructor({ db, migrations = loadMigrations(), lockTimeoutSeconds = 60 }) {
+        this.db = db;
+        this.migrations = migrations;
+        this.lockTimeoutSeconds = lockTimeoutSeconds;
+
+        const versions = migrations.map((migration) => migration.version);
+        const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+        if (duplicate !== undefined) {
+            throw new Error(`Two migrations share version ${duplicate}`);
+        }
+    }
+
+    async ensureTable() {
+        await createTable(this.db, {
+            name: 'schema_migrations',
+            columns: {
+                version: { type: 'integer', primaryKey: true },
+                name: { type: 'string', length: 255, notNull: true },
+                applied_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP' }
+            }
+        });
+    }
+
+    async appliedVersions() {
+        const rows = await this.db.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map((row) => [row.version, row.applied_at]));
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} - Every known migration with whether and when it was applied
+     */
+    async status() {
+        await this.ensureTable();
+        const applied = await this.appliedVersions();
+
+        const known = this.migrations.map(({ version, name }) => ({
+            version,
+            name,
+            applied: applied.has(version),
+            appliedAt: applied.get(version) || null
+        }));
+
+        // Applied by a newer release of the service than this one
+        const unknown = [...applied.keys()]
+            .filter((version) => !this.migrations.some((migration) => migration.version === version))
+            .map((version) => ({ version, name: null, applied: true, appliedAt: applied.get(version) }));
+
+        return [...known, ...unknown].sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Applies pending migrations in version order
+     * @param {Object} options - to: highest version to apply (default: all)
+     * @returns {Promise<Array<Object>>} - The migrations applied
+     */
+    async up({ to = Infinity } = {}) {
+        return this.withLock(async () => {
+            const applied = await this.appliedVersions();
+            const pending = this.migrations.filter((migration) => !applied.has(migration.version) && migration.version <= to);
+
+            for (const migration of pending) {
+                logger.info(`Applying migration ${migration.version} (${migration.name})`);
+                await migration.up(this.db);
+                await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            }
+
+            if (pending.length > 0) {
+                logger.info(`Applied ${pending.length} migration(s)`);
+            }
+            return pending.map(({ version, name }) => ({ version, name }));
+        });
+    }
+
+    /**
+     * Reverts applied migrations, newest first
+     * @param {Object} options - steps: how many to revert (default 1), or to: revert every version above this one
+     * @returns {Promise<Array<Object>>} - The migrations reverted
+     */
+    async down({ steps = 1, to } = {}) {
+        return this.withLock(async () => {
+            const applied = await this.appliedVersions();
+            const candidates = [...applied.keys()].sort((a, b) => b - a);
+            const versions = to === undefined ? candidates.slice(0, steps) : candidates.filter((version) => version > to);
+
+            const reverted = [];
+            for (const version of versions) {
+                const migration = this.migrations.find((candidate) => candidate.version === version);
+                if (!migration) {
+                    throw new Error(`Migration ${version} is applied but its file is missing; cannot revert it`);
+                }
+
+                logger.info(`Reverting migration ${migration.version} (${migration.name})`);
+                await migration.down(this.db);
+                await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+                reverted.push({ version, name: migration.name });
+            }
+
+            return reverted;
+        });
+    }
+
+    async withLock(callback) {
+        await this.ensureTable();
+        return this.db.withLock(LOCK_NAME, this.lockTimeoutSeconds, callback);
+    }
+}
+
+module.exports = {
+    Migrator,
+    loadMigrations
+};
@@ -0,0 +1,303 @@
+const mysql = require('mysql2/promise');
+const logger = require('../utils/logger');
+
+const COLUMN_TYPES = {
+    increments: () => 'INT AUTO_INCREMENT PRIMARY KEY',
+    string: (spec) => `VARCHAR(${spec.length})`,
+    char: (spec) => `CHAR(${spec.length})`,
+    text: () => 'TEXT',
+    integer: () => 'INT',
+    decimal: (spec) => `DECIMAL(${spec.precision}, ${spec.scale})`,
+    boolean: () => 'BOOLEAN',
+    json: () => 'JSON',
+    timestamp: () => 'TIMESTAMP',
+    enum: (spec) => `ENUM(${spec.values.map((value) => `'${value}'`).join(', ')})`
+};
+
+function literal(value) {
+    if (value === 'CURRENT_TIMESTAMP') {
+        return value;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    return typeof value === 'number' ? String(value) : `'${value}'`;
+}
+
+/**
+ * Wraps a pool connection (or the pool itself) in the query/run/get interface
+ * @param {Object} executor - Anything with mysql2's execute()
+ * @returns {Object} - { query, run, get }
+ */
+function handle(executor) {
+    return {
+        async query(sql, params = []) {
+            const [rows] = await executor.execute(sql, params);
+            return rows;
+        },
+        async run(sql, params = []) {
+            const [result] = await executor.execute(sql, params);
+            return {
+                id: result.insertId,
+                changes: result.affectedRows
+            };
+        },
+        async get(sql, params = []) {
+            const [rows] = await executor.execute(sql, params);
+            return rows[0] || null;
+        }
+    };
+}
+
+/**
+ * MySQL storage adapter, the default backend. Call init() to connect; the
+ * schema is created and upgraded by migrations (see migrator.js).
+ */
+class MysqlStorage {
+    /**
+     * @param {Object} options - host, port, user, password, database, connectionLimit
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.dialect = 'mysql';
+        this.pool = null;
+    }
+
+    async init() {
+        try {
+            // Create connection pool
+            this.pool = mysql.createPool({
+                host: this.options.host || 'localhost',
+                port: this.options.port || 3306,
+                user: this.options.user || 'root',
+                password: this.options.password || '',
+                database: this.options.database || 'nid_service',
+                waitForConnections: true,
+                connectionLimit: this.options.connectionLimit || 10,
+                queueLimit: 0
+            });
+
+            // Test connection
+            const connection = await this.pool.getConnection();
+            connection.release();
+            logger.info('MySQL database connected successfully');
+        } catch (error) {
+            logger.error('Database initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Renders a table definition (see schema.js) as MySQL DDL
+     * @param {Object} table - Table definition
+     * @returns {Array<string>} - Statements to run
+     */
+    createTableStatements(table) {
+        const lines = Object.entries(table.columns).map(([name, spec]) => `${name} ${this.columnDefinition(spec)}`);
+
+        for (const [name, columns] of Object.entries(table.indexes || {})) {
+            lines.push(`INDEX ${name} (${columns.join(', ')})`);
+        }
+        for (const [name, spec] of Object.entries(table.columns)) {
+            if (spec.references) {
+                const { table: target, column, onDelete } = spec.references;
+                lines.push(`FOREIGN KEY (${name}) REFERENCES ${target}(${column})${onDelete ? ` ON DELETE ${onDelete}` : ''}`);
+            }
+        }
+
+        return [
+            `CREATE TABLE IF NOT EXISTS ${table.name} (\n    ${lines.join(',\n    ')}\n) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+        ];
+    }
+
+    columnDefinition(spec) {
+        let sql = COLUMN_TYPES[spec.type](spec);
+
+        if (spec.primaryKey) {
+            sql += ' PRIMARY KEY';
+        }
+        if (spec.unique) {
+            sql += ' UNIQUE';
+        }
+        if (spec.notNull) {
+            sql += ' NOT NULL';
+        } else if (spec.type === 'timestamp' && spec.default === undefined) {
+            // Without this MySQL may give the column an implicit default
+            sql += ' NULL DEFAULT NULL';
+        }
+        if (spec.default !== undefined) {
+            sql += ` DEFAULT ${literal(spec.default)}`;
+        }
+        if (spec.onUpdateCurrentTimestamp) {
+            sql += ' ON UPDATE CURRENT_TIMESTAMP';
+        }
+
+        return sql;
+    }
+
+    addColumnStatement(table, column, spec) {
+        return `ALTER TABLE ${table} ADD COLUMN ${column} ${this.columnDefinition(spec)}`;
+    }
+
+    createIndexStatement(table, name, columns) {
+        return `CREATE INDEX ${name} ON ${table} (${columns.join(', ')})`;
+    }
+
+    dropIndexStatement(table, name) {
+        return `DROP INDEX ${name} ON ${table}`;
+    }
+
+    alterColumnStatement(table, column, spec) {
+        return `ALTER TABLE ${table} MODIFY COLUMN ${column} ${this.columnDefinition(spec)}`;
+    }
+
+    /**
+     * TIMESTAMP values are returned in the session time zone, so convert them back to UTC first
+     * @param {string} column - Timestamp column
+     * @param {string} unit - 'minute' (YYYY-MM-DD HH:MM), 'hour' (YYYY-MM-DD HH), 'day' (YYYY-MM-DD) or 'month' (YYYY-MM)
+     * @returns {string} - SQL expression
+     */
+    utcDateExpression(column, unit) {
+        const formats = { minute: '%Y-%m-%d %H:%i', hour: '%Y-%m-%d %H', day: '%Y-%m-%d', month: '%Y-%m' };
+        return `DATE_FORMAT(CONVERT_TZ(${column}, @@session.time_zone, '+00:00'), '${formats[unit]}')`;
+    }
+
+    async listColumns(table) {
+        const rows = await this.query(
+            'SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+            [table]
+        );
+        return rows.map((row) => row.name);
+    }
+
+    /**
+     * Inserts rows, skipping any that collide with a unique key
+     * @param {string} table - Table name
+     * @param {Array<Object>} rows - Rows with identical keys
+     */
+    async insertIgnore(table, rows) {
+        const columns = Object.keys(rows[0]);
+        const placeholders = rows.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+        await this.run(
+            `INSERT IGNORE INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`,
+            rows.flatMap((row) => columns.map((column) => row[column]))
+        );
+    }
+
+    async query(sql, params = []) {
+        try {
+            return await handle(this.pool).query(sql, params);
+        } catch (error) {
+            logger.error('Database query error:', error);
+            throw error;
+        }
+    }
+
+    async run(sql, params = []) {
+        try {
+            return await handle(this.pool).run(sql, params);
+        } catch (error) {
+            logger.error('Database execute error:', error);
+            throw error;
+        }
+    }
+
+    async get(sql, params = []) {
+        try {
+            return await handle(this.pool).get(sql, params);
+        } catch (error) {
+            logger.error('Database get error:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Runs a callback inside a transaction on one pooled connection
+     * @param {Function} callback - Receives a { query, run, get } handle bound to the transaction
+     * @returns {Promise<*>} - The callback's result
+     */
+    async transaction(callback) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await callback(handle(connection));
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Runs a callback while holding a named lock shared by every instance using this database
+     * @param {string} name - Lock name
+     * @param {number} timeoutSeconds - How long to wait for the lock
+     * @param {Function} callback - Work to do while holding the lock
+     * @returns {Promise<*>} - The callback's result
+     * @throws {Error} - With code LOCK_TIMEOUT if the lock could not be acquired in time
+     */
+    async withLock(name, timeoutSeconds, callback) {
+        // Named locks belong to a session, so acquire and release on the same connection
+        const connection = await this.pool.getConnection();
+        try {
+            const [rows] = await connection.execute('SELECT GET_LOCK(?, ?) AS acquired', [name, timeoutSeconds]);
+            if (rows[0].acquired !== 1) {
+                const error = new Error(`Timed out waiting for lock ${name}`);
+                error.code = 'LOCK_TIMEOUT';
+                throw error;
+            }
+
+            try {
+                return await callback();
+            } finally {
+                await connection.execute('SELECT RELEASE_LOCK(?)', [name]);
+            }
+        } finally {
+            connection.release();
+        }
+    }
+
+    async close() {
+        if (this.pool) {
+            await this.pool.end();
+            this.pool = null;
+            logger.info('Database connection pool closed');
+        }
+    }
+
+    // Health check method
+    async healthCheck() {
+        try {
+            await this.pool.execute('SELECT 1');
+            return true;
+        } catch (error) {
+            logger.error('Database health check failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Connection pool utilisation, read from mysql2's pool internals
+     * @returns {Object|null} - { limit, open, idle, busy, queued }, or null before init
+     */
+    poolStats() {
+        const pool = this.pool?.pool;
+        if (!pool) {
+            return null;
+        }
+        const open = pool._allConnections.length;
+        const idle = pool._freeConnections.length;
+        return {
+            limit: pool.config.connectionLimit,
+            open,
+            idle,
+            busy: open - idle,
+            queued: pool._connectionQueue.length
+        };
+    }
+}
+
+module.exports = MysqlStorage;
@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+
+/**
+ * Schema helpers for migrations. Tables are described once and each storage
+ * adapter renders them to its own DDL (see createTableStatements() in
+ * mysqlStorage.js and sqliteStorage.js):
+ *
+ *   {
+ *       name: 'allowed_ips',
+ *       columns: { id: { type: 'increments' }, ip_address: { type: 'string', length: 45, notNull: true } },
+ *       indexes: { idx_ip_address: ['ip_address'] }
+ *   }
+ *
+ * Column types: increments (auto-increment integer primary key), string and
+ * char (with length), text, integer, decimal (with precision and scale), boolean,
+ * json, timestamp and enum (with values). MySQL returns decimals as strings.
+ * Column options: primaryKey, notNull, unique, default (a value or the string
+ * 'CURRENT_TIMESTAMP'), onUpdateCurrentTimestamp and references ({ table, column, onDelete }).
+ */
+
+/**
+ * Creates a table, its indexes and triggers unless the table already exists
+ * @param {Object} db - Storage adapter
+ * @param {Object} table - Table definition
+ */
+async function createTable(db, table) {
+    for (const statement of db.createTableStatements(table)) {
+        await db.run(statement);
+    }
+}
+
+async function dropTable(db, name) {
+    await db.run(`DROP TABLE IF EXISTS ${name}`);
+}
+
+/**
+ * Adds a column to an existing table
+ * @param {Object} db - Storage adapter
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {Object} spec - Column definition
+ * @param {Object} options - ifMissing to skip the column when the table already has it
+ */
+async function addColumn(db, table, column, spec, { ifMissing = false } = {}) {
+    if (ifMissing && (await db.listColumns(table)).includes(column)) {
+        return;
+    }
+
+    await db.run(db.addColumnStatement(table, column, spec));
+    logger.info(`Added column ${table}.${column}`);
+}
+
+/**
+ * Changes the definition of an existing column (e.g. to widen a string column)
+ * @param {Object} db - Storage adapter
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {Object} spec - New column definition
+ */
+async function changeColumn(db, table, column, spec) {
+    const statement = db.alterColumnStatement(table, column, spec);
+    if (statement) {
+        await db.run(statement);
+    }
+}
+
+async function dropColumn(db, table, column) {
+    await db.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+}
+
+async function addIndex(db, table, name, columns) {
+    await db.run(db.createIndexStatement(table, name, columns));
+}
+
+async function dropIndex(db, table, name) {
+    await db.run(db.dropIndexStatement(table, name));
+}
+
+module.exports = {
+    createTable,
+    dropTable,
+    addColumn,
+    changeColumn,
+    dropColumn,
+    addIndex,
+    dropIndex
+};
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const COLUMN_TYPES = {
+    increments: () => 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    string: () => 'TEXT',
+    char: () => 'TEXT',
+    text: () => 'TEXT',
+    integer: () => 'INTEGER',
+    decimal: () => 'REAL',
+    boolean: () => 'BOOLEAN',
+    json: () => 'JSON',
+    timestamp: () => 'TIMESTAMP',
+    enum: () => 'TEXT'
+};
+
+function literal(value) {
+    if (value === 'CURRENT_TIMESTAMP') {
+        return value;
+    }
+    if (typeof value === 'boolean') {
+        return value ? '1' : '0';
+    }
+    return typeof value === 'number' ? String(value) : `'${value}'`;
+}
+
+/**
+ * Formats a Date the way SQLite's CURRENT_TIMESTAMP does (UTC, second precision),
+ * so stored timestamps compare correctly with each other as text
+ */
+function formatTimestamp(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function toParam(value) {
+    if (value instanceof Date) {
+        return formatTimestamp(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * SQLite storage adapter for small deployments and tests. `filename` is a path to
+ * the database file, or ':memory:' for a database that lives as long as the process.
+ * Call init() to open it; the schema is created by migrations (see migrator.js).
+ *
+ * One connection serves every caller: transactions are run one at a time and other
+ * statements wait for the open transaction to finish. Rows are returned in the same
+ * shape as MysqlStorage: TIMESTAMP columns as Date objects and JSON columns parsed.
+ */
+class SqliteStorage {
+    /**
+     * @param {Object} options - { filename }
+     */
+    constructor({ filename = ':memory:' } = {}) {
+        this.filename = filename;
+        this.dialect = 'sqlite';
+        this.db = null;
+        this.activeTransaction = null;
+        this.locks = new Map();
+    }
+
+    async init() {
+        try {
+            // Loaded here so MySQL deployments do not need the native module installed
+            const Sqlite = require('better-sqlite3');
+
+            if (this.filename !== ':memory:') {
+                fs.mkdirSync(path.dirname(path.resolve(this.filename)), { recursive: true });
+            }
+
+            this.db = new Sqlite(this.filename);
+            this.db.pragma('foreign_keys = ON');
+            if (this.filename !== ':memory:') {
+                this.db.pragma('journal_mode = WAL');
+            }
+            logger.info(`SQLite database opened (${this.filename})`);
+        } catch (error) {
+            logger.error('Database initialization failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Renders a table definition (see schema.js) as SQLite DDL
+     * @param {Object} table - Table definition
+     * @returns {Array<string>} - Statements to run
+     */
+    createTableStatements(table) {
+        const lines = Object.entries(table.columns).map(([name, spec]) => `${name} ${this.columnDefinition(name, spec)}`);
+        const statements = [`CREATE TABLE IF NOT EXISTS ${table.name} (\n    ${lines.join(',\n    ')}\n)`];
+
+        for (const [name, columns] of Object.entries(table.indexes || {})) {
+            statements.push(this.createIndexStatement(table.name, name, columns));
+        }
+
+        // Stands in for MySQL's ON UPDATE CURRENT_TIMESTAMP
+        for (const [name, spec] of Object.entries(table.columns)) {
+            if (spec.onUpdateCurrentTimestamp) {
+                statements.push(
+                    `CREATE TRIGGER IF NOT EXISTS ${table.name}_${name}_on_update AFTER UPDATE ON ${table.name} ` +
+                    `FOR EACH ROW WHEN NEW.${name} IS OLD.${name} ` +
+                    `BEGIN UPDATE ${table.name} SET ${name} = CURRENT_TIMESTAMP WHERE rowid = NEW.rowid; END`
+                );
+            }
+        }
+
+        return statements;
+    }
+
+    columnDefinition(name, spec) {
+        let sql = COLUMN_TYPES[spec.type](spec);
+
+        if (spec.primaryKey) {
+            sql += ' PRIMARY KEY';
+        }
+        if (spec.unique) {
+            sql += ' UNIQUE';
+        }
+        if (spec.notNull) {
+            sql += ' NOT NULL';
+        }
+        if (spec.default !== undefined) {
+            sql += ` DEFAULT ${literal(spec.default)}`;
+        }
+        if (spec.type === 'enum') {
+            sql += ` CHECK (${name} IN (${spec.values.map(literal).join(', ')}))`;
+        }
+        if (spec.references) {
+            const { table, column, onDelete } = spec.references;
+            sql += ` REFERENCES ${table}(${column})${onDelete ? ` ON DELETE ${onDelete}` : ''}`;
+        }
+
+        return sql;
+    }
+
+    addColumnStatement(table, column, spec) {
+        return `ALTER TABLE ${table} ADD COLUMN ${column} ${this.columnDefinition(column, spec)}`;
+    }
+
+    // Index names are global in SQLite, so prefix them with the table
+    createIndexStatement(table, name, columns) {
+        return `CREATE INDEX IF NOT EXISTS ${table}_${name} ON ${table} (${columns.join(', ')})`;
+    }
+
+    dropIndexStatement(table, name) {
+        return `DROP INDEX IF EXISTS ${table}_${name}`;
+    }
+
+    /**
+     * SQLite cannot alter a column, but it stores strings as TEXT of any length,
+     * so widening a string column needs no statement
+     * @returns {string|null} - Always null
+     */
+    alterColumnStatement(table, column, spec) {
+        if (!['string', 'char', 'text'].includes(spec.type)) {
+            throw new Error(`SQLite cannot change ${table}.${column} to ${spec.type}`);
+        }
+        return null;
+    }
+
+    /**
+     * Timestamps are stored as 'YYYY-MM-DD HH:MM:SS' in UTC, so each unit is a prefix
+     * @param {string} column - Timestamp column
+     * @param {string} unit - 'minute' (YYYY-MM-DD HH:MM), 'hour' (YYYY-MM-DD HH), 'day' (YYYY-MM-DD) or 'month' (YYYY-MM)
+     * @returns {string} - SQL expression
+     */
+    utcDateExpression(column, unit) {
+        const lengths = { minute: 16, hour: 13, day: 10, month: 7 };
+        return `substr(${column}, 1, ${lengths[unit]})`;
+    }
+
+    async listColumns(table) {
+        return this.db.pragma(`table_info(${table})`).map((column) => column.name);
+    }
+
+    /**
+     * Inserts rows, skipping any that collide with a unique key
+     * @param {string} table - Table name
+     * @param {Array<Object>} rows - Rows with identical keys
+     */
+    async insertIgnore(table, rows) {
+        const columns = Object.keys(rows[0]);
+        const placeholders = rows.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+        await this.run(
+            `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`,
+            rows.flatMap((row) => columns.map((column) => row[column]))
+        );
+    }
+
+    /**
+     * Runs one statement synchronously
+     * @returns {Object} - { rows } for statements that return data, { id, changes } otherwise
+     */
+    execute(sql, params) {
+        const statement = this.db.prepare(sql);
+        const values = params.map(toParam);
+
+        if (!statement.reader) {
+            const result = statement.run(values);
+            return { id: Number(result.lastInsertRowid), changes: result.changes };
+        }
+
+        const columns = statement.columns();
+        const converters = columns.map((column) => {
+            const type = (column.type || '').toUpperCase();
+            if (type === 'TIMESTAMP') {
+                return (value) => (typeof value === 'string' ? new Date(`${value.replace(' ', 'T')}Z`) : value);
+            }
+            if (type === 'JSON') {
+                return (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+            }
+            return null;
+        });
+
+        const rows = statement.all(values).map((row) => {
+            columns.forEach(({ name }, index) => {
+                if (converters[index] && row[name] !== null) {
+                    row[name] = converters[index](row[name]);
+                }
+            });
+            return row;
+        });
+        return { rows };
+    }
+
+    async query(sql, params = []) {
+        // Wait out an open transaction so the statement cannot land inside it
+        while (this.activeTransaction) {
+            await this.activeTransaction.catch(() => {});
+        }
+
+        try {
+            return this.execute(sql, params).rows || [];
+        } catch (error) {
+            logger.error('Database query error:', error);
+            throw error;
+        }
+    }
+
+    async run(sql, params = []) {
+        while (this.activeTransaction) {
+            await this.activeTransaction.catch(() => {});
+        }
+
+        try {
+            const { id, changes } = this.execute(sql, params);
+            return { id, changes };
+        } catch (error) {
+            logger.error('Database execute error:', error);
+            throw error;
+        }
+    }
+
+    async get(sql, params = []) {
+        const rows = await this.query(sql, params);
+        return rows[0] || null;
+    }
+
+    /**
+     * Runs a callback inside a transaction. Use only the handle it receives:
+     * calling query/run/get on the storage itself from inside the callback waits
+     * for the transaction to finish and never returns.
+     * @param {Function} callback - Receives a { query, run, get } handle bound to the transaction
+     * @returns {Promise<*>} - The callback's result
+     */
+    async transaction(callback) {
+        // Checked again after every wait: another transaction may have started in between
+        while (this.activeTransaction) {
+            await this.activeTransaction.catch(() => {});
+        }
+
+        const tx = {
+            query: async (sql, params = []) => this.execute(sql, params).rows || [],
+            run: async (sql, params = []) => {
+                const { id, changes } = this.execute(sql, params);
+                return { id, changes };
+            },
+            get: async (sql, params = []) => (this.execute(sql, params).rows || [])[0] || null
+        };
+
+        const work = (async () => {
+            this.db.exec('BEGIN');
+            try {
+                const result = await callback(tx);
+                this.db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                throw error;
+            }
+        })();
+
+        this.activeTransaction = work;
+        try {
+            return await work;
+        } finally {
+            this.activeTransaction = null;
+        }
+    }
+
+    /**
+     * Runs a callback while holding a named lock. SQLite has no named locks, so the
+     * lock only covers this process; run a single instance against a SQLite database.
+     * @param {string} name - Lock name
+     * @param {number} timeoutSeconds - How long to wait for the lock
+     * @param {Function} callback - Work to do while holding the lock
+     * @returns {Promise<*>} - The callback's result
+     * @throws {Error} - With code LOCK_TIMEOUT if the lock could not be acquired in time
+     */
+    async withLock(name, timeoutSeconds, callback) {
+        const previous = this.locks.get(name) || Promise.resolve();
+        let release;
+        const current = new Promise((resolve) => {
+            release = resolve;
+        });
+        const queued = previous.then(() => current);
+        this.locks.set(name, queued);
+
+        let timer;
+        const timedOut = new Promise((resolve) => {
+            timer = setTimeout(() => resolve(true), timeoutSeconds * 1000);
+        });
+
+        try {
+            if (await Promise.race([previous.then(() => false), timedOut])) {
+                const error = new Error(`Timed out waiting for lock ${name}`);
+                error.code = 'LOCK_TIMEOUT';
+                throw error;
+            }
+            clearTimeout(timer);
+            return await callback();
+        } finally {
+            clearTimeout(timer);
+            release();
+            if (this.locks.get(name) === queued) {
+                this.locks.delete(name);
+            }
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            logger.info('SQLite database closed');
+        }
+    }
+
+    // Health check method
+    async healthCheck() {
+        try {
+            this.db.prepare('SELECT 1').get();
+            return true;
+        } catch (error) {
+            logger.error('Database health check failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * better-sqlite3 uses one synchronous connection, so there is no pool
+     * @returns {null}
+     */
+    poolStats() {
+        return null;
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,133 @@
+const { ServiceError } = require('./errors');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half_open'
+};
+
+/**
+ * Stops calling a dependency that keeps failing. After `failureThreshold`
+ * consecutive failures the circuit opens and calls fail fast with
+ * SERVICE_UNAVAILABLE. Once `resetTimeoutMs` has passed a single probe call is
+ * let through (half-open): success closes the circuit, failure opens it again.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Used in error messages
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+     * @param {number} options.resetTimeoutMs - How long to stay open before probing
+     * @param {Function} options.isFailure - Decides whether an error counts against the dependency (default: every error)
+     * @param {Function} options.onStateChange - Called with (from, to, error) on every transition
+     */
+    constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true, onStateChange = () => {} }) {
+        this.name = name;
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.isFailure = isFailure;
+        this.onStateChange = onStateChange;
+
+        this.state = STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.probing = false;
+        this.lastError = null;
+        this.lastFailureAt = null;
+    }
+
+    /**
+     * Runs `fn` through the breaker
+     * @param {Function} fn - Async call to the dependency
+     * @returns {Promise<*>} - The call's result
+     * @throws {ServiceError} - SERVICE_UNAVAILABLE while the circuit is open
+     */
+    async execute(fn) {
+        this.beforeCall();
+
+        const probe = this.state === STATES.HALF_OPEN;
+        if (probe) {
+            this.probing = true;
+        }
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this.recordFailure(error);
+            } else {
+                // The dependency answered; the request itself was the problem
+                this.recordSuccess();
+            }
+            throw error;
+        } finally {
+            if (probe) {
+                this.probing = false;
+            }
+        }
+    }
+
+    beforeCall() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.transition(STATES.HALF_OPEN);
+        }
+
+        if (this.state === STATES.OPEN || (this.state === STATES.HALF_OPEN && this.probing)) {
+            const retryAfterMs = this.state === STATES.OPEN
+                ? this.resetTimeoutMs - (Date.now() - this.openedAt)
+                : this.resetTimeoutMs;
+            throw new ServiceError(
+                `${this.name} is unavailable (circuit ${this.state}), not calling it`,
+                'SERVICE_UNAVAILABLE',
+                503,
+                { retryAfterSeconds: Math.max(Math.ceil(retryAfterMs / 1000), 1) }
+            );
+        }
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        if (this.state !== STATES.CLOSED) {
+            this.openedAt = null;
+            this.transition(STATES.CLOSED);
+        }
+    }
+
+    recordFailure(error) {
+        this.consecutiveFailures++;
+        this.lastError = error.message;
+        this.lastFailureAt = new Date();
+
+        if (this.state === STATES.HALF_OPEN || (this.state === STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.transition(STATES.OPEN, error);
+        }
+    }
+
+    transition(to, error = null) {
+        const from = this.state;
+        this.state = to;
+        this.onStateChange(from, to, error);
+    }
+
+    /**
+     * @returns {Object} - Current state for health and status reporting
+     */
+    getState() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            nextProbeAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+            lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker
+};
@@ -0,0 +1,36 @@
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV field when it holds a separator, quote or line break (RFC 4180).
+ * Text that a spreadsheet would read as a formula is prefixed with ' to keep
+ * it text; numbers are written as they are.
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string}
+ */
+function escapeField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV document with a header line
+ * @param {Array<string>} columns - Property names, also used as the header
+ * @param {Array<Object>} rows - Objects to write, one per line
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((fields) => fields.map(escapeField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    toCsv
+};
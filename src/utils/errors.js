@@ -0,0 +1,23 @@
+/**
+ * Error carrying an API error code and HTTP status so routes can map
+ * service failures to responses without inspecting message text
+ */
+class ServiceError extends Error {
+    /**
+     * @param {string} message - Human readable error message
+     * @param {string} code - Machine readable error code (e.g. 'IP_ENTRY_NOT_FOUND')
+     * @param {number} statusCode - HTTP status code to respond with
+     * @param {Object} [details] - Optional extra information for the response
+     */
+    constructor(message, code, statusCode = 500, details = null) {
+        super(message);
+        this.name = 'ServiceError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    ServiceError
+};
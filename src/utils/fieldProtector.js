@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const ACTIONS = ['keep', 'hash', 'encrypt', 'drop'];
+
+// enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>, all base64url
+const ENCRYPTED_PATTERN = /^enc:v1:([\w-]+):([\w-]+):([\w-]+):([\w-]*)$/;
+const HASH_PREFIX = 'hmac:';
+
+/**
+ * Parses a comma-separated list of "path:action" rules (e.g. "request.nid:hash,response.raw:drop")
+ * @param {string} value - Raw environment value
+ * @returns {Object} - Action keyed by dotted path
+ */
+function parseFieldPolicy(value) {
+    const policy = {};
+    for (const rule of (value || '').split(',').map((entry) => entry.trim()).filter(Boolean)) {
+        const separator = rule.lastIndexOf(':');
+        const path = rule.slice(0, separator);
+        const action = rule.slice(separator + 1);
+        if (separator <= 0 || !ACTIONS.includes(action)) {
+            logger.warn(`Ignoring malformed field policy rule "${rule}" (expected path:${ACTIONS.join('|')})`);
+            continue;
+        }
+        policy[path] = action;
+    }
+    return policy;
+}
+
+/**
+ * Parses a comma-separated list of "keyId:base64Key" encryption keys. Keys must be 32 bytes (AES-256).
+ * @param {string} value - Raw environment value
+ * @returns {Array<{id: string, key: Buffer}>} - Keys in the order given
+ */
+function parseEncryptionKeys(value) {
+    return (value || '')
+        .split(',')
+        .map((pair) => pair.trim())
+        .filter(Boolean)
+        .map((pair) => {
+            const separator = pair.indexOf(':');
+            const id = pair.slice(0, separator);
+            const key = Buffer.from(pair.slice(separator + 1), 'base64');
+            if (separator <= 0 || !/^[\w-]+$/.test(id) || key.length !== 32) {
+                logger.warn('Ignoring malformed encryption key entry (expected keyId:<32 bytes base64>)');
+                return null;
+            }
+            return { id, key };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Pseudonymizes and encrypts selected fields of a JSON document according to a
+ * policy of dotted paths ("*" matches any key or array index). Hashes are keyed
+ * HMAC-SHA256, so equal inputs give equal hashes without the key being
+ * recoverable. Encrypted values are AES-256-GCM and name the key they were
+ * written with, so older keys can be kept for reading while a new one is in use.
+ * Protecting a document twice leaves it unchanged.
+ */
+class FieldProtector {
+    /**
+     * @param {Object} options
+     * @param {string} options.hmacKey - Secret for hashed fields
+     * @param {Array<{id: string, key: Buffer}>} options.encryptionKeys - The first encrypts, all decrypt
+     * @param {Object} options.policy - Action ('keep', 'hash', 'encrypt' or 'drop') keyed by dotted path
+     */
+    constructor({ hmacKey, encryptionKeys = [], policy = {} }) {
+        this.hmacKey = hmacKey || null;
+        this.keys = new Map(encryptionKeys.map(({ id, key }) => [id, key]));
+        this.activeKeyId = encryptionKeys.length > 0 ? encryptionKeys[0].id : null;
+
+        // Innermost paths first, so a field can be dropped before its parent is encrypted
+        this.rules = Object.entries(policy)
+            .filter(([, action]) => action !== 'keep')
+            .map(([path, action]) => ({ segments: path.split('.'), action }))
+            .sort((a, b) => b.segments.length - a.segments.length);
+    }
+
+    /**
+     * @param {string} value - Value to hash
+     * @returns {string|null} - Hex HMAC-SHA256, or null without an HMAC key
+     */
+    hmac(value) {
+        if (!this.hmacKey) {
+            return null;
+        }
+        return crypto.createHmac('sha256', this.hmacKey).update(String(value)).digest('hex');
+    }
+
+    hash(value) {
+        if (typeof value === 'string' && value.startsWith(HASH_PREFIX)) {
+            return value;
+        }
+        const digest = this.hmac(typeof value === 'string' ? value.trim() : JSON.stringify(value));
+        return digest ? `${HASH_PREFIX}${digest}` : undefined;
+    }
+
+    /**
+     * @param {*} value - Any JSON value
+     * @returns {string|undefined} - The encrypted value, or undefined without an encryption key
+     */
+    encrypt(value) {
+        if (FieldProtector.isEncrypted(value)) {
+            return value;
+        }
+        if (!this.activeKeyId) {
+            return undefined;
+        }
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.keys.get(this.activeKeyId), iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return ['enc', 'v1', this.activeKeyId, iv, cipher.getAuthTag(), ciphertext]
+            .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+            .join(':');
+    }
+
+    /**
+     * @param {string} value - A value returned by encrypt()
+     * @returns {*} - The original value
+     * @throws {Error} - If the key it was written with is not configured, or the value was tampered with
+     */
+    decrypt(value) {
+        const [, keyId, iv, tag, ciphertext] = value.match(ENCRYPTED_PATTERN);
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`Encryption key ${keyId} is not configured`);
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+    }
+
+    /**
+     * Applies the policy to a document. Fields that should be hashed or encrypted
+     * are dropped when the key for that is not configured.
+     * @param {Object} document - JSON document (not modified)
+     * @returns {Object} - Protected copy
+     */
+    protect(document) {
+        const copy = document === undefined ? document : JSON.parse(JSON.stringify(document));
+        for (const { segments, action } of this.rules) {
+            visit(copy, segments, (container, key) => {
+                const value = container[key];
+                if (value === null && action !== 'drop') {
+                    return;
+                }
+                const replaced = action === 'hash' ? this.hash(value) : action === 'encrypt' ? this.encrypt(value) : undefined;
+                if (replaced === undefined) {
+                    delete container[key];
+                } else {
+                    container[key] = replaced;
+                }
+            });
+        }
+        return copy;
+    }
+
+    /**
+     * Decrypts every encrypted value in a document. Values written with a key
+     * that is no longer configured are left encrypted.
+     * @param {*} document - JSON document (not modified)
+     * @returns {*} - Copy with encrypted values replaced by their plaintext
+     */
+    reveal(document) {
+        return this.mapEncrypted(document, (value) => {
+            try {
+                return this.decrypt(value);
+            } catch (error) {
+                logger.warn(`Could not decrypt a protected field: ${error.message}`);
+                return value;
+            }
+        });
+    }
+
+    /**
+     * Re-encrypts values written with an older key under the active key
+     * @param {*} document - JSON document (not modified)
+     * @returns {*} - Copy with every encrypted value using the active key
+     */
+    rewrap(document) {
+        return this.mapEncrypted(document, (value) => {
+            if (this.keyIdOf(value) === this.activeKeyId || !this.keys.has(this.keyIdOf(value))) {
+                return value;
+            }
+            return this.encrypt(this.decrypt(value));
+        });
+    }
+
+    keyIdOf(value) {
+        return value.match(ENCRYPTED_PATTERN)[1];
+    }
+
+    mapEncrypted(value, transform) {
+        if (FieldProtector.isEncrypted(value)) {
+            return transform(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => this.mapEncrypted(item, transform));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.mapEncrypted(item, transform)]));
+        }
+        return value;
+    }
+}
+
+/**
+ * Calls `apply(container, key)` for every existing field matching the path
+ */
+function visit(node, segments, apply) {
+    if (!node || typeof node !== 'object') {
+        return;
+    }
+
+    const [segment, ...rest] = segments;
+    const keys = segment === '*' ? Object.keys(node) : [segment];
+    for (const key of keys) {
+        if (!Object.prototype.hasOwnProperty.call(node, key)) {
+            continue;
+        }
+        if (rest.length === 0) {
+            apply(node, key);
+        } else {
+            visit(node[key], rest, apply);
+        }
+    }
+}
+
+module.exports = {
+    FieldProtector,
+    parseFieldPolicy,
+    parseEncryptionKeys
+};
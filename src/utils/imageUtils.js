@@ -8,7 +8,7 @@ const logger = require('./logger');
  */
 async function fetchImageAsBase64(imageUrl) {
     try {
-        logger.info(`Fetching image from URL: ${imageUrl}`);
+        logger.info('Fetching photo');
         
         const response = await axios.get(imageUrl, {
             responseType: 'arraybuffer',
@@ -31,14 +31,10 @@ async function fetchImageAsBase64(imageUrl) {
         
         return dataUrl;
     } catch (error) {
-        logger.error(`Failed to fetch image from ${imageUrl}: ${error.message}`);
+        // The URL names the citizen, so it is left out
+        logger.error(`Failed to fetch image: ${error.message}${error.response ? ` (status ${error.response.status})` : ''}`);
         
-        if (error.response) {
-            logger.error(`Response status: ${error.response.status}`);
-            logger.error(`Response headers: ${JSON.stringify(error.response.headers)}`);
-        }
-        
-        throw new Error(`Failed to fetch image: ${error.message}`);
+        throw new Error(`Failed to fetch image: ${error.message}`, { cause: error });
     }
 }
 
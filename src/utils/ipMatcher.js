@@ -0,0 +1,232 @@
+const net = require('net');
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+// Upper 96 bits of ::ffff:0:0/96 - IPv4 addresses seen through a dual-stack socket
+const IPV4_MAPPED_PREFIX = 0xffffn;
+
+/**
+ * Converts an IPv4 dotted quad to an integer
+ * @param {string} ip - IPv4 address
+ * @returns {bigint} - Numeric value of the address
+ */
+function ipv4ToBigInt(ip) {
+    return ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(parseInt(octet, 10)), 0n);
+}
+
+/**
+ * Converts an IPv6 address (with optional :: compression and IPv4 tail) to an integer
+ * @param {string} ip - IPv6 address
+ * @returns {bigint} - Numeric value of the address
+ */
+function ipv6ToBigInt(ip) {
+    let address = ip;
+
+    // Expand an embedded IPv4 tail (e.g. ::ffff:10.0.0.1) into two hextets
+    const lastColon = address.lastIndexOf(':');
+    const tail = address.slice(lastColon + 1);
+    if (tail.includes('.')) {
+        const v4 = ipv4ToBigInt(tail);
+        address = `${address.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const [head, rest] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest !== undefined && rest !== '' ? rest.split(':') : [];
+    const missing = 8 - headGroups.length - restGroups.length;
+    const groups = rest !== undefined
+        ? [...headGroups, ...new Array(missing).fill('0'), ...restGroups]
+        : headGroups;
+
+    return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Parses an IP address into its version and numeric value.
+ * IPv4-mapped IPv6 addresses are reported as the IPv4 address they carry.
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {{version: number, value: bigint}|null} - Parsed address, or null if invalid
+ */
+function parseIp(ip) {
+    if (!ip || typeof ip !== 'string') {
+        return null;
+    }
+
+    // Drop an IPv6 zone index (fe80::1%eth0)
+    const address = ip.trim().split('%')[0];
+    const version = net.isIP(address);
+
+    if (version === 4) {
+        return { version: 4, value: ipv4ToBigInt(address) };
+    }
+
+    if (version === 6) {
+        const value = ipv6ToBigInt(address);
+        if (value >> 32n === IPV4_MAPPED_PREFIX) {
+            return { version: 4, value: value & 0xffffffffn };
+        }
+        return { version: 6, value };
+    }
+
+    return null;
+}
+
+/**
+ * Parses a CIDR block ("10.0.0.0/8", "2001:db8::/32") or a single address
+ * @param {string} cidr - CIDR notation or plain IP address
+ * @returns {{version: number, network: bigint, prefix: number}|null} - Parsed block, or null if invalid
+ */
+function parseCidr(cidr) {
+    if (!cidr || typeof cidr !== 'string') {
+        return null;
+    }
+
+    const [address, prefixText, ...extra] = cidr.trim().split('/');
+    if (extra.length > 0) {
+        return null;
+    }
+
+    const rawVersion = net.isIP(address.split('%')[0]);
+    const parsed = parseIp(address);
+    if (!parsed) {
+        return null;
+    }
+
+    const rawBits = rawVersion === 4 ? IPV4_BITS : IPV6_BITS;
+    let prefix = rawBits;
+    if (prefixText !== undefined) {
+        if (!/^\d{1,3}$/.test(prefixText)) {
+            return null;
+        }
+        prefix = parseInt(prefixText, 10);
+        if (prefix > rawBits) {
+            return null;
+        }
+    }
+
+    // An IPv4-mapped block is matched as the IPv4 block it covers
+    if (rawVersion === 6 && parsed.version === 4) {
+        if (prefix < 96) {
+            return null;
+        }
+        prefix -= 96;
+    }
+
+    const bits = parsed.version === 4 ? IPV4_BITS : IPV6_BITS;
+    return {
+        version: parsed.version,
+        network: mask(parsed.value, prefix, bits),
+        prefix
+    };
+}
+
+function mask(value, prefix, bits) {
+    if (prefix === 0) {
+        return 0n;
+    }
+    const hostBits = BigInt(bits - prefix);
+    return (value >> hostBits) << hostBits;
+}
+
+/**
+ * Checks whether a string is a valid IP address or CIDR block
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isValidCidr(value) {
+    return parseCidr(value) !== null;
+}
+
+/**
+ * Longest-prefix matcher over a list of CIDR blocks
+ */
+class CidrMatcher {
+    /**
+     * @param {Array<string|{cidr: string, data: *}>} entries - Blocks to match against, with optional data to return on match
+     */
+    constructor(entries = []) {
+        // version -> prefix -> Map(network -> data)
+        this.tables = { 4: new Map(), 6: new Map() };
+        // Prefix lengths present per version, longest first
+        this.prefixes = { 4: [], 6: [] };
+        this.invalid = [];
+        this.size = 0;
+
+        entries.forEach((entry) => {
+            const cidr = typeof entry === 'string' ? entry : entry.cidr;
+            const data = typeof entry === 'string' ? entry : entry.data;
+            this.add(cidr, data);
+        });
+    }
+
+    add(cidr, data) {
+        const block = parseCidr(cidr);
+        if (!block) {
+            this.invalid.push(cidr);
+            return false;
+        }
+
+        const byPrefix = this.tables[block.version];
+        if (!byPrefix.has(block.prefix)) {
+            byPrefix.set(block.prefix, new Map());
+            this.prefixes[block.version] = [...byPrefix.keys()].sort((a, b) => b - a);
+        }
+
+        const networks = byPrefix.get(block.prefix);
+        // The first entry for a block wins so duplicates resolve deterministically
+        if (!networks.has(block.network)) {
+            networks.set(block.network, data === undefined ? cidr : data);
+            this.size++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Finds the most specific block containing the address
+     * @param {string} ip - IP address to look up
+     * @returns {*} - Data of the matched block, or null if none matches
+     */
+    match(ip) {
+        const parsed = parseIp(ip);
+        if (!parsed) {
+            return null;
+        }
+
+        const byPrefix = this.tables[parsed.version];
+        const bits = parsed.version === 4 ? IPV4_BITS : IPV6_BITS;
+        for (const prefix of this.prefixes[parsed.version]) {
+            const data = byPrefix.get(prefix).get(mask(parsed.value, prefix, bits));
+            if (data !== undefined) {
+                return data;
+            }
+        }
+
+        return null;
+    }
+
+    contains(ip) {
+        return this.match(ip) !== null;
+    }
+}
+
+/**
+ * Parses a comma-separated list of CIDR blocks (e.g. from an environment variable)
+ * @param {string} value - Comma-separated CIDR list
+ * @returns {Array<string>} - Trimmed, non-empty entries
+ */
+function parseCidrList(value) {
+    return (value || '')
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    parseIp,
+    parseCidr,
+    parseCidrList,
+    isValidCidr,
+    CidrMatcher
+};
@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { Redactor, parseAllowlist } = require('./redaction');
 
 // Ensure logs directory exists
 const logsDir = path.dirname(process.env.LOG_FILE || './logs/app.log');
@@ -8,6 +9,27 @@ if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Fields winston itself adds, which never hold personal data
+const UNREDACTED_FIELDS = ['level', 'timestamp', 'service'];
+
+// Categories named in LOG_REDACTION_ALLOWLIST are logged in the clear, outside production only
+const isProduction = process.env.NODE_ENV === 'production';
+const allowlist = parseAllowlist(process.env.LOG_REDACTION_ALLOWLIST);
+const redactor = new Redactor({ allowed: isProduction ? new Set() : allowlist.allowed });
+
+/**
+ * Masks NIDs, names, dates of birth, credentials and base64 blobs in the
+ * message and every metadata field before a log entry is written anywhere
+ */
+const redact = winston.format((info) => {
+    for (const key of Object.keys(info)) {
+        if (!UNREDACTED_FIELDS.includes(key)) {
+            info[key] = redactor.redactField(key, info[key]);
+        }
+    }
+    return info;
+});
+
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
     format: winston.format.combine(
@@ -15,6 +37,7 @@ const logger = winston.createLogger({
             format: 'YYYY-MM-DD HH:mm:ss'
         }),
         winston.format.errors({ stack: true }),
+        redact(),
         winston.format.json()
     ),
     defaultMeta: { service: 'nid-verification-service' },
@@ -45,4 +68,13 @@ if (process.env.NODE_ENV !== 'production') {
     }));
 }
 
-module.exports = logger; 
\ No newline at end of file
+if (allowlist.unknown.length > 0) {
+    logger.warn(`Ignoring unknown LOG_REDACTION_ALLOWLIST entries: ${allowlist.unknown.join(', ')}`);
+}
+if (isProduction && allowlist.allowed.size > 0) {
+    logger.warn('LOG_REDACTION_ALLOWLIST is ignored in production; every category is redacted');
+} else if (allowlist.allowed.size > 0) {
+    logger.warn(`Logging in the clear for debugging: ${[...allowlist.allowed].join(', ')}`);
+}
+
+module.exports = logger;
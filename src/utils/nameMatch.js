@@ -0,0 +1,129 @@
+// Titles and prefixes that are written on some documents and left off others.
+// Md. (Mohammad) and Mst. (Mosammat) are honorific prefixes in Bangladeshi names.
+const HONORIFICS = new Set([
+    'mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'engr', 'adv', 'late', 'alhaj', 'alhaji', 'haji', 'hajee',
+    'md', 'mohd', 'mohammad', 'mohammed', 'mohamed', 'mohamad', 'muhammad', 'muhammed', 'mohammod',
+    'mst', 'most', 'mosammat', 'mosammet', 'mossammat', 'musammat'
+]);
+
+// Abbreviations written out in full before comparing
+const ABBREVIATIONS = {
+    sk: 'sheikh',
+    abd: 'abdul'
+};
+
+// Spelling variants of the same Bangla sound (Hossain/Hussain/Hosen,
+// Chowdhury/Choudhury, Uddin/Uddeen, Khatun/Khatoon) reduce to one key
+const TRANSLITERATIONS = [
+    [/kh|q/g, 'k'],
+    [/gh/g, 'g'],
+    [/ph/g, 'f'],
+    [/bh/g, 'b'],
+    [/th/g, 't'],
+    [/dh/g, 'd'],
+    [/sh/g, 's'],
+    [/ch/g, 'c'],
+    [/z/g, 'j'],
+    [/w/g, 'u'],
+    [/ee|ie|y$/g, 'i'],
+    [/ai|ay|ei/g, 'e'],
+    [/o/g, 'u'],
+    [/(.)\1+/g, '$1']
+];
+
+// Tokens less alike than this count as different names (Rahim and Karim are 0.6)
+const MIN_TOKEN_SIMILARITY = 0.75;
+// An initial against a name starting with it
+const INITIAL_SIMILARITY = 0.8;
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Splits an English name into comparable tokens: lowercased, without
+ * accents, punctuation or honorifics, with abbreviations expanded and each
+ * word reduced to its transliteration key
+ * @param {string} name - Name in English letters
+ * @returns {Array<string>} - Tokens
+ */
+function nameTokens(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z]+/)
+        .filter((token) => token && !HONORIFICS.has(token))
+        .map((token) => TRANSLITERATIONS.reduce(
+            (key, [pattern, replacement]) => key.replace(pattern, replacement),
+            ABBREVIATIONS[token] || token
+        ));
+}
+
+function tokenSimilarity(a, b) {
+    if (a === b) {
+        return 1;
+    }
+    if (a.length === 1 || b.length === 1) {
+        return a[0] === b[0] ? INITIAL_SIMILARITY : 0;
+    }
+    const similarity = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+    return similarity >= MIN_TOKEN_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * Scores how alike two English names are, from 0 (nothing in common) to 1
+ * (the same once normalized). Words are paired in whatever order they are
+ * written, best pairs first, and words left without a partner lower the
+ * score, so "Md. Rahim Uddin" and "Uddin Rahim" score 1 and "Rahim Uddin"
+ * and "Rahim" score 0.67.
+ * @param {string} submitted - Name the caller sent
+ * @param {string} recorded - Name on the NID record
+ * @returns {number} - Similarity, rounded to two decimals
+ */
+function nameMatchScore(submitted, recorded) {
+    const left = nameTokens(submitted);
+    const right = nameTokens(recorded);
+    if (left.length === 0 || right.length === 0) {
+        return 0;
+    }
+
+    const pairs = [];
+    left.forEach((a, i) => right.forEach((b, j) => {
+        const similarity = tokenSimilarity(a, b);
+        if (similarity > 0) {
+            pairs.push({ i, j, similarity });
+        }
+    }));
+    pairs.sort((a, b) => b.similarity - a.similarity);
+
+    const usedLeft = new Set();
+    const usedRight = new Set();
+    let total = 0;
+    for (const { i, j, similarity } of pairs) {
+        if (!usedLeft.has(i) && !usedRight.has(j)) {
+            usedLeft.add(i);
+            usedRight.add(j);
+            total += similarity;
+        }
+    }
+
+    return Math.round((2 * total / (left.length + right.length)) * 100) / 100;
+}
+
+module.exports = {
+    nameTokens,
+    nameMatchScore
+};
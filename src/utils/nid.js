@@ -0,0 +1,47 @@
+// Lengths an NID can be written in. 13-digit numbers were issued before the
+// 17-digit form, which is the same number prefixed with the holder's birth year.
+const NID_LENGTHS = [10, 13, 17];
+
+/**
+ * Reads an NID as typed: removes spaces, expands a 13-digit number to 17
+ * digits with the birth year from dateOfBirth, and checks that a 17-digit
+ * number starts with that year
+ * @param {string} nid - The NID as sent
+ * @param {string} [dateOfBirth] - YYYY-MM-DD, required for a 13-digit NID
+ * @returns {Object} - { nid, nidType } with the number to send upstream and
+ * the form it was given in ('10-digit', '13-digit' or '17-digit'), or { error }
+ */
+function normalizeNID(nid, dateOfBirth) {
+    if (!nid || typeof nid !== 'string') {
+        return { error: 'NID is required and must be a string' };
+    }
+
+    const digits = nid.replace(/\s/g, '');
+    if (!NID_LENGTHS.includes(digits.length)) {
+        return { error: 'NID must be 10, 13 or 17 digits' };
+    }
+    if (!/^\d+$/.test(digits)) {
+        return { error: 'NID must contain only digits' };
+    }
+
+    const birthYear = /^\d{4}-/.test(dateOfBirth) ? dateOfBirth.slice(0, 4) : null;
+
+    if (digits.length === 13) {
+        if (!birthYear) {
+            return { error: 'A 13-digit NID needs dateOfBirth, whose year makes it a 17-digit NID' };
+        }
+        return { nid: `${birthYear}${digits}`, nidType: '13-digit' };
+    }
+
+    // Most likely a typo in either; caught here rather than by a billable upstream call
+    if (digits.length === 17 && birthYear && !digits.startsWith(birthYear)) {
+        return { error: 'The first 4 digits of a 17-digit NID are the birth year and must match dateOfBirth' };
+    }
+
+    return { nid: digits, nidType: `${digits.length}-digit` };
+}
+
+module.exports = {
+    NID_LENGTHS,
+    normalizeNID
+};
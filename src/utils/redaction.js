@@ -0,0 +1,193 @@
+// What each kind of sensitive value is called in LOG_REDACTION_ALLOWLIST
+const CATEGORIES = ['nid', 'name', 'dateOfBirth', 'address', 'photo', 'password', 'token', 'base64'];
+
+// Field names (lower-cased, without _ or -) and the category of their values
+const SENSITIVE_KEYS = {
+    nid: 'nid',
+    nationalid: 'nid',
+    nidnumber: 'nid',
+    nid10digit: 'nid',
+    nid17digit: 'nid',
+    pin: 'nid',
+    nameen: 'name',
+    name: 'name',
+    namebn: 'name',
+    fullname: 'name',
+    father: 'name',
+    fathername: 'name',
+    mother: 'name',
+    mothername: 'name',
+    spouse: 'name',
+    spousename: 'name',
+    dateofbirth: 'dateOfBirth',
+    dob: 'dateOfBirth',
+    birthdate: 'dateOfBirth',
+    address: 'address',
+    presentaddress: 'address',
+    permanentaddress: 'address',
+    photo: 'photo',
+    photourl: 'photo',
+    password: 'password',
+    passwd: 'password',
+    secret: 'password',
+    token: 'token',
+    accesstoken: 'token',
+    refreshtoken: 'token',
+    authorization: 'token',
+    apikey: 'token',
+    xapikey: 'token',
+    xadminkey: 'token'
+};
+
+const REDACTED = '[REDACTED]';
+
+// "key": "value", key=value and similar, for field names written into message text (e.g. JSON dumps)
+const KEY_VALUE_PATTERN = new RegExp(
+    `(["']?)([\\w-]+)\\1(\\s*[:=]\\s*)("(?:[^"\\\\]|\\\\.)*"|'(?:[^'\\\\]|\\\\.)*'|(?:Bearer\\s+)?[^\\s,;&{}\\[\\]"']+)`,
+    'g'
+);
+
+// Patterns found anywhere in text, in the order they are applied
+const TEXT_PATTERNS = [
+    { category: 'base64', pattern: /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g, replace: () => '[BASE64_REDACTED]' },
+    { category: 'base64', pattern: /[A-Za-z0-9+/]{200,}={0,2}/g, replace: () => '[BASE64_REDACTED]' },
+    { category: 'token', pattern: /\bBearer\s+[\w~+/.-]+=*/gi, replace: () => `Bearer ${REDACTED}` },
+    { category: 'token', pattern: /\beyJ[\w-]*\.[\w-]+\.[\w-]*/g, replace: () => REDACTED },
+    // 10, 13 and 17 digit NIDs
+    { category: 'nid', pattern: /(?<!\d)(?:\d{17}|\d{13}|\d{10})(?!\d)/g, replace: (match) => maskNid(match) }
+];
+
+/**
+ * Masks all but the last 4 digits of an NID
+ * @param {string|number} nid - NID
+ * @returns {string} - e.g. ******0001
+ */
+function maskNid(nid) {
+    const digits = String(nid).replace(/\D/g, '');
+    if (digits.length <= 4) {
+        return '****';
+    }
+    return `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+}
+
+function categoryOf(key) {
+    return SENSITIVE_KEYS[String(key).toLowerCase().replace(/[_-]/g, '')];
+}
+
+/**
+ * Parses LOG_REDACTION_ALLOWLIST (comma-separated categories that are logged in the clear)
+ * @param {string} value - Raw environment value
+ * @returns {{allowed: Set<string>, unknown: Array<string>}} - Valid categories and any others given
+ */
+function parseAllowlist(value) {
+    const entries = (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+    return {
+        allowed: new Set(entries.filter((entry) => CATEGORIES.includes(entry))),
+        unknown: entries.filter((entry) => !CATEGORIES.includes(entry))
+    };
+}
+
+/**
+ * Masks sensitive values in log messages and metadata: NIDs keep their last
+ * 4 digits, while names, dates of birth, addresses, photos, passwords, tokens
+ * and base64 blobs are replaced outright. Values are recognized by their field
+ * name (in objects and in "key": "value" text) and by their shape in free text.
+ */
+class Redactor {
+    /**
+     * @param {Object} options - allowed: Set of categories to leave in the clear
+     */
+    constructor({ allowed = new Set() } = {}) {
+        this.allowed = allowed;
+        this.textPatterns = TEXT_PATTERNS.filter(({ category }) => !allowed.has(category));
+    }
+
+    isRedacted(category) {
+        return Boolean(category) && !this.allowed.has(category);
+    }
+
+    /**
+     * @param {string} text - Free text
+     * @returns {string} - The text with sensitive values masked
+     */
+    redactText(text) {
+        let result = text.replace(KEY_VALUE_PATTERN, (match, quote, key, separator, value) => {
+            const category = categoryOf(key);
+            if (!this.isRedacted(category)) {
+                return match;
+            }
+            const valueQuote = /^["']/.test(value) ? value[0] : '';
+            const inner = valueQuote ? value.slice(1, -1) : value;
+            const masked = category === 'nid' ? maskNid(inner) : REDACTED;
+            return `${quote}${key}${quote}${separator}${valueQuote}${masked}${valueQuote}`;
+        });
+
+        for (const { pattern, replace } of this.textPatterns) {
+            result = result.replace(pattern, replace);
+        }
+        return result;
+    }
+
+    /**
+     * Redacts any value: text is scanned, objects and arrays are copied with
+     * sensitive fields masked
+     * @param {*} value - Value to redact
+     * @param {string} category - Category implied by the field the value sits in
+     * @returns {*} - Redacted copy
+     */
+    redact(value, category = null, seen = new WeakSet()) {
+        // Booleans are match flags (e.g. fieldVerificationResult.nameEn), never the data itself
+        if (value === null || value === undefined || typeof value === 'boolean') {
+            return value;
+        }
+
+        if (this.isRedacted(category) && typeof value !== 'object') {
+            return category === 'nid' ? maskNid(value) : REDACTED;
+        }
+        if (typeof value === 'string') {
+            return this.redactText(value);
+        }
+        if (typeof value !== 'object' || value instanceof Date) {
+            return value;
+        }
+
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        seen.add(value);
+
+        if (this.isRedacted(category) && category !== 'nid') {
+            return REDACTED;
+        }
+        if (value instanceof Error) {
+            // message and stack are not enumerable
+            return this.redact({ name: value.name, message: value.message, stack: value.stack, ...value }, category, seen);
+        }
+        if (Array.isArray(value)) {
+            return value.map((item) => this.redact(item, category, seen));
+        }
+
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = this.redactField(key, item, category, seen);
+        }
+        return copy;
+    }
+
+    /**
+     * Redacts the value of a named field
+     * @param {string} key - Field name, which may mark the value as sensitive
+     * @param {*} value - Field value
+     * @returns {*} - Redacted copy
+     */
+    redactField(key, value, category = null, seen = new WeakSet()) {
+        return this.redact(value, categoryOf(key) || category, seen);
+    }
+}
+
+module.exports = {
+    Redactor,
+    CATEGORIES,
+    maskNid,
+    parseAllowlist
+};
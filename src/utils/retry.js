@@ -0,0 +1,27 @@
+/**
+ * Calls `fn` until it succeeds, `shouldRetry` rejects the error or `retries` retries have been made.
+ * Waits a random time between 0 and baseDelayMs * 2^attempt (capped at maxDelayMs) between
+ * attempts, so callers that failed together do not retry together.
+ * @param {Function} fn - Async function called with the attempt number (0-based)
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, shouldRetry(error), onRetry(error, attempt, delayMs) }
+ * @returns {Promise<*>} - The result of the first successful call
+ */
+async function withRetry(fn, { retries = 2, baseDelayMs = 200, maxDelayMs = 2000, shouldRetry = () => true, onRetry = () => {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+
+            const delayMs = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+            onRetry(error, attempt + 1, delayMs);
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+module.exports = {
+    withRetry
+};
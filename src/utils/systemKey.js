@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+/**
+ * Short key for a system, used to name its quota and rate limit counters.
+ * Whitelist entries with the same systemName are one system and share them.
+ * @param {string} systemName - System name as on its whitelist entries
+ * @returns {string} - 16 hex characters, whatever the length of the name
+ */
+function systemKey(systemName) {
+    return crypto.createHash('sha256').update(String(systemName)).digest('hex').slice(0, 16);
+}
+
+module.exports = {
+    systemKey
+};
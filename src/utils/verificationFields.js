@@ -0,0 +1,74 @@
+// Demographic fields a verification can check against the NID records, in the
+// order they are sent upstream, and what messages call them
+const VERIFICATION_FIELDS = {
+    nameEn: 'name',
+    name: 'Bangla name',
+    dateOfBirth: 'date of birth',
+    father: "father's name",
+    mother: "mother's name",
+    spouse: "spouse's name",
+    presentAddress: 'present address',
+    permanentAddress: 'permanent address'
+};
+
+/**
+ * Picks the verification fields a request provided. Text is NFC-normalized
+ * with whitespace collapsed, so Bangla typed with different input methods is
+ * sent, compared and cached the same way.
+ * @param {Object} input - Request body or stored job input
+ * @returns {Object} - The provided fields, in VERIFICATION_FIELDS order
+ */
+function pickVerificationFields(input = {}) {
+    const fields = {};
+    for (const field of Object.keys(VERIFICATION_FIELDS)) {
+        const value = input[field];
+        if (typeof value !== 'string') {
+            continue;
+        }
+        fields[field] = field === 'dateOfBirth'
+            ? value.trim()
+            : value.normalize('NFC').trim().replace(/\s+/g, ' ');
+    }
+    return fields;
+}
+
+// Youngest age at which a citizen holds an NID
+const MIN_AGE_YEARS = 18;
+
+/**
+ * Checks a date of birth the OpenAPI document has already read as YYYY-MM-DD
+ * against what it cannot express: not in the future, and old enough for an NID
+ * @param {string} dateOfBirth - YYYY-MM-DD
+ * @param {Date} now - Time to check against
+ * @returns {string|null} - Why the date is rejected, or null
+ */
+function dateOfBirthError(dateOfBirth, now = new Date()) {
+    const date = new Date(dateOfBirth);
+    if (date > now) {
+        return 'Date of birth cannot be in the future';
+    }
+
+    const latest = new Date(now);
+    latest.setFullYear(latest.getFullYear() - MIN_AGE_YEARS);
+    if (date > latest) {
+        return `Person must be at least ${MIN_AGE_YEARS} years old`;
+    }
+    return null;
+}
+
+/**
+ * Joins field labels as prose: "name", "name and date of birth", "name, father's name and date of birth"
+ * @param {Array<string>} fields - Field names
+ * @returns {string} - The joined labels
+ */
+function listFields(fields) {
+    const labels = fields.map((field) => VERIFICATION_FIELDS[field] || field);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+}
+
+module.exports = {
+    VERIFICATION_FIELDS,
+    pickVerificationFields,
+    dateOfBirthError,
+    listFields
+};
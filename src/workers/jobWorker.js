@@ -0,0 +1,206 @@
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { ServiceError } = require('../utils/errors');
+
+// Finished jobs are purged at most this often
+const PURGE_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Polls verification_jobs and processes queued jobs against the external service
+ */
+class JobWorker {
+    constructor({ jobService, verificationService, whitelistService, requestLogService, webhookService }) {
+        this.jobService = jobService;
+        this.verificationService = verificationService;
+        this.whitelistService = whitelistService;
+        this.requestLogService = requestLogService;
+        this.webhookService = webhookService;
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+        this.concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+        this.timer = null;
+        this.running = false;
+        this.active = 0;
+        this.lastPurge = 0;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        logger.info(`Verification job worker ${this.workerId} started (concurrency ${this.concurrency})`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        logger.info(`Verification job worker ${this.workerId} stopped`);
+    }
+
+    schedule(delayMs) {
+        if (!this.running) {
+            return;
+        }
+        this.timer = setTimeout(() => this.poll(), delayMs);
+    }
+
+    async poll() {
+        let claimed = [];
+
+        try {
+            const capacity = this.concurrency - this.active;
+            if (capacity > 0) {
+                claimed = await this.jobService.claimJobs(this.workerId, capacity);
+                claimed.forEach((job) => this.run(job));
+            }
+
+            await this.purgeIfDue();
+        } catch (error) {
+            logger.error(`Verification job poll failed: ${error.message}`);
+        }
+
+        // Look again straight away while there is a backlog
+        this.schedule(claimed.length > 0 ? 0 : this.pollIntervalMs);
+    }
+
+    async run(job) {
+        this.active++;
+        const startTime = Date.now();
+
+        // Retries and the circuit breaker can hold a job past the lock timeout; keep the lock
+        // fresh so no other worker claims it and makes a second billable call
+        const heartbeat = setInterval(() => {
+            this.jobService.renewLock(job.id, this.workerId)
+                .then((held) => {
+                    if (!held) {
+                        logger.warn(`Verification job ${job.id} lock was lost by ${this.workerId}`);
+                    }
+                })
+                .catch((error) => logger.error(`Could not renew the lock of verification job ${job.id}: ${error.message}`));
+        }, Math.max(1, Math.floor(this.jobService.lockTimeoutMs / 3)));
+        heartbeat.unref();
+
+        try {
+            const outcome = await this.process(job);
+
+            // The external service was unavailable: try again later rather than fail the job for good
+            if (outcome.retryAfterMs !== undefined && job.attempts < this.jobService.maxAttempts) {
+                await this.jobService.requeueJob(job, this.workerId, outcome.retryAfterMs);
+                return;
+            }
+
+            const completed = await this.jobService.completeJob(job.id, this.workerId, outcome);
+
+            await this.requestLogService.record({
+                requestId: job.id,
+                systemInfo: job.systemInfo,
+                requestData: { ...job.input, jobId: job.id },
+                responseData: outcome.result,
+                statusCode: outcome.statusCode,
+                processingTime: Date.now() - startTime,
+                verification: true
+            });
+
+            if (completed && job.systemInfo.id) {
+                await this.notifyCompleted(job, outcome);
+            }
+        } catch (error) {
+            // Leave the job locked; it is retried once the lock times out
+            logger.error(`Verification job ${job.id} could not be completed: ${error.message}`);
+        } finally {
+            clearInterval(heartbeat);
+            this.active--;
+        }
+    }
+
+    /**
+     * Tells the system its result is ready; the result itself is fetched from the job URL.
+     * The job is already finished, so a failure here is only logged.
+     */
+    async notifyCompleted(job, outcome) {
+        try {
+            await this.webhookService.emit('verification.completed', {
+                jobId: job.id,
+                status: outcome.statusCode < 400 ? 'completed' : 'failed',
+                statusCode: outcome.statusCode,
+                verified: outcome.result.data?.verified ?? null,
+                statusUrl: `/api/nid/jobs/${job.id}`
+            }, { systemId: job.systemInfo.id });
+        } catch (error) {
+            logger.error(`Could not send verification.completed for job ${job.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Runs a claimed job
+     * @returns {Promise<Object>} - { statusCode, result }, plus retryAfterMs when the
+     * external service was unavailable and the job is worth another attempt
+     */
+    async process(job) {
+        const context = { requestId: job.id, systemName: job.systemInfo.systemName };
+
+        if (job.attempts > this.jobService.maxAttempts) {
+            logger.error(`Verification job ${job.id} abandoned after ${job.attempts - 1} attempts`);
+            return {
+                statusCode: 500,
+                result: {
+                    success: false,
+                    error: 'Job could not be processed',
+                    code: 'JOB_ABANDONED',
+                    requestId: job.id,
+                    timestamp: new Date().toISOString(),
+                    system: job.systemInfo.systemName
+                }
+            };
+        }
+
+        try {
+            // Apply the system's current settings (e.g. cache opt-out); a system deactivated or
+            // removed since it queued the job is no longer verified for, or charged
+            const entry = job.systemInfo.id ? await this.whitelistService.findActiveEntry(job.systemInfo.id) : null;
+            if (job.systemInfo.id && !entry) {
+                throw new ServiceError(`System ${job.systemInfo.systemName} is no longer active`, 'SYSTEM_INACTIVE', 403);
+            }
+            const systemInfo = entry
+                ? { ...job.systemInfo, ...this.whitelistService.describeSystem(entry) }
+                : job.systemInfo;
+
+            const outcome = await this.verificationService.verify(job.input, {
+                requestId: job.id,
+                systemInfo,
+                bypassCache: job.bypassCache
+            });
+            return {
+                statusCode: 200,
+                result: this.verificationService.buildSuccessResponse(outcome, context)
+            };
+        } catch (error) {
+            logger.error(`Verification job ${job.id} failed - Error: ${error.message}`);
+            const { statusCode, body } = this.verificationService.buildErrorResponse(error, context);
+            if (error.code === 'SERVICE_UNAVAILABLE') {
+                // While the circuit is open there is no point trying again before it may close
+                return { statusCode, result: body, retryAfterMs: (error.details?.retryAfterSeconds || 0) * 1000 };
+            }
+            return { statusCode, result: body };
+        }
+    }
+
+    async purgeIfDue() {
+        if (Date.now() - this.lastPurge < PURGE_INTERVAL_MS) {
+            return;
+        }
+        this.lastPurge = Date.now();
+
+        const removed = await this.jobService.purgeFinished();
+        if (removed > 0) {
+            logger.info(`Purged ${removed} finished verification jobs`);
+        }
+    }
+}
+
+module.exports = JobWorker;
@@ -0,0 +1,50 @@
+const logger = require('../utils/logger');
+
+/**
+ * Runs request log retention on a fixed interval. Every instance may run the
+ * worker; the retention lock makes sure only one of them deletes at a time.
+ */
+class RetentionWorker {
+    constructor({ retentionService }) {
+        this.retentionService = retentionService;
+        this.intervalMs = parseInt(process.env.REQUEST_LOG_RETENTION_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        logger.info(`Request log retention worker started (every ${this.intervalMs}ms)`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        logger.info('Request log retention worker stopped');
+    }
+
+    schedule(delayMs) {
+        if (!this.running) {
+            return;
+        }
+        this.timer = setTimeout(() => this.tick(), delayMs);
+    }
+
+    async tick() {
+        try {
+            await this.retentionService.run();
+        } catch (error) {
+            logger.error(`Request log retention run failed: ${error.message}`);
+        }
+
+        this.schedule(this.intervalMs);
+    }
+}
+
+module.exports = RetentionWorker;
@@ -0,0 +1,146 @@
+const os = require('os');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Delivered rows are purged at most this often
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Polls webhook_deliveries and sends due deliveries to subscribers
+ */
+class WebhookWorker {
+    constructor({ webhookService }) {
+        this.webhookService = webhookService;
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+        this.pollIntervalMs = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000;
+        this.concurrency = parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 4;
+        this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+        this.timer = null;
+        this.running = false;
+        this.active = 0;
+        this.lastPurge = 0;
+    }
+
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        logger.info(`Webhook delivery worker ${this.workerId} started (concurrency ${this.concurrency})`);
+        this.schedule(0);
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        logger.info(`Webhook delivery worker ${this.workerId} stopped`);
+    }
+
+    schedule(delayMs) {
+        if (!this.running) {
+            return;
+        }
+        this.timer = setTimeout(() => this.poll(), delayMs);
+    }
+
+    async poll() {
+        let claimed = [];
+
+        try {
+            const capacity = this.concurrency - this.active;
+            if (capacity > 0) {
+                claimed = await this.webhookService.claimDeliveries(this.workerId, capacity);
+                claimed.forEach((delivery) => this.deliver(delivery));
+            }
+
+            await this.purgeIfDue();
+        } catch (error) {
+            logger.error(`Webhook poll failed: ${error.message}`);
+        }
+
+        // Look again straight away while there is a backlog
+        this.schedule(claimed.length > 0 ? 0 : this.pollIntervalMs);
+    }
+
+    async deliver(delivery) {
+        this.active++;
+
+        try {
+            const outcome = await this.send(delivery);
+
+            if (outcome.delivered) {
+                await this.webhookService.markDelivered(delivery.id, this.workerId, outcome.statusCode);
+                logger.info(`Webhook delivery ${delivery.id} (${delivery.eventType}) delivered to ${delivery.url}`);
+                return;
+            }
+
+            const dead = await this.webhookService.markFailed(delivery, this.workerId, outcome);
+            if (dead) {
+                logger.error(`Webhook delivery ${delivery.id} (${delivery.eventType}) to ${delivery.url} dead after ${delivery.attempts} attempts: ${outcome.error}`);
+            } else {
+                logger.warn(`Webhook delivery ${delivery.id} attempt ${delivery.attempts} failed, will retry: ${outcome.error}`);
+            }
+        } catch (error) {
+            // Leave the delivery locked; it is retried once the lock times out
+            logger.error(`Webhook delivery ${delivery.id} could not be updated: ${error.message}`);
+        } finally {
+            this.active--;
+        }
+    }
+
+    /**
+     * Makes one delivery attempt. Any 2xx response counts as delivered.
+     * @param {Object} delivery - The claimed delivery
+     * @returns {Promise<Object>} - { delivered, statusCode, error }
+     */
+    async send(delivery) {
+        if (!delivery.secret) {
+            return { delivered: false, error: 'Subscription secret cannot be decrypted' };
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        try {
+            const response = await axios.post(delivery.url, delivery.body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'NID-Verification-Service/1.0.0',
+                    'X-Webhook-Id': delivery.id,
+                    'X-Webhook-Event': delivery.eventType,
+                    'X-Webhook-Event-Id': delivery.eventId,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': this.webhookService.sign(delivery.secret, timestamp, delivery.body)
+                },
+                timeout: this.timeoutMs,
+                maxRedirects: 0,
+                // Send the body exactly as signed
+                transformRequest: [(data) => data],
+                validateStatus: () => true
+            });
+
+            if (response.status >= 200 && response.status < 300) {
+                return { delivered: true, statusCode: response.status };
+            }
+            return { delivered: false, statusCode: response.status, error: `Subscriber responded with HTTP ${response.status}` };
+        } catch (error) {
+            return { delivered: false, error: error.message };
+        }
+    }
+
+    async purgeIfDue() {
+        if (Date.now() - this.lastPurge < PURGE_INTERVAL_MS) {
+            return;
+        }
+        this.lastPurge = Date.now();
+
+        const removed = await this.webhookService.purgeExpired();
+        if (removed > 0) {
+            logger.info(`Purged ${removed} expired webhook deliveries`);
+        }
+    }
+}
+
+module.exports = WebhookWorker;
@@ -0,0 +1,85 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createTestDatabase } = require('./helpers/database');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('whitelist Admin API', () => {
+    let db;
+    let app;
+
+    function admin(method, url) {
+        return request(app)[method](url).set('X-Admin-Key', ADMIN_KEY);
+    }
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        app = createApp({
+            db,
+            nidService: { getCircuitState: () => ({ state: 'closed' }) },
+            config: { adminApiKeys: `ops:${ADMIN_KEY}` }
+        });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('requires a configured admin key', async () => {
+        const missing = await request(app).get('/api/admin/ips');
+        expect(missing.status).toBe(401);
+        expect(missing.body.code).toBe('ADMIN_AUTH_REQUIRED');
+
+        const wrong = await request(app).get('/api/admin/ips').set('X-Admin-Key', 'not-the-key');
+        expect(wrong.status).toBe(403);
+        expect(wrong.body.code).toBe('ADMIN_NOT_AUTHORIZED');
+
+        const unconfigured = await request(createApp({ db, config: { adminApiKeys: '' } }))
+            .get('/api/admin/ips')
+            .set('X-Admin-Key', ADMIN_KEY);
+        expect(unconfigured.status).toBe(503);
+        expect(unconfigured.body.code).toBe('ADMIN_NOT_CONFIGURED');
+    });
+
+    it('adds, updates and removes entries with an audit trail', async () => {
+        const created = await admin('post', '/api/admin/ips').send({ ipAddress: '198.51.100.7', systemName: 'Bank', description: 'Head office' });
+        expect(created.status).toBe(201);
+        expect(created.body.data).toMatchObject({ ipAddress: '198.51.100.7', systemName: 'Bank', isActive: true });
+        const { id } = created.body.data;
+
+        const updated = await admin('patch', `/api/admin/ips/${id}`).send({ description: 'Branch office' });
+        expect(updated.body.data).toMatchObject({ systemName: 'Bank', description: 'Branch office' });
+
+        const listed = await admin('get', '/api/admin/ips');
+        expect(listed.body.data.map((entry) => entry.ipAddress)).toContain('198.51.100.7');
+
+        await admin('delete', `/api/admin/ips/${id}`).expect(200);
+        expect((await admin('get', `/api/admin/ips/${id}`)).body.code).toBe('IP_ENTRY_NOT_FOUND');
+
+        const audit = await admin('get', `/api/admin/audit?entityType=allowed_ip&entityId=${id}`);
+        expect(audit.body.data.map((entry) => [entry.action, entry.actor])).toEqual([['DELETE', 'ops'], ['UPDATE', 'ops'], ['CREATE', 'ops']]);
+        expect(audit.body.data[1].changes).toEqual({ description: { from: 'Head office', to: 'Branch office' } });
+    });
+
+    it('validates entries and refuses duplicates', async () => {
+        const invalid = await admin('post', '/api/admin/ips').send({ ipAddress: '300.1.2.3', systemName: 'Bank' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.details.map((detail) => detail.path)).toEqual(['ipAddress']);
+
+        const duplicate = await admin('post', '/api/admin/ips').send({ ipAddress: '127.0.0.1', systemName: 'Bank' });
+        expect(duplicate.status).toBe(409);
+        expect(duplicate.body.code).toBe('IP_ALREADY_EXISTS');
+
+        const empty = await admin('patch', '/api/admin/ips/1').send({});
+        expect(empty.status).toBe(400);
+    });
+
+    it('revokes and restores access straight away', async () => {
+        await admin('post', '/api/admin/ips/1/deactivate').expect(200);
+        expect((await request(app).get('/api/nid/status')).status).toBe(403);
+        expect((await admin('get', '/api/admin/ips?active=false')).body.data.map((entry) => entry.id)).toEqual([1]);
+
+        await admin('post', '/api/admin/ips/1/activate').expect(200);
+        expect((await request(app).get('/api/nid/status')).status).toBe(200);
+    });
+});
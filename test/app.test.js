@@ -0,0 +1,351 @@
+const request = require('supertest');
+const { createApp, createServices } = require('../src/app');
+const { createMockUpstream } = require('./mock-upstream/server');
+const { createTestDatabase, waitForLogs } = require('./helpers/database');
+
+// Rahim Uddin in test/mock-upstream/citizens.json
+const CITIZEN = { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' };
+
+describe('createApp', () => {
+    let mockUpstream;
+    let upstream;
+    let db;
+    let app;
+
+    beforeAll((done) => {
+        mockUpstream = createMockUpstream();
+        upstream = mockUpstream.listen(0, '127.0.0.1', () => {
+            process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+            process.env.NID_SERVICE_USERNAME = 'mock-user';
+            process.env.NID_SERVICE_PASSWORD = 'mock-password';
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        upstream.close(done);
+    });
+
+    beforeEach(async () => {
+        // A fresh in-memory database per test, seeded with the localhost whitelist entries
+        db = await createTestDatabase();
+        app = createApp({ db });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    describe('POST /api/nid/verify', () => {
+        it('rejects invalid input with VALIDATION_ERROR', async () => {
+            const response = await request(app)
+                .post('/api/nid/verify')
+                .send({ nid: '12345', dateOfBirth: 'not-a-date', nameEn: '' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('VALIDATION_ERROR');
+            expect(response.body.details.map((detail) => detail.path)).toEqual(
+                expect.arrayContaining(['nid', 'dateOfBirth', 'nameEn'])
+            );
+        });
+
+        it('verifies a matching citizen', async () => {
+            const response = await request(app).post('/api/nid/verify').send(CITIZEN);
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.verified).toBe(true);
+            expect(response.body.system).toBe('Local Development');
+        });
+
+        it('maps an upstream 406 mismatch to an unverified 200 with a message', async () => {
+            const response = await request(app)
+                .post('/api/nid/verify')
+                .send({ ...CITIZEN, nameEn: 'Karim Uddin' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.verified).toBe(false);
+            expect(response.body.data.verificationDetails).toEqual({ nameEn: false, dateOfBirth: true });
+            expect(response.body.data.personDetails).toEqual({});
+            expect(response.body.message).toMatch(/name/i);
+        });
+
+        it('verifies the Bangla name, parents and addresses when provided', async () => {
+            const response = await request(app)
+                .post('/api/nid/verify')
+                .send({
+                    nid: CITIZEN.nid,
+                    // Decomposed and oddly spaced, as some input methods produce it
+                    name: '  রহিম   উদ্দিন'.normalize('NFD'),
+                    father: 'করিম উদ্দিন',
+                    mother: 'রোকেয়া বেগম',
+                    permanentAddress: 'গ্রাম: চরপাড়া, উপজেলা: সদর, জেলা: ময়মনসিংহ'
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.verified).toBe(false);
+            expect(response.body.data.verificationDetails).toEqual({
+                name: true,
+                father: true,
+                mother: false,
+                permanentAddress: true
+            });
+            expect(response.body.message).toBe(
+                "NID found and Bangla name, father's name and permanent address match, but provided mother's name does not match the records"
+            );
+
+            const matched = await request(app).post('/api/nid/verify').send({ nid: CITIZEN.nid, spouse: 'ফাতেমা খাতুন' });
+            expect(matched.body.data).toMatchObject({ verified: true, verificationDetails: { spouse: true } });
+            expect(matched.body.message).toBeUndefined();
+        });
+
+        it('scores the name against the record when the NID service returns one', async () => {
+            const matched = await request(app).post('/api/nid/verify').send(CITIZEN);
+
+            expect(matched.body.data.verificationDetails).toEqual({ nameEn: true, dateOfBirth: true, nameMatchScore: 1, probableMatch: true });
+            expect(matched.body.data.personDetails.nameEn).toBe('Rahim Uddin');
+        });
+
+        it('does not score a mismatch, which comes back without the record', async () => {
+            const response = await request(app).post('/api/nid/verify').send({ ...CITIZEN, nameEn: 'Rahem Uddin' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.verified).toBe(false);
+            expect(response.body.data.verificationDetails).toEqual({ nameEn: false, dateOfBirth: true });
+            expect(response.body.data.personDetails).toEqual({});
+        });
+
+        it("applies the system's own name match threshold", async () => {
+            const admin = createApp({ db, config: { adminApiKeys: 'ops:test-admin-key' } });
+            for (const id of [1, 2]) {
+                await request(admin)
+                    .patch(`/api/admin/ips/${id}`)
+                    .set('X-Admin-Key', 'test-admin-key')
+                    .send({ nameMatchThreshold: 1 })
+                    .expect(200);
+            }
+            const rejected = await request(admin)
+                .patch('/api/admin/ips/1')
+                .set('X-Admin-Key', 'test-admin-key')
+                .send({ nameMatchThreshold: 0.955 });
+            expect(rejected.status).toBe(400);
+
+            // Upstream matches names regardless of case and spacing, so a match always scores 1 against the mock
+            const response = await request(app).post('/api/nid/verify').send({ ...CITIZEN, nameEn: '  rahim   UDDIN ' });
+            expect(response.body.data.verificationDetails).toMatchObject({ nameEn: true, nameMatchScore: 1, probableMatch: true });
+
+            const { verificationService } = createServices({ db });
+            expect(verificationService.scoreName('Rahem Uddin', 'Rahim Uddin', { nameMatchThreshold: 0.95 }))
+                .toEqual({ nameMatchScore: 0.9, probableMatch: false });
+            expect(verificationService.scoreName('Rahem Uddin', 'Rahim Uddin', {}))
+                .toEqual({ nameMatchScore: 0.9, probableMatch: true });
+        });
+
+        it('expands a 13-digit NID with the birth year', async () => {
+            const response = await request(app)
+                .post('/api/nid/verify')
+                .send({ ...CITIZEN, nid: '0000 0000 00001' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ nid: '19900000000000001', nidType: '13-digit', verified: true });
+
+            // Logged under the 17-digit form
+            const admin = createApp({ db, config: { adminApiKeys: 'ops:test-admin-key' } });
+            await waitForLogs(db, 1);
+            const logs = await request(admin)
+                .get('/api/admin/request-logs')
+                .query({ nid: '19900000000000001' })
+                .set('X-Admin-Key', 'test-admin-key');
+            expect(logs.body.count).toBe(1);
+        });
+
+        it('rejects NIDs that disagree with the date of birth before calling upstream', async () => {
+            const calls = mockUpstream.locals.stats.verifications;
+
+            const legacy = await request(app).post('/api/nid/verify').send({ nid: '0000000000001', nameEn: CITIZEN.nameEn });
+            expect(legacy.status).toBe(400);
+            expect(legacy.body.details[0]).toMatchObject({ path: 'nid', msg: 'A 13-digit NID needs dateOfBirth, whose year makes it a 17-digit NID' });
+
+            const typo = await request(app).post('/api/nid/verify').send({ ...CITIZEN, nid: '19910000000000001' });
+            expect(typo.status).toBe(400);
+            expect(typo.body.details[0].msg).toBe('The first 4 digits of a 17-digit NID are the birth year and must match dateOfBirth');
+
+            expect(mockUpstream.locals.stats.verifications).toBe(calls);
+        });
+
+        it('requires at least one field and checks the Bangla script', async () => {
+            const empty = await request(app).post('/api/nid/verify').send({ nid: CITIZEN.nid });
+            expect(empty.status).toBe(400);
+            expect(empty.body.details[0].msg).toMatch(/^Provide at least one of nameEn, name, dateOfBirth/);
+
+            const latin = await request(app).post('/api/nid/verify').send({ nid: CITIZEN.nid, name: 'Rahim Uddin' });
+            expect(latin.status).toBe(400);
+            expect(latin.body.details).toEqual([
+                expect.objectContaining({ path: 'name', msg: 'name must be 2 to 100 Bangla letters, spaces, dots or hyphens' })
+            ]);
+        });
+
+        it('records the request in request_logs', async () => {
+            const response = await request(app).post('/api/nid/verify').send(CITIZEN);
+
+            const [log] = await waitForLogs(db, 1);
+            expect(log.request_id).toBe(response.body.requestId);
+            expect(log.system_name).toBe('Local Development');
+            expect(log.nid).toMatch(/^[a-f0-9]{64}$/);
+            expect(log.status).toBe('SUCCESS');
+            expect(log.request_data.nid).toMatch(/^hmac:/);
+            expect(log.request_data.nameEn).toMatch(/^enc:v1:test:/);
+            expect(log.response_data.data.personDetails).toMatch(/^enc:v1:test:/);
+            expect(JSON.stringify(log)).not.toMatch(new RegExp(`${CITIZEN.nid}|${CITIZEN.nameEn}|${CITIZEN.dateOfBirth}`));
+        });
+
+        it('records failed requests as errors without the submitted values', async () => {
+            await request(app).post('/api/nid/verify').send({ nid: '12345' });
+
+            const [log] = await waitForLogs(db, 1);
+            expect(log.status).toBe('ERROR');
+            expect(log.nid).toMatch(/^[a-f0-9]{64}$/);
+            expect(log.error_message).toContain('VALIDATION_ERROR');
+            expect(log.error_message).not.toContain('12345');
+        });
+    });
+
+    describe('GET /api/admin/request-logs', () => {
+        it('finds requests by exact NID and decrypts them', async () => {
+            const admin = createApp({ db, config: { adminApiKeys: 'ops:test-admin-key' } });
+            await request(admin).post('/api/nid/verify').send(CITIZEN);
+            await request(admin).post('/api/nid/verify').send({ ...CITIZEN, nid: '1000000002' });
+            await waitForLogs(db, 2);
+
+            const response = await request(admin)
+                .get('/api/admin/request-logs')
+                .query({ nid: CITIZEN.nid })
+                .set('X-Admin-Key', 'test-admin-key');
+
+            expect(response.status).toBe(200);
+            expect(response.body.count).toBe(1);
+            expect(response.body.data[0].requestData).toMatchObject({ dateOfBirth: CITIZEN.dateOfBirth, nameEn: CITIZEN.nameEn });
+            expect(response.body.data[0].responseData.data.personDetails.nationalId).toBe(CITIZEN.nid);
+        });
+    });
+
+    describe('IP whitelist', () => {
+        it('denies clients whose IP is not whitelisted', async () => {
+            // Requests come from 127.0.0.1, a trusted proxy by default, so the forwarded address is used
+            const response = await request(app)
+                .get('/api/nid/status')
+                .set('X-Forwarded-For', '203.0.113.10');
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('IP_NOT_AUTHORIZED');
+        });
+
+        it('does not trust X-Forwarded-For from an untrusted proxy', async () => {
+            const strict = createApp({ db, config: { trustedProxies: '10.0.0.0/8' } });
+
+            const response = await request(strict)
+                .get('/api/nid/status')
+                .set('X-Forwarded-For', '203.0.113.10');
+
+            expect(response.status).toBe(200);
+        });
+
+        it('denies every client when the whitelist is empty', async () => {
+            await db.run('DELETE FROM allowed_ips');
+
+            const response = await request(app).get('/api/nid/health');
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('IP_NOT_AUTHORIZED');
+        });
+    });
+
+    describe('GET /api/nid/health', () => {
+        it('reports healthy once it can log in upstream', async () => {
+            const response = await request(app).get('/api/nid/health');
+
+            expect(response.status).toBe(200);
+            expect(response.body.status).toBe('healthy');
+            expect(response.body.circuitBreaker.state).toBe('closed');
+        });
+
+        it('reports unhealthy when upstream rejects the credentials', async () => {
+            const nidService = app.locals.services.nidService;
+            nidService.password = 'wrong-password';
+
+            const response = await request(app).get('/api/nid/health');
+
+            expect(response.status).toBe(503);
+            expect(response.body.status).toBe('unhealthy');
+        });
+    });
+
+    describe('GET /api/nid/status', () => {
+        it('reports statistics from request_logs', async () => {
+            await request(app).post('/api/nid/verify').send(CITIZEN);
+            await request(app).post('/api/nid/verify').send({ nid: '12345' });
+            await waitForLogs(db, 2);
+
+            const response = await request(app).get('/api/nid/status');
+
+            expect(response.status).toBe(200);
+            expect(response.body.status).toBe('operational');
+            expect(response.body.statistics).toMatchObject({
+                totalRequests: 2,
+                successRequests: 1,
+                errorRequests: 1,
+                successRate: '50.00%'
+            });
+            expect(response.body.retention).toEqual({ successDays: 90, errorDays: 180, archive: true, lastRun: null });
+        });
+
+        it('reports the last request log retention run', async () => {
+            await app.locals.services.retentionService.run({ dryRun: true });
+
+            const response = await request(app).get('/api/nid/status');
+
+            expect(response.body.retention.lastRun).toMatchObject({
+                status: 'success',
+                dryRun: true,
+                deleted: { success: 0, error: 0 },
+                archived: false,
+                error: null
+            });
+        });
+    });
+
+    describe('asynchronous jobs', () => {
+        it('completes a queued job through the job worker', async () => {
+            const created = await request(app).post('/api/nid/jobs').send(CITIZEN);
+            expect(created.status).toBe(202);
+
+            const { jobService, jobWorker } = app.locals.services;
+            const [job] = await jobService.claimJobs(jobWorker.workerId, 1);
+            await jobWorker.run(job);
+
+            const response = await request(app).get(created.body.data.statusUrl);
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('completed');
+            expect(response.body.data.result.data.verified).toBe(true);
+        });
+    });
+
+    it('accepts an injected nidService', async () => {
+        const nidService = {
+            verifyNID: jest.fn().mockResolvedValue({
+                success: true,
+                verified: true,
+                data: { nationalId: CITIZEN.nid },
+                fieldVerificationResult: { nameEn: true, dateOfBirth: true }
+            }),
+            getCircuitState: () => ({ state: 'closed' })
+        };
+        const injected = createApp({ db, nidService });
+
+        const response = await request(injected).post('/api/nid/verify').send(CITIZEN);
+
+        expect(response.status).toBe(200);
+        expect(nidService.verifyNID).toHaveBeenCalledWith(CITIZEN.nid, { nameEn: CITIZEN.nameEn, dateOfBirth: CITIZEN.dateOfBirth });
+    });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createTestDatabase, waitForLogs } = require('./helpers/database');
+const { ServiceError } = require('../src/utils/errors');
+const { mapWithConcurrency } = require('../src/utils/concurrency');
+
+const CITIZEN = { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' };
+
+describe('mapWithConcurrency', () => {
+    it('keeps the input order with at most `limit` calls in flight', async () => {
+        let inFlight = 0;
+        let peak = 0;
+
+        const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delayMs, index) => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+            inFlight--;
+            return index;
+        });
+
+        expect(results).toEqual([0, 1, 2, 3, 4]);
+        expect(peak).toBe(2);
+    });
+});
+
+describe('POST /api/nid/verify/batch', () => {
+    let db;
+    let app;
+    let nidService;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        nidService = {
+            verifyNID: jest.fn(async (nid) => {
+                if (nid === '1000000005') {
+                    throw new ServiceError('External NID service is unavailable', 'SERVICE_UNAVAILABLE', 503);
+                }
+                return {
+                    success: true,
+                    verified: true,
+                    data: { nationalId: nid },
+                    fieldVerificationResult: { nameEn: true, dateOfBirth: true }
+                };
+            }),
+            getCircuitState: () => ({ state: 'closed' })
+        };
+        app = createApp({ db, nidService, config: { batchMaxItems: 3 } });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('answers every item on its own, in order', async () => {
+        const response = await request(app)
+            .post('/api/nid/verify/batch')
+            .send({ items: [CITIZEN, { ...CITIZEN, nid: '12' }, { ...CITIZEN, nid: '1000000005' }] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ total: 3, succeeded: 1, failed: 2, verified: 1 });
+        expect(response.body.data.results.map((result) => [result.index, result.success, result.code])).toEqual([
+            [0, true, undefined],
+            [1, false, 'VALIDATION_ERROR'],
+            [2, false, 'SERVICE_UNAVAILABLE']
+        ]);
+        // The invalid item never reaches the NID service
+        expect(nidService.verifyNID).toHaveBeenCalledTimes(2);
+    });
+
+    it('logs each item under its own request ID and the batch as a summary', async () => {
+        const response = await request(app).post('/api/nid/verify/batch').send({ items: [CITIZEN, CITIZEN] }).expect(200);
+        const { requestId, data } = response.body;
+
+        const logs = await waitForLogs(db, 3);
+        const batch = logs.find((log) => log.request_id === requestId);
+        expect(batch.request_data).toEqual({ batchSize: 2 });
+        expect(batch.response_data.itemRequestIds).toEqual(data.results.map((result) => result.requestId));
+
+        const items = logs.filter((log) => log.request_id !== requestId);
+        expect(items.map((log) => log.outcome)).toEqual(['VERIFIED', 'VERIFIED']);
+        expect(items.every((log) => log.request_data.batchRequestId === requestId)).toBe(true);
+    });
+
+    it('holds items to the same date of birth rule as /verify', async () => {
+        const minor = { ...CITIZEN, dateOfBirth: `${new Date().getUTCFullYear() - 10}-01-01` };
+
+        const single = await request(app).post('/api/nid/verify').send(minor);
+        const batch = await request(app).post('/api/nid/verify/batch').send({ items: [minor] });
+
+        expect(single.status).toBe(400);
+        expect(batch.body.data.results[0]).toMatchObject({ success: false, code: 'VALIDATION_ERROR', details: single.body.details });
+        expect(single.body.details[0].msg).toBe('Person must be at least 18 years old');
+        expect(nidService.verifyNID).not.toHaveBeenCalled();
+    });
+
+    it('rejects a missing, empty or oversized items array', async () => {
+        for (const body of [{}, { items: [] }, { items: [CITIZEN, CITIZEN, CITIZEN, CITIZEN] }]) {
+            const response = await request(app).post('/api/nid/verify/batch').send(body);
+
+            expect(response.status).toBe(400);
+            expect(response.body.code).toBe('VALIDATION_ERROR');
+        }
+        expect(nidService.verifyNID).not.toHaveBeenCalled();
+    });
+});
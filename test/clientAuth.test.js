@@ -0,0 +1,102 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createTestDatabase } = require('./helpers/database');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('client authentication', () => {
+    const saved = { ...process.env };
+    let db;
+
+    beforeEach(async () => {
+        process.env.JWT_SECRET = 'test-jwt-secret';
+        process.env.API_KEY_HASH_ROUNDS = '4';
+        db = await createTestDatabase();
+        await db.run("INSERT INTO allowed_ips (ip_address, system_name) VALUES ('203.0.113.0/24', 'Bank')");
+    });
+
+    afterEach(async () => {
+        process.env = { ...saved };
+        await db.close();
+    });
+
+    function build(config = {}) {
+        return createApp({
+            db,
+            nidService: { getCircuitState: () => ({ state: 'closed' }) },
+            config: { adminApiKeys: `ops:${ADMIN_KEY}`, ...config }
+        });
+    }
+
+    async function issueKey(app, entryId) {
+        const response = await request(app)
+            .post(`/api/admin/ips/${entryId}/keys`)
+            .set('X-Admin-Key', ADMIN_KEY)
+            .send({ label: 'ci' })
+            .expect(201);
+        return response.body.data;
+    }
+
+    it('accepts an API key of the system the IP is whitelisted for', async () => {
+        const app = build();
+        const { apiKey } = await issueKey(app, 1);
+
+        const accepted = await request(app).get('/api/nid/usage').set('X-API-Key', apiKey);
+        expect(accepted.status).toBe(200);
+        expect(accepted.body.system).toBe('Local Development');
+
+        const unknown = await request(app).get('/api/nid/usage').set('X-API-Key', `nidk_${'0'.repeat(12)}_${'0'.repeat(48)}`);
+        expect(unknown.status).toBe(401);
+        expect(unknown.body.code).toBe('INVALID_CREDENTIAL');
+    });
+
+    it("refuses another system's credential", async () => {
+        const app = build();
+        const { apiKey } = await issueKey(app, 4);
+
+        const response = await request(app).get('/api/nid/usage').set('X-API-Key', apiKey);
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('CREDENTIAL_IP_MISMATCH');
+    });
+
+    it('exchanges an API key for a bearer token that stops working once the key is revoked', async () => {
+        const app = build();
+        const { key, apiKey } = await issueKey(app, 1);
+
+        const exchanged = await request(app).post('/api/auth/token').set('X-API-Key', apiKey);
+        expect(exchanged.status).toBe(200);
+        expect(exchanged.body.data).toMatchObject({ tokenType: 'Bearer', expiresIn: 900 });
+        const bearer = `Bearer ${exchanged.body.data.accessToken}`;
+
+        await request(app).get('/api/nid/usage').set('Authorization', bearer).expect(200);
+
+        await request(app).post(`/api/admin/keys/${key.id}/revoke`).set('X-Admin-Key', ADMIN_KEY).expect(200);
+        const revoked = await request(app).get('/api/nid/usage').set('Authorization', bearer);
+        expect(revoked.status).toBe(401);
+        expect(revoked.body.code).toBe('INVALID_CREDENTIAL');
+    });
+
+    it('keeps the old key working for the grace period after a rotation', async () => {
+        const app = build();
+        const { key, apiKey } = await issueKey(app, 1);
+
+        const rotated = await request(app)
+            .post(`/api/admin/keys/${key.id}/rotate`)
+            .set('X-Admin-Key', ADMIN_KEY)
+            .send({ graceSeconds: 60 });
+        expect(rotated.status).toBe(201);
+        expect(rotated.body.data.previousKey.status).toBe('active');
+
+        await request(app).get('/api/nid/usage').set('X-API-Key', apiKey).expect(200);
+        await request(app).get('/api/nid/usage').set('X-API-Key', rotated.body.data.apiKey).expect(200);
+    });
+
+    it('requires a credential only when CLIENT_AUTH_REQUIRED is set', async () => {
+        await request(build()).get('/api/nid/usage').expect(200);
+
+        const response = await request(build({ clientAuthRequired: true })).get('/api/nid/usage');
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('CREDENTIAL_REQUIRED');
+    });
+});
@@ -0,0 +1,39 @@
+const { SqliteStorage, Migrator } = require('../../src/storage');
+
+/**
+ * Opens a fresh in-memory SQLite database, by default migrated to the latest
+ * version (which seeds the localhost whitelist entries)
+ * @param {Object} options - { migrate: false } to leave the schema to the test
+ * @returns {Promise<Object>} - The initialized SqliteStorage; close it after the test
+ */
+async function createTestDatabase({ migrate = true } = {}) {
+    const db = new SqliteStorage({ filename: ':memory:' });
+    await db.init();
+    if (migrate) {
+        await new Migrator({ db }).up();
+    }
+    return db;
+}
+
+/**
+ * Waits for the request logger, which writes after the response has been sent
+ * @param {Object} db - Database the app logs to
+ * @param {number} count - Rows to wait for
+ * @returns {Promise<Array<Object>>} - The request_logs rows, oldest first
+ */
+async function waitForLogs(db, count) {
+    let rows = [];
+    for (let attempt = 0; attempt < 50; attempt++) {
+        rows = await db.query('SELECT * FROM request_logs ORDER BY id');
+        if (rows.length >= count) {
+            break;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return rows;
+}
+
+module.exports = {
+    createTestDatabase,
+    waitForLogs
+};
@@ -0,0 +1,79 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createTestDatabase } = require('./helpers/database');
+const { CidrMatcher, parseCidr, isValidCidr } = require('../src/utils/ipMatcher');
+
+describe('CidrMatcher', () => {
+    it('prefers the most specific block', () => {
+        const matcher = new CidrMatcher([
+            { cidr: '10.0.0.0/8', data: 'wide' },
+            { cidr: '10.20.0.0/16', data: 'narrow' },
+            { cidr: '10.20.30.40', data: 'host' }
+        ]);
+
+        expect(matcher.match('10.1.2.3')).toBe('wide');
+        expect(matcher.match('10.20.1.1')).toBe('narrow');
+        expect(matcher.match('10.20.30.40')).toBe('host');
+        expect(matcher.match('11.0.0.1')).toBeNull();
+    });
+
+    it('matches IPv6 blocks and IPv4 addresses seen through a dual-stack socket', () => {
+        const matcher = new CidrMatcher(['2001:db8::/32', '192.0.2.0/24', '::ffff:198.51.100.0/120']);
+
+        expect(matcher.contains('2001:db8:1::5')).toBe(true);
+        expect(matcher.contains('2001:db9::1')).toBe(false);
+        expect(matcher.contains('::ffff:192.0.2.10')).toBe(true);
+        expect(matcher.contains('198.51.100.20')).toBe(true);
+        expect(matcher.contains('fe80::1%eth0')).toBe(false);
+    });
+
+    it('collects entries that are not addresses or blocks', () => {
+        const matcher = new CidrMatcher(['localhost', '10.0.0.0/33', '10.0.0.0/8']);
+
+        expect(matcher.invalid).toEqual(['localhost', '10.0.0.0/33']);
+        expect(matcher.size).toBe(1);
+    });
+
+    it('normalises the network part of a block', () => {
+        expect(parseCidr('10.20.30.40/16')).toEqual({ version: 4, network: parseCidr('10.20.0.0/16').network, prefix: 16 });
+        expect(isValidCidr('::/0')).toBe(true);
+        expect(isValidCidr('10.0.0.0/8/8')).toBe(false);
+        expect(isValidCidr('10.0.0.0/x')).toBe(false);
+    });
+});
+
+describe('ipWhitelist middleware', () => {
+    let db;
+    let app;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        await db.run("INSERT INTO allowed_ips (ip_address, system_name) VALUES ('203.0.113.0/24', 'Bank')");
+        app = createApp({ db, nidService: { getCircuitState: () => ({ state: 'closed' }) } });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('admits addresses inside a whitelisted block', async () => {
+        const inside = await request(app).get('/api/nid/usage').set('X-Forwarded-For', '203.0.113.77');
+        expect(inside.status).toBe(200);
+        expect(inside.body.system).toBe('Bank');
+
+        const outside = await request(app).get('/api/nid/usage').set('X-Forwarded-For', '203.0.114.1');
+        expect(outside.status).toBe(403);
+    });
+
+    it('serves the whitelist from memory until it is invalidated', async () => {
+        const { whitelistService } = app.locals.services;
+        await request(app).get('/api/nid/usage').set('X-Forwarded-For', '203.0.113.77').expect(200);
+
+        // A change made directly in the database waits for the next reload
+        await db.run("UPDATE allowed_ips SET is_active = 0 WHERE system_name = 'Bank'");
+        await request(app).get('/api/nid/usage').set('X-Forwarded-For', '203.0.113.77').expect(200);
+
+        whitelistService.invalidate();
+        await request(app).get('/api/nid/usage').set('X-Forwarded-For', '203.0.113.77').expect(403);
+    });
+});
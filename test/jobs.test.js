@@ -0,0 +1,158 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createMockUpstream } = require('./mock-upstream/server');
+const { createTestDatabase, waitForLogs } = require('./helpers/database');
+
+// Rahim Uddin in test/mock-upstream/citizens.json
+const CITIZEN = { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin', father: 'করিম উদ্দিন' };
+const ADMIN = { name: 'test-admin', ip: '127.0.0.1' };
+
+describe('asynchronous verification jobs', () => {
+    const saved = { ...process.env };
+    let mockUpstream;
+    let upstream;
+    let db;
+    let app;
+
+    beforeAll((done) => {
+        mockUpstream = createMockUpstream();
+        upstream = mockUpstream.listen(0, '127.0.0.1', () => {
+            process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+            process.env.NID_SERVICE_USERNAME = 'mock-user';
+            process.env.NID_SERVICE_PASSWORD = 'mock-password';
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        process.env = { ...saved };
+        upstream.close(done);
+    });
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        app = createApp({ db });
+    });
+
+    afterEach(async () => {
+        jest.useRealTimers();
+        await db.close();
+    });
+
+    async function runNextJob() {
+        const { jobService, jobWorker } = app.locals.services;
+        const [job] = await jobService.claimJobs(jobWorker.workerId, 1);
+        await jobWorker.run(job);
+        return job;
+    }
+
+    it('keeps the NID, submitted details and record encrypted in verification_jobs', async () => {
+        const created = await request(app).post('/api/nid/jobs').send(CITIZEN).expect(202);
+        const queued = await db.get('SELECT * FROM verification_jobs');
+        expect(queued.request_data.nid).toMatch(/^enc:v1:test:/);
+
+        const job = await runNextJob();
+        expect(job.input).toMatchObject(CITIZEN);
+
+        const raw = JSON.stringify(await db.get('SELECT * FROM verification_jobs'));
+        for (const value of ['1000000001', '19900000000000001', 'Rahim', 'করিম', '1990-01-15']) {
+            expect(raw).not.toContain(value);
+        }
+
+        const response = await request(app).get(created.body.data.statusUrl).expect(200);
+        expect(response.body.data.result.data.verified).toBe(true);
+        expect(response.body.data.result.data.nid).toBe('1000000001');
+    });
+
+    it('refuses jobs without an encryption key', async () => {
+        delete process.env.REQUEST_LOG_ENCRYPTION_KEYS;
+        try {
+            const response = await request(createApp({ db })).post('/api/nid/jobs').send(CITIZEN);
+
+            expect(response.status).toBe(503);
+            expect(response.body.code).toBe('SERVICE_UNAVAILABLE');
+        } finally {
+            process.env.REQUEST_LOG_ENCRYPTION_KEYS = saved.REQUEST_LOG_ENCRYPTION_KEYS;
+        }
+    });
+
+    it('fails a job whose system was deactivated after queueing it, without calling upstream', async () => {
+        const created = await request(app).post('/api/nid/jobs').send(CITIZEN).expect(202);
+        await app.locals.services.whitelistService.setActive(1, false, ADMIN);
+        const calls = mockUpstream.locals.stats.verifications;
+
+        await runNextJob();
+
+        expect(mockUpstream.locals.stats.verifications).toBe(calls);
+        const row = await db.get('SELECT status, status_code FROM verification_jobs');
+        expect(row).toMatchObject({ status: 'FAILED', status_code: 403 });
+        expect(await db.get('SELECT request_count FROM system_usage')).toBeNull();
+
+        await app.locals.services.whitelistService.setActive(1, true, ADMIN);
+        const response = await request(app).get(created.body.data.statusUrl).expect(200);
+        expect(response.body.data.result.code).toBe('SYSTEM_INACTIVE');
+    });
+
+    it('puts a job back with a backoff while upstream is unavailable, and fails it after the last attempt', async () => {
+        process.env.JOB_MAX_ATTEMPTS = '2';
+        app = createApp({ db });
+        const { jobService } = app.locals.services;
+        // 1000000005 always answers 500
+        const created = await request(app).post('/api/nid/jobs').send({ ...CITIZEN, nid: '1000000005' }).expect(202);
+        const { jobId } = created.body.data;
+        const logsFor = () => db.query('SELECT * FROM request_logs WHERE request_id = ?', [jobId]);
+
+        await runNextJob();
+
+        const requeued = await db.get('SELECT status, locked_by, next_attempt_at FROM verification_jobs');
+        expect(requeued).toMatchObject({ status: 'PENDING', locked_by: null });
+        expect(requeued.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+        expect(await jobService.claimJobs('other-worker', 1)).toEqual([]);
+        expect(await logsFor()).toEqual([]);
+
+        await db.run('UPDATE verification_jobs SET next_attempt_at = ?', [new Date(Date.now() - 1000)]);
+        await runNextJob();
+
+        const failed = await db.get('SELECT status, status_code, attempts FROM verification_jobs');
+        expect(failed).toEqual({ status: 'FAILED', status_code: 503, attempts: 2 });
+        expect(await logsFor()).toHaveLength(1);
+    });
+
+    it('records a finished job even when its webhook cannot be queued', async () => {
+        const { webhookService } = app.locals.services;
+        await webhookService.createSubscription(1, { url: 'https://example.test/hook', eventTypes: ['verification.completed'] }, ADMIN);
+        jest.spyOn(webhookService, 'emit').mockRejectedValue(new Error('database is locked'));
+        const created = await request(app).post('/api/nid/jobs').send(CITIZEN).expect(202);
+
+        await runNextJob();
+
+        expect(webhookService.emit).toHaveBeenCalled();
+        expect((await db.get('SELECT status FROM verification_jobs')).status).toBe('COMPLETED');
+        const logs = await waitForLogs(db, 2);
+        expect(logs.filter((log) => log.request_id === created.body.data.jobId)).toEqual([expect.objectContaining({ outcome: 'VERIFIED' })]);
+    });
+
+    it('renews the lock while a job is being processed', async () => {
+        const { jobService, jobWorker, verificationService } = app.locals.services;
+        await request(app).post('/api/nid/jobs').send(CITIZEN).expect(202);
+        const [job] = await jobService.claimJobs(jobWorker.workerId, 1);
+        const claimedAt = (await db.get('SELECT locked_at FROM verification_jobs')).locked_at;
+
+        let finish;
+        jest.spyOn(verificationService, 'verify').mockReturnValue(new Promise((resolve) => { finish = resolve; }));
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        const running = jobWorker.run(job);
+
+        jest.advanceTimersByTime(jobService.lockTimeoutMs * 2);
+        jest.useRealTimers();
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        const renewedAt = (await db.get('SELECT locked_at FROM verification_jobs')).locked_at;
+        expect(renewedAt.getTime()).toBeGreaterThan(claimedAt.getTime());
+        expect(await jobService.claimJobs('other-worker', 1)).toEqual([]);
+
+        finish({ data: { nid: CITIZEN.nid, verified: true }, cached: false });
+        await running;
+        expect((await db.get('SELECT status FROM verification_jobs')).status).toBe('COMPLETED');
+    });
+});
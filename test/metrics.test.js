@@ -0,0 +1,123 @@
+const request = require('supertest');
+const MetricsService = require('../src/services/metricsService');
+const { createApp } = require('../src/app');
+const { createMockUpstream } = require('./mock-upstream/server');
+const { createTestDatabase } = require('./helpers/database');
+
+// Rahim Uddin in test/mock-upstream/citizens.json
+const CITIZEN = { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' };
+
+/**
+ * Finds the value of one series in Prometheus text output
+ */
+function sample(text, name, labels = {}) {
+    const line = text.split('\n').find((candidate) => candidate.startsWith(`${name}{`) || candidate.startsWith(`${name} `)
+        ? Object.entries(labels).every(([label, value]) => candidate.includes(`${label}="${value}"`))
+        : false);
+    return line === undefined ? undefined : Number(line.split(' ').pop());
+}
+
+describe('MetricsService', () => {
+    it('reports database pool utilisation when the storage has a pool', async () => {
+        const db = { poolStats: () => ({ limit: 10, open: 4, idle: 1, busy: 3, queued: 2 }) };
+
+        const text = await new MetricsService({ db }).render();
+
+        expect(sample(text, 'nid_service_db_pool_connections', { state: 'busy' })).toBe(3);
+        expect(sample(text, 'nid_service_db_pool_connections', { state: 'queued' })).toBe(2);
+        expect(sample(text, 'nid_service_db_pool_connections', { state: 'limit' })).toBe(10);
+    });
+
+    it('labels upstream calls with their outcome', async () => {
+        const metrics = new MetricsService({ db: { poolStats: () => null } });
+
+        await metrics.observeUpstream('verify_nid', async () => ({ status: 406 }));
+        await expect(metrics.observeUpstream('verify_nid', async () => {
+            throw Object.assign(new Error('Service unavailable'), { code: 'SERVICE_UNAVAILABLE' });
+        })).rejects.toThrow('Service unavailable');
+
+        const text = await metrics.render();
+        expect(sample(text, 'nid_service_upstream_request_duration_seconds_count', { operation: 'verify_nid', outcome: '406' })).toBe(1);
+        expect(sample(text, 'nid_service_upstream_request_duration_seconds_count', { outcome: 'circuit_open' })).toBe(1);
+        expect(text).not.toContain('nid_service_db_pool_connections{');
+    });
+});
+
+describe('GET /metrics', () => {
+    let upstream;
+    let db;
+
+    beforeAll((done) => {
+        upstream = createMockUpstream().listen(0, '127.0.0.1', () => {
+            process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+            process.env.NID_SERVICE_USERNAME = 'mock-user';
+            process.env.NID_SERVICE_PASSWORD = 'mock-password';
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        upstream.close(done);
+    });
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('exposes request, upstream and token metrics', async () => {
+        const app = createApp({ db });
+
+        await request(app).post('/api/nid/verify').send(CITIZEN).expect(200);
+        await request(app).get('/api/nid/jobs/00000000-0000-4000-8000-000000000000');
+        await request(app).post('/api/nid/verify').send({ nid: '12' }).expect(400);
+        await request(app).get('/api/nid/jobs/not-a-uuid').expect(400);
+        await request(app).get('/api/nid/nothing-here').expect(404);
+
+        const response = await request(app).get('/metrics');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/plain/);
+        const text = response.text;
+        expect(sample(text, 'nid_service_http_requests_total', {
+            route: '/api/nid/verify', method: 'POST', system: 'Local Development', status_code: '200'
+        })).toBe(1);
+        expect(sample(text, 'nid_service_http_request_duration_seconds_count', { route: '/api/nid/jobs/:id', status_code: '404' })).toBe(1);
+        // Refused by validation before the route ran
+        expect(sample(text, 'nid_service_http_requests_total', { route: '/api/nid/verify', status_code: '400' })).toBe(1);
+        expect(sample(text, 'nid_service_http_requests_total', { route: '/api/nid/jobs/:id', status_code: '400' })).toBe(1);
+        expect(sample(text, 'nid_service_http_requests_total', { route: 'unmatched', status_code: '404' })).toBe(1);
+        expect(sample(text, 'nid_service_upstream_request_duration_seconds_count', { operation: 'authenticate', outcome: '200' })).toBe(1);
+        expect(sample(text, 'nid_service_upstream_request_duration_seconds_count', { operation: 'verify_nid', outcome: '200' })).toBe(1);
+        expect(sample(text, 'nid_service_upstream_request_duration_seconds_count', { operation: 'photo_fetch', outcome: 'success' })).toBe(1);
+        expect(sample(text, 'nid_service_upstream_token_refreshes_total', { result: 'success' })).toBe(1);
+        expect(sample(text, 'nid_service_process_cpu_seconds_total')).toBeGreaterThanOrEqual(0);
+    });
+
+    it('counts whitelist denials', async () => {
+        const app = createApp({ db, config: { adminApiKeys: 'ops:test-admin-key' } });
+        for (const id of [1, 2, 3]) {
+            await request(app).post(`/api/admin/ips/${id}/deactivate`).set('X-Admin-Key', 'test-admin-key').expect(200);
+        }
+
+        await request(app).get('/api/nid/usage').expect(403);
+
+        const text = (await request(app).get('/metrics')).text;
+        expect(sample(text, 'nid_service_whitelist_denials_total')).toBe(1);
+        expect(sample(text, 'nid_service_http_requests_total', { route: '/api/nid/usage', status_code: '403' })).toBe(1);
+    });
+
+    it('is only served to allowed addresses or with the metrics token', async () => {
+        const app = createApp({ db, config: { metrics: { allowedIps: '10.0.0.0/8', token: 'scrape-token' } } });
+
+        const denied = await request(app).get('/metrics');
+        expect(denied.status).toBe(403);
+        expect(denied.body.code).toBe('METRICS_NOT_AUTHORIZED');
+
+        await request(app).get('/metrics').set('Authorization', 'Bearer wrong-token').expect(403);
+        await request(app).get('/metrics').set('Authorization', 'Bearer scrape-token').expect(200);
+    });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator, loadMigrations } = require('../src/storage');
+const { createTestDatabase } = require('./helpers/database');
+
+const TABLES = [
+    'access_tokens',
+    'admin_audit_log',
+    'allowed_ips',
+    'api_keys',
+    'rate_limit_counters',
+    'request_log_archive',
+    'request_logs',
+    'request_stats',
+    'retention_runs',
+    'schema_migrations',
+    'system_usage',
+    'verification_cache',
+    'verification_jobs',
+    'webhook_deliveries',
+    'webhook_subscriptions'
+];
+
+async function listTables(db) {
+    const rows = await db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+    return rows.map((row) => row.name);
+}
+
+describe('loadMigrations', () => {
+    it('loads the bundled migrations in version order', () => {
+        const migrations = loadMigrations();
+
+        expect(migrations.map((migration) => migration.version)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+        expect(migrations[0].name).toBe('baseline');
+        for (const migration of migrations) {
+            expect(typeof migration.up).toBe('function');
+            expect(typeof migration.down).toBe('function');
+        }
+    });
+
+    it('ignores files that are not named <version>_<name>.js', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nid-migrations-'));
+        try {
+            fs.writeFileSync(path.join(dir, '002_second.js'), 'module.exports = { up() {}, down() {} };');
+            fs.writeFileSync(path.join(dir, '001_first.js'), 'module.exports = { up() {}, down() {} };');
+            fs.writeFileSync(path.join(dir, 'README.md'), '');
+
+            expect(loadMigrations(dir).map((migration) => migration.name)).toEqual(['first', 'second']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Migrator', () => {
+    let db;
+    let migrator;
+
+    beforeEach(async () => {
+        db = await createTestDatabase({ migrate: false });
+        migrator = new Migrator({ db });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('applies every migration to an empty database and records it', async () => {
+        const applied = await migrator.up();
+
+        expect(applied.map((migration) => migration.version)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+        expect(await listTables(db)).toEqual(TABLES);
+        expect((await db.query('SELECT ip_address FROM allowed_ips ORDER BY id')).map((row) => row.ip_address))
+            .toEqual(['127.0.0.1', '::1', 'localhost']);
+        expect(await migrator.up()).toEqual([]);
+    });
+
+    it('reports applied and pending migrations', async () => {
+        await migrator.up({ to: 3 });
+
+        const status = await migrator.status();
+        expect(status.map(({ version, applied }) => [version, applied])).toEqual([
+            [1, true], [2, true], [3, true], [4, false], [5, false], [6, false], [7, false], [8, false], [9, false], [10, false], [11, false], [12, false], [13, false], [14, false], [15, false], [16, false], [17, false], [18, false]
+        ]);
+        expect(status[0].appliedAt).toBeInstanceOf(Date);
+        expect(status[3].appliedAt).toBeNull();
+    });
+
+    it('lists applied versions it has no file for', async () => {
+        await migrator.up();
+        await db.run("INSERT INTO schema_migrations (version, name) VALUES (99, 'from_a_newer_release')");
+
+        expect((await migrator.status()).pop()).toMatchObject({ version: 99, name: null, applied: true });
+    });
+
+    it('reverts by steps or down to a version, and applies again', async () => {
+        await migrator.up();
+
+        expect(await migrator.down()).toEqual([{ version: 18, name: 'webhook_secret_encrypted' }]);
+        expect(await migrator.down()).toEqual([{ version: 17, name: 'verification_job_retries' }]);
+        expect(await db.listColumns('verification_jobs')).not.toContain('next_attempt_at');
+        expect(await migrator.down()).toEqual([{ version: 16, name: 'system_usage_by_name' }]);
+        expect(await db.listColumns('system_usage')).toContain('system_id');
+        expect(await migrator.down()).toEqual([{ version: 15, name: 'request_log_archive_outcome' }]);
+        expect(await db.listColumns('request_log_archive')).not.toContain('outcome');
+        expect(await migrator.down()).toEqual([{ version: 14, name: 'name_match_threshold' }]);
+        expect(await db.listColumns('allowed_ips')).not.toContain('name_match_threshold');
+        expect(await migrator.down()).toEqual([{ version: 13, name: 'request_stats' }]);
+        expect(await listTables(db)).not.toContain('request_stats');
+        expect((await migrator.down({ steps: 7 })).map((migration) => migration.version)).toEqual([12, 11, 10, 9, 8, 7, 6]);
+        expect(await db.listColumns('request_logs')).not.toContain('outcome');
+        expect(await db.listColumns('allowed_ips')).not.toContain('burst_limit');
+        expect(await db.listColumns('allowed_ips')).not.toContain('daily_quota');
+        expect(await listTables(db)).not.toContain('retention_runs');
+        expect(await listTables(db)).not.toContain('webhook_subscriptions');
+
+        expect(await migrator.down()).toEqual([{ version: 5, name: 'verification_cache' }]);
+        expect((await migrator.down({ to: 1 })).map((migration) => migration.version)).toEqual([4, 3, 2]);
+        expect(await db.listColumns('allowed_ips')).not.toContain('cache_enabled');
+        expect(await listTables(db)).toEqual(['access_tokens', 'allowed_ips', 'request_logs', 'schema_migrations']);
+
+        expect((await migrator.up()).map((migration) => migration.version)).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+        expect(await listTables(db)).toEqual(TABLES);
+    });
+
+    it('refuses to revert a migration whose file is missing', async () => {
+        await migrator.up();
+        await db.run("INSERT INTO schema_migrations (version, name) VALUES (99, 'from_a_newer_release')");
+
+        await expect(migrator.down()).rejects.toThrow(/99 is applied but its file is missing/);
+    });
+
+    it('adopts a database created before migrations existed', async () => {
+        // Older releases created the tables at startup without recording anything
+        await migrator.up();
+        await db.run("INSERT INTO allowed_ips (ip_address, system_name) VALUES ('192.0.2.1', 'Partner')");
+        await db.run('DELETE FROM schema_migrations');
+
+        expect((await migrator.up()).length).toBe(18);
+        expect((await db.query('SELECT ip_address FROM allowed_ips ORDER BY id')).length).toBe(4);
+    });
+
+    it('runs under the migrations lock', async () => {
+        let release;
+        const holding = db.withLock('nid_service_migrations', 1, () => new Promise((resolve) => {
+            release = resolve;
+        }));
+
+        const impatient = new Migrator({ db, lockTimeoutSeconds: 0.1 });
+        await expect(impatient.up()).rejects.toMatchObject({ code: 'LOCK_TIMEOUT' });
+
+        release();
+        await holding;
+        expect((await impatient.up()).length).toBe(18);
+    });
+
+    it('rejects two migrations with the same version', () => {
+        const noop = async () => {};
+        const migrations = [
+            { version: 1, name: 'a', up: noop, down: noop },
+            { version: 1, name: 'b', up: noop, down: noop }
+        ];
+
+        expect(() => new Migrator({ db, migrations })).toThrow(/share version 1/);
+    });
+});
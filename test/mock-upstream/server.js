@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'citizens.json');
+
+// 1x1 PNG served for every photo URL
+const PHOTO = Buffer.from(
+    'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==',
+    'base64'
+);
+
+/**
+ * Reads the fake citizens from a fixture file
+ * @param {string} file - Path to a JSON file with a `citizens` array
+ * @returns {Array<Object>} - Citizens
+ */
+function loadCitizens(file = DEFAULT_FIXTURE) {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).citizens;
+}
+
+function normalizeName(name) {
+    return String(name || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function errorBody(statusCode, message) {
+    return {
+        status: 'ERROR',
+        statusCode,
+        error: { message }
+    };
+}
+
+/**
+ * Builds an express app imitating the Election Commission partner-service API:
+ * POST /auth/login and POST /voter/demographic/verification with the response
+ * shapes NIDService parses, plus GET /photos/:file for the photo URLs it returns.
+ * @param {Object} options - citizens, username, password and tokenTtlSeconds
+ * @returns {Object} - The express app; app.locals.stats counts calls and app.locals.revokeTokens() forgets every issued token
+ */
+function createMockUpstream({
+    citizens = loadCitizens(),
+    username = 'mock-user',
+    password = 'mock-password',
+    tokenTtlSeconds = 3600
+} = {}) {
+    const app = express();
+    app.use(express.json());
+
+    const tokens = new Map();
+    const requestCounts = new Map();
+
+    app.locals.stats = { logins: 0, verifications: 0 };
+    app.locals.revokeTokens = () => tokens.clear();
+
+    app.post('/auth/login', (req, res) => {
+        app.locals.stats.logins++;
+
+        if (req.body?.username !== username || req.body?.password !== password) {
+            return res.status(401).json(errorBody('UNAUTHORIZED', 'Invalid username or password'));
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        tokens.set(token, Date.now() + tokenTtlSeconds * 1000);
+
+        return res.status(200).json({
+            status: 'OK',
+            statusCode: 'SUCCESS',
+            success: {
+                data: {
+                    access_token: token,
+                    expires_in: tokenTtlSeconds
+                }
+            }
+        });
+    });
+
+    app.post('/voter/demographic/verification', async (req, res) => {
+        app.locals.stats.verifications++;
+
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        const expiresAt = scheme === 'Bearer' ? tokens.get(token) : undefined;
+        if (!expiresAt || expiresAt <= Date.now()) {
+            return res.status(401).json(errorBody('UNAUTHORIZED', 'Access token is missing, invalid or expired'));
+        }
+
+        const { identify = {}, verify = {} } = req.body || {};
+        if (!identify.nid10Digit && !identify.nid17Digit) {
+            return res.status(400).json(errorBody('BAD_REQUEST', 'identify.nid10Digit or identify.nid17Digit is required'));
+        }
+
+        const citizen = identify.nid10Digit
+            ? citizens.find((candidate) => candidate.nationalId === identify.nid10Digit)
+            : citizens.find((candidate) => candidate.pin === identify.nid17Digit);
+        if (!citizen) {
+            return res.status(404).json(errorBody('NOT_FOUND', 'No citizen found for the given NID'));
+        }
+
+        const mock = citizen.mock || {};
+        if (mock.delayMs) {
+            await new Promise((resolve) => setTimeout(resolve, mock.delayMs));
+        }
+
+        if (mock.status) {
+            const count = (requestCounts.get(citizen.nationalId) || 0) + 1;
+            requestCounts.set(citizen.nationalId, count);
+
+            if (!mock.failTimes || count <= mock.failTimes) {
+                const code = mock.status === 401 ? 'UNAUTHORIZED' : 'INTERNAL_SERVER_ERROR';
+                return res.status(mock.status).json(errorBody(code, `Mocked HTTP ${mock.status}`));
+            }
+        }
+
+        // Text fields compare like names do; the date of birth must match exactly
+        const fieldVerificationResult = {};
+        for (const [field, value] of Object.entries(verify)) {
+            const recorded = citizen[field];
+            fieldVerificationResult[field] = field === 'dateOfBirth'
+                ? value === recorded
+                : recorded != null && normalizeName(value) === normalizeName(recorded);
+        }
+
+        const verified = Object.values(fieldVerificationResult).every(Boolean);
+        if (!verified) {
+            return res.status(406).json({
+                status: 'ERROR',
+                statusCode: 'NOT_ACCEPTABLE',
+                verified: false,
+                fieldVerificationResult
+            });
+        }
+
+        return res.status(200).json({
+            status: 'OK',
+            statusCode: 'SUCCESS',
+            verified: true,
+            fieldVerificationResult,
+            success: {
+                data: {
+                    nationalId: citizen.nationalId,
+                    pin: citizen.pin,
+                    nameEn: citizen.nameEn,
+                    photo: mock.noPhoto ? null : `${req.protocol}://${req.get('host')}/photos/${citizen.nationalId}.png`
+                }
+            }
+        });
+    });
+
+    app.get('/photos/:file', (req, res) => {
+        const nationalId = path.basename(req.params.file, '.png');
+        if (!citizens.some((citizen) => citizen.nationalId === nationalId)) {
+            return res.status(404).end();
+        }
+        return res.type('image/png').send(PHOTO);
+    });
+
+    return app;
+}
+
+// Run directly: node test/mock-upstream/server.js
+if (require.main === module) {
+    const port = parseInt(process.env.MOCK_UPSTREAM_PORT) || 4000;
+    const app = createMockUpstream({
+        citizens: loadCitizens(process.env.MOCK_UPSTREAM_FIXTURE || DEFAULT_FIXTURE),
+        username: process.env.MOCK_UPSTREAM_USERNAME || 'mock-user',
+        password: process.env.MOCK_UPSTREAM_PASSWORD || 'mock-password',
+        tokenTtlSeconds: parseInt(process.env.MOCK_UPSTREAM_TOKEN_TTL_SECONDS) || 3600
+    });
+
+    app.listen(port, () => {
+        console.log(` Mock partner-service API listening on http://localhost:${port}`);
+        console.log(` Point the service at it with NID_SERVICE_BASE_URL=http://localhost:${port}`);
+    });
+}
+
+module.exports = {
+    createMockUpstream,
+    loadCitizens
+};
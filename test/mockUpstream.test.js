@@ -0,0 +1,96 @@
+const request = require('supertest');
+const { createMockUpstream, loadCitizens } = require('./mock-upstream/server');
+
+const VERIFY = '/voter/demographic/verification';
+
+describe('mock partner-service API', () => {
+    let mockUpstream;
+    let token;
+
+    beforeEach(async () => {
+        mockUpstream = createMockUpstream();
+        const login = await request(mockUpstream).post('/auth/login').send({ username: 'mock-user', password: 'mock-password' });
+        token = login.body.success.data.access_token;
+    });
+
+    function verify(body) {
+        return request(mockUpstream).post(VERIFY).set('Authorization', `Bearer ${token}`).send(body);
+    }
+
+    it('issues tokens for the configured credentials only', async () => {
+        const rejected = await request(mockUpstream).post('/auth/login').send({ username: 'mock-user', password: 'wrong' });
+        expect(rejected.status).toBe(401);
+        expect(rejected.body).toMatchObject({ status: 'ERROR', statusCode: 'UNAUTHORIZED' });
+
+        const login = await request(createMockUpstream({ tokenTtlSeconds: 60 })).post('/auth/login').send({ username: 'mock-user', password: 'mock-password' });
+        expect(login.body.success.data).toEqual({ access_token: expect.stringMatching(/^[a-f0-9]{64}$/), expires_in: 60 });
+        expect(mockUpstream.locals.stats.logins).toBe(2);
+    });
+
+    it('requires a token it issued and still remembers', async () => {
+        const body = { identify: { nid10Digit: '1000000001' }, verify: { nameEn: 'Rahim Uddin' } };
+
+        expect((await request(mockUpstream).post(VERIFY).send(body)).status).toBe(401);
+        expect((await verify(body)).status).toBe(200);
+
+        mockUpstream.locals.revokeTokens();
+        expect((await verify(body)).status).toBe(401);
+    });
+
+    it('verifies by 10- or 17-digit NID and links a photo it serves', async () => {
+        const response = await verify({
+            identify: { nid17Digit: '19900000000000001' },
+            verify: { nameEn: '  rahim   UDDIN ', dateOfBirth: '1990-01-15', father: 'করিম উদ্দিন' }
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            status: 'OK',
+            verified: true,
+            fieldVerificationResult: { nameEn: true, dateOfBirth: true, father: true },
+            success: { data: { nationalId: '1000000001', pin: '19900000000000001', nameEn: 'Rahim Uddin' } }
+        });
+
+        const photo = await request(mockUpstream).get(new URL(response.body.success.data.photo).pathname);
+        expect(photo.status).toBe(200);
+        expect(photo.headers['content-type']).toBe('image/png');
+    });
+
+    it('answers a mismatch with 406 and the field results only', async () => {
+        const response = await verify({ identify: { nid10Digit: '1000000001' }, verify: { nameEn: 'Someone Else', dateOfBirth: '1990-01-15' } });
+
+        expect(response.status).toBe(406);
+        expect(response.body).toEqual({
+            status: 'ERROR',
+            statusCode: 'NOT_ACCEPTABLE',
+            verified: false,
+            fieldVerificationResult: { nameEn: false, dateOfBirth: true }
+        });
+    });
+
+    it('answers unknown NIDs and malformed requests like upstream', async () => {
+        expect((await verify({ identify: { nid10Digit: '9999999999' }, verify: {} })).status).toBe(404);
+        expect((await verify({ verify: { nameEn: 'Rahim Uddin' } })).status).toBe(400);
+    });
+
+    it('fails the first failTimes requests for a citizen with a mocked status', async () => {
+        // 1000000006 answers 503 twice
+        const body = { identify: { nid10Digit: '1000000006' }, verify: { nameEn: 'Flaky Gateway' } };
+
+        expect((await verify(body)).status).toBe(503);
+        expect((await verify(body)).status).toBe(503);
+        expect((await verify(body)).status).toBe(200);
+        expect(mockUpstream.locals.stats.verifications).toBe(3);
+    });
+
+    it('serves the citizens it is given', async () => {
+        const [citizen] = loadCitizens();
+        mockUpstream = createMockUpstream({ citizens: [{ ...citizen, nationalId: '2000000002', mock: { noPhoto: true } }], username: 'ci', password: 'secret' });
+        token = (await request(mockUpstream).post('/auth/login').send({ username: 'ci', password: 'secret' })).body.success.data.access_token;
+
+        expect((await verify({ identify: { nid10Digit: '1000000001' }, verify: {} })).status).toBe(404);
+        const response = await verify({ identify: { nid10Digit: '2000000002' }, verify: { nameEn: citizen.nameEn } });
+        expect(response.status).toBe(200);
+        expect(response.body.success.data.photo).toBeNull();
+    });
+});
@@ -0,0 +1,31 @@
+const { nameTokens, nameMatchScore } = require('../src/utils/nameMatch');
+
+describe('nameTokens', () => {
+    it('drops honorifics and punctuation and reduces spelling variants', () => {
+        expect(nameTokens('Md. Shafiqul Islam Chowdhury')).toEqual(nameTokens('Shafiqul Islam Choudhury'));
+        expect(nameTokens('Mst. Nasima Akhter')).toEqual(nameTokens('Nasima Akter'));
+        expect(nameTokens('Hossain')).toEqual(nameTokens('Hussain'));
+        expect(nameTokens('Sk. Mujib')).toEqual(nameTokens('Sheikh Mujib'));
+        expect(nameTokens('Dr.')).toEqual([]);
+    });
+});
+
+describe('nameMatchScore', () => {
+    it.each([
+        ['Md. Rahim Uddin', 'Rahim Uddin', 1],
+        ['Uddin Rahim', 'Rahim Uddin', 1],
+        ['Fatima Khatoon', 'Fatema Khatun', 0.92],
+        ['Abdur Rahaman', 'Abdur Rahman', 0.93],
+        ['A. K. M. Fazlul Haque', 'Abul Kalam Mohammad Fazlul Haque', 0.8],
+        ['Rahim', 'Rahim Uddin', 0.67],
+        ['Karim Uddin', 'Rahim Uddin', 0.5],
+        ['John Smith', 'Rahim Uddin', 0]
+    ])('scores %s against %s as %d', (submitted, recorded, score) => {
+        expect(nameMatchScore(submitted, recorded)).toBe(score);
+    });
+
+    it('scores 0 when either name has nothing to compare', () => {
+        expect(nameMatchScore('Md.', 'Rahim Uddin')).toBe(0);
+        expect(nameMatchScore('Rahim Uddin', '')).toBe(0);
+    });
+});
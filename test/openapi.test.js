@@ -0,0 +1,174 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { buildDocument, OpenApiValidator } = require('../src/openapi');
+const { createTestDatabase } = require('./helpers/database');
+
+const ADMIN_KEY = 'test-admin-key';
+
+/**
+ * Lists every route registered on the app as "METHOD /path/{param}"
+ */
+function registeredRoutes(app) {
+    const routes = [];
+    const walk = (stack, prefix) => {
+        for (const layer of stack) {
+            if (layer.route) {
+                const path = `${prefix}${layer.route.path}`.replace(/:(\w+)/g, '{$1}').replace(/(.)\/$/, '$1');
+                for (const method of Object.keys(layer.route.methods)) {
+                    routes.push(`${method.toUpperCase()} ${path}`);
+                }
+            } else if (layer.name === 'router') {
+                const mount = layer.regexp.source.replace(/^\^/, '').replace('\\/?(?=\\/|$)', '').replace(/\\\//g, '/');
+                walk(layer.handle.stack, `${prefix}${mount}`);
+            }
+        }
+    };
+    walk(app._router.stack, '');
+    return routes.filter((route) => !route.endsWith(' *'));
+}
+
+describe('OpenAPI document', () => {
+    it('documents every route the app serves', async () => {
+        const db = await createTestDatabase({ migrate: false });
+        const app = createApp({ db });
+        const { paths } = app.locals.services.openApiValidator.document;
+
+        const documented = Object.entries(paths).flatMap(([path, item]) =>
+            Object.keys(item).map((method) => `${method.toUpperCase()} ${path}`)
+        );
+
+        expect(registeredRoutes(app).sort()).toEqual(documented.sort());
+        await db.close();
+    });
+
+    it('reports failures per field with the schema messages', () => {
+        const validator = new OpenApiValidator({ document: buildDocument({ batchMaxItems: 2 }) });
+
+        expect(validator.validateSchema('VerifyRequest', { nid: '1234 5678 90', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' })).toEqual([]);
+        expect(validator.validateSchema('VerifyRequest', { nid: '12345', dateOfBirth: '1990-02-30' })).toEqual([
+            { type: 'field', location: 'body', path: 'nid', msg: 'NID must be 10, 13 or 17 digits', value: '12345' },
+            { type: 'field', location: 'body', path: 'dateOfBirth', msg: 'Date of birth must be in YYYY-MM-DD format', value: '1990-02-30' }
+        ]);
+        // A failed anyOf is one failure, not one per field that could have been sent
+        expect(validator.validateSchema('VerifyRequest', { nid: '1000000001' })).toEqual([
+            {
+                type: 'field',
+                location: 'body',
+                path: '',
+                msg: 'Provide at least one of nameEn, name, dateOfBirth, father, mother, spouse, presentAddress, permanentAddress to verify',
+                value: { nid: '1000000001' }
+            }
+        ]);
+        expect(validator.validateSchema('BatchRequest', { items: [{}, {}, {}] })[0].msg)
+            .toBe('items must be an array of 1 to 2 verification requests');
+    });
+
+    it('matches literal paths ahead of templated ones', () => {
+        const validator = new OpenApiValidator({ document: buildDocument() });
+
+        expect(validator.findOperation('POST', '/api/admin/webhooks/deliveries/abc/replay?x=1')).toMatchObject({
+            path: '/api/admin/webhooks/deliveries/{deliveryId}/replay',
+            params: { deliveryId: 'abc' }
+        });
+        expect(validator.findOperation('GET', '/api/nid/verify')).toBeNull();
+    });
+});
+
+describe('OpenAPI validation', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('rejects requests that do not match the document', async () => {
+        const app = createApp({ db, config: { adminApiKeys: `ops:${ADMIN_KEY}` } });
+
+        const verify = await request(app).post('/api/nid/verify').send({ nid: 1000000001, dateOfBirth: '15/01/1990', nameEn: 'R2D2' });
+        expect(verify.status).toBe(400);
+        expect(verify.body.details.map((detail) => [detail.path, detail.msg])).toEqual([
+            ['nid', 'NID must be 10, 13 or 17 digits'],
+            ['nameEn', 'Name must be 2 to 100 English letters, spaces, dots, hyphens or apostrophes'],
+            ['dateOfBirth', 'Date of birth must be in YYYY-MM-DD format']
+        ]);
+
+        const job = await request(app).get('/api/nid/jobs/not-a-uuid');
+        expect(job.status).toBe(400);
+        expect(job.body.details[0]).toMatchObject({ location: 'params', path: 'id', msg: 'Job ID must be a UUID' });
+
+        const admin = await request(app).get('/api/admin/audit?limit=5000').set('X-Admin-Key', ADMIN_KEY);
+        expect(admin.status).toBe(400);
+        expect(admin.body.details[0]).toMatchObject({ location: 'query', path: 'limit', msg: 'limit must be between 1 and 1000' });
+
+        // Query parameters are compared after conversion from strings
+        await request(app).get('/api/admin/audit?limit=5&entityId=1').set('X-Admin-Key', ADMIN_KEY).expect(200);
+    });
+
+    it('checks the semantic rules after the document', async () => {
+        const app = createApp({ db });
+        const nextYear = `${new Date().getUTCFullYear() + 1}-01-01`;
+
+        const response = await request(app).post('/api/nid/verify').send({ nid: '1000000001', dateOfBirth: nextYear, nameEn: 'Rahim Uddin' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details[0].msg).toBe('Date of birth cannot be in the future');
+    });
+
+    it('replaces responses that drift from the document outside production', async () => {
+        const nidService = {
+            ensureValidToken: async () => {},
+            getCircuitState: () => ({ state: 'tripped' })
+        };
+
+        const checked = await request(createApp({ db, nidService })).get('/api/nid/health');
+        expect(checked.status).toBe(500);
+        expect(checked.body.code).toBe('RESPONSE_VALIDATION_ERROR');
+        expect(checked.body.details[0]).toMatchObject({ path: 'circuitBreaker.state' });
+
+        const unchecked = await request(createApp({ db, nidService, config: { openApi: { docsEnabled: true, validateResponses: false } } }))
+            .get('/api/nid/health');
+        expect(unchecked.status).toBe(503);
+    });
+});
+
+describe('GET /api/docs', () => {
+    let db;
+    let app;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        app = createApp({ db });
+        // Nobody is whitelisted, yet the docs are served
+        for (const id of [1, 2, 3]) {
+            await db.run('UPDATE allowed_ips SET is_active = 0 WHERE id = ?', [id]);
+        }
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('serves the document and the rendered page', async () => {
+        const document = await request(app).get('/api/docs/openapi.json');
+        expect(document.status).toBe(200);
+        expect(document.body.openapi).toBe('3.0.3');
+        expect(document.body.paths['/api/nid/verify'].post.requestBody).toBeDefined();
+
+        await request(app).get('/api/docs').expect(301).expect('Location', '/api/docs/');
+        const page = await request(app).get('/api/docs/');
+        expect(page.status).toBe(200);
+        expect(page.text).toContain('swagger-ui');
+
+        await request(app).get('/api/nid/usage').expect(403);
+    });
+
+    it('can be turned off', async () => {
+        const hidden = createApp({ db, config: { openApi: { docsEnabled: false, validateResponses: true } } });
+
+        await request(hidden).get('/api/docs/openapi.json').expect(403);
+    });
+});
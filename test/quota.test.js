@@ -0,0 +1,236 @@
+const request = require('supertest');
+const QuotaService = require('../src/services/quotaService');
+const { createApp } = require('../src/app');
+const { Migrator } = require('../src/storage');
+const { createTestDatabase } = require('./helpers/database');
+
+const CITIZEN = { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' };
+const NOW = new Date('2024-01-31T23:00:00Z');
+
+describe('QuotaService', () => {
+    let db;
+    let webhookService;
+    let quotaService;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        webhookService = { emit: jest.fn().mockResolvedValue(1) };
+        quotaService = new QuotaService({ db, webhookService });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('counts verifications against the current UTC day and month', async () => {
+        const system = { id: 1, systemName: 'Bank', dailyQuota: 5, monthlyQuota: null };
+
+        await quotaService.consume(system, NOW);
+        const usage = await quotaService.consume(system, NOW);
+
+        expect(usage).toEqual({
+            daily: { period: '2024-01-31', used: 2, limit: 5, remaining: 3, resetsAt: new Date('2024-02-01T00:00:00Z') },
+            monthly: { period: '2024-01', used: 2, limit: null, remaining: null, resetsAt: new Date('2024-02-01T00:00:00Z') }
+        });
+        expect((await quotaService.getUsage(system, new Date('2024-02-01T00:00:00Z'))).daily.used).toBe(0);
+    });
+
+    it('rejects a verification over either quota without counting it', async () => {
+        const system = { id: 1, systemName: 'Bank', dailyQuota: 5, monthlyQuota: 2 };
+        await quotaService.consume(system, NOW);
+        await quotaService.consume(system, NOW);
+
+        await expect(quotaService.consume(system, NOW)).rejects.toMatchObject({
+            code: 'QUOTA_EXCEEDED',
+            statusCode: 429,
+            message: 'Monthly verification quota of 2 exhausted',
+            details: { quota: 'monthly', retryAfterSeconds: 3600 }
+        });
+        // The daily counter was rolled back with the monthly one
+        expect((await quotaService.getUsage(system, NOW)).daily.used).toBe(2);
+        await expect(quotaService.check(system, NOW)).rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+    });
+
+    it('shares the counters between whitelist entries of the same system', async () => {
+        await quotaService.consume({ id: 1, systemName: 'Bank', dailyQuota: 2, monthlyQuota: null }, NOW);
+        await quotaService.consume({ id: 2, systemName: 'Bank', dailyQuota: 2, monthlyQuota: null }, NOW);
+
+        await expect(quotaService.consume({ id: 1, systemName: 'Bank', dailyQuota: 2, monthlyQuota: null }, NOW))
+            .rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+        expect((await quotaService.getUsage({ id: 3, systemName: 'Tax' }, NOW)).daily.used).toBe(0);
+    });
+
+    it('sends quota.near_exhaustion once, when the warning threshold is reached', async () => {
+        const system = { id: 7, systemName: 'Bank', dailyQuota: 10, monthlyQuota: null };
+
+        for (let i = 0; i < 10; i++) {
+            await quotaService.consume(system, NOW);
+        }
+
+        expect(webhookService.emit).toHaveBeenCalledTimes(1);
+        expect(webhookService.emit).toHaveBeenCalledWith(
+            'quota.near_exhaustion',
+            expect.objectContaining({ systemName: 'Bank', quota: 'daily', used: 9, limit: 10, remaining: 1 }),
+            { systemId: 7 }
+        );
+    });
+
+    it('builds usage headers, with limits only for quotas that are set', async () => {
+        const usage = await quotaService.consume({ id: 1, systemName: 'Bank', dailyQuota: 3, monthlyQuota: null }, NOW);
+
+        expect(quotaService.headers(usage)).toEqual({
+            'X-Quota-Daily-Used': '1',
+            'X-Quota-Daily-Limit': '3',
+            'X-Quota-Daily-Remaining': '2',
+            'X-Quota-Daily-Reset': String(Date.parse('2024-02-01T00:00:00Z') / 1000),
+            'X-Quota-Monthly-Used': '1'
+        });
+    });
+});
+
+describe('quotas through the API', () => {
+    let db;
+    let app;
+    let nidService;
+
+    async function setQuota(changes) {
+        await request(app)
+            .patch('/api/admin/ips/1')
+            .set('X-Admin-Key', 'test-admin-key')
+            .send(changes)
+            .expect(200);
+    }
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        nidService = {
+            verifyNID: jest.fn().mockResolvedValue({
+                success: true,
+                verified: true,
+                data: { nationalId: CITIZEN.nid },
+                fieldVerificationResult: { nameEn: true, dateOfBirth: true }
+            }),
+            getCircuitState: () => ({ state: 'closed' })
+        };
+        app = createApp({ db, nidService, config: { adminApiKeys: 'ops:test-admin-key' } });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('stops calling the NID service once the daily quota is used up', async () => {
+        await setQuota({ dailyQuota: 1 });
+
+        const first = await request(app).post('/api/nid/verify').send(CITIZEN);
+        expect(first.status).toBe(200);
+        expect(first.headers['x-quota-daily-remaining']).toBe('0');
+
+        const second = await request(app).post('/api/nid/verify').send(CITIZEN);
+        expect(second.status).toBe(429);
+        expect(second.body).toMatchObject({ success: false, code: 'QUOTA_EXCEEDED', quota: 'daily' });
+        expect(Number(second.headers['retry-after'])).toBeGreaterThan(0);
+        expect(second.headers['x-quota-daily-limit']).toBe('1');
+        expect(nidService.verifyNID).toHaveBeenCalledTimes(1);
+
+        const job = await request(app).post('/api/nid/jobs').send(CITIZEN);
+        expect(job.status).toBe(429);
+        expect(job.body.code).toBe('QUOTA_EXCEEDED');
+    });
+
+    it('fails batch items over the quota on their own', async () => {
+        await setQuota({ monthlyQuota: 2 });
+
+        const response = await request(app)
+            .post('/api/nid/verify/batch')
+            .send({ items: [CITIZEN, CITIZEN, CITIZEN] });
+
+        expect(response.body.data).toMatchObject({ succeeded: 2, failed: 1 });
+        expect(response.body.data.results.filter((result) => result.code === 'QUOTA_EXCEEDED')).toHaveLength(1);
+        expect(response.headers['x-quota-monthly-remaining']).toBe('0');
+    });
+
+    it('reports the calling system its own usage', async () => {
+        await setQuota({ dailyQuota: 100, monthlyQuota: 1000 });
+        await request(app).post('/api/nid/verify').send(CITIZEN);
+
+        const response = await request(app).get('/api/nid/usage');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.daily).toMatchObject({ used: 1, limit: 100, remaining: 99 });
+        expect(response.body.data.monthly).toMatchObject({ used: 1, limit: 1000, remaining: 999 });
+        expect(response.headers['x-quota-monthly-used']).toBe('1');
+    });
+
+    it('does not count verifications the NID service never answered', async () => {
+        const saved = { ...process.env };
+        // A port nothing listens on, so the login is refused and then the circuit opens
+        const closed = require('net').createServer().listen(0, '127.0.0.1');
+        await new Promise((resolve) => closed.once('listening', resolve));
+        process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${closed.address().port}`;
+        await new Promise((resolve) => closed.close(resolve));
+        process.env.NID_RETRY_ATTEMPTS = '0';
+        process.env.NID_BREAKER_FAILURE_THRESHOLD = '1';
+
+        try {
+            await setQuota({ dailyQuota: 5 });
+            const unreachable = createApp({ db });
+            const { nidService } = unreachable.locals.services;
+
+            for (let i = 0; i < 2; i++) {
+                const response = await request(unreachable).post('/api/nid/verify').send(CITIZEN);
+                expect(response.status).toBe(503);
+                expect(response.body.code).toBe('SERVICE_UNAVAILABLE');
+            }
+            expect(nidService.getCircuitState().state).toBe('open');
+
+            const usage = await request(unreachable).get('/api/nid/usage');
+            expect(usage.body.data.daily).toMatchObject({ used: 0, remaining: 5 });
+        } finally {
+            process.env = saved;
+        }
+    });
+
+    it('validates quota settings', async () => {
+        const response = await request(app)
+            .patch('/api/admin/ips/1')
+            .set('X-Admin-Key', 'test-admin-key')
+            .send({ dailyQuota: -1 });
+
+        expect(response.status).toBe(400);
+
+        await setQuota({ dailyQuota: 5 });
+        await setQuota({ dailyQuota: null });
+        const entry = await request(app).get('/api/admin/ips/1').set('X-Admin-Key', 'test-admin-key');
+        expect(entry.body.data).toMatchObject({ dailyQuota: null, monthlyQuota: null });
+    });
+});
+
+describe('system_usage_by_name migration', () => {
+    it('adds up the counters of entries of the same system', async () => {
+        const db = await createTestDatabase({ migrate: false });
+        const migrator = new Migrator({ db });
+        await migrator.up({ to: 15 });
+
+        // Entries 1 and 3 are "Local Development", entry 2 "Local Development IPv6"
+        for (const [systemId, count] of [[1, 3], [2, 5], [3, 4]]) {
+            await db.run(
+                'INSERT INTO system_usage (usage_key, system_id, period, request_count) VALUES (?, ?, ?, ?)',
+                [`${systemId}:2024-01`, systemId, '2024-01', count]
+            );
+        }
+        await migrator.up({ to: 16 });
+
+        const quotaService = new QuotaService({ db, webhookService: {} });
+        const usage = (systemName) => quotaService.getUsage({ id: 1, systemName }, NOW);
+        expect((await usage('Local Development')).monthly.used).toBe(7);
+        expect((await usage('Local Development IPv6')).monthly.used).toBe(5);
+
+        await migrator.down();
+        expect(await db.query('SELECT usage_key, request_count FROM system_usage ORDER BY usage_key')).toEqual([
+            { usage_key: '1:2024-01', request_count: 7 },
+            { usage_key: '2:2024-01', request_count: 5 }
+        ]);
+        await db.close();
+    });
+});
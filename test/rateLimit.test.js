@@ -0,0 +1,147 @@
+const request = require('supertest');
+const RateLimitStore = require('../src/services/rateLimitStore');
+const { createApp } = require('../src/app');
+const { createTestDatabase } = require('./helpers/database');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('RateLimitStore', () => {
+    let db;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    function createStore(prefix = 'test:') {
+        const store = new RateLimitStore({ db, prefix });
+        store.init({ windowMs: HOUR_MS });
+        return store;
+    }
+
+    it('shares hit counts between stores on the same database', async () => {
+        const first = createStore();
+        const second = createStore();
+
+        await first.increment('1');
+        const result = await second.increment('1');
+
+        expect(result.totalHits).toBe(2);
+        expect(result.resetTime.getTime() % HOUR_MS).toBe(0);
+        expect(result.resetTime.getTime()).toBeGreaterThan(Date.now());
+        expect((await createStore('other:').increment('1')).totalHits).toBe(1);
+    });
+
+    it('decrements and resets a key', async () => {
+        const store = createStore();
+        await store.increment('1');
+        await store.increment('1');
+
+        await store.decrement('1');
+        expect((await store.increment('1')).totalHits).toBe(2);
+
+        await store.resetKey('1');
+        expect((await store.increment('1')).totalHits).toBe(1);
+    });
+
+    it('purges counters from past windows', async () => {
+        await db.run(
+            'INSERT INTO rate_limit_counters (counter_key, hits, expires_at) VALUES (?, ?, ?)',
+            ['test:1:0', 5, new Date(Date.now() - HOUR_MS)]
+        );
+
+        await createStore().increment('1');
+
+        expect((await db.query('SELECT counter_key FROM rate_limit_counters')).map((row) => row.counter_key))
+            .toEqual([expect.stringMatching(/^test:1:\d+$/)]);
+    });
+});
+
+describe('per-system rate limits', () => {
+    const config = {
+        adminApiKeys: 'ops:test-admin-key',
+        rateLimit: { windowMs: HOUR_MS, max: 100, burstWindowMs: HOUR_MS, burstMax: 20 }
+    };
+    let db;
+    let app;
+
+    async function setLimits(changes) {
+        await request(app)
+            .patch('/api/admin/ips/1')
+            .set('X-Admin-Key', 'test-admin-key')
+            .send(changes)
+            .expect(200);
+    }
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        app = createApp({ db, config });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('applies the default limits to a system without its own', async () => {
+        const response = await request(app).get('/api/nid/usage');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['ratelimit-limit']).toBe('100');
+        expect(response.headers['ratelimit-remaining']).toBe('99');
+    });
+
+    it('rejects requests over the system burst limit', async () => {
+        await setLimits({ burstLimit: 2 });
+
+        await request(app).get('/api/nid/usage').expect(200);
+        await request(app).get('/api/nid/usage').expect(200);
+        const response = await request(app).get('/api/nid/usage');
+
+        expect(response.status).toBe(429);
+        expect(response.body).toMatchObject({ success: false, code: 'RATE_LIMIT_EXCEEDED', limit: 'burst' });
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('counts requests to every instance against one sustained limit', async () => {
+        await setLimits({ sustainedLimit: 3 });
+        const otherInstance = createApp({ db, config });
+
+        await request(app).get('/api/nid/usage').expect(200);
+        await request(otherInstance).get('/api/nid/usage').expect(200);
+        await request(app).get('/api/nid/usage').expect(200);
+        const response = await request(otherInstance).get('/api/nid/usage');
+
+        expect(response.status).toBe(429);
+        expect(response.body.limit).toBe('sustained');
+        expect(response.headers['ratelimit-remaining']).toBe('0');
+    });
+
+    it('counts every whitelist entry of a system against the same limits', async () => {
+        await setLimits({ sustainedLimit: 2 });
+        await request(app)
+            .post('/api/admin/ips')
+            .set('X-Admin-Key', 'test-admin-key')
+            .send({ ipAddress: '192.0.2.10', systemName: 'Local Development', sustainedLimit: 2 })
+            .expect(201);
+
+        await request(app).get('/api/nid/usage').expect(200);
+        await request(app).get('/api/nid/usage').set('X-Forwarded-For', '192.0.2.10').expect(200);
+        const response = await request(app).get('/api/nid/usage').set('X-Forwarded-For', '192.0.2.10');
+
+        expect(response.status).toBe(429);
+        expect(response.body.limit).toBe('sustained');
+    });
+
+    it('validates limit settings', async () => {
+        const response = await request(app)
+            .patch('/api/admin/ips/1')
+            .set('X-Admin-Key', 'test-admin-key')
+            .send({ burstLimit: 0 });
+
+        expect(response.status).toBe(400);
+        expect(response.body.details[0].msg).toBe('burstLimit must be a positive integer or null');
+    });
+});
@@ -0,0 +1,211 @@
+const request = require('supertest');
+const ReportService = require('../src/services/reportService');
+const { toCsv } = require('../src/utils/csv');
+const { createApp } = require('../src/app');
+const { Migrator } = require('../src/storage');
+const { createTestDatabase, waitForLogs } = require('./helpers/database');
+
+const CITIZEN = { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' };
+
+async function insertLog(db, { systemName = 'Bank', outcome, status = 'SUCCESS', processingTime = 100, createdAt }) {
+    await db.run(
+        `INSERT INTO request_logs (request_id, client_ip, system_name, nid, request_data, status, processing_time_ms, outcome, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [`log-${Math.random()}`, '127.0.0.1', systemName, 'hash', '{}', status, processingTime, outcome, new Date(createdAt)]
+    );
+}
+
+describe('ReportService', () => {
+    let db;
+    let reportService;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        reportService = new ReportService({ db });
+
+        await insertLog(db, { outcome: 'VERIFIED', processingTime: 100, createdAt: '2024-01-31T23:59:59Z' });
+        await insertLog(db, { outcome: 'MISMATCH', processingTime: 300, createdAt: '2024-01-05T10:00:00Z' });
+        await insertLog(db, { outcome: 'UPSTREAM_ERROR', status: 'ERROR', processingTime: null, createdAt: '2024-01-05T11:00:00Z' });
+        await insertLog(db, { systemName: 'Tax', outcome: 'VALIDATION_ERROR', status: 'ERROR', processingTime: 5, createdAt: '2024-02-01T00:00:00Z' });
+        // Not a verification
+        await insertLog(db, { outcome: null, createdAt: '2024-01-10T00:00:00Z' });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('counts verifications by month, system and outcome', async () => {
+        const report = await reportService.usage({ from: '2024-01-01', to: '2024-02-29' });
+
+        expect(report).toMatchObject({ from: '2024-01-01', to: '2024-02-29', groupBy: 'month', system: null });
+        expect(report.rows).toEqual([
+            {
+                period: '2024-01', systemName: 'Bank', total: 3,
+                verified: 1, mismatch: 1, upstreamError: 1, validationError: 0, otherError: 0,
+                averageLatencyMs: 200
+            },
+            {
+                period: '2024-02', systemName: 'Tax', total: 1,
+                verified: 0, mismatch: 0, upstreamError: 0, validationError: 1, otherError: 0,
+                averageLatencyMs: 5
+            }
+        ]);
+        expect(report.totals).toMatchObject({ total: 4, verified: 1, validationError: 1, averageLatencyMs: 135 });
+    });
+
+    it('groups by UTC day and includes the whole of the last day', async () => {
+        const report = await reportService.usage({ from: '2024-01-05', to: '2024-01-31', system: 'Bank', groupBy: 'day' });
+
+        expect(report.rows.map((row) => [row.period, row.total])).toEqual([['2024-01-05', 2], ['2024-01-31', 1]]);
+    });
+
+    it('counts verifications that retention has moved to the archive', async () => {
+        await db.run(
+            `INSERT INTO request_log_archive (day, system_name, status, outcome, request_count, total_processing_time_ms, timed_count)
+             VALUES (?, ?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?, ?), (?, ?, ?, ?, ?, ?, ?)`,
+            [
+                '2024-01-05', 'Bank', 'SUCCESS', 'VERIFIED', 4, 400, 4,
+                '2023-12-31', 'Bank', 'SUCCESS', 'VERIFIED', 2, 20, 2,
+                // Archived before outcomes were kept, or not a verification
+                '2024-01-06', 'Bank', 'SUCCESS', null, 9, 90, 0
+            ]
+        );
+
+        const monthly = await reportService.usage({ from: '2024-01-01', to: '2024-02-29' });
+        expect(monthly.rows[0]).toMatchObject({ period: '2024-01', systemName: 'Bank', total: 7, verified: 5, averageLatencyMs: 133 });
+        expect(monthly.totals.total).toBe(8);
+
+        const daily = await reportService.usage({ from: '2023-12-31', to: '2024-01-05', system: 'Bank', groupBy: 'day' });
+        expect(daily.rows.map((row) => [row.period, row.total])).toEqual([['2023-12-31', 2], ['2024-01-05', 6]]);
+    });
+
+    it('defaults to the current month', async () => {
+        const report = await reportService.usage({}, new Date('2024-02-15T12:00:00Z'));
+
+        expect(report).toMatchObject({ from: '2024-02-01', to: '2024-02-15' });
+        expect(report.totals.total).toBe(1);
+    });
+});
+
+describe('request_logs_outcome migration', () => {
+    it('classifies verifications logged before outcomes were recorded', async () => {
+        const db = await createTestDatabase({ migrate: false });
+        const migrator = new Migrator({ db });
+        await migrator.up();
+        await migrator.down({ to: 11 });
+
+        const legacy = [
+            ['SUCCESS', {}, { data: { verified: false } }],
+            ['ERROR', { nid: 'hmac:x' }, { code: 'SERVICE_UNAVAILABLE' }],
+            ['ERROR', { nid: 'hmac:x' }, { code: 'VALIDATION_ERROR' }],
+            ['SUCCESS', {}, { data: { status: 'healthy' } }],
+            ['ERROR', { batchSize: 3 }, { code: 'VALIDATION_ERROR' }]
+        ];
+        for (const [index, [status, requestData, responseData]] of legacy.entries()) {
+            await db.run(
+                `INSERT INTO request_logs (request_id, client_ip, system_name, nid, request_data, response_data, status)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [`log-${index}`, '127.0.0.1', 'Bank', 'hash', JSON.stringify(requestData), JSON.stringify(responseData), status]
+            );
+        }
+
+        await migrator.up();
+
+        expect((await db.query('SELECT outcome FROM request_logs ORDER BY id')).map((row) => row.outcome))
+            .toEqual(['MISMATCH', 'UPSTREAM_ERROR', 'VALIDATION_ERROR', null, null]);
+        await db.close();
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a header and quotes fields that need it', () => {
+        expect(toCsv(['name', 'count'], [{ name: 'Bank, "North"', count: 2 }, { name: 'Tax', count: null }]))
+            .toBe('name,count\r\n"Bank, ""North""",2\r\nTax,\r\n');
+    });
+
+    it('keeps text a spreadsheet would run as a formula as text', () => {
+        const rows = ['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', 'Bank'].map((name) => ({ name, count: -1 }));
+
+        expect(toCsv(['name', 'count'], rows).split('\r\n').slice(1, -1)).toEqual([
+            '"\'=HYPERLINK(""http://x"")",-1',
+            "'+1,-1",
+            "'-2+3,-1",
+            "'@SUM(A1),-1",
+            'Bank,-1'
+        ]);
+    });
+});
+
+describe('usage reports through the API', () => {
+    let db;
+    let app;
+    let nidService;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        nidService = {
+            verifyNID: jest.fn().mockResolvedValue({
+                success: true,
+                verified: true,
+                data: { nationalId: CITIZEN.nid },
+                fieldVerificationResult: { nameEn: true, dateOfBirth: true }
+            }),
+            getCircuitState: () => ({ state: 'closed' })
+        };
+        app = createApp({ db, nidService, config: { adminApiKeys: 'ops:test-admin-key' } });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('records the outcome of verifications only', async () => {
+        await request(app).post('/api/nid/verify').send(CITIZEN).expect(200);
+        await request(app).post('/api/nid/verify').send({ ...CITIZEN, nid: '12' }).expect(400);
+        await request(app).get('/api/nid/usage').expect(200);
+
+        const logs = await waitForLogs(db, 3);
+        expect(logs.map((log) => log.outcome).sort()).toEqual(['VALIDATION_ERROR', 'VERIFIED', null]);
+    });
+
+    it('returns the report as JSON or CSV', async () => {
+        await request(app).post('/api/nid/verify').send(CITIZEN).expect(200);
+        await waitForLogs(db, 1);
+        const today = new Date().toISOString().slice(0, 10);
+
+        const json = await request(app)
+            .get(`/api/admin/reports/usage?from=${today}&to=${today}&groupBy=day`)
+            .set('X-Admin-Key', 'test-admin-key');
+        expect(json.status).toBe(200);
+        expect(json.body.data.rows).toEqual([expect.objectContaining({ period: today, total: 1, verified: 1 })]);
+
+        const csv = await request(app)
+            .get(`/api/admin/reports/usage?from=${today}&to=${today}&groupBy=day&format=csv`)
+            .set('X-Admin-Key', 'test-admin-key');
+        expect(csv.status).toBe(200);
+        expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+        expect(csv.headers['content-disposition']).toBe(`attachment; filename="usage-${today}-${today}.csv"`);
+        expect(csv.text.split('\r\n')[0]).toBe(ReportService.columns.join(','));
+        expect(csv.text.split('\r\n')[1]).toMatch(new RegExp(`^${today},[^,]+,1,1,0,0,0,0,\\d+$`));
+    });
+
+    it('validates report parameters', async () => {
+        const malformed = await request(app)
+            .get('/api/admin/reports/usage?from=2024-02-30&groupBy=week')
+            .set('X-Admin-Key', 'test-admin-key');
+
+        expect(malformed.status).toBe(400);
+        expect(malformed.body.details.map((detail) => detail.msg)).toEqual([
+            'from must be a date in YYYY-MM-DD format',
+            'groupBy must be day or month'
+        ]);
+
+        const reversed = await request(app)
+            .get('/api/admin/reports/usage?from=2024-02-01&to=2024-01-01')
+            .set('X-Admin-Key', 'test-admin-key');
+
+        expect(reversed.status).toBe(400);
+        expect(reversed.body.details.map((detail) => detail.msg)).toEqual(['to must not be before from']);
+    });
+});
@@ -0,0 +1,171 @@
+const { FieldProtector, parseFieldPolicy, parseEncryptionKeys } = require('../src/utils/fieldProtector');
+const RequestLogService = require('../src/services/requestLogService');
+const { createTestDatabase } = require('./helpers/database');
+
+const OLD_KEY = { id: 'old', key: Buffer.alloc(32, 7) };
+const NEW_KEY = { id: 'new', key: Buffer.alloc(32, 9) };
+
+describe('FieldProtector', () => {
+    const protector = new FieldProtector({
+        hmacKey: 'secret',
+        encryptionKeys: [NEW_KEY, OLD_KEY],
+        policy: {
+            'request.nid': 'hash',
+            'request.nameEn': 'encrypt',
+            'request.note': 'keep',
+            'response.person': 'encrypt',
+            'response.person.photo': 'drop',
+            'response.details.*.value': 'drop'
+        }
+    });
+
+    const document = {
+        request: { nid: '1000000001', nameEn: 'Rahim Uddin', note: 'kept', dateOfBirth: null },
+        response: {
+            person: { name: 'Rahim Uddin', photo: 'data:image/png;base64,AAAA' },
+            details: [{ path: 'nid', value: '123' }, { path: 'nameEn', value: '' }]
+        }
+    };
+
+    it('hashes, encrypts and drops fields by path', () => {
+        const protectedDocument = protector.protect(document);
+
+        expect(protectedDocument.request.nid).toBe(`hmac:${protector.hmac('1000000001')}`);
+        expect(protectedDocument.request.nameEn).toMatch(/^enc:v1:new:/);
+        expect(protectedDocument.request.note).toBe('kept');
+        expect(protectedDocument.response.details).toEqual([{ path: 'nid' }, { path: 'nameEn' }]);
+        expect(document.request.nid).toBe('1000000001');
+
+        // The photo is dropped before its parent is encrypted
+        expect(protector.reveal(protectedDocument).response.person).toEqual({ name: 'Rahim Uddin' });
+    });
+
+    it('leaves an already protected document unchanged', () => {
+        const once = protector.protect(document);
+
+        expect(protector.protect(once)).toEqual(once);
+    });
+
+    it('decrypts values written with any configured key and re-encrypts them with the first', () => {
+        const legacy = new FieldProtector({ encryptionKeys: [OLD_KEY], policy: { name: 'encrypt' } }).protect({ name: 'Karim' });
+        expect(legacy.name).toMatch(/^enc:v1:old:/);
+
+        const rewrapped = protector.rewrap(legacy);
+        expect(rewrapped.name).toMatch(/^enc:v1:new:/);
+        expect(protector.reveal(rewrapped)).toEqual({ name: 'Karim' });
+    });
+
+    it('leaves values it has no key for encrypted', () => {
+        const encrypted = protector.encrypt('secret');
+        const withoutKey = new FieldProtector({ encryptionKeys: [OLD_KEY] });
+
+        expect(withoutKey.reveal({ value: encrypted })).toEqual({ value: encrypted });
+        expect(() => withoutKey.decrypt(encrypted)).toThrow(/new is not configured/);
+    });
+
+    it('rejects tampered ciphertext', () => {
+        const encrypted = protector.encrypt({ pin: '123' });
+        const tampered = `${encrypted.slice(0, -2)}${encrypted.endsWith('AA') ? 'AB' : 'AA'}`;
+
+        expect(() => protector.decrypt(tampered)).toThrow();
+    });
+
+    it('drops fields it has no key to hash or encrypt', () => {
+        const keyless = new FieldProtector({ policy: { nid: 'hash', name: 'encrypt' } });
+
+        expect(keyless.protect({ nid: '1', name: 'x', other: 1 })).toEqual({ other: 1 });
+    });
+
+    it('parses policy and key settings, skipping malformed entries', () => {
+        expect(parseFieldPolicy('request.nid:keep, response.data.*.value:drop,bad,request.x:shred')).toEqual({
+            'request.nid': 'keep',
+            'response.data.*.value': 'drop'
+        });
+        expect(parseEncryptionKeys(`a:${NEW_KEY.key.toString('base64')},b:short,:x`)).toEqual([{ id: 'a', key: NEW_KEY.key }]);
+    });
+});
+
+describe('RequestLogService', () => {
+    const originalKeys = process.env.REQUEST_LOG_ENCRYPTION_KEYS;
+    let db;
+
+    function serviceWithKeys(...keys) {
+        process.env.REQUEST_LOG_ENCRYPTION_KEYS = keys.map(({ id, key }) => `${id}:${key.toString('base64')}`).join(',');
+        return new RequestLogService({ db });
+    }
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        process.env.REQUEST_LOG_ENCRYPTION_KEYS = originalKeys;
+        await db.close();
+    });
+
+    it('re-encrypts rows written with an older key', async () => {
+        await serviceWithKeys(OLD_KEY).record({
+            requestId: 'a0000000-0000-4000-8000-000000000001',
+            systemInfo: { ip: '127.0.0.1', systemName: 'Bank' },
+            requestData: { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' },
+            responseData: { success: true, data: { nid: '1000000001', personDetails: { pin: '1' } } },
+            statusCode: 200,
+            processingTime: 5
+        });
+
+        const rotated = serviceWithKeys(NEW_KEY, OLD_KEY);
+        expect(await rotated.reprotect()).toEqual({ scanned: 1, updated: 1 });
+        expect(await rotated.reprotect()).toEqual({ scanned: 1, updated: 0 });
+
+        const row = await db.get('SELECT request_data FROM request_logs');
+        expect(row.request_data.nameEn).toMatch(/^enc:v1:new:/);
+
+        // The old key is no longer needed
+        const [entry] = await serviceWithKeys(NEW_KEY).list({ nid: '1000000001' });
+        expect(entry.requestData.nameEn).toBe('Rahim Uddin');
+        expect(entry.responseData.data.personDetails).toEqual({ pin: '1' });
+    });
+
+    it('pseudonymizes rows written before request logs were protected', async () => {
+        await db.run(
+            `INSERT INTO request_logs (request_id, client_ip, system_name, nid, request_data, response_data, status, error_message)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                'legacy-1', '127.0.0.1', 'Bank', '1000000001',
+                JSON.stringify({ nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' }),
+                JSON.stringify({ success: false, details: [{ path: 'nid', value: '1000000001' }] }),
+                'ERROR',
+                'raw error with 1000000001'
+            ]
+        );
+
+        const service = serviceWithKeys(NEW_KEY);
+        expect(await service.reprotect({ batchSize: 1 })).toEqual({ scanned: 1, updated: 1 });
+
+        const row = await db.get('SELECT * FROM request_logs');
+        expect(row.nid).toBe(service.hashNid('1000000001'));
+        expect(JSON.stringify(row)).not.toContain('1000000001');
+        expect((await service.list({ nid: '1000 000 001' })).map((entry) => entry.requestId)).toEqual(['legacy-1']);
+    });
+
+    it('finds a 13-digit NID under the 17-digit form it was logged with, and the other way round', async () => {
+        const service = serviceWithKeys(NEW_KEY);
+        const log = (requestId, nid) => service.record({
+            requestId,
+            systemInfo: { ip: '127.0.0.1', systemName: 'Bank' },
+            requestData: { nid, dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' },
+            responseData: { success: true },
+            statusCode: 200,
+            processingTime: 5
+        });
+        await log('short', '0000000000001');
+        await log('long', '19900000000000001');
+        await log('ten', '1000000001');
+
+        const found = async (nid) => (await service.list({ nid })).map((entry) => entry.requestId);
+        expect(await found('0000000000001')).toEqual(['long', 'short']);
+        expect(await found('19900000000000001')).toEqual(['long', 'short']);
+        expect(await found('1000000001')).toEqual(['ten']);
+        expect(await found('19910000000000001')).toEqual([]);
+    });
+});
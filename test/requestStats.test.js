@@ -0,0 +1,190 @@
+const request = require('supertest');
+const RequestStatsService = require('../src/services/requestStatsService');
+const { createApp } = require('../src/app');
+const { Migrator } = require('../src/storage');
+const { createTestDatabase } = require('./helpers/database');
+
+const NOW = new Date('2024-01-15T12:30:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('RequestStatsService', () => {
+    let db;
+    let stats;
+
+    function record(entry, hoursAgo = 0) {
+        return stats.record(
+            { systemName: 'Bank', status: 'SUCCESS', processingTime: 100, ...entry },
+            new Date(NOW.getTime() - hoursAgo * HOUR_MS)
+        );
+    }
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        stats = new RequestStatsService({ db });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('adds requests in the same minute and group to one row', async () => {
+        await record({ outcome: 'VERIFIED', processingTime: 40 });
+        await record({ outcome: 'VERIFIED', processingTime: 400 });
+        await record({ outcome: 'MISMATCH' });
+
+        const rows = await db.query('SELECT * FROM request_stats ORDER BY request_count DESC');
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toMatchObject({
+            bucket_start: new Date('2024-01-15T12:30:00Z'),
+            outcome: 'VERIFIED',
+            request_count: 2,
+            latency_sum_ms: 440,
+            latency_le_50: 1,
+            latency_le_250: 1,
+            latency_le_500: 2,
+            latency_le_10000: 2
+        });
+    });
+
+    it('summarises a window with percentiles, breakdowns and verification outcomes', async () => {
+        for (let i = 0; i < 18; i++) {
+            await record({ outcome: 'VERIFIED', processingTime: 80 });
+        }
+        await record({ outcome: 'MISMATCH', processingTime: 900 });
+        await record({ systemName: 'Tax', status: 'ERROR', outcome: 'UPSTREAM_ERROR', errorCode: 'SERVICE_UNAVAILABLE', processingTime: 20000 });
+        // Outside the window
+        await record({ systemName: 'Tax', status: 'ERROR', errorCode: 'VALIDATION_ERROR' }, 30);
+
+        const summary = await stats.summary({ window: '24h' }, NOW);
+
+        expect(summary).toMatchObject({
+            window: '24h',
+            totalRequests: 20,
+            successRequests: 19,
+            errorRequests: 1,
+            successRate: '95.00%',
+            averageProcessingTime: '1117ms',
+            verifications: { verified: 18, mismatch: 1, verifiedRate: '94.74%' },
+            byErrorCode: [{ code: 'SERVICE_UNAVAILABLE', count: 1 }]
+        });
+        expect(summary.latency.p50Ms).toBeGreaterThan(50);
+        expect(summary.latency.p50Ms).toBeLessThanOrEqual(100);
+        expect(summary.latency.p95Ms).toBeGreaterThan(500);
+        expect(summary.latency.p95Ms).toBeLessThanOrEqual(1000);
+        expect(summary.latency.p99Ms).toBe(10000);
+        expect(summary.bySystem.map((system) => [system.systemName, system.totalRequests])).toEqual([['Bank', 19], ['Tax', 1]]);
+        expect(summary.bySystem[1]).toMatchObject({ successRate: '0.00%', latency: { averageMs: 20000 } });
+    });
+
+    it('builds a series with a point per interval, including empty ones', async () => {
+        await record({}, 2);
+        await record({});
+
+        const hourly = await stats.summary({ window: '3h' }, NOW);
+        expect(hourly.series.interval).toBe('hour');
+        expect(hourly.series.points.map((point) => [point.start.toISOString(), point.totalRequests])).toEqual([
+            ['2024-01-15T09:00:00.000Z', 0],
+            ['2024-01-15T10:00:00.000Z', 1],
+            ['2024-01-15T11:00:00.000Z', 0],
+            ['2024-01-15T12:00:00.000Z', 1]
+        ]);
+
+        const minutes = await stats.summary({ window: '15m' }, NOW);
+        expect(minutes.series.interval).toBe('minute');
+        expect(minutes.series.points).toHaveLength(16);
+        expect((await stats.summary({ window: '7d' }, NOW)).series.interval).toBe('day');
+    });
+
+    it('parses windows', () => {
+        expect(RequestStatsService.parseWindow('15m')).toBe(15 * 60 * 1000);
+        expect(RequestStatsService.parseWindow('7d')).toBe(7 * 24 * HOUR_MS);
+        expect(RequestStatsService.parseWindow('0h')).toBeNull();
+        expect(RequestStatsService.parseWindow('1w')).toBeNull();
+    });
+});
+
+describe('request_stats migration', () => {
+    it('rolls up recent request logs', async () => {
+        const db = await createTestDatabase({ migrate: false });
+        const migrator = new Migrator({ db });
+        await migrator.up();
+        await migrator.down({ to: 12 });
+
+        const logs = [
+            ['SUCCESS', 'VERIFIED', null, 120, 0],
+            ['SUCCESS', 'VERIFIED', null, 80, 0],
+            ['ERROR', 'UPSTREAM_ERROR', '{"code":"SERVICE_UNAVAILABLE"}', 3000, 0],
+            ['SUCCESS', null, null, 5, 40 * 24]
+        ];
+        for (const [index, [status, outcome, errorMessage, processingTime, hoursAgo]] of logs.entries()) {
+            await db.run(
+                `INSERT INTO request_logs (request_id, client_ip, system_name, nid, request_data, status, outcome, error_message, processing_time_ms, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [`log-${index}`, '127.0.0.1', 'Bank', 'hash', '{}', status, outcome, errorMessage, processingTime, new Date(Date.now() - hoursAgo * HOUR_MS)]
+            );
+        }
+
+        await migrator.up();
+
+        const summary = await new RequestStatsService({ db }).summary({ window: '1h' });
+        expect(summary).toMatchObject({
+            totalRequests: 3,
+            verifications: { verified: 2, mismatch: 0 },
+            byErrorCode: [{ code: 'SERVICE_UNAVAILABLE', count: 1 }]
+        });
+        await db.close();
+    });
+});
+
+describe('GET /api/nid/status', () => {
+    let db;
+    let app;
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        app = createApp({
+            db,
+            nidService: { getCircuitState: () => ({ state: 'closed' }) },
+            config: { adminApiKeys: 'ops:test-admin-key' }
+        });
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('reports on the requested window', async () => {
+        await app.locals.services.requestStatsService.record({ systemName: 'Bank', status: 'SUCCESS', outcome: 'VERIFIED', processingTime: 120 });
+
+        const response = await request(app).get('/api/nid/status?window=1h');
+
+        expect(response.status).toBe(200);
+        expect(response.body.statistics).toMatchObject({
+            window: '1h',
+            totalRequests: 1,
+            latency: { averageMs: 120 },
+            verifications: { verified: 1, mismatch: 0, verifiedRate: '100.00%' },
+            bySystem: [expect.objectContaining({ systemName: 'Bank', totalRequests: 1 })],
+            series: { interval: 'minute' }
+        });
+        expect(response.body.statistics.series.points).toHaveLength(61);
+    });
+
+    it('covers the last 24 hours without a window', async () => {
+        const response = await request(app).get('/api/nid/status');
+
+        expect(response.status).toBe(200);
+        expect(response.body.statistics).toMatchObject({ window: '24h', series: { interval: 'hour' } });
+    });
+
+    it('rejects malformed and overlong windows', async () => {
+        const malformed = await request(app).get('/api/nid/status?window=1w');
+        expect(malformed.status).toBe(400);
+        expect(malformed.body.code).toBe('VALIDATION_ERROR');
+
+        const overlong = await request(app).get('/api/nid/status?window=90d');
+        expect(overlong.status).toBe(400);
+        expect(overlong.body.details[0].msg).toBe('window must not be longer than 30d');
+    });
+});
@@ -0,0 +1,143 @@
+const RetentionService = require('../src/services/retentionService');
+const { createTestDatabase } = require('./helpers/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('RetentionService', () => {
+    const originalEnv = { ...process.env };
+    let db;
+    let service;
+    let nextId = 0;
+
+    async function insertLog({ daysAgo, status = 'SUCCESS', systemName = 'Bank', processingTime = 10, outcome = null }) {
+        nextId++;
+        await db.run(
+            `INSERT INTO request_logs (request_id, client_ip, system_name, nid, request_data, status, processing_time_ms, outcome, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [`log-${nextId}`, '127.0.0.1', systemName, 'hash', '{}', status, processingTime, outcome, new Date(Date.now() - daysAgo * DAY_MS)]
+        );
+    }
+
+    async function remaining() {
+        return (await db.query('SELECT request_id FROM request_logs ORDER BY id')).map((row) => row.request_id);
+    }
+
+    beforeEach(async () => {
+        process.env.REQUEST_LOG_RETENTION_SUCCESS_DAYS = '30';
+        process.env.REQUEST_LOG_RETENTION_ERROR_DAYS = '60';
+        process.env.REQUEST_LOG_RETENTION_BATCH_SIZE = '2';
+        process.env.REQUEST_LOG_RETENTION_BATCH_PAUSE_MS = '0';
+        nextId = 0;
+
+        db = await createTestDatabase();
+        service = new RetentionService({ db });
+
+        await insertLog({ daysAgo: 40 });
+        await insertLog({ daysAgo: 40 });
+        await insertLog({ daysAgo: 35, systemName: 'Telco', processingTime: 30 });
+        await insertLog({ daysAgo: 10 });
+        await insertLog({ daysAgo: 40, status: 'ERROR' });
+        await insertLog({ daysAgo: 70, status: 'ERROR', processingTime: null });
+    });
+
+    afterEach(async () => {
+        process.env = { ...originalEnv };
+        await db.close();
+    });
+
+    it('deletes rows older than the window for their status, in batches', async () => {
+        const run = await service.run();
+
+        expect(run).toMatchObject({ status: 'success', dryRun: false, deleted: { success: 3, error: 1 }, archived: true });
+        expect(await remaining()).toEqual(['log-4', 'log-5']);
+    });
+
+    it('archives per-day counts without personal data before deleting', async () => {
+        await service.run();
+
+        const archive = await db.query(
+            'SELECT system_name, status, request_count, total_processing_time_ms FROM request_log_archive ORDER BY status, system_name'
+        );
+        expect(archive).toEqual([
+            { system_name: 'Bank', status: 'ERROR', request_count: 1, total_processing_time_ms: 0 },
+            { system_name: 'Bank', status: 'SUCCESS', request_count: 2, total_processing_time_ms: 20 },
+            { system_name: 'Telco', status: 'SUCCESS', request_count: 1, total_processing_time_ms: 30 }
+        ]);
+    });
+
+    it('adds to the archived counts on later runs', async () => {
+        await service.run();
+        await insertLog({ daysAgo: 40 });
+        await service.run();
+
+        const rows = await db.query("SELECT request_count FROM request_log_archive WHERE system_name = 'Bank' AND status = 'SUCCESS'");
+        expect(rows.reduce((sum, row) => sum + row.request_count, 0)).toBe(3);
+    });
+
+    it('archives verifications by outcome for usage reports', async () => {
+        await insertLog({ daysAgo: 40, systemName: 'Tax', outcome: 'VERIFIED' });
+        await insertLog({ daysAgo: 40, systemName: 'Tax', outcome: 'VERIFIED', processingTime: null });
+        await insertLog({ daysAgo: 40, systemName: 'Tax', outcome: 'MISMATCH' });
+        await service.run();
+        await insertLog({ daysAgo: 40, systemName: 'Tax', outcome: 'VERIFIED' });
+        await service.run();
+
+        const archive = await db.query(
+            "SELECT outcome, request_count, timed_count FROM request_log_archive WHERE system_name = 'Tax' ORDER BY outcome"
+        );
+        expect(archive).toEqual([
+            { outcome: 'MISMATCH', request_count: 1, timed_count: 1 },
+            { outcome: 'VERIFIED', request_count: 3, timed_count: 2 }
+        ]);
+    });
+
+    it('skips archival when it is switched off', async () => {
+        process.env.REQUEST_LOG_RETENTION_ARCHIVE = 'false';
+
+        const run = await new RetentionService({ db }).run();
+
+        expect(run.archived).toBe(false);
+        expect(await db.query('SELECT * FROM request_log_archive')).toEqual([]);
+        expect(await remaining()).toEqual(['log-4', 'log-5']);
+    });
+
+    it('only counts in a dry run', async () => {
+        const run = await service.run({ dryRun: true });
+
+        expect(run).toMatchObject({ dryRun: true, deleted: { success: 3, error: 1 }, archived: false });
+        expect((await remaining()).length).toBe(6);
+        expect(await db.query('SELECT * FROM request_log_archive')).toEqual([]);
+    });
+
+    it('keeps a status forever when its window is 0', async () => {
+        process.env.REQUEST_LOG_RETENTION_ERROR_DAYS = '0';
+
+        const run = await new RetentionService({ db }).run();
+
+        expect(run).toMatchObject({ errorCutoff: null, deleted: { success: 3, error: 0 } });
+        expect(await remaining()).toEqual(['log-4', 'log-5', 'log-6']);
+    });
+
+    it('records a failed run and keeps the batch it failed on', async () => {
+        await db.run('DROP TABLE request_log_archive');
+
+        const run = await service.run();
+
+        expect(run.status).toBe('failed');
+        expect(run.error).toMatch(/request_log_archive/);
+        expect((await remaining()).length).toBe(6);
+    });
+
+    it('skips the run while another instance holds the retention lock', async () => {
+        let release;
+        const holding = db.withLock('nid_service_request_log_retention', 1, () => new Promise((resolve) => {
+            release = resolve;
+        }));
+
+        expect(await service.run()).toBeNull();
+
+        release();
+        await holding;
+        expect(await service.lastRun()).toBeNull();
+    });
+});
@@ -0,0 +1,10 @@
+const os = require('os');
+const path = require('path');
+
+// Keep test runs quiet and out of the project's logs directory
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LOG_FILE = process.env.LOG_FILE || path.join(os.tmpdir(), 'nid-service-test', 'app.log');
+
+// Request log pseudonymization and encryption keys
+process.env.REQUEST_LOG_HMAC_KEY = process.env.REQUEST_LOG_HMAC_KEY || 'test-request-log-hmac-key';
+process.env.REQUEST_LOG_ENCRYPTION_KEYS = process.env.REQUEST_LOG_ENCRYPTION_KEYS || `test:${Buffer.alloc(32, 1).toString('base64')}`;
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, MysqlStorage, SqliteStorage, Migrator } = require('../src/storage');
+const { createTestDatabase } = require('./helpers/database');
+const { loadConfig } = require('../src/config');
+const { createServices } = require('../src/app');
+
+const ADMIN = { name: 'test-admin', ip: '127.0.0.1' };
+
+const WIDGETS = {
+    name: 'widgets',
+    columns: {
+        id: { type: 'increments' },
+        code: { type: 'string', length: 45, notNull: true, unique: true },
+        size: { type: 'enum', values: ['S', 'L'], default: 'S' },
+        is_active: { type: 'boolean', default: true },
+        owner_id: { type: 'integer', notNull: true, references: { table: 'owners', column: 'id', onDelete: 'CASCADE' } },
+        removed_at: { type: 'timestamp' },
+        updated_at: { type: 'timestamp', default: 'CURRENT_TIMESTAMP', onUpdateCurrentTimestamp: true }
+    },
+    indexes: { idx_code: ['code'] }
+};
+
+describe('createStorage', () => {
+    it('defaults to MySQL', () => {
+        expect(createStorage(loadConfig({}).database)).toBeInstanceOf(MysqlStorage);
+    });
+
+    it('selects SQLite with DB_CLIENT=sqlite', () => {
+        const storage = createStorage(loadConfig({ DB_CLIENT: 'sqlite', DB_FILE: ':memory:' }).database);
+
+        expect(storage).toBeInstanceOf(SqliteStorage);
+        expect(storage.filename).toBe(':memory:');
+    });
+
+    it('rejects an unknown client', () => {
+        expect(() => createStorage(loadConfig({ DB_CLIENT: 'oracle' }).database)).toThrow(/Unknown DB_CLIENT/);
+    });
+});
+
+describe('MysqlStorage DDL', () => {
+    const [widgets] = new MysqlStorage().createTableStatements(WIDGETS);
+
+    it('renders MySQL column types and options', () => {
+        expect(widgets).toContain('id INT AUTO_INCREMENT PRIMARY KEY');
+        expect(widgets).toContain('code VARCHAR(45) UNIQUE NOT NULL');
+        expect(widgets).toContain("size ENUM('S', 'L') DEFAULT 'S'");
+        expect(widgets).toContain('is_active BOOLEAN DEFAULT TRUE');
+        expect(widgets).toContain('updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP');
+        expect(widgets).toContain('INDEX idx_code (code)');
+        expect(widgets).toMatch(/ENGINE=InnoDB/);
+    });
+
+    it('renders nullable timestamps and foreign keys', () => {
+        expect(widgets).toContain('removed_at TIMESTAMP NULL DEFAULT NULL');
+        expect(widgets).toContain('FOREIGN KEY (owner_id) REFERENCES owners(id) ON DELETE CASCADE');
+    });
+});
+
+describe('SqliteStorage', () => {
+    let storage;
+
+    beforeEach(async () => {
+        storage = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        await storage.close();
+    });
+
+    it('creates a table with the columns in its definition', async () => {
+        await storage.run('CREATE TABLE owners (id INTEGER PRIMARY KEY)');
+        for (const statement of storage.createTableStatements(WIDGETS)) {
+            await storage.run(statement);
+        }
+
+        expect(await storage.listColumns('widgets')).toEqual(Object.keys(WIDGETS.columns));
+    });
+
+    it('seeds the default whitelist entries', async () => {
+        const rows = await storage.query('SELECT ip_address, is_active, cache_enabled FROM allowed_ips ORDER BY id');
+
+        expect(rows).toEqual([
+            { ip_address: '127.0.0.1', is_active: 1, cache_enabled: 1 },
+            { ip_address: '::1', is_active: 1, cache_enabled: 1 },
+            { ip_address: 'localhost', is_active: 1, cache_enabled: 1 }
+        ]);
+    });
+
+    it('returns inserted ids and affected row counts from run()', async () => {
+        const insert = await storage.run('INSERT INTO allowed_ips (ip_address, system_name) VALUES (?, ?)', ['10.0.0.0/8', 'Office']);
+        const update = await storage.run('UPDATE allowed_ips SET is_active = ? WHERE id >= ?', [false, 1]);
+
+        expect(insert.id).toBe(4);
+        expect(update.changes).toBe(4);
+        expect(await storage.get('SELECT * FROM allowed_ips WHERE id = ?', [999])).toBeNull();
+    });
+
+    it('returns timestamps as Dates and JSON columns parsed, like mysql2', async () => {
+        const expiresAt = new Date('2030-01-02T03:04:05Z');
+        await storage.run(
+            'INSERT INTO verification_cache (cache_key, verified, result, expires_at) VALUES (?, ?, ?, ?)',
+            ['key', true, JSON.stringify({ verified: true, data: { pin: '1' } }), expiresAt]
+        );
+
+        const row = await storage.get('SELECT * FROM verification_cache WHERE cache_key = ? AND expires_at > ?', ['key', new Date()]);
+
+        expect(row.expires_at).toEqual(expiresAt);
+        expect(row.created_at).toBeInstanceOf(Date);
+        expect(row.result).toEqual({ verified: true, data: { pin: '1' } });
+        expect(row.verified).toBe(1);
+    });
+
+    it('updates updated_at on every change', async () => {
+        await storage.run("UPDATE allowed_ips SET updated_at = '2000-01-01 00:00:00' WHERE id = 1");
+        await storage.run('UPDATE allowed_ips SET description = ? WHERE id = 1', ['changed']);
+
+        const row = await storage.get('SELECT updated_at FROM allowed_ips WHERE id = 1');
+        expect(row.updated_at.getUTCFullYear()).toBeGreaterThan(2000);
+    });
+
+    it('enforces enum values and foreign keys', async () => {
+        // Not toThrow(): the native module keeps the SqliteError class of the first test file that loaded it
+        await expect(storage.run(
+            "INSERT INTO request_logs (request_id, client_ip, nid, request_data, status) VALUES ('r1', '127.0.0.1', '1', '{}', 'MAYBE')"
+        )).rejects.toMatchObject({ message: expect.stringMatching(/CHECK/) });
+
+        await storage.run('INSERT INTO api_keys (allowed_ip_id, key_prefix, key_hash) VALUES (?, ?, ?)', [1, 'abc', 'hash']);
+        await storage.run('DELETE FROM allowed_ips WHERE id = 1');
+        expect(await storage.query('SELECT * FROM api_keys')).toEqual([]);
+    });
+
+    it('rolls a transaction back when the callback throws', async () => {
+        await expect(storage.transaction(async (tx) => {
+            await tx.run('DELETE FROM allowed_ips');
+            throw new Error('abort');
+        })).rejects.toThrow('abort');
+
+        expect((await storage.query('SELECT id FROM allowed_ips')).length).toBe(3);
+    });
+
+    it('keeps other statements out of an open transaction', async () => {
+        let release;
+        const blocked = new Promise((resolve) => {
+            release = resolve;
+        });
+
+        const first = storage.transaction(async (tx) => {
+            await tx.run('DELETE FROM allowed_ips WHERE id = 1');
+            await blocked;
+            throw new Error('abort');
+        });
+        const outside = storage.run("UPDATE allowed_ips SET description = 'outside' WHERE id = 2");
+        const second = storage.transaction((tx) => tx.run("UPDATE allowed_ips SET description = 'second' WHERE id = 3"));
+
+        release();
+        await expect(first).rejects.toThrow('abort');
+        await Promise.all([outside, second]);
+
+        const rows = await storage.query('SELECT id, description FROM allowed_ips ORDER BY id');
+        expect(rows.map((row) => row.description)).toEqual(['Local development environment', 'outside', 'second']);
+    });
+
+    it('serializes withLock callbacks and times out waiting', async () => {
+        const order = [];
+        let release;
+        const holding = storage.withLock('test', 1, () => new Promise((resolve) => {
+            order.push('first');
+            release = resolve;
+        }));
+        const waiting = storage.withLock('test', 1, async () => order.push('second'));
+
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(order).toEqual(['first']);
+        release();
+        await Promise.all([holding, waiting]);
+        expect(order).toEqual(['first', 'second']);
+
+        const held = storage.withLock('test', 1, () => new Promise((resolve) => setTimeout(resolve, 1500)));
+        await expect(storage.withLock('test', 0.1, async () => {})).rejects.toMatchObject({ code: 'LOCK_TIMEOUT' });
+        await held;
+    });
+
+    it('keeps its data in a file across restarts', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nid-storage-'));
+        const filename = path.join(dir, 'nested', 'nid.sqlite');
+
+        try {
+            const first = new SqliteStorage({ filename });
+            await first.init();
+            await new Migrator({ db: first }).up();
+            await first.run('INSERT INTO allowed_ips (ip_address, system_name) VALUES (?, ?)', ['192.0.2.1', 'Partner']);
+            await first.close();
+
+            const second = new SqliteStorage({ filename });
+            await second.init();
+            expect(await new Migrator({ db: second }).up()).toEqual([]);
+            const rows = await second.query('SELECT ip_address FROM allowed_ips ORDER BY id');
+            await second.close();
+
+            expect(rows.map((row) => row.ip_address)).toEqual(['127.0.0.1', '::1', 'localhost', '192.0.2.1']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    describe('services', () => {
+        let services;
+
+        beforeEach(() => {
+            services = createServices({ db: storage, nidService: {} });
+        });
+
+        it('manages whitelist entries with an audit trail', async () => {
+            const entry = await services.whitelistService.createEntry({ ipAddress: '198.51.100.0/24', systemName: 'Bank' }, ADMIN);
+            await services.whitelistService.updateEntry(entry.id, { description: 'Head office' }, ADMIN);
+
+            expect((await services.whitelistService.findEntryForIp('198.51.100.7')).systemName).toBe('Bank');
+            expect((await services.auditLog.list({ entityType: 'allowed_ip' })).map((row) => row.action)).toEqual(['UPDATE', 'CREATE']);
+        });
+
+        it('issues and verifies API keys', async () => {
+            const { apiKey } = await services.apiKeyService.issueKey(1, { label: 'ci' }, ADMIN);
+
+            expect((await services.apiKeyService.verifyApiKey(apiKey)).systemName).toBe('Local Development');
+        });
+
+        it('rejects a key revoked on another instance straight away', async () => {
+            const { key, apiKey } = await services.apiKeyService.issueKey(1, {}, ADMIN);
+            process.env.JWT_SECRET = 'test-jwt-secret';
+            const other = createServices({ db: storage, nidService: {} }).apiKeyService;
+            delete process.env.JWT_SECRET;
+            const { accessToken } = other.issueToken(await other.verifyApiKey(apiKey));
+
+            await services.apiKeyService.revokeKey(key.id, ADMIN);
+
+            await expect(other.verifyApiKey(apiKey)).rejects.toMatchObject({ code: 'INVALID_CREDENTIAL' });
+            await expect(other.verifyToken(accessToken)).rejects.toMatchObject({ code: 'INVALID_CREDENTIAL' });
+        });
+
+        it('queues, claims and completes verification jobs', async () => {
+            const job = await services.jobService.createJob(
+                { nid: '1000000001', dateOfBirth: '1990-01-15', nameEn: 'Rahim Uddin' },
+                { id: 1, systemName: 'Local Development', ip: '127.0.0.1' }
+            );
+
+            const [claimed] = await services.jobService.claimJobs('worker-1', 5);
+            expect(claimed.id).toBe(job.jobId);
+            expect(await services.jobService.claimJobs('worker-2', 5)).toEqual([]);
+
+            expect(await services.jobService.completeJob(job.jobId, 'worker-1', { statusCode: 200, result: { success: true } })).toBe(true);
+            expect((await services.jobService.getJob(job.jobId, 'Local Development')).status).toBe('completed');
+        });
+
+        it('queues webhook deliveries only for subscribed event types', async () => {
+            await services.webhookService.createSubscription(1, { url: 'https://example.test/hook', eventTypes: ['upstream.down'] }, ADMIN);
+
+            expect(await services.webhookService.emit('verification.completed', {})).toBe(0);
+            expect(await services.webhookService.emit('upstream.down', { reason: 'test' })).toBe(1);
+
+            const [delivery] = await services.webhookService.claimDeliveries('worker-1', 5);
+            expect(delivery.eventType).toBe('upstream.down');
+            expect(JSON.parse(delivery.body).data).toEqual({ reason: 'test' });
+        });
+    });
+});
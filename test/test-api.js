@@ -2,22 +2,31 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
 
-// Test data
+// Test data - citizens from test/mock-upstream/citizens.json, so run the service
+// against the mock upstream (npm run mock:upstream) or substitute real test identities
 const testCases = [
     {
         name: '17-digit NID Test',
         data: {
-            nid: '*****************',
-            dateOfBirth: 'xxxx-xx-xx',
-            nameEn: 'Nazmul Hasan Nazim'
+            nid: '19850000000000002',
+            dateOfBirth: '1985-06-30',
+            nameEn: 'Nasima Akter'
         }
     },
     {
         name: '10-digit NID Test',
         data: {
-            nid: '1234567890',
-            dateOfBirth: '1985-06-15',
-            nameEn: 'Nazmul Nazim'
+            nid: '1000000001',
+            dateOfBirth: '1990-01-15',
+            nameEn: 'Rahim Uddin'
+        }
+    },
+    {
+        name: 'Date of Birth Mismatch Test',
+        data: {
+            nid: '1000000001',
+            dateOfBirth: '1990-01-16',
+            nameEn: 'Rahim Uddin'
         }
     }
 ];
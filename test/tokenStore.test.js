@@ -0,0 +1,80 @@
+const { createServices } = require('../src/app');
+const { createMockUpstream } = require('./mock-upstream/server');
+const { createTestDatabase } = require('./helpers/database');
+
+const FIELDS = { nameEn: 'Rahim Uddin', dateOfBirth: '1990-01-15' };
+
+describe('shared upstream access token', () => {
+    const saved = { ...process.env };
+    let mockUpstream;
+    let upstream;
+    let db;
+
+    beforeAll((done) => {
+        mockUpstream = createMockUpstream();
+        upstream = mockUpstream.listen(0, '127.0.0.1', () => {
+            process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+            process.env.NID_SERVICE_USERNAME = 'mock-user';
+            process.env.NID_SERVICE_PASSWORD = 'mock-password';
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        process.env = { ...saved };
+        upstream.close(done);
+    });
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+        mockUpstream.locals.stats.logins = 0;
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    // Each call stands for one instance (or one restart) sharing the database
+    function instance() {
+        return createServices({ db }).nidService;
+    }
+
+    it('logs in once for every instance and keeps the token in access_tokens', async () => {
+        await Promise.all([instance(), instance(), instance()].map((nidService) => nidService.verifyNID('1000000001', FIELDS)));
+
+        expect(mockUpstream.locals.stats.logins).toBe(1);
+        const rows = await db.query('SELECT * FROM access_tokens');
+        expect(rows).toHaveLength(1);
+        expect(rows[0].expires_at.getTime()).toBeGreaterThan(Date.now() + 59 * 60 * 1000);
+
+        // A restarted instance picks the stored token up
+        await instance().verifyNID('1000000001', FIELDS);
+        expect(mockUpstream.locals.stats.logins).toBe(1);
+    });
+
+    it('logs in again when the stored token is about to expire', async () => {
+        await db.run('INSERT INTO access_tokens (token, expires_at) VALUES (?, ?)', ['nearly-expired', new Date(Date.now() + 60 * 1000)]);
+
+        const nidService = instance();
+        await nidService.verifyNID('1000000001', FIELDS);
+
+        expect(mockUpstream.locals.stats.logins).toBe(1);
+        expect(nidService.accessToken).not.toBe('nearly-expired');
+        expect((await nidService.tokenStore.getValidToken()).token).toBe(nidService.accessToken);
+    });
+
+    it('replaces a token upstream rejects in the shared store', async () => {
+        const first = instance();
+        await first.verifyNID('1000000001', FIELDS);
+        const [{ token: rejected }] = await db.query('SELECT token FROM access_tokens');
+        mockUpstream.locals.revokeTokens();
+
+        const result = await first.verifyNID('1000000001', FIELDS);
+
+        expect(result.verified).toBe(true);
+        expect(mockUpstream.locals.stats.logins).toBe(2);
+        const tokens = (await db.query('SELECT token FROM access_tokens')).map((row) => row.token);
+        expect(tokens).toHaveLength(1);
+        expect(tokens).not.toContain(rejected);
+    });
+});
@@ -0,0 +1,161 @@
+const { createServices } = require('../src/app');
+const { createMockUpstream, loadCitizens } = require('./mock-upstream/server');
+const { createTestDatabase } = require('./helpers/database');
+const { CircuitBreaker } = require('../src/utils/circuitBreaker');
+const { withRetry } = require('../src/utils/retry');
+
+const FIELDS = { nameEn: 'Flaky Gateway' };
+
+describe('withRetry', () => {
+    it('retries until the call succeeds', async () => {
+        const fn = jest.fn()
+            .mockRejectedValueOnce(new Error('reset'))
+            .mockRejectedValueOnce(new Error('reset'))
+            .mockResolvedValue('ok');
+        const onRetry = jest.fn();
+
+        await expect(withRetry(fn, { retries: 2, baseDelayMs: 1, onRetry })).resolves.toBe('ok');
+        expect(fn.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+        expect(onRetry.mock.calls.map(([, attempt]) => attempt)).toEqual([1, 2]);
+    });
+
+    it('gives up after the last retry or on an error it should not retry', async () => {
+        const always = jest.fn().mockRejectedValue(new Error('down'));
+        await expect(withRetry(always, { retries: 2, baseDelayMs: 1 })).rejects.toThrow('down');
+        expect(always).toHaveBeenCalledTimes(3);
+
+        const fatal = jest.fn().mockRejectedValue(new Error('bad request'));
+        await expect(withRetry(fatal, { retries: 2, shouldRetry: () => false })).rejects.toThrow('bad request');
+        expect(fatal).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('CircuitBreaker', () => {
+    const fail = () => Promise.reject(new Error('timeout'));
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('opens after consecutive failures, probes once after the reset timeout and closes on success', async () => {
+        jest.useFakeTimers({ now: new Date('2024-01-15T12:00:00Z') });
+        const transitions = [];
+        const breaker = new CircuitBreaker({
+            name: 'Upstream',
+            failureThreshold: 2,
+            resetTimeoutMs: 10000,
+            onStateChange: (from, to) => transitions.push(`${from}->${to}`)
+        });
+
+        await expect(breaker.execute(fail)).rejects.toThrow('timeout');
+        await expect(breaker.execute(fail)).rejects.toThrow('timeout');
+        const call = jest.fn().mockResolvedValue('ok');
+        await expect(breaker.execute(call)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE', details: { retryAfterSeconds: 10 } });
+        expect(call).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(10000);
+        await expect(breaker.execute(call)).resolves.toBe('ok');
+        expect(transitions).toEqual(['closed->open', 'open->half_open', 'half_open->closed']);
+        expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    it('reopens when the probe fails and ignores errors that are not failures of the dependency', async () => {
+        jest.useFakeTimers();
+        const breaker = new CircuitBreaker({ name: 'Upstream', failureThreshold: 1, resetTimeoutMs: 1000, isFailure: (error) => error.message === 'timeout' });
+
+        await expect(breaker.execute(() => Promise.reject(new Error('not found')))).rejects.toThrow('not found');
+        expect(breaker.getState().state).toBe('closed');
+
+        await expect(breaker.execute(fail)).rejects.toThrow('timeout');
+        jest.advanceTimersByTime(1000);
+        await expect(breaker.execute(fail)).rejects.toThrow('timeout');
+        expect(breaker.getState().state).toBe('open');
+    });
+});
+
+describe('NIDService against a failing upstream', () => {
+    const saved = { ...process.env };
+    let mockUpstream;
+    let upstream;
+    let db;
+
+    beforeAll((done) => {
+        mockUpstream = createMockUpstream();
+        upstream = mockUpstream.listen(0, '127.0.0.1', () => {
+            process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+            process.env.NID_SERVICE_USERNAME = 'mock-user';
+            process.env.NID_SERVICE_PASSWORD = 'mock-password';
+            process.env.NID_RETRY_BASE_DELAY_MS = '1';
+            process.env.NID_BREAKER_FAILURE_THRESHOLD = '2';
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        process.env = { ...saved };
+        upstream.close(done);
+    });
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('does not repeat a verification upstream may have received', async () => {
+        const { nidService } = createServices({ db });
+        const calls = mockUpstream.locals.stats.verifications;
+
+        // 1000000006 answers 503 twice, then normally
+        await expect(nidService.verifyNID('1000000006', FIELDS)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+
+        expect(mockUpstream.locals.stats.verifications - calls).toBe(1);
+    });
+
+    it('does not retry a verification that timed out', async () => {
+        // Answers 300ms later than the client waits
+        const [citizen] = loadCitizens();
+        const slowUpstream = createMockUpstream({ citizens: [{ ...citizen, mock: { delayMs: 400 } }] });
+        const slow = await new Promise((resolve) => {
+            const server = slowUpstream.listen(0, '127.0.0.1', () => resolve(server));
+        });
+        const baseURL = process.env.NID_SERVICE_BASE_URL;
+        process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${slow.address().port}`;
+        process.env.NID_REQUEST_TIMEOUT_MS = '100';
+
+        try {
+            const { nidService } = createServices({ db });
+            await expect(nidService.verifyNID(citizen.nationalId, FIELDS)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+            expect(slowUpstream.locals.stats.verifications).toBe(1);
+        } finally {
+            process.env.NID_SERVICE_BASE_URL = baseURL;
+            delete process.env.NID_REQUEST_TIMEOUT_MS;
+            await new Promise((resolve) => slow.close(resolve));
+        }
+    });
+
+    it('opens the circuit on server errors and tells subscribed systems', async () => {
+        const { nidService, webhookService } = createServices({ db });
+        await webhookService.createSubscription(1, { url: 'https://example.test/hook', eventTypes: ['upstream.down'] }, { name: 'test-admin' });
+
+        // 1000000005 always answers 500, which is not retried
+        for (let i = 0; i < 2; i++) {
+            await expect(nidService.verifyNID('1000000005', FIELDS)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE', statusCode: 503 });
+        }
+        const calls = mockUpstream.locals.stats.verifications;
+        await expect(nidService.verifyNID('1000000001', FIELDS)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+
+        expect(mockUpstream.locals.stats.verifications).toBe(calls);
+        expect(nidService.getCircuitState()).toMatchObject({ state: 'open', consecutiveFailures: 2 });
+
+        // The webhook is queued without holding up the failed call
+        let deliveries = [];
+        for (let attempt = 0; attempt < 50 && deliveries.length === 0; attempt++) {
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            deliveries = await db.query('SELECT event_type FROM webhook_deliveries');
+        }
+        expect(deliveries.map((row) => row.event_type)).toEqual(['upstream.down']);
+    });
+});
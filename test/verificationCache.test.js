@@ -0,0 +1,133 @@
+const request = require('supertest');
+const { createApp } = require('../src/app');
+const { createMockUpstream } = require('./mock-upstream/server');
+const { createTestDatabase } = require('./helpers/database');
+const VerificationCache = require('../src/services/verificationCache');
+
+const FIELDS = { nameEn: 'Rahim Uddin', dateOfBirth: '1990-01-15' };
+const RESULT = {
+    success: true,
+    verified: true,
+    data: {
+        nationalId: '1000000001',
+        pin: '19900000000000001',
+        nameEn: 'Rahim Uddin',
+        presentAddress: 'বাসা ১২, রোড ৫, ধানমন্ডি, ঢাকা',
+        photo: 'data:image/png;base64,iVBORw0KGgo='
+    },
+    fieldVerificationResult: { nameEn: true, dateOfBirth: true }
+};
+
+describe('VerificationCache', () => {
+    const saved = { ...process.env };
+    let db;
+
+    beforeEach(async () => {
+        process.env.VERIFICATION_CACHE_ENABLED = 'true';
+        process.env.VERIFICATION_CACHE_SECRET = 'test-cache-secret';
+        db = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        process.env = { ...saved };
+        await db.close();
+    });
+
+    it('stores the verdict in the clear and the record only encrypted', async () => {
+        const cache = new VerificationCache({ db });
+        await cache.set('1000000001', FIELDS, RESULT);
+
+        const row = await db.get('SELECT * FROM verification_cache');
+        const raw = JSON.stringify(row);
+        for (const value of ['1000000001', '19900000000000001', 'Rahim', 'ধানমন্ডি', 'iVBORw0KGgo', '1990-01-15']) {
+            expect(raw).not.toContain(value);
+        }
+        expect(row.result).toMatchObject({ verified: true, fieldVerificationResult: { nameEn: true, dateOfBirth: true } });
+        expect(row.result.data).toMatch(/^enc:v1:test:/);
+
+        expect((await cache.get('1000000001', FIELDS)).result).toEqual(RESULT);
+    });
+
+    it('is off without an encryption key', async () => {
+        delete process.env.REQUEST_LOG_ENCRYPTION_KEYS;
+
+        expect(new VerificationCache({ db }).enabled).toBe(false);
+    });
+
+    it('misses entries written with a key that is no longer configured', async () => {
+        await new VerificationCache({ db }).set('1000000001', FIELDS, RESULT);
+
+        process.env.REQUEST_LOG_ENCRYPTION_KEYS = `other:${Buffer.alloc(32, 2).toString('base64')}`;
+        expect(await new VerificationCache({ db }).get('1000000001', FIELDS)).toBeNull();
+    });
+});
+
+describe('POST /api/nid/verify with the result cache', () => {
+    const saved = { ...process.env };
+    let mockUpstream;
+    let upstream;
+    let db;
+
+    beforeAll((done) => {
+        mockUpstream = createMockUpstream();
+        upstream = mockUpstream.listen(0, '127.0.0.1', () => {
+            process.env.NID_SERVICE_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+            process.env.NID_SERVICE_USERNAME = 'mock-user';
+            process.env.NID_SERVICE_PASSWORD = 'mock-password';
+            process.env.VERIFICATION_CACHE_ENABLED = 'true';
+            process.env.VERIFICATION_CACHE_SECRET = 'test-cache-secret';
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        process.env = { ...saved };
+        upstream.close(done);
+    });
+
+    beforeEach(async () => {
+        db = await createTestDatabase();
+    });
+
+    afterEach(async () => {
+        await db.close();
+    });
+
+    it('answers a repeat check from the cache with the same response', async () => {
+        const app = createApp({ db });
+        const body = { nid: '1000000001', ...FIELDS };
+        const calls = mockUpstream.locals.stats.verifications;
+
+        const first = await request(app).post('/api/nid/verify').send(body);
+        const second = await request(app).post('/api/nid/verify').send(body);
+
+        expect(mockUpstream.locals.stats.verifications).toBe(calls + 1);
+        expect(first.body.cached).toBe(false);
+        expect(second.body.cached).toBe(true);
+        expect(second.body.cachedAt).toEqual(expect.any(String));
+        const unchanging = ({ requestId, timestamp, cached, cachedAt, ...rest }) => rest;
+        expect(unchanging(second.body)).toEqual(unchanging(first.body));
+        expect(second.body.data.personDetails.nameEn).toBe('Rahim Uddin');
+        expect(JSON.stringify(await db.query('SELECT * FROM verification_cache'))).not.toContain('Rahim');
+
+        await request(app).post('/api/nid/verify').set('Cache-Control', 'no-cache').send(body).expect(200);
+        expect(mockUpstream.locals.stats.verifications).toBe(calls + 2);
+    });
+
+    it('calls upstream every time without an encryption key', async () => {
+        const keys = process.env.REQUEST_LOG_ENCRYPTION_KEYS;
+        delete process.env.REQUEST_LOG_ENCRYPTION_KEYS;
+        const app = createApp({ db });
+        process.env.REQUEST_LOG_ENCRYPTION_KEYS = keys;
+        const calls = mockUpstream.locals.stats.verifications;
+
+        for (let i = 0; i < 2; i++) {
+            const response = await request(app).post('/api/nid/verify').send({ nid: '1000000001', ...FIELDS });
+            expect(response.body.cached).toBe(false);
+            expect(response.body.data.personDetails.nameEn).toBe('Rahim Uddin');
+        }
+
+        expect(mockUpstream.locals.stats.verifications).toBe(calls + 2);
+        expect(await db.query('SELECT * FROM verification_cache')).toEqual([]);
+    });
+});
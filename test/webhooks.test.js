@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const express = require('express');
+const { createServices } = require('../src/app');
+const { createTestDatabase } = require('./helpers/database');
+const WebhookService = require('../src/services/webhookService');
+const WebhookWorker = require('../src/workers/webhookWorker');
+
+const ADMIN = { name: 'test-admin', ip: '127.0.0.1' };
+
+describe('webhook delivery', () => {
+    const saved = { ...process.env };
+    let receiver;
+    let received;
+    let respondWith;
+    let url;
+    let db;
+    let webhookService;
+    let worker;
+
+    beforeAll((done) => {
+        const app = express();
+        app.use(express.text({ type: 'application/json' }));
+        app.post('/hook', (req, res) => {
+            received.push({ headers: req.headers, body: req.body });
+            res.status(respondWith).end();
+        });
+        receiver = app.listen(0, '127.0.0.1', () => {
+            url = `http://127.0.0.1:${receiver.address().port}/hook`;
+            done();
+        });
+    });
+
+    afterAll((done) => {
+        receiver.close(done);
+    });
+
+    beforeEach(async () => {
+        process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+        db = await createTestDatabase();
+        ({ webhookService } = createServices({ db, nidService: {} }));
+        worker = new WebhookWorker({ webhookService });
+        received = [];
+        respondWith = 204;
+    });
+
+    afterEach(async () => {
+        process.env = { ...saved };
+        await db.close();
+    });
+
+    // Makes the next attempt due straight away instead of after the backoff
+    async function deliverDue() {
+        await db.run("UPDATE webhook_deliveries SET next_attempt_at = ? WHERE status = 'PENDING'", [new Date(Date.now() - 1000)]);
+        const claimed = await webhookService.claimDeliveries(worker.workerId, 10);
+        await Promise.all(claimed.map((delivery) => worker.deliver(delivery)));
+        return claimed;
+    }
+
+    it('signs each delivery with the subscription secret', async () => {
+        const { subscription, secret } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        await webhookService.emit('upstream.down', { consecutiveFailures: 5 });
+
+        await deliverDue();
+
+        expect(received).toHaveLength(1);
+        const [{ headers, body }] = received;
+        const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex')}`;
+        expect(headers['x-webhook-signature']).toBe(expected);
+        expect(headers['x-webhook-event']).toBe('upstream.down');
+        expect(JSON.parse(body)).toMatchObject({ id: headers['x-webhook-event-id'], type: 'upstream.down', data: { consecutiveFailures: 5 } });
+
+        const [delivery] = await webhookService.listDeliveries(subscription.id);
+        expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, lastStatusCode: 204 });
+    });
+
+    it('retries failed deliveries until they are dead, and replays them with the same event id', async () => {
+        const { subscription } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        await webhookService.emit('upstream.down', {});
+        respondWith = 500;
+
+        await deliverDue();
+        let [delivery] = await webhookService.listDeliveries(subscription.id);
+        expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastStatusCode: 500, lastError: 'Subscriber responded with HTTP 500' });
+        expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+        await deliverDue();
+        [delivery] = await webhookService.listDeliveries(subscription.id, { status: 'dead' });
+        expect(delivery.attempts).toBe(2);
+        expect(await deliverDue()).toEqual([]);
+
+        respondWith = 200;
+        const replay = await webhookService.replayDelivery(delivery.id, ADMIN);
+        await deliverDue();
+
+        expect(await webhookService.getDelivery(replay.id)).toMatchObject({ status: 'delivered', replayOf: delivery.id });
+        expect(received.map((request) => request.headers['x-webhook-event-id'])).toEqual(Array(3).fill(delivery.eventId));
+    });
+
+    it('leaves deliveries to an inactive subscription pending until it is reactivated', async () => {
+        const { subscription } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        await webhookService.emit('upstream.down', {});
+        await webhookService.updateSubscription(subscription.id, { isActive: false }, ADMIN);
+
+        expect(await deliverDue()).toEqual([]);
+        expect(await webhookService.listDeliveries(subscription.id)).toEqual([expect.objectContaining({ status: 'pending', attempts: 0 })]);
+
+        await webhookService.updateSubscription(subscription.id, { isActive: true }, ADMIN);
+        await deliverDue();
+        expect(received).toHaveLength(1);
+    });
+
+    it('signs with the new secret once it is rotated', async () => {
+        const { subscription } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        const { secret } = await webhookService.rotateSecret(subscription.id, ADMIN);
+        await webhookService.emit('upstream.down', {});
+
+        await deliverDue();
+
+        const [{ headers, body }] = received;
+        expect(headers['x-webhook-signature']).toBe(webhookService.sign(secret, headers['x-webhook-timestamp'], body));
+    });
+
+    it('stores secrets encrypted and still signs with one stored before that', async () => {
+        const { subscription, secret } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        const stored = () => db.get('SELECT secret FROM webhook_subscriptions WHERE id = ?', [subscription.id]);
+        expect((await stored()).secret).toMatch(/^enc:v1:test:/);
+        expect((await stored()).secret).not.toContain(secret);
+
+        const legacy = 'whsec_stored-before-encryption';
+        await db.run('UPDATE webhook_subscriptions SET secret = ? WHERE id = ?', [legacy, subscription.id]);
+        await webhookService.emit('upstream.down', {});
+        await deliverDue();
+
+        const [{ headers, body }] = received;
+        expect(headers['x-webhook-signature']).toBe(webhookService.sign(legacy, headers['x-webhook-timestamp'], body));
+
+        expect(await webhookService.reprotectSecrets()).toBe(1);
+        expect(webhookService.revealSecret((await stored()).secret)).toBe(legacy);
+        expect(await webhookService.reprotectSecrets()).toBe(0);
+    });
+
+    it('refuses to create or rotate a secret without an encryption key', async () => {
+        const { subscription } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        delete process.env.REQUEST_LOG_ENCRYPTION_KEYS;
+        const withoutKey = new WebhookService({ db, auditLog: {} });
+
+        await expect(withoutKey.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE', statusCode: 503 });
+        await expect(withoutKey.rotateSecret(subscription.id, ADMIN)).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+    });
+
+    it('fails deliveries whose secret cannot be decrypted instead of signing with the ciphertext', async () => {
+        const { subscription } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        await db.run("UPDATE webhook_subscriptions SET secret = REPLACE(secret, 'enc:v1:test:', 'enc:v1:retired:')");
+        await webhookService.emit('upstream.down', {});
+
+        await deliverDue();
+
+        expect(received).toEqual([]);
+        const [delivery] = await webhookService.listDeliveries(subscription.id);
+        expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Subscription secret cannot be decrypted' });
+    });
+
+    it('purges delivered, dead and held deliveries once they are past the retention period', async () => {
+        const { subscription } = await webhookService.createSubscription(1, { url, eventTypes: ['upstream.down'] }, ADMIN);
+        for (let i = 0; i < 4; i++) {
+            await webhookService.emit('upstream.down', { i });
+        }
+        const ids = (await webhookService.listDeliveries(subscription.id)).map((delivery) => delivery.id);
+        const expired = new Date(Date.now() - (webhookService.deliveredTtlDays + 1) * 24 * 60 * 60 * 1000);
+        await db.run("UPDATE webhook_deliveries SET status = 'DELIVERED', delivered_at = ? WHERE id = ?", [expired, ids[0]]);
+        await db.run("UPDATE webhook_deliveries SET status = 'DEAD', created_at = ? WHERE id = ?", [expired, ids[1]]);
+        await db.run('UPDATE webhook_deliveries SET created_at = ? WHERE id = ?', [expired, ids[2]]);
+        // Dead, but recent enough to replay
+        await db.run("UPDATE webhook_deliveries SET status = 'DEAD' WHERE id = ?", [ids[3]]);
+
+        expect(await webhookService.purgeExpired()).toBe(3);
+        expect((await webhookService.listDeliveries(subscription.id)).map((delivery) => delivery.id)).toEqual([ids[3]]);
+    });
+});